@@ -7,6 +7,8 @@ const { asyncHandler, generateDocumentNumber } = require('../utils/helpers');
 const { HTTP_STATUS_CODES, DOCUMENT_STATUS } = require('../utils/constants');
 const { getPagination, calculateTotalPages } = require('../utils/helpers');
 const { formatApiResponse, formatApiCollection } = require('../utils/formatters');
+const { depuisReference } = require('../utils/devises');
+const deviseService = require('../services/deviseService');
 
 // @desc    Récupérer toutes les commandes d'achat
 // @route   GET /api/v1/achats
@@ -83,6 +85,19 @@ exports.createAchat = asyncHandler(async (req, res, next) => {
   );
   req.body.numeroAchat = generateDocumentNumber(params.prefixeAchat, params.sequenceAchat);
 
+  // --- Devise de la commande (à défaut, celle du fournisseur) et cours figé à l'émission ---
+  try {
+    const fournisseur = req.body.devise ? null : await Fournisseur.findById(req.body.fournisseur).select('deviseParDefaut');
+    Object.assign(req.body, await deviseService.figerCours({
+      devise: req.body.devise || fournisseur?.deviseParDefaut,
+      tauxDeChange: req.body.tauxDeChange,
+      date: req.body.dateAchat,
+    }));
+  } catch (error) {
+    return next(new ErrorResponse(error.message, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+  delete req.body.contreValeur;
+
   // --- Validation et enrichissement des lignes ---
   for (const ligne of req.body.lignes) {
       const produit = await Produit.findById(ligne.produit);
@@ -91,8 +106,8 @@ exports.createAchat = asyncHandler(async (req, res, next) => {
       }
       ligne.description = produit.designation;
       // Pour un achat, le prix est souvent négocié, donc on s'attend à ce qu'il soit fourni.
-      // On peut prendre le prix d'achat du produit comme fallback.
-      ligne.prixUnitaireHT = ligne.prixUnitaireHT || produit.prixAchat;
+      // On peut prendre le prix d'achat du produit (en XOF, converti dans la devise) comme fallback.
+      ligne.prixUnitaireHT = ligne.prixUnitaireHT || depuisReference(produit.prixAchat, req.body.tauxDeChange);
       ligne.tauxTVA = produit.tauxTVA; // Le taux de TVA dépend du produit/service acheté.
   }
   
@@ -119,13 +134,24 @@ exports.updateAchat = asyncHandler(async (req, res, next) => {
       return next(new ErrorResponse(`Impossible de modifier une commande d'achat qui n'est plus à l'état de brouillon.`, HTTP_STATUS_CODES.BAD_REQUEST));
   }
 
+  // Changement de devise ou de cours : nouveau cours figé
+  delete req.body.contreValeur;
+  if (req.body.devise || req.body.tauxDeChange) {
+    try {
+      Object.assign(req.body, await deviseService.figerCours({ devise: req.body.devise || achat.devise, tauxDeChange: req.body.tauxDeChange, date: req.body.dateAchat || achat.dateAchat }));
+    } catch (error) {
+      return next(new ErrorResponse(error.message, HTTP_STATUS_CODES.BAD_REQUEST));
+    }
+  }
+  const tauxDeChange = req.body.tauxDeChange || achat.tauxDeChange;
+
   // Enrichir les nouvelles lignes si elles sont ajoutées
   if (req.body.lignes) {
     for (const ligne of req.body.lignes) {
       if (!ligne.description) {
         const produit = await Produit.findById(ligne.produit);
         ligne.description = produit.designation;
-        ligne.prixUnitaireHT = ligne.prixUnitaireHT || produit.prixAchat;
+        ligne.prixUnitaireHT = ligne.prixUnitaireHT || depuisReference(produit.prixAchat, tauxDeChange);
         ligne.tauxTVA = produit.tauxTVA;
       }
     }
@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const Avoir = require('../models/Avoir');
+const Facture = require('../models/Facture');
+const Parametres = require('../models/Parametres');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { asyncHandler, generateDocumentNumber } = require('../utils/helpers');
+const { HTTP_STATUS_CODES, DOCUMENT_STATUS } = require('../utils/constants');
+const { getPagination, calculateTotalPages } = require('../utils/helpers');
+const { formatApiResponse, formatApiCollection } = require('../utils/formatters');
+const { roundFinancial } = require('../utils/calculations');
+const calculService = require('../services/calculService');
+const comptabiliteService = require('../services/comptabiliteService');
+const stockService = require('../services/stockService');
+
+
+// @desc    Récupérer tous les avoirs (avec filtres et pagination)
+// @route   GET /api/v1/avoirs
+// @access  Private
+exports.getAvoirs = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  let query = {};
+  if (req.query.search) {
+    query.numero = { $regex: req.query.search, $options: 'i' };
+  }
+  if (req.query.client) {
+    query.client = req.query.client;
+  }
+  if (req.query.facture) {
+    query.factureOrigine = req.query.facture;
+  }
+  if (req.query.statut) {
+    query.statut = req.query.statut;
+  }
+
+  const totalAvoirs = await Avoir.countDocuments(query);
+  const avoirs = await Avoir.find(query)
+    .populate('client', 'nom codeClient')
+    .populate('factureOrigine', 'numero dateEmission')
+    .sort({ dateEmission: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: avoirs.length,
+    pagination: {
+      total: totalAvoirs,
+      page,
+      totalPages: calculateTotalPages(totalAvoirs, limit)
+    },
+    data: formatApiCollection(avoirs),
+  });
+});
+
+
+// @desc    Récupérer un avoir par son ID
+// @route   GET /api/v1/avoirs/:id
+// @access  Private
+exports.getAvoirById = asyncHandler(async (req, res, next) => {
+  const avoir = await Avoir.findById(req.params.id)
+    .populate('client')
+    .populate('factureOrigine', 'numero dateEmission totalTTC montantPaye montantAvoirs statut')
+    .populate('lignes.produit', 'reference designation');
+
+  if (!avoir) {
+    return next(
+      new ErrorResponse(`Avoir non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND)
+    );
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(avoir),
+  });
+});
+
+
+// @desc    Créer un avoir (brouillon) à partir d'une facture
+//          Sans `lignes` dans le corps, l'avoir crédite tout ce qui reste sur la facture.
+//          Sinon `lignes` = [{ indexLigneFacture, quantite }] pour un avoir partiel.
+// @route   POST /api/v1/factures/:factureId/avoirs
+// @access  Private (Admin, Comptable, Commercial)
+exports.createAvoir = asyncHandler(async (req, res, next) => {
+  const facture = await Facture.findById(req.params.factureId);
+  if (!facture) {
+    return next(new ErrorResponse(`Facture non trouvée avec l'ID ${req.params.factureId}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  if ([DOCUMENT_STATUS.DRAFT, DOCUMENT_STATUS.CANCELLED].includes(facture.statut)) {
+    return next(new ErrorResponse(`Impossible d'émettre un avoir sur une facture au statut '${facture.statut}'.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const dejaCredite = await Avoir.getQuantitesDejaCreditees(facture._id);
+
+  // Lignes demandées : toutes les quantités restantes par défaut (avoir total)
+  const demandes = Array.isArray(req.body.lignes) && req.body.lignes.length > 0
+    ? req.body.lignes
+    : facture.lignes.map((ligne, index) => ({
+        indexLigneFacture: index,
+        quantite: ligne.quantite - (dejaCredite.get(index) || 0),
+      })).filter(l => l.quantite > 0);
+
+  if (demandes.length === 0) {
+    return next(new ErrorResponse(`La facture n°${facture.numero} a déjà été entièrement créditée.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const lignes = [];
+  // Quantités demandées cumulées par ligne de facture : une même ligne peut figurer plusieurs fois
+  const demandeParLigne = new Map();
+  for (const demande of demandes) {
+    const index = Number(demande.indexLigneFacture);
+    const ligneFacture = facture.lignes[index];
+    if (!ligneFacture) {
+      return next(new ErrorResponse(`La ligne n°${index} n'existe pas sur la facture n°${facture.numero}.`, HTTP_STATUS_CODES.BAD_REQUEST));
+    }
+
+    const quantiteRestante = ligneFacture.quantite - (dejaCredite.get(index) || 0);
+    const quantite = Number(demande.quantite);
+    const quantiteCumulee = (demandeParLigne.get(index) || 0) + quantite;
+    demandeParLigne.set(index, quantiteCumulee);
+    if (!Number.isFinite(quantite) || !(quantite > 0) || quantiteCumulee > quantiteRestante) {
+      return next(new ErrorResponse(`Quantité invalide pour "${ligneFacture.description}" : ${quantiteRestante} au maximum peut encore être créditée.`, HTTP_STATUS_CODES.BAD_REQUEST));
+    }
+
+    lignes.push({
+      indexLigneFacture: index,
+      produit: ligneFacture.produit,
+      description: ligneFacture.description,
+      quantite,
+      prixUnitaireHT: ligneFacture.prixUnitaireHT,
+      tauxTVA: ligneFacture.tauxTVA,
+      remise: calculService.proraterRemise(ligneFacture.remise, quantite, ligneFacture.quantite),
+    });
+  }
+
+  // L'avoir est total s'il solde toutes les quantités restantes de la facture
+  const estTotal = facture.lignes.every((ligneFacture, index) => {
+    const credite = (dejaCredite.get(index) || 0)
+      + lignes.filter(l => l.indexLigneFacture === index).reduce((acc, l) => acc + l.quantite, 0);
+    return credite >= ligneFacture.quantite;
+  });
+
+  // --- Génération du numéro d'avoir ---
+  const params = await Parametres.findOneAndUpdate(
+      {},
+      { $inc: { sequenceAvoir: 1 } },
+      { new: true }
+  );
+
+  const avoir = await Avoir.create({
+    numero: generateDocumentNumber(params.prefixeAvoir, params.sequenceAvoir),
+    factureOrigine: facture._id,
+    client: facture.client,
+    dateEmission: req.body.dateEmission,
+    typeAvoir: estTotal ? 'Total' : 'Partiel',
+    motif: req.body.motif,
+    lignes,
+    reintegrerStock: Boolean(req.body.reintegrerStock),
+    depotRetour: req.body.depotRetour,
+    notes: req.body.notes,
+    creePar: req.user.id,
+  });
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(avoir),
+  });
+});
+
+
+// @desc    Valider un avoir : contre-passation comptable, retour en stock et mise à jour de la facture,
+//          dans une seule transaction
+// @route   PATCH /api/v1/avoirs/:id/valider
+// @access  Private (Admin, Comptable)
+exports.validerAvoir = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const avoir = await Avoir.findById(req.params.id)
+      .populate('client')
+      .populate('factureOrigine')
+      .session(session);
+
+    if (!avoir) {
+      throw new ErrorResponse(`Avoir non trouvé`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (avoir.statut !== DOCUMENT_STATUS.DRAFT) {
+      throw new ErrorResponse(`Seul un avoir à l'état de brouillon peut être validé.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    // Le dépôt de réintégration est résolu avant toute écriture
+    const reintegrer = avoir.reintegrerStock && !avoir.mouvementStockCree;
+    const depotId = reintegrer ? avoir.depotRetour || (await Parametres.get())?.depotParDefaut : null;
+    if (reintegrer && !depotId) {
+      throw new ErrorResponse(`Aucun dépôt de retour n'est défini pour réintégrer le stock.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const facture = avoir.factureOrigine;
+
+    // 1. Contre-passation de l'écriture de vente (si la facture a été comptabilisée)
+    if (facture.comptabilise) {
+      await comptabiliteService.comptabiliserAvoir(avoir, req.user.id, session);
+    }
+
+    // 2. Réintégration des marchandises en stock
+    if (reintegrer) {
+      await stockService.gererRetourClient(avoir, depotId, req.user.id, session);
+      avoir.depotRetour = depotId;
+      avoir.mouvementStockCree = true;
+    }
+
+    // 3. Diminution du solde restant dû sur la facture
+    facture.montantAvoirs = roundFinancial((facture.montantAvoirs || 0) + avoir.totalTTC);
+    facture.avoirsLies.push(avoir._id);
+    if (facture.montantAvoirs >= facture.totalTTC && facture.montantPaye === 0) {
+      // Une facture entièrement créditée et non réglée est annulée
+      facture.statut = DOCUMENT_STATUS.CANCELLED;
+    }
+    await facture.save({ session });
+
+    avoir.statut = DOCUMENT_STATUS.VALIDATED;
+    avoir.validePar = req.user.id;
+    avoir.dateValidation = new Date();
+    await avoir.save({ session });
+
+    await session.commitTransaction();
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      data: formatApiResponse(avoir),
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+});
+
+
+// @desc    Supprimer un avoir (brouillon uniquement)
+// @route   DELETE /api/v1/avoirs/:id
+// @access  Private (Admin, Comptable)
+exports.deleteAvoir = asyncHandler(async (req, res, next) => {
+  const avoir = await Avoir.findById(req.params.id);
+
+  if (!avoir) {
+    return next(new ErrorResponse(`Avoir non trouvé`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  if (avoir.statut !== DOCUMENT_STATUS.DRAFT) {
+    return next(new ErrorResponse(`Un avoir validé ne peut pas être supprimé.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  await avoir.deleteOne();
+
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, data: {}, message: "Avoir supprimé." });
+});
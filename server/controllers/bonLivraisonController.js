@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const BonLivraison = require('../models/BonLivraison');
+const Vente = require('../models/Vente');
+const Parametres = require('../models/Parametres');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { asyncHandler } = require('../utils/helpers');
+const { HTTP_STATUS_CODES, DOCUMENT_STATUS } = require('../utils/constants');
+const { formatApiResponse } = require('../utils/formatters');
+const stockService = require('../services/stockService');
+
+
+// @desc    Expédier un bon de livraison : sortie de stock et avancement de la vente, dans une
+//          seule transaction
+// @route   PATCH /api/v1/bons-livraison/:id/expedier
+// @access  Private (Admin, Commercial, Vendeur)
+exports.expedierBonLivraison = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const bonLivraison = await BonLivraison.findById(req.params.id).session(session);
+
+    if (!bonLivraison) {
+      throw new ErrorResponse(`Bon de livraison non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+
+    if (bonLivraison.mouvementStockCree || bonLivraison.statut !== 'En préparation') {
+      throw new ErrorResponse(`Le bon de livraison n°${bonLivraison.numero} a déjà été expédié.`, HTTP_STATUS_CODES.CONFLICT);
+    }
+
+    const depotId = req.body.depot || (await Parametres.get())?.depotParDefaut;
+    if (!depotId) {
+      throw new ErrorResponse(`Aucun dépôt de sortie n'est défini.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    await stockService.gererSortieVente(bonLivraison, depotId, req.user.id, session);
+
+    bonLivraison.mouvementStockCree = true;
+    bonLivraison.statut = 'Expédié';
+    if (req.body.transporteur) bonLivraison.transporteur = req.body.transporteur;
+    if (req.body.numeroSuivi) bonLivraison.numeroSuivi = req.body.numeroSuivi;
+    await bonLivraison.save({ session });
+
+    // La vente est expédiée lorsque toutes ses quantités sont sur des BL déjà expédiés
+    const vente = await Vente.findById(bonLivraison.venteLiee).session(session);
+    if (vente && vente.statut === DOCUMENT_STATUS.IN_PREPARATION) {
+      const toutEstLivre = vente.lignes.every(ligne => ligne.quantiteLivree >= ligne.quantite);
+      const blEnAttente = await BonLivraison.countDocuments({ venteLiee: vente._id, mouvementStockCree: false }).session(session);
+      if (toutEstLivre && blEnAttente === 0) {
+        vente.statut = DOCUMENT_STATUS.SHIPPED;
+        await vente.save({ session });
+      }
+    }
+
+    await session.commitTransaction();
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      data: formatApiResponse(bonLivraison),
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+});
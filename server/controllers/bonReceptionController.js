@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const BonReception = require('../models/BonReception');
+const Achat = require('../models/Achat');
+const BonCommande = require('../models/BonCommande');
+const Parametres = require('../models/Parametres');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { asyncHandler, generateDocumentNumber } = require('../utils/helpers');
+const { HTTP_STATUS_CODES, DOCUMENT_STATUS } = require('../utils/constants');
+const { getPagination, calculateTotalPages } = require('../utils/helpers');
+const { formatApiResponse, formatApiCollection } = require('../utils/formatters');
+const calculService = require('../services/calculService');
+const stockService = require('../services/stockService');
+const { versReference } = require('../utils/devises');
+
+/**
+ * Règles de réception propres à chaque type de commande fournisseur.
+ */
+const ORIGINES = {
+  Achat: {
+    Model: Achat,
+    champLien: 'achatLie',
+    numero: (commande) => commande.numeroAchat,
+    statutsReceptionnables: [DOCUMENT_STATUS.ORDERED, DOCUMENT_STATUS.PARTIALLY_RECEIVED],
+    statutPartiel: DOCUMENT_STATUS.PARTIALLY_RECEIVED,
+    statutComplet: DOCUMENT_STATUS.RECEIVED,
+  },
+  BonCommande: {
+    Model: BonCommande,
+    champLien: 'bonCommandeLie',
+    numero: (commande) => commande.numero,
+    statutsReceptionnables: ['Envoyé au fournisseur', 'Confirmé par fournisseur', 'Partiellement reçu'],
+    statutPartiel: 'Partiellement reçu',
+    statutComplet: 'Reçu en totalité',
+  },
+};
+
+
+/**
+ * Réceptionne tout ou partie d'une commande fournisseur : crée le bon de réception,
+ * génère les entrées en stock et fait avancer le statut de la commande, le tout
+ * dans une seule transaction.
+ * @param {'Achat' | 'BonCommande'} typeOrigine - Le type de document commandé.
+ * @param {object} req - La requête Express.
+ * @returns {Promise<object>} Le bon de réception créé.
+ * @throws {ErrorResponse} Si la commande n'est pas réceptionnable ou si une quantité est invalide.
+ */
+const receptionnerCommande = async (typeOrigine, req) => {
+  const origine = ORIGINES[typeOrigine];
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const commande = await origine.Model.findById(req.params.id).session(session);
+    if (!commande) {
+      throw new ErrorResponse(`Commande fournisseur non trouvée avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    const numeroCommande = origine.numero(commande);
+
+    if (!origine.statutsReceptionnables.includes(commande.statut)) {
+      throw new ErrorResponse(`Impossible de réceptionner la commande n°${numeroCommande} au statut '${commande.statut}'.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const params = await Parametres.findOneAndUpdate(
+        {},
+        { $inc: { sequenceBonReception: 1 } },
+        { new: true, session }
+    );
+
+    const depotId = req.body.depot || params.depotParDefaut;
+
+    // Quantités reçues : tout le reste à recevoir par défaut
+    const demandes = Array.isArray(req.body.lignes) && req.body.lignes.length > 0
+      ? req.body.lignes
+      : commande.lignes.map((ligne, index) => ({
+          indexLigneCommande: index,
+          quantiteRecue: ligne.quantite - ligne.quantiteRecue,
+        })).filter(l => l.quantiteRecue > 0);
+
+    const lignes = [];
+    // Quantités reçues cumulées par ligne de commande : une même ligne peut figurer plusieurs fois
+    const demandeParLigne = new Map();
+    for (const demande of demandes) {
+      const index = Number(demande.indexLigneCommande);
+      const ligneCommande = commande.lignes[index];
+      if (!ligneCommande) {
+        throw new ErrorResponse(`La ligne n°${index} n'existe pas sur la commande n°${numeroCommande}.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      const resteARecevoir = ligneCommande.quantite - ligneCommande.quantiteRecue;
+      const quantiteRecue = Number(demande.quantiteRecue);
+      const quantiteCumulee = (demandeParLigne.get(index) || 0) + quantiteRecue;
+      demandeParLigne.set(index, quantiteCumulee);
+      if (!Number.isFinite(quantiteRecue) || !(quantiteRecue >= 0) || quantiteCumulee > resteARecevoir) {
+        throw new ErrorResponse(`Quantité invalide pour "${ligneCommande.description}" : il reste ${resteARecevoir} à recevoir.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      lignes.push({
+        indexLigneCommande: index,
+        produit: ligneCommande.produit,
+        description: ligneCommande.description,
+        quantiteCommandee: ligneCommande.quantite,
+        quantiteRecue,
+        // Le CUMP est tenu en XOF : le prix net de la commande est converti à son cours
+        coutUnitaireHT: versReference(calculService.prixUnitaireNet(ligneCommande), commande.tauxDeChange),
+      });
+    }
+
+    if (!lignes.some(ligne => ligne.quantiteRecue > 0)) {
+      throw new ErrorResponse(`Aucune quantité à réceptionner sur la commande n°${numeroCommande}.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const [bonReception] = await BonReception.create([{
+      numero: generateDocumentNumber(params.prefixeBonReception, params.sequenceBonReception),
+      fournisseur: commande.fournisseur,
+      depot: depotId,
+      dateReception: req.body.dateReception,
+      lignes,
+      [origine.champLien]: commande._id,
+      referenceLivraisonFournisseur: req.body.referenceLivraisonFournisseur,
+      recuPar: req.user.id,
+      notes: req.body.notes,
+      creePar: req.user.id,
+    }], { session });
+
+    // 1. Entrées en stock
+    await stockService.gererEntreeAchat(bonReception, depotId, req.user.id, session);
+    bonReception.mouvementStockCree = true;
+    await bonReception.save({ session });
+
+    // 2. Suivi par ligne et avancement du statut de la commande
+    lignes.forEach(ligne => {
+      commande.lignes[ligne.indexLigneCommande].quantiteRecue += ligne.quantiteRecue;
+    });
+    commande.receptionsLiees.push(bonReception._id);
+    commande.statut = commande.lignes.every(ligne => ligne.quantiteRecue >= ligne.quantite)
+      ? origine.statutComplet
+      : origine.statutPartiel;
+    await commande.save({ session });
+
+    await session.commitTransaction();
+    return bonReception;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+
+// @desc    Récupérer les bons de réception
+// @route   GET /api/v1/bons-reception
+// @access  Private
+exports.getBonsReception = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  let query = {};
+  if (req.query.fournisseur) query.fournisseur = req.query.fournisseur;
+  if (req.query.achat) query.achatLie = req.query.achat;
+  if (req.query.bonCommande) query.bonCommandeLie = req.query.bonCommande;
+  if (req.query.depot) query.depot = req.query.depot;
+
+  const total = await BonReception.countDocuments(query);
+  const bonsReception = await BonReception.find(query)
+    .populate('fournisseur', 'nom codeFournisseur')
+    .populate('depot', 'nom')
+    .sort({ dateReception: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: bonsReception.length,
+    pagination: {
+      total,
+      page,
+      totalPages: calculateTotalPages(total, limit)
+    },
+    data: formatApiCollection(bonsReception),
+  });
+});
+
+
+// @desc    Réceptionner une commande d'achat (totalement ou partiellement)
+// @route   POST /api/v1/achats/:id/receptions
+// @access  Private (Admin, Commercial)
+exports.receptionnerAchat = asyncHandler(async (req, res, next) => {
+  const bonReception = await receptionnerCommande('Achat', req);
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(bonReception),
+  });
+});
+
+
+// @desc    Réceptionner un bon de commande (totalement ou partiellement)
+// @route   POST /api/v1/bons-commande/:id/receptions
+// @access  Private (Admin, Commercial)
+exports.receptionnerBonCommande = asyncHandler(async (req, res, next) => {
+  const bonReception = await receptionnerCommande('BonCommande', req);
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(bonReception),
+  });
+});
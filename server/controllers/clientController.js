@@ -1,4 +1,6 @@
+const mongoose = require('mongoose');
 const Client = require('../models/Client');
+const compteTiersService = require('../services/compteTiersService');
 const { ErrorResponse } = require('../middleware/errorHandler');
 const { asyncHandler } = require('../utils/helpers');
 const { HTTP_STATUS_CODES } = require('../utils/constants');
@@ -70,7 +72,23 @@ exports.createClient = asyncHandler(async (req, res, next) => {
   // Ajouter l'ID de l'utilisateur qui crée le client
   req.body.creePar = req.user.id;
 
-  const client = await Client.create(req.body);
+  // Le compte comptable est attribué selon les paramètres (compte auxiliaire ou collectif)
+  delete req.body.compteComptableAssocie;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let client;
+  try {
+    [client] = await Client.create([req.body], { session });
+    await compteTiersService.attribuerCompte('Client', client._id, session);
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+  client = await Client.findById(client._id).populate('compteComptableAssocie', 'numero libelle');
 
   res.status(HTTP_STATUS_CODES.CREATED).json({
     success: true,
@@ -92,6 +110,9 @@ exports.updateClient = asyncHandler(async (req, res, next) => {
   }
 
   // Mettre à jour le client avec les nouvelles données
+  // Le compte comptable se change par PUT /api/v1/clients/:id/compte-comptable
+  delete req.body.compteComptableAssocie;
+
   client = await Client.findByIdAndUpdate(req.params.id, req.body, {
     new: true, // Retourne le document modifié
     runValidators: true, // Exécute les validateurs du modèle
@@ -128,4 +149,19 @@ exports.deleteClient = asyncHandler(async (req, res, next) => {
     data: {},
     message: "Client supprimé avec succès."
   });
+});
+
+
+// @desc    Changer le compte comptable d'un client : `mode` 'Auxiliaire' (compte propre, créé au
+//          besoin) ou 'Collectif' (compte collectif par défaut), ou `compte` (ID d'un compte de tiers)
+// @route   PUT /api/v1/clients/:id/compte-comptable
+// @access  Private (Admin, Comptable)
+exports.rattacherCompteComptable = asyncHandler(async (req, res, next) => {
+  const compte = await compteTiersService.rattacherCompte('Client', req.params.id, { mode: req.body.mode, compteId: req.body.compte });
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(compte),
+    message: `Client rattaché au compte ${compte.numero}.`,
+  });
 });
\ No newline at end of file
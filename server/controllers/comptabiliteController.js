@@ -0,0 +1,893 @@
+const fs = require('fs');
+const CompteComptable = require('../models/CompteComptable');
+const EcritureComptable = require('../models/EcritureComptable');
+const Parametres = require('../models/Parametres');
+const Exercice = require('../models/Exercice');
+const RubriqueEtatFinancier = require('../models/RubriqueEtatFinancier');
+const AxeAnalytique = require('../models/AxeAnalytique');
+const SectionAnalytique = require('../models/SectionAnalytique');
+const Budget = require('../models/Budget');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { asyncHandler, sendFileAttachment } = require('../utils/helpers');
+const { HTTP_STATUS_CODES, USER_ROLES } = require('../utils/constants');
+const { getPagination, calculateTotalPages } = require('../utils/helpers');
+const { formatApiResponse, formatApiCollection } = require('../utils/formatters');
+const { roundFinancial } = require('../utils/calculations');
+const dateUtils = require('../utils/dateUtils');
+const lettrageService = require('../services/lettrageService');
+const reportService = require('../services/reportService');
+const etatsFinanciersService = require('../services/etatsFinanciersService');
+const clotureExerciceService = require('../services/clotureExerciceService');
+const ecritureManuelleService = require('../services/ecritureManuelleService');
+const soldeCompteService = require('../services/soldeCompteService');
+const planComptableService = require('../services/planComptableService');
+const analytiqueService = require('../services/analytiqueService');
+const budgetService = require('../services/budgetService');
+const deviseService = require('../services/deviseService');
+const excelService = require('../services/excelService');
+const pdfService = require('../services/pdfService');
+
+
+/**
+ * Lit la période d'un état comptable dans la requête (`dateDebut`, `dateFin`), l'année en cours par défaut.
+ * @param {object} query - Les paramètres de la requête.
+ * @returns {{ dateDebut: Date, dateFin: Date }}
+ */
+const lirePeriode = (query) => {
+  const { startDate, endDate } = dateUtils.getPeriodDates(
+    query.dateDebut && query.dateFin ? { startDate: query.dateDebut, endDate: query.dateFin } : 'this_year'
+  );
+  return { dateDebut: startDate, dateFin: endDate };
+};
+
+
+// =============================================================================
+// LETTRAGE DES COMPTES DE TIERS
+// =============================================================================
+
+// @desc    Lettrer manuellement des lignes d'un compte de tiers
+//          `lignes` = [{ ecritureId, indexMouvement }], dont les débits égalent les crédits.
+// @route   POST /api/v1/comptabilite/lettrage
+// @access  Private (Admin, Comptable)
+exports.lettrerLignes = asyncHandler(async (req, res, next) => {
+  const code = await lettrageService.lettrer(req.body.lignes);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: { code },
+  });
+});
+
+
+// @desc    Lettrage automatique d'un compte de tiers (tous les tiers, ou un seul avec `tiers`)
+// @route   POST /api/v1/comptabilite/comptes/:compteId/lettrage-automatique
+// @access  Private (Admin, Comptable)
+exports.lettrageAutomatique = asyncHandler(async (req, res, next) => {
+  const compte = await CompteComptable.findById(req.params.compteId);
+  if (!compte || !compte.estLettrable) {
+    return next(new ErrorResponse(`Compte lettrable non trouvé avec l'ID ${req.params.compteId}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  const codes = await lettrageService.lettrageAutomatique(compte._id, req.body.tiers);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: codes.length,
+    data: codes,
+  });
+});
+
+
+// @desc    Annuler un lettrage
+// @route   DELETE /api/v1/comptabilite/comptes/:compteId/lettrage/:code
+// @access  Private (Admin, Comptable)
+exports.delettrer = asyncHandler(async (req, res, next) => {
+  const ecrituresModifiees = await lettrageService.delettrer(req.params.compteId, req.params.code.toUpperCase());
+
+  if (ecrituresModifiees === 0) {
+    return next(new ErrorResponse(`Aucun lettrage '${req.params.code}' sur ce compte.`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: {},
+    message: `Lettrage ${req.params.code.toUpperCase()} annulé.`,
+  });
+});
+
+
+// @desc    Lister les lignes non lettrées d'un tiers (justification du solde client ou fournisseur)
+// @route   GET /api/v1/comptabilite/tiers/:tiersId/lignes-non-lettrees?compte=
+// @access  Private (Admin, Comptable)
+exports.getLignesNonLettrees = asyncHandler(async (req, res, next) => {
+  const lignes = await lettrageService.getLignesNonLettrees({
+    compteId: req.query.compte,
+    tiersId: req.params.tiersId,
+  });
+
+  const solde = roundFinancial(lignes.reduce((acc, l) => acc + (l.debit || 0) - (l.credit || 0), 0));
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: lignes.length,
+    solde,
+    data: lignes,
+  });
+});
+
+
+// =============================================================================
+// ÉTATS COMPTABLES
+// =============================================================================
+
+// @desc    Grand livre d'un compte ou d'une plage de comptes
+//          ?compteDebut=&compteFin=&dateDebut=&dateFin=&format=json|xlsx|pdf
+// @route   GET /api/v1/comptabilite/grand-livre
+// @access  Private (Admin, Comptable)
+exports.getGrandLivre = asyncHandler(async (req, res, next) => {
+  const periode = lirePeriode(req.query);
+  const grandLivre = await reportService.getGrandLivre({
+    compteDebut: req.query.compteDebut,
+    compteFin: req.query.compteFin,
+    ...periode,
+  });
+
+  if (req.query.format === 'xlsx') {
+    return sendFileAttachment(res, await excelService.exporterGrandLivre(grandLivre), 'grand-livre.xlsx');
+  }
+  if (req.query.format === 'pdf') {
+    const entreprise = await Parametres.get();
+    return sendFileAttachment(res, await pdfService.creerPdfGrandLivre(grandLivre, periode, entreprise), 'grand-livre.pdf');
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: grandLivre.length,
+    periode,
+    data: grandLivre,
+  });
+});
+
+
+// @desc    Balance générale à six colonnes, par classe SYSCOHADA
+//          ?compteDebut=&compteFin=&dateDebut=&dateFin=&format=json|xlsx|pdf
+// @route   GET /api/v1/comptabilite/balance
+// @access  Private (Admin, Comptable)
+exports.getBalance = asyncHandler(async (req, res, next) => {
+  const periode = lirePeriode(req.query);
+  const balance = await reportService.getBalance({
+    compteDebut: req.query.compteDebut,
+    compteFin: req.query.compteFin,
+    ...periode,
+  });
+
+  if (req.query.format === 'xlsx') {
+    return sendFileAttachment(res, await excelService.exporterBalance(balance), 'balance.xlsx');
+  }
+  if (req.query.format === 'pdf') {
+    const entreprise = await Parametres.get();
+    return sendFileAttachment(res, await pdfService.creerPdfBalance(balance, periode, entreprise), 'balance.pdf');
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    periode,
+    data: balance,
+  });
+});
+
+
+// =============================================================================
+// ÉTATS AUXILIAIRES DES TIERS
+// =============================================================================
+
+/**
+ * Lit le type de tiers d'un état auxiliaire (`type` : Client par défaut, ou Fournisseur).
+ * @param {object} query - Les paramètres de la requête.
+ * @returns {string|null} Le type de tiers, ou null s'il est inconnu.
+ */
+const lireTypeTiers = (query) => {
+  const type = query.type || 'Client';
+  return ['Client', 'Fournisseur'].includes(type) ? type : null;
+};
+
+
+// @desc    Grand livre auxiliaire des clients ou des fournisseurs, ou d'un seul tiers
+//          ?type=Client|Fournisseur&tiers=&dateDebut=&dateFin=&format=json|xlsx
+// @route   GET /api/v1/comptabilite/tiers/grand-livre
+// @access  Private (Admin, Comptable)
+exports.getGrandLivreTiers = asyncHandler(async (req, res, next) => {
+  const tiersModel = lireTypeTiers(req.query);
+  if (!tiersModel) {
+    return next(new ErrorResponse(`Type de tiers inconnu : ${req.query.type}.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+  const periode = lirePeriode(req.query);
+  const grandLivre = await reportService.getGrandLivreTiers({ tiersModel, tiersId: req.query.tiers, ...periode });
+
+  if (req.query.format === 'xlsx') {
+    return sendFileAttachment(res, await excelService.exporterGrandLivreTiers(grandLivre), `grand-livre-${tiersModel.toLowerCase()}s.xlsx`);
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: grandLivre.length,
+    periode,
+    data: grandLivre,
+  });
+});
+
+
+// @desc    Balance auxiliaire à six colonnes des clients ou des fournisseurs
+//          ?type=Client|Fournisseur&dateDebut=&dateFin=&format=json|xlsx
+// @route   GET /api/v1/comptabilite/tiers/balance
+// @access  Private (Admin, Comptable)
+exports.getBalanceTiers = asyncHandler(async (req, res, next) => {
+  const tiersModel = lireTypeTiers(req.query);
+  if (!tiersModel) {
+    return next(new ErrorResponse(`Type de tiers inconnu : ${req.query.type}.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+  const periode = lirePeriode(req.query);
+  const balance = await reportService.getBalanceTiers({ tiersModel, ...periode });
+
+  if (req.query.format === 'xlsx') {
+    return sendFileAttachment(res, await excelService.exporterBalanceTiers(balance), `balance-${tiersModel.toLowerCase()}s.xlsx`);
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: balance.tiers.length,
+    periode,
+    data: balance,
+  });
+});
+
+
+// @desc    Balance âgée des clients ou des fournisseurs à une date d'arrêté (aujourd'hui par défaut)
+//          ?type=Client|Fournisseur&date=&tranches=30,60,90&format=json|xlsx
+// @route   GET /api/v1/comptabilite/tiers/balance-agee
+// @access  Private (Admin, Comptable)
+exports.getBalanceAgee = asyncHandler(async (req, res, next) => {
+  const tiersModel = lireTypeTiers(req.query);
+  if (!tiersModel) {
+    return next(new ErrorResponse(`Type de tiers inconnu : ${req.query.type}.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+  const dateArrete = req.query.date
+    ? dateUtils.getPeriodDates({ startDate: req.query.date, endDate: req.query.date }).endDate
+    : new Date();
+  if (Number.isNaN(dateArrete.getTime())) {
+    return next(new ErrorResponse(`Date d'arrêté invalide : ${req.query.date}.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+  const tranches = req.query.tranches ? String(req.query.tranches).split(',').map(Number) : undefined;
+  if (tranches && (tranches.some(t => !Number.isInteger(t) || t <= 0) || tranches.some((t, i) => i > 0 && t <= tranches[i - 1]))) {
+    return next(new ErrorResponse(`Les tranches doivent être des nombres de jours croissants (ex: 30,60,90).`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const balance = await reportService.getBalanceAgee({ tiersModel, dateArrete, tranches });
+
+  if (req.query.format === 'xlsx') {
+    return sendFileAttachment(res, await excelService.exporterBalanceAgee(balance), `balance-agee-${tiersModel.toLowerCase()}s.xlsx`);
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: balance.tiers.length,
+    data: balance,
+  });
+});
+
+
+// =============================================================================
+// ÉTATS FINANCIERS ANNUELS (SYSCOHADA)
+// =============================================================================
+
+// @desc    Bilan d'un exercice, avec comparatif N-1 (?format=pdf pour l'édition)
+// @route   GET /api/v1/comptabilite/exercices/:exerciceId/bilan
+// @access  Private (Admin, Comptable)
+exports.getBilan = asyncHandler(async (req, res, next) => {
+  const bilan = await etatsFinanciersService.getBilan(req.params.exerciceId);
+
+  if (req.query.format === 'pdf') {
+    const entreprise = await Parametres.findOne().populate('deviseParDefaut', 'code');
+    return sendFileAttachment(res, await pdfService.creerPdfBilan(bilan, entreprise), `bilan-${bilan.exercice.libelle}.pdf`);
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: bilan,
+  });
+});
+
+
+// @desc    Compte de résultat d'un exercice, avec comparatif N-1 (?format=pdf pour l'édition)
+// @route   GET /api/v1/comptabilite/exercices/:exerciceId/compte-resultat
+// @access  Private (Admin, Comptable)
+exports.getCompteResultat = asyncHandler(async (req, res, next) => {
+  const compteResultat = await etatsFinanciersService.getCompteResultat(req.params.exerciceId);
+
+  if (req.query.format === 'pdf') {
+    const entreprise = await Parametres.findOne().populate('deviseParDefaut', 'code');
+    return sendFileAttachment(res, await pdfService.creerPdfCompteResultat(compteResultat, entreprise), `compte-resultat-${compteResultat.exercice.libelle}.pdf`);
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: compteResultat,
+  });
+});
+
+
+// @desc    Lister les rubriques d'un état financier et leur affectation de comptes
+// @route   GET /api/v1/comptabilite/rubriques?etat=Bilan|CompteResultat
+// @access  Private (Admin, Comptable)
+exports.getRubriques = asyncHandler(async (req, res, next) => {
+  if (!['Bilan', 'CompteResultat'].includes(req.query.etat)) {
+    return next(new ErrorResponse(`Précisez l'état : Bilan ou CompteResultat.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  await RubriqueEtatFinancier.getRubriques(req.query.etat);
+  const rubriques = await RubriqueEtatFinancier.find({ etat: req.query.etat }).sort({ ordre: 1 });
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: rubriques.length,
+    data: rubriques,
+  });
+});
+
+
+// @desc    Ajouter une rubrique à un état financier
+// @route   POST /api/v1/comptabilite/rubriques
+// @access  Private (Admin, Comptable)
+exports.createRubrique = asyncHandler(async (req, res, next) => {
+  const rubrique = await RubriqueEtatFinancier.create(req.body);
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: rubrique,
+  });
+});
+
+
+// @desc    Modifier une rubrique (libellé, comptes affectés, formule, ordre)
+// @route   PUT /api/v1/comptabilite/rubriques/:id
+// @access  Private (Admin, Comptable)
+exports.updateRubrique = asyncHandler(async (req, res, next) => {
+  const { etat, reference, ...modifications } = req.body;
+  const rubrique = await RubriqueEtatFinancier.findByIdAndUpdate(req.params.id, modifications, {
+    new: true,
+    runValidators: true,
+  });
+
+  if (!rubrique) {
+    return next(new ErrorResponse(`Rubrique non trouvée avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: rubrique,
+  });
+});
+
+
+// @desc    Supprimer une rubrique (refusé si une formule de total y fait référence)
+// @route   DELETE /api/v1/comptabilite/rubriques/:id
+// @access  Private (Admin)
+exports.deleteRubrique = asyncHandler(async (req, res, next) => {
+  const rubrique = await RubriqueEtatFinancier.findById(req.params.id);
+
+  if (!rubrique) {
+    return next(new ErrorResponse(`Rubrique non trouvée avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  const totaux = await RubriqueEtatFinancier.find({ etat: rubrique.etat, type: 'Total' });
+  const utilisateur = totaux.find(total => total.formule.match(/[A-Z]{2}/g).includes(rubrique.reference));
+  if (utilisateur) {
+    return next(new ErrorResponse(`La rubrique ${rubrique.reference} est utilisée par le total ${utilisateur.reference} (${utilisateur.formule}).`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  await rubrique.deleteOne();
+
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, data: {}, message: "Rubrique supprimée." });
+});
+
+
+// =============================================================================
+// CLÔTURE DE L'EXERCICE
+// =============================================================================
+
+// @desc    Contrôles préalables à la clôture d'un exercice (brouillons, écritures déséquilibrées...)
+// @route   GET /api/v1/comptabilite/exercices/:exerciceId/controle-cloture
+// @access  Private (Admin, Comptable)
+exports.controlerCloture = asyncHandler(async (req, res, next) => {
+  const exercice = await Exercice.findById(req.params.exerciceId);
+  if (!exercice) {
+    return next(new ErrorResponse(`Exercice non trouvé avec l'ID ${req.params.exerciceId}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  const anomalies = await clotureExerciceService.verifierExercice(exercice);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: {
+      cloturable: anomalies.length === 0,
+      anomalies,
+    },
+  });
+});
+
+
+// @desc    Clôturer un exercice : résultat en 13x, à-nouveaux de l'exercice suivant, verrouillage
+// @route   POST /api/v1/comptabilite/exercices/:exerciceId/cloture
+// @access  Private (Admin)
+exports.cloturerExercice = asyncHandler(async (req, res, next) => {
+  const cloture = await clotureExerciceService.cloturerExercice(req.params.exerciceId, req.user.id);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: cloture,
+    message: `Exercice "${cloture.exercice.libelle}" clôturé avec un résultat de ${cloture.exercice.resultatExercice}.`,
+  });
+});
+
+
+// =============================================================================
+// ÉCRITURES MANUELLES (OPÉRATIONS DIVERSES)
+// =============================================================================
+
+// @desc    Récupérer les écritures comptables
+//          Filtres : journal, statut, compte, dateDebut / dateFin, `manuelles=true` pour la seule saisie manuelle.
+// @route   GET /api/v1/comptabilite/ecritures
+// @access  Private (Admin, Comptable)
+exports.getEcritures = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  let query = {};
+  if (req.query.journal) query.journal = req.query.journal;
+  if (req.query.statut) query.statut = req.query.statut;
+  if (req.query.compte) query['mouvements.compte'] = req.query.compte;
+  if (req.query.manuelles === 'true') query['documentOrigine.documentModel'] = 'OperationDiverse';
+  if (req.query.dateDebut && req.query.dateFin) {
+    const { dateDebut, dateFin } = lirePeriode(req.query);
+    query.dateEcriture = { $gte: dateDebut, $lte: dateFin };
+  }
+
+  const total = await EcritureComptable.countDocuments(query);
+  const ecritures = await EcritureComptable.find(query)
+    .populate('journal', 'code libelle')
+    .sort({ dateEcriture: -1, numeroPiece: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: ecritures.length,
+    pagination: {
+      total,
+      page,
+      totalPages: calculateTotalPages(total, limit)
+    },
+    data: formatApiCollection(ecritures),
+  });
+});
+
+
+// @desc    Récupérer une écriture comptable avec ses lignes
+// @route   GET /api/v1/comptabilite/ecritures/:id
+// @access  Private (Admin, Comptable)
+exports.getEcritureById = asyncHandler(async (req, res, next) => {
+  const ecriture = await EcritureComptable.findById(req.params.id)
+    .populate('journal', 'code libelle')
+    .populate('mouvements.compte', 'numero libelle')
+    .populate('contrePassation', 'numeroPiece dateEcriture')
+    .populate('ecritureContrePassee', 'numeroPiece dateEcriture')
+    .populate('creePar validePar', 'nomComplet');
+
+  if (!ecriture) {
+    return next(new ErrorResponse(`Écriture non trouvée avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(ecriture),
+  });
+});
+
+
+// @desc    Saisir une écriture manuelle (enregistrée en brouillon)
+//          Corps : { journal, dateEcriture, libelle, mouvements: [{ compte, libelle, debit, credit, tiers, tiersModel }] }.
+// @route   POST /api/v1/comptabilite/ecritures
+// @access  Private (Admin, Comptable)
+exports.createEcriture = asyncHandler(async (req, res, next) => {
+  const ecriture = await ecritureManuelleService.creerBrouillon(req.body, req.user.id);
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(ecriture),
+  });
+});
+
+
+// @desc    Modifier une écriture en brouillon
+// @route   PUT /api/v1/comptabilite/ecritures/:id
+// @access  Private (Admin, Comptable)
+exports.updateEcriture = asyncHandler(async (req, res, next) => {
+  const ecriture = await ecritureManuelleService.modifierBrouillon(req.params.id, req.body);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(ecriture),
+  });
+});
+
+
+// @desc    Supprimer une écriture en brouillon
+// @route   DELETE /api/v1/comptabilite/ecritures/:id
+// @access  Private (Admin, Comptable)
+exports.deleteEcriture = asyncHandler(async (req, res, next) => {
+  await ecritureManuelleService.supprimerBrouillon(req.params.id);
+
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, data: {}, message: "Écriture supprimée." });
+});
+
+
+// @desc    Valider une écriture en brouillon (numéro de pièce définitif tiré de la séquence du journal)
+// @route   PATCH /api/v1/comptabilite/ecritures/:id/valider
+// @access  Private (Comptable)
+exports.validerEcriture = asyncHandler(async (req, res, next) => {
+  if (req.user.role !== USER_ROLES.COMPTABLE) {
+    return next(new ErrorResponse(`Seul un comptable peut valider une écriture.`, HTTP_STATUS_CODES.FORBIDDEN));
+  }
+
+  const ecriture = await ecritureManuelleService.validerEcriture(req.params.id, req.user.id);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(ecriture),
+    message: `Écriture validée sous le n°${ecriture.numeroPiece}.`
+  });
+});
+
+
+// @desc    Contre-passer une écriture validée (seul moyen de la corriger)
+//          Corps facultatif : { dateEcriture, libelle }.
+// @route   POST /api/v1/comptabilite/ecritures/:id/contre-passation
+// @access  Private (Comptable)
+exports.contrePasserEcriture = asyncHandler(async (req, res, next) => {
+  if (req.user.role !== USER_ROLES.COMPTABLE) {
+    return next(new ErrorResponse(`Seul un comptable peut contre-passer une écriture.`, HTTP_STATUS_CODES.FORBIDDEN));
+  }
+
+  const contrePassation = await ecritureManuelleService.contrePasserEcriture(req.params.id, {
+    dateEcriture: req.body.dateEcriture,
+    libelle: req.body.libelle,
+  }, req.user.id);
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(contrePassation),
+  });
+});
+
+
+// =============================================================================
+// SOLDES DES COMPTES
+// =============================================================================
+
+// @desc    Soldes des comptes sur un exercice (ouverture, mouvements mois par mois, clôture),
+//          lus dans les soldes mensuels tenus à chaque validation d'écriture
+// @route   GET /api/v1/comptabilite/exercices/:exerciceId/soldes
+// @access  Private (Admin, Comptable)
+exports.getSoldesExercice = asyncHandler(async (req, res, next) => {
+  const soldes = await soldeCompteService.getSoldesExercice(req.params.exerciceId);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: soldes.comptes.length,
+    data: soldes,
+  });
+});
+
+
+// @desc    Recalculer tous les soldes depuis les écritures validées et relever les écarts
+//          `corriger=false` pour un simple constat sans réécriture.
+// @route   POST /api/v1/comptabilite/soldes/recalcul
+// @access  Private (Admin)
+exports.recalculerSoldes = asyncHandler(async (req, res, next) => {
+  const resultat = await soldeCompteService.recalculerSoldes({ corriger: req.body.corriger !== false && req.body.corriger !== 'false' });
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: resultat,
+    message: resultat.ecartsComptes.length === 0 && resultat.ecartsPeriodes.length === 0
+      ? 'Aucun écart : les soldes tenus sont conformes aux écritures.'
+      : `${resultat.ecartsComptes.length} compte(s) et ${resultat.ecartsPeriodes.length} solde(s) mensuel(s) en écart${resultat.corrige ? ', corrigés' : ''}.`,
+  });
+});
+
+
+// =============================================================================
+// PLAN COMPTABLE
+// =============================================================================
+
+// @desc    Importer le plan comptable et initialiser les journaux standards (VT, AC, BQ, CA, OD, AN)
+//          et les comptes et journaux par défaut des paramètres. Sans fichier, importe le plan
+//          SYSCOHADA révisé fourni ; sinon le plan joint (CSV ou Excel, champ 'plan').
+//          `mettreAJour=true` met aussi à jour le libellé et les indicateurs des comptes existants.
+// @route   POST /api/v1/comptabilite/plan-comptable/import
+// @access  Private (Admin)
+exports.importerPlanComptable = asyncHandler(async (req, res, next) => {
+  let rapport;
+  try {
+    const comptes = req.file ? await planComptableService.lireFichierPlan(req.file.path, req.file.originalname) : undefined;
+    rapport = await planComptableService.importerPlanComptable({
+      comptes,
+      mettreAJour: req.body.mettreAJour === true || req.body.mettreAJour === 'true',
+    });
+  } finally {
+    // Le fichier n'est plus utile une fois lu
+    if (req.file) await fs.promises.unlink(req.file.path).catch(() => {});
+  }
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: rapport,
+    message: `${rapport.comptes.crees} compte(s) créé(s), ${rapport.comptes.misAJour} mis à jour, ${rapport.journauxCrees.length} journal(aux) créé(s).`
+      + (rapport.parametres ? '' : " Les paramètres de l'application ne sont pas initialisés : journaux et comptes par défaut à renseigner ensuite."),
+  });
+});
+
+
+// =============================================================================
+// COMPTABILITÉ ANALYTIQUE
+// =============================================================================
+
+// @desc    Récupérer les axes analytiques et leurs sections
+// @route   GET /api/v1/comptabilite/analytique/axes
+// @access  Private (Admin, Comptable)
+exports.getAxesAnalytiques = asyncHandler(async (req, res, next) => {
+  const axes = await AxeAnalytique.find().sort({ code: 1 }).lean();
+  const sections = await SectionAnalytique.find({ axe: { $in: axes.map(a => a._id) } })
+    .populate('responsable', 'nomComplet')
+    .sort({ code: 1 })
+    .lean();
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: axes.length,
+    data: axes.map(axe => ({ ...axe, sections: sections.filter(s => s.axe.toString() === axe._id.toString()) })),
+  });
+});
+
+
+// @desc    Créer un axe analytique
+// @route   POST /api/v1/comptabilite/analytique/axes
+// @access  Private (Admin, Comptable)
+exports.createAxeAnalytique = asyncHandler(async (req, res, next) => {
+  const { code, libelle, description } = req.body;
+  if (await AxeAnalytique.exists({ code: String(code || '').toUpperCase().trim() })) {
+    return next(new ErrorResponse(`L'axe analytique ${code} existe déjà.`, HTTP_STATUS_CODES.CONFLICT));
+  }
+
+  const axe = await AxeAnalytique.create({ code, libelle, description, creePar: req.user.id });
+  res.status(HTTP_STATUS_CODES.CREATED).json({ success: true, data: formatApiResponse(axe) });
+});
+
+
+// @desc    Modifier un axe analytique (libellé, description, activation ; le code est figé)
+// @route   PUT /api/v1/comptabilite/analytique/axes/:id
+// @access  Private (Admin, Comptable)
+exports.updateAxeAnalytique = asyncHandler(async (req, res, next) => {
+  const { libelle, description, actif } = req.body;
+  const axe = await AxeAnalytique.findByIdAndUpdate(req.params.id, { libelle, description, actif }, { new: true, runValidators: true });
+
+  if (!axe) {
+    return next(new ErrorResponse(`Axe analytique non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, data: formatApiResponse(axe) });
+});
+
+
+// @desc    Créer une section analytique dans un axe
+// @route   POST /api/v1/comptabilite/analytique/axes/:id/sections
+// @access  Private (Admin, Comptable)
+exports.createSectionAnalytique = asyncHandler(async (req, res, next) => {
+  const axe = await AxeAnalytique.findById(req.params.id);
+  if (!axe) {
+    return next(new ErrorResponse(`Axe analytique non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+  const { code, libelle, responsable } = req.body;
+  if (await SectionAnalytique.exists({ axe: axe._id, code: String(code || '').toUpperCase().trim() })) {
+    return next(new ErrorResponse(`La section ${code} existe déjà sur l'axe ${axe.code}.`, HTTP_STATUS_CODES.CONFLICT));
+  }
+
+  const section = await SectionAnalytique.create({ axe: axe._id, code, libelle, responsable, creePar: req.user.id });
+  res.status(HTTP_STATUS_CODES.CREATED).json({ success: true, data: formatApiResponse(section) });
+});
+
+
+// @desc    Modifier une section analytique (libellé, responsable, activation ; code et axe sont figés)
+// @route   PUT /api/v1/comptabilite/analytique/sections/:id
+// @access  Private (Admin, Comptable)
+exports.updateSectionAnalytique = asyncHandler(async (req, res, next) => {
+  const { libelle, responsable, actif } = req.body;
+  const section = await SectionAnalytique.findByIdAndUpdate(req.params.id, { libelle, responsable, actif }, { new: true, runValidators: true });
+
+  if (!section) {
+    return next(new ErrorResponse(`Section analytique non trouvée avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, data: formatApiResponse(section) });
+});
+
+
+// @desc    Ventiler (ou reventiler) une ligne d'écriture entre des sections analytiques
+//          Corps : { ventilation: [{ section, pourcentage }] }, 100 % par axe ; vide pour retirer la ventilation.
+// @route   PUT /api/v1/comptabilite/ecritures/:id/mouvements/:index/ventilation
+// @access  Private (Admin, Comptable)
+exports.ventilerMouvement = asyncHandler(async (req, res, next) => {
+  const ecriture = await analytiqueService.reventilerMouvement(req.params.id, req.params.index, req.body.ventilation || []);
+
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, data: formatApiResponse(ecriture) });
+});
+
+
+// @desc    Compte de résultat analytique d'un axe, par section, sur une période
+//          ?axe=&dateDebut=&dateFin=&format=json|xlsx
+// @route   GET /api/v1/comptabilite/analytique/compte-resultat
+// @access  Private (Admin, Comptable)
+exports.getCompteResultatAnalytique = asyncHandler(async (req, res, next) => {
+  if (!req.query.axe) {
+    return next(new ErrorResponse(`Indiquez l'axe analytique de l'état.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+  const periode = lirePeriode(req.query);
+
+  const etat = await reportService.getCompteResultatAnalytique({ axeId: req.query.axe, ...periode });
+
+  if (req.query.format === 'xlsx') {
+    return sendFileAttachment(res, await excelService.exporterCompteResultatAnalytique(etat), `compte-resultat-analytique-${etat.axe.code.toLowerCase()}.xlsx`);
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: etat.sections.length,
+    periode,
+    data: etat,
+  });
+});
+
+
+// =============================================================================
+// BUDGETS
+// =============================================================================
+
+// @desc    Obtenir le budget d'un exercice
+// @route   GET /api/v1/comptabilite/budgets/:exerciceId
+// @access  Private (Admin, Comptable)
+exports.getBudget = asyncHandler(async (req, res, next) => {
+  const budget = await Budget.findOne({ exercice: req.params.exerciceId })
+    .populate('exercice', 'libelle dateDebut dateFin statut')
+    .populate('lignes.section', 'code libelle axe');
+  if (!budget) {
+    return next(new ErrorResponse(`Aucun budget n'est enregistré pour l'exercice ${req.params.exerciceId}.`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, data: formatApiResponse(budget) });
+});
+
+// @desc    Enregistrer (créer ou remplacer) le budget d'un exercice. Chaque ligne porte un compte
+//          ou une plage de comptes de gestion, une section analytique facultative et ses montants
+//          mensuels (ou un montant annuel réparti également).
+// @route   PUT /api/v1/comptabilite/budgets/:exerciceId
+// @access  Private (Admin, Comptable)
+exports.enregistrerBudget = asyncHandler(async (req, res, next) => {
+  const budget = await budgetService.enregistrerBudget(req.params.exerciceId, {
+    libelle: req.body.libelle,
+    lignes: req.body.lignes,
+  }, req.user.id);
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(budget),
+    message: 'Budget enregistré.',
+  });
+});
+
+// @desc    Importer le budget d'un exercice depuis un fichier Excel ou CSV (champ 'budget') :
+//          colonnes compte (ou compte début / compte fin), libellé, section et une par mois
+// @route   POST /api/v1/comptabilite/budgets/:exerciceId/import
+// @access  Private (Admin, Comptable)
+exports.importerBudget = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return next(new ErrorResponse('Veuillez joindre le fichier du budget.', HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+  let budget;
+  try {
+    budget = await budgetService.importerBudget(req.params.exerciceId, req.file.path, req.file.originalname, req.user.id, req.body.libelle);
+  } finally {
+    // Le fichier n'est plus utile une fois lu
+    await fs.promises.unlink(req.file.path).catch(() => {});
+  }
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(budget),
+    message: `${budget.lignes.length} ligne(s) de budget importée(s).`,
+  });
+});
+
+// @desc    Suivi budgétaire d'un exercice : budget, réalisé, écart et pourcentage consommé par
+//          ligne, par mois et en cumul. ?jusqua=AAAA-MM&format=json|xlsx
+// @route   GET /api/v1/comptabilite/budgets/:exerciceId/suivi
+// @access  Private (Admin, Comptable)
+exports.getSuiviBudgetaire = asyncHandler(async (req, res, next) => {
+  if (req.query.jusqua && !/^\d{4}-(0[1-9]|1[0-2])$/.test(req.query.jusqua)) {
+    return next(new ErrorResponse('Le mois de fin du suivi doit être au format AAAA-MM.', HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const suivi = await budgetService.getSuiviBudgetaire(req.params.exerciceId, { jusqua: req.query.jusqua });
+
+  if (req.query.format === 'xlsx') {
+    return sendFileAttachment(res, await excelService.exporterSuiviBudgetaire(suivi), `suivi-budgetaire-${suivi.exercice.libelle}.xlsx`);
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: suivi.lignes.length,
+    data: suivi,
+  });
+});
+
+
+// =============================================================================
+// COURS DES DEVISES ET ÉCARTS DE CONVERSION
+// =============================================================================
+
+// @desc    Historique des cours d'une devise (?dateDebut=&dateFin=), ou cours applicable à une
+//          date (?date=AAAA-MM-JJ)
+// @route   GET /api/v1/comptabilite/devises/:code/cours
+// @access  Private (Admin, Comptable)
+exports.getCoursDevise = asyncHandler(async (req, res, next) => {
+  if (req.query.date) {
+    const cours = await deviseService.coursAu(req.params.code, new Date(req.query.date));
+    return res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      data: { ...cours, date: req.query.date },
+    });
+  }
+
+  const historique = await deviseService.getHistoriqueCours(req.params.code, {
+    dateDebut: req.query.dateDebut,
+    dateFin: req.query.dateFin,
+  });
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: historique.length,
+    data: formatApiCollection(historique),
+  });
+});
+
+// @desc    Enregistrer le cours d'une devise à une date { dateCours, taux, source }. Le cours de
+//          l'euro, à parité fixe, ne se saisit pas.
+// @route   POST /api/v1/comptabilite/devises/:code/cours
+// @access  Private (Admin, Comptable)
+exports.enregistrerCoursDevise = asyncHandler(async (req, res, next) => {
+  const cours = await deviseService.enregistrerCours(req.params.code, req.body, req.user.id);
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(cours),
+    message: `Cours ${cours.code} du ${cours.dateCours.toISOString().slice(0, 10)} enregistré.`,
+  });
+});
+
+// @desc    Convertir au cours de clôture les créances et dettes en devises restant dues à la fin
+//          de l'exercice : écarts de conversion en 478/479, contre-passés à l'ouverture suivante
+// @route   POST /api/v1/comptabilite/exercices/:exerciceId/ecarts-conversion
+// @access  Private (Admin, Comptable)
+exports.comptabiliserEcartsConversion = asyncHandler(async (req, res, next) => {
+  const resultat = await deviseService.convertirCreancesEtDettes(req.params.exerciceId, req.user.id);
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: resultat.ecarts.length,
+    data: resultat,
+    message: resultat.ecriture
+      ? `${resultat.ecarts.length} créance(s) ou dette(s) en devises converties (pièce n°${resultat.ecriture.numeroPiece}).`
+      : 'Aucun écart de conversion à comptabiliser.',
+  });
+});
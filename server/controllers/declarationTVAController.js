@@ -0,0 +1,118 @@
+const DeclarationTVA = require('../models/DeclarationTVA');
+const Parametres = require('../models/Parametres');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { asyncHandler, sendFileAttachment } = require('../utils/helpers');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+const { getPagination, calculateTotalPages } = require('../utils/helpers');
+const { formatApiResponse, formatApiCollection } = require('../utils/formatters');
+const declarationTVAService = require('../services/declarationTVAService');
+const excelService = require('../services/excelService');
+const pdfService = require('../services/pdfService');
+
+
+// @desc    Récupérer les déclarations de TVA (sans le détail justificatif)
+// @route   GET /api/v1/declarations-tva
+// @access  Private (Admin, Comptable)
+exports.getDeclarationsTVA = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  let query = {};
+  if (req.query.annee) query.periode = new RegExp(`^${Number(req.query.annee)}-`);
+  if (req.query.statut) query.statut = req.query.statut;
+
+  const total = await DeclarationTVA.countDocuments(query);
+  const declarations = await DeclarationTVA.find(query)
+    .select('-detail')
+    .sort({ periode: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: declarations.length,
+    pagination: {
+      total,
+      page,
+      totalPages: calculateTotalPages(total, limit)
+    },
+    data: formatApiCollection(declarations),
+  });
+});
+
+
+// @desc    Récupérer une déclaration de TVA avec son détail
+//          `?format=pdf` pour la déclaration imprimable, `?format=xlsx` pour la feuille de travail.
+// @route   GET /api/v1/declarations-tva/:id
+// @access  Private (Admin, Comptable)
+exports.getDeclarationTVAById = asyncHandler(async (req, res, next) => {
+  const declaration = await DeclarationTVA.findById(req.params.id);
+
+  if (!declaration) {
+    return next(new ErrorResponse(`Déclaration de TVA non trouvée avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  if (req.query.format === 'xlsx') {
+    return sendFileAttachment(res, await excelService.exporterDeclarationTVA(declaration), `tva-${declaration.periode}.xlsx`);
+  }
+  if (req.query.format === 'pdf') {
+    const entreprise = await Parametres.get();
+    return sendFileAttachment(res, await pdfService.creerPdfDeclarationTVA(declaration, entreprise), `tva-${declaration.periode}.pdf`);
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(declaration),
+  });
+});
+
+
+// @desc    Établir ou recalculer la déclaration de TVA d'un mois (brouillon)
+//          `creditAnterieur` n'est repris que pour la première déclaration.
+// @route   POST /api/v1/declarations-tva
+// @access  Private (Admin, Comptable)
+exports.preparerDeclarationTVA = asyncHandler(async (req, res, next) => {
+  const annee = Number(req.body.annee);
+  const mois = Number(req.body.mois);
+  if (!Number.isInteger(annee) || !Number.isInteger(mois) || mois < 1 || mois > 12) {
+    return next(new ErrorResponse(`Indiquez l'année et le mois (1 à 12) de la déclaration.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const declaration = await declarationTVAService.preparerDeclaration(annee, mois, req.user.id, req.body.creditAnterieur);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(declaration),
+  });
+});
+
+
+// @desc    Valider une déclaration de TVA et passer l'écriture de liquidation
+// @route   PATCH /api/v1/declarations-tva/:id/valider
+// @access  Private (Admin, Comptable)
+exports.validerDeclarationTVA = asyncHandler(async (req, res, next) => {
+  const declaration = await declarationTVAService.validerDeclaration(req.params.id, req.user.id);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(declaration),
+  });
+});
+
+
+// @desc    Supprimer une déclaration de TVA (brouillon uniquement)
+// @route   DELETE /api/v1/declarations-tva/:id
+// @access  Private (Admin, Comptable)
+exports.deleteDeclarationTVA = asyncHandler(async (req, res, next) => {
+  const declaration = await DeclarationTVA.findById(req.params.id);
+
+  if (!declaration) {
+    return next(new ErrorResponse(`Déclaration de TVA non trouvée avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+  if (declaration.statut !== 'Brouillon') {
+    return next(new ErrorResponse(`Une déclaration validée ne peut pas être supprimée.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  await declaration.deleteOne();
+
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, data: {}, message: "Déclaration de TVA supprimée." });
+});
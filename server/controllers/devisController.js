@@ -0,0 +1,78 @@
+const Devis = require('../models/Devis');
+const Vente = require('../models/Vente');
+const Parametres = require('../models/Parametres');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { asyncHandler, generateDocumentNumber } = require('../utils/helpers');
+const { HTTP_STATUS_CODES, DOCUMENT_STATUS } = require('../utils/constants');
+const { formatApiResponse } = require('../utils/formatters');
+const deviseService = require('../services/deviseService');
+
+
+// @desc    Convertir un devis en vente (commande client confirmée)
+// @route   POST /api/v1/devis/:id/convertir-vente
+// @access  Private (Admin, Commercial)
+exports.convertirDevisEnVente = asyncHandler(async (req, res, next) => {
+  const devis = await Devis.findById(req.params.id);
+
+  if (!devis) {
+    return next(new ErrorResponse(`Devis non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  if (devis.venteLiee) {
+    return next(new ErrorResponse(`Le devis n°${devis.numero} a déjà été converti en vente.`, HTTP_STATUS_CODES.CONFLICT));
+  }
+
+  if (![DOCUMENT_STATUS.DRAFT, DOCUMENT_STATUS.SENT, DOCUMENT_STATUS.ACCEPTED].includes(devis.statut)) {
+    return next(new ErrorResponse(`Impossible de convertir un devis au statut '${devis.statut}'.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  // Une vente ne porte que des articles du catalogue
+  const ligneLibre = devis.lignes.find(ligne => !ligne.produit);
+  if (ligneLibre) {
+    return next(new ErrorResponse(`La ligne "${ligneLibre.description}" n'est liée à aucun produit et ne peut pas être reprise dans une vente.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  // La vente reprend la devise du devis, au cours du jour de sa création
+  let cours;
+  try {
+    cours = await deviseService.figerCours({ devise: devis.devise, tauxDeChange: req.body.tauxDeChange });
+  } catch (error) {
+    return next(new ErrorResponse(error.message, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  // --- Génération du numéro de vente ---
+  const params = await Parametres.findOneAndUpdate(
+      {},
+      { $inc: { sequenceVente: 1 } },
+      { new: true }
+  );
+
+  // Les lignes et les prix du devis sont repris à l'identique, dans la même devise
+  const vente = await Vente.create({
+    numeroVente: generateDocumentNumber(params.prefixeVente, params.sequenceVente),
+    client: devis.client,
+    vendeur: req.user.id,
+    lignes: devis.lignes.map(ligne => ({
+      produit: ligne.produit,
+      description: ligne.description,
+      quantite: ligne.quantite,
+      prixUnitaireHT: ligne.prixUnitaireHT,
+      tauxTVA: ligne.tauxTVA,
+      remise: { type: ligne.remise.type, valeur: ligne.remise.valeur },
+    })),
+    ...cours,
+    statut: DOCUMENT_STATUS.CONFIRMED,
+    devisLie: devis._id,
+    notes: devis.notes,
+    creePar: req.user.id,
+  });
+
+  devis.statut = DOCUMENT_STATUS.ACCEPTED;
+  devis.venteLiee = vente._id;
+  await devis.save();
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(vente),
+  });
+});
@@ -0,0 +1,173 @@
+const Facture = require('../models/Facture');
+const Vente = require('../models/Vente');
+const Devis = require('../models/Devis');
+const BonLivraison = require('../models/BonLivraison');
+const Parametres = require('../models/Parametres');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { asyncHandler, generateDocumentNumber } = require('../utils/helpers');
+const { HTTP_STATUS_CODES, DOCUMENT_STATUS } = require('../utils/constants');
+const { formatApiResponse } = require('../utils/formatters');
+const calculService = require('../services/calculService');
+const deviseService = require('../services/deviseService');
+const dateUtils = require('../utils/dateUtils');
+
+
+/**
+ * Crée une facture à partir de quantités prises sur les lignes d'une vente,
+ * puis met à jour le suivi de facturation de la vente (et du devis d'origine).
+ * @param {object} vente - Le document Mongoose de la vente.
+ * @param {Array<{indexLigneVente: number, quantite: number}>} quantites - Les quantités à facturer par ligne.
+ * @param {object} options - { userId, dateEmission, delaiPaiement, notes, tauxDeChange }.
+ * @returns {Promise<object>} La facture créée.
+ * @throws {ErrorResponse} Si une quantité dépasse le reste à facturer de sa ligne.
+ */
+const creerFactureDepuisVente = async (vente, quantites, { userId, dateEmission, delaiPaiement, notes, tauxDeChange }) => {
+  // Quantités demandées cumulées par ligne de vente : une même ligne peut figurer plusieurs fois
+  const demandeParLigne = new Map();
+  const lignes = quantites.map((demande) => {
+    const indexLigneVente = Number(demande.indexLigneVente);
+    const quantite = Number(demande.quantite);
+    const ligneVente = vente.lignes[indexLigneVente];
+    if (!ligneVente) {
+      throw new ErrorResponse(`La ligne n°${indexLigneVente} n'existe pas sur la vente n°${vente.numeroVente}.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    const resteAFacturer = ligneVente.quantite - ligneVente.quantiteFacturee;
+    const quantiteCumulee = (demandeParLigne.get(indexLigneVente) || 0) + quantite;
+    demandeParLigne.set(indexLigneVente, quantiteCumulee);
+    if (!Number.isFinite(quantite) || !(quantite > 0) || quantiteCumulee > resteAFacturer) {
+      throw new ErrorResponse(`Quantité invalide pour "${ligneVente.description}" : il reste ${resteAFacturer} à facturer.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    return {
+      produit: ligneVente.produit,
+      indexLigneVente,
+      description: ligneVente.description,
+      quantite,
+      prixUnitaireHT: ligneVente.prixUnitaireHT,
+      tauxTVA: ligneVente.tauxTVA,
+      remise: calculService.proraterRemise(ligneVente.remise, quantite, ligneVente.quantite),
+    };
+  });
+
+  // La facture est établie dans la devise de la vente, au cours du jour de son émission
+  let cours;
+  try {
+    cours = await deviseService.figerCours({ devise: vente.devise, tauxDeChange, date: dateEmission });
+  } catch (error) {
+    throw new ErrorResponse(error.message, HTTP_STATUS_CODES.BAD_REQUEST);
+  }
+
+  // --- Génération du numéro de facture ---
+  const params = await Parametres.findOneAndUpdate(
+      {},
+      { $inc: { sequenceFacture: 1 } },
+      { new: true }
+  );
+
+  const dateFacture = dateEmission ? new Date(dateEmission) : new Date();
+  const facture = await Facture.create({
+    numero: generateDocumentNumber(params.prefixeFacture, params.sequenceFacture),
+    client: vente.client,
+    dateEmission: dateFacture,
+    dateEcheance: dateUtils.calculateDueDate(dateFacture, delaiPaiement ?? 30),
+    lignes,
+    ...cours,
+    mentionsLegales: params.mentionsLegalesFacture,
+    notes,
+    venteLiee: vente._id,
+    devisLie: vente.devisLie,
+    creePar: userId,
+  });
+
+  // Suivi par ligne des quantités facturées
+  lignes.forEach(ligne => {
+    vente.lignes[ligne.indexLigneVente].quantiteFacturee += ligne.quantite;
+  });
+  vente.facturesLiees.push(facture._id);
+  if (vente.lignes.every(ligne => ligne.quantiteFacturee >= ligne.quantite)) {
+    vente.statut = DOCUMENT_STATUS.INVOICED;
+  }
+  await vente.save();
+
+  if (vente.devisLie) {
+    await Devis.updateOne({ _id: vente.devisLie, factureLiee: { $exists: false } }, { factureLiee: facture._id });
+  }
+
+  return facture;
+};
+
+
+// @desc    Facturer un bon de livraison (quantités livrées sur ce BL)
+// @route   POST /api/v1/bons-livraison/:id/facturer
+// @access  Private (Admin, Comptable, Commercial)
+exports.facturerBonLivraison = asyncHandler(async (req, res, next) => {
+  const bonLivraison = await BonLivraison.findById(req.params.id);
+  if (!bonLivraison) {
+    return next(new ErrorResponse(`Bon de livraison non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  if (bonLivraison.factureLiee) {
+    return next(new ErrorResponse(`Le bon de livraison n°${bonLivraison.numero} a déjà été facturé.`, HTTP_STATUS_CODES.CONFLICT));
+  }
+
+  const vente = await Vente.findById(bonLivraison.venteLiee);
+  if (!vente) {
+    return next(new ErrorResponse(`La vente liée au bon de livraison n°${bonLivraison.numero} est introuvable.`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  if (bonLivraison.lignes.some(ligne => ligne.indexLigneVente == null)) {
+    return next(new ErrorResponse(`Le bon de livraison n°${bonLivraison.numero} n'est pas rattaché ligne à ligne à sa vente.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const facture = await creerFactureDepuisVente(
+    vente,
+    bonLivraison.lignes.map(ligne => ({ indexLigneVente: ligne.indexLigneVente, quantite: ligne.quantiteLivree })),
+    { userId: req.user.id, dateEmission: req.body.dateEmission, delaiPaiement: req.body.delaiPaiement, notes: req.body.notes, tauxDeChange: req.body.tauxDeChange }
+  );
+
+  bonLivraison.factureLiee = facture._id;
+  await bonLivraison.save();
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(facture),
+  });
+});
+
+
+// @desc    Facturer une vente directement (reste à facturer, ou `lignes` = [{ indexLigneVente, quantite }])
+// @route   POST /api/v1/ventes/:id/facturer
+// @access  Private (Admin, Comptable, Commercial)
+exports.facturerVente = asyncHandler(async (req, res, next) => {
+  const vente = await Vente.findById(req.params.id);
+  if (!vente) {
+    return next(new ErrorResponse(`Vente non trouvée avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  if ([DOCUMENT_STATUS.DRAFT, DOCUMENT_STATUS.CANCELLED].includes(vente.statut)) {
+    return next(new ErrorResponse(`Impossible de facturer une vente au statut '${vente.statut}'.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const quantites = Array.isArray(req.body.lignes) && req.body.lignes.length > 0
+    ? req.body.lignes.map(l => ({ indexLigneVente: Number(l.indexLigneVente), quantite: l.quantite }))
+    : vente.lignes.map((ligne, index) => ({
+        indexLigneVente: index,
+        quantite: ligne.quantite - ligne.quantiteFacturee,
+      })).filter(l => l.quantite > 0);
+
+  if (quantites.length === 0) {
+    return next(new ErrorResponse(`La vente n°${vente.numeroVente} a déjà été entièrement facturée.`, HTTP_STATUS_CODES.CONFLICT));
+  }
+
+  const facture = await creerFactureDepuisVente(vente, quantites, {
+    userId: req.user.id,
+    dateEmission: req.body.dateEmission,
+    delaiPaiement: req.body.delaiPaiement,
+    notes: req.body.notes,
+    tauxDeChange: req.body.tauxDeChange,
+  });
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(facture),
+  });
+});
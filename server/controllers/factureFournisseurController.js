@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const FactureFournisseur = require('../models/FactureFournisseur');
+const Achat = require('../models/Achat');
+const Fournisseur = require('../models/Fournisseur');
+const Parametres = require('../models/Parametres');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { asyncHandler, generateDocumentNumber } = require('../utils/helpers');
+const { HTTP_STATUS_CODES, DOCUMENT_STATUS } = require('../utils/constants');
+const { getPagination, calculateTotalPages } = require('../utils/helpers');
+const { formatApiResponse, formatApiCollection } = require('../utils/formatters');
+const comptabiliteService = require('../services/comptabiliteService');
+const deviseService = require('../services/deviseService');
+const dateUtils = require('../utils/dateUtils');
+
+
+// @desc    Récupérer toutes les factures fournisseurs
+// @route   GET /api/v1/factures-fournisseurs
+// @access  Private (Admin, Comptable)
+exports.getFacturesFournisseur = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  let query = {};
+  if (req.query.search) {
+    query.$or = [
+      { numero: { $regex: req.query.search, $options: 'i' } },
+      { numeroFactureFournisseur: { $regex: req.query.search, $options: 'i' } }
+    ];
+  }
+  if (req.query.fournisseur) {
+    query.fournisseur = req.query.fournisseur;
+  }
+  if (req.query.statut) {
+    query.statut = req.query.statut;
+  }
+
+  const total = await FactureFournisseur.countDocuments(query);
+  const factures = await FactureFournisseur.find(query)
+    .populate('fournisseur', 'nom codeFournisseur')
+    .sort({ dateFacture: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: factures.length,
+    pagination: {
+      total,
+      page,
+      totalPages: calculateTotalPages(total, limit)
+    },
+    data: formatApiCollection(factures),
+  });
+});
+
+
+// @desc    Récupérer une facture fournisseur par son ID
+// @route   GET /api/v1/factures-fournisseurs/:id
+// @access  Private (Admin, Comptable)
+exports.getFactureFournisseurById = asyncHandler(async (req, res, next) => {
+  const facture = await FactureFournisseur.findById(req.params.id)
+    .populate('fournisseur')
+    .populate('achatsLies', 'numeroAchat dateAchat totalTTC statut')
+    .populate('lignes.produit', 'reference designation');
+
+  if (!facture) {
+    return next(new ErrorResponse(`Facture fournisseur non trouvée avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(facture),
+  });
+});
+
+
+// @desc    Enregistrer une facture fournisseur (brouillon)
+//          Si `achats` est fourni sans `lignes`, les lignes des achats sont reprises.
+// @route   POST /api/v1/factures-fournisseurs
+// @access  Private (Admin, Comptable)
+exports.createFactureFournisseur = asyncHandler(async (req, res, next) => {
+  const achatIds = Array.isArray(req.body.achats) ? req.body.achats : [];
+  const achats = achatIds.length > 0 ? await Achat.find({ _id: { $in: achatIds } }) : [];
+
+  if (achats.length !== achatIds.length) {
+    return next(new ErrorResponse(`Une ou plusieurs commandes d'achat sont introuvables.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const fournisseurId = req.body.fournisseur || achats[0]?.fournisseur;
+  const fournisseur = fournisseurId ? await Fournisseur.findById(fournisseurId) : null;
+  if (!fournisseur) {
+    return next(new ErrorResponse(`Fournisseur non trouvé.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const achatEtranger = achats.find(achat => achat.fournisseur.toString() !== fournisseur._id.toString());
+  if (achatEtranger) {
+    return next(new ErrorResponse(`La commande n°${achatEtranger.numeroAchat} n'appartient pas au fournisseur ${fournisseur.nom}.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  // Devise de la facture : celle saisie, à défaut celle des commandes, puis celle du fournisseur
+  const devise = req.body.devise || achats[0]?.devise || fournisseur.deviseParDefaut;
+  const achatAutreDevise = achats.find(achat => (achat.devise || 'XOF') !== devise.toUpperCase());
+  if (achatAutreDevise) {
+    return next(new ErrorResponse(`La commande n°${achatAutreDevise.numeroAchat} est en ${achatAutreDevise.devise || 'XOF'} : une facture ne porte que sur des commandes de sa devise.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+  let cours;
+  try {
+    cours = await deviseService.figerCours({ devise, tauxDeChange: req.body.tauxDeChange, date: req.body.dateFacture });
+  } catch (error) {
+    return next(new ErrorResponse(error.message, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const lignes = Array.isArray(req.body.lignes) && req.body.lignes.length > 0
+    ? req.body.lignes
+    : achats.flatMap(achat => achat.lignes.map(ligne => ({
+        produit: ligne.produit,
+        description: ligne.description,
+        quantite: ligne.quantite,
+        prixUnitaireHT: ligne.prixUnitaireHT,
+        tauxTVA: ligne.tauxTVA,
+      })));
+
+  const dateFacture = req.body.dateFacture ? new Date(req.body.dateFacture) : new Date();
+
+  // --- Génération du numéro interne ---
+  const params = await Parametres.findOneAndUpdate(
+      {},
+      { $inc: { sequenceFactureFournisseur: 1 } },
+      { new: true }
+  );
+
+  const facture = await FactureFournisseur.create({
+    numero: generateDocumentNumber(params.prefixeFactureFournisseur, params.sequenceFactureFournisseur),
+    numeroFactureFournisseur: req.body.numeroFactureFournisseur,
+    fournisseur: fournisseur._id,
+    dateFacture,
+    dateReception: req.body.dateReception,
+    dateEcheance: req.body.dateEcheance || dateUtils.calculateDueDate(dateFacture, 30),
+    lignes,
+    ...cours,
+    achatsLies: achats.map(achat => achat._id),
+    notes: req.body.notes,
+    creePar: req.user.id,
+  });
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(facture),
+  });
+});
+
+
+// @desc    Valider une facture fournisseur : écriture au journal des achats et rattachement aux achats,
+//          dans une seule transaction
+// @route   PATCH /api/v1/factures-fournisseurs/:id/valider
+// @access  Private (Admin, Comptable)
+exports.validerFactureFournisseur = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const facture = await FactureFournisseur.findById(req.params.id).populate('fournisseur').session(session);
+
+    if (!facture) {
+      throw new ErrorResponse(`Facture fournisseur non trouvée`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (facture.statut !== DOCUMENT_STATUS.DRAFT) {
+      throw new ErrorResponse(`La facture fournisseur n°${facture.numero} a déjà été validée.`, HTTP_STATUS_CODES.CONFLICT);
+    }
+
+    facture.statut = 'Validée';
+    facture.validePar = req.user.id;
+    await comptabiliteService.comptabiliserFactureAchat(facture, req.user.id, session);
+
+    if (facture.achatsLies.length > 0) {
+      await Achat.updateMany(
+        { _id: { $in: facture.achatsLies } },
+        { $addToSet: { facturesFournisseurLiees: facture._id } },
+        { session }
+      );
+      await Achat.updateMany(
+        { _id: { $in: facture.achatsLies }, statut: DOCUMENT_STATUS.RECEIVED },
+        { statut: 'Facturé' },
+        { session }
+      );
+    }
+
+    await session.commitTransaction();
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      data: formatApiResponse(facture),
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+});
@@ -1,4 +1,6 @@
+const mongoose = require('mongoose');
 const Fournisseur = require('../models/Fournisseur');
+const compteTiersService = require('../services/compteTiersService');
 const { ErrorResponse } = require('../middleware/errorHandler');
 const { asyncHandler } = require('../utils/helpers');
 const { HTTP_STATUS_CODES } = require('../utils/constants');
@@ -65,7 +67,23 @@ exports.getFournisseurById = asyncHandler(async (req, res, next) => {
 exports.createFournisseur = asyncHandler(async (req, res, next) => {
   req.body.creePar = req.user.id;
 
-  const fournisseur = await Fournisseur.create(req.body);
+  // Le compte comptable est attribué selon les paramètres (compte auxiliaire ou collectif)
+  delete req.body.compteComptableAssocie;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let fournisseur;
+  try {
+    [fournisseur] = await Fournisseur.create([req.body], { session });
+    await compteTiersService.attribuerCompte('Fournisseur', fournisseur._id, session);
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+  fournisseur = await Fournisseur.findById(fournisseur._id).populate('compteComptableAssocie', 'numero libelle');
 
   res.status(HTTP_STATUS_CODES.CREATED).json({
     success: true,
@@ -86,6 +104,9 @@ exports.updateFournisseur = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Le compte comptable se change par PUT /api/v1/fournisseurs/:id/compte-comptable
+  delete req.body.compteComptableAssocie;
+
   fournisseur = await Fournisseur.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true,
@@ -121,4 +142,19 @@ exports.deleteFournisseur = asyncHandler(async (req, res, next) => {
     data: {},
     message: "Fournisseur supprimé avec succès."
   });
+});
+
+
+// @desc    Changer le compte comptable d'un fournisseur : `mode` 'Auxiliaire' (compte propre, créé au
+//          besoin) ou 'Collectif' (compte collectif par défaut), ou `compte` (ID d'un compte de tiers)
+// @route   PUT /api/v1/fournisseurs/:id/compte-comptable
+// @access  Private (Admin, Comptable)
+exports.rattacherCompteComptable = asyncHandler(async (req, res, next) => {
+  const compte = await compteTiersService.rattacherCompte('Fournisseur', req.params.id, { mode: req.body.mode, compteId: req.body.compte });
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(compte),
+    message: `Fournisseur rattaché au compte ${compte.numero}.`,
+  });
 });
\ No newline at end of file
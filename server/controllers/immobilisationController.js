@@ -0,0 +1,154 @@
+const Immobilisation = require('../models/Immobilisation');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { asyncHandler } = require('../utils/helpers');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+const { getPagination, calculateTotalPages } = require('../utils/helpers');
+const { formatApiResponse, formatApiCollection } = require('../utils/formatters');
+const immobilisationService = require('../services/immobilisationService');
+
+
+// @desc    Récupérer le registre des immobilisations (filtres : statut, categorie)
+// @route   GET /api/v1/immobilisations
+// @access  Private (Admin, Comptable)
+exports.getImmobilisations = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  let query = {};
+  if (req.query.statut) query.statut = req.query.statut;
+  if (req.query.categorie) query.categorie = req.query.categorie;
+
+  const total = await Immobilisation.countDocuments(query);
+  const immobilisations = await Immobilisation.find(query)
+    .select('-dotations')
+    .populate('compteImmobilisation', 'numero libelle')
+    .populate('fournisseur', 'nom')
+    .sort({ dateAcquisition: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: immobilisations.length,
+    pagination: {
+      total,
+      page,
+      totalPages: calculateTotalPages(total, limit)
+    },
+    data: formatApiCollection(immobilisations),
+  });
+});
+
+
+// @desc    Récupérer une immobilisation avec son plan d'amortissement et ses dotations
+// @route   GET /api/v1/immobilisations/:id
+// @access  Private (Admin, Comptable)
+exports.getImmobilisationById = asyncHandler(async (req, res, next) => {
+  const immobilisation = await Immobilisation.findById(req.params.id)
+    .populate('compteImmobilisation compteAmortissement compteDotation', 'numero libelle')
+    .populate('fournisseur', 'nom')
+    .populate('factureFournisseur', 'numero numeroFactureFournisseur')
+    .populate('dotations.ecriture sortie.ecriture', 'numeroPiece dateEcriture');
+
+  if (!immobilisation) {
+    return next(new ErrorResponse(`Immobilisation non trouvée avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: {
+      immobilisation: formatApiResponse(immobilisation),
+      planAmortissement: immobilisationService.calculerPlan(immobilisation),
+    },
+  });
+});
+
+
+// @desc    Inscrire une immobilisation au registre
+// @route   POST /api/v1/immobilisations
+// @access  Private (Admin, Comptable)
+exports.createImmobilisation = asyncHandler(async (req, res, next) => {
+  const immobilisation = await immobilisationService.creerImmobilisation(req.body, req.user.id);
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({ success: true, data: formatApiResponse(immobilisation) });
+});
+
+
+// @desc    Immobiliser une ligne de facture fournisseur
+//          Corps : { factureFournisseur, indexLigne, categorie, methode, dureeAnnees, compteImmobilisation... }.
+// @route   POST /api/v1/immobilisations/depuis-facture
+// @access  Private (Admin, Comptable)
+exports.createImmobilisationDepuisFacture = asyncHandler(async (req, res, next) => {
+  const { factureFournisseur, indexLigne, ...donnees } = req.body;
+  if (!factureFournisseur || !Number.isInteger(Number(indexLigne)) || Number(indexLigne) < 0) {
+    return next(new ErrorResponse(`Indiquez la facture fournisseur et la ligne à immobiliser.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const immobilisation = await immobilisationService.creerDepuisFactureFournisseur(factureFournisseur, indexLigne, donnees, req.user.id);
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({ success: true, data: formatApiResponse(immobilisation) });
+});
+
+
+// @desc    Modifier une immobilisation (plan d'amortissement figé après la première dotation)
+// @route   PUT /api/v1/immobilisations/:id
+// @access  Private (Admin, Comptable)
+exports.updateImmobilisation = asyncHandler(async (req, res, next) => {
+  const immobilisation = await immobilisationService.modifierImmobilisation(req.params.id, req.body);
+
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, data: formatApiResponse(immobilisation) });
+});
+
+
+// @desc    Supprimer une immobilisation saisie par erreur (ni amortie, ni sortie)
+// @route   DELETE /api/v1/immobilisations/:id
+// @access  Private (Admin)
+exports.deleteImmobilisation = asyncHandler(async (req, res, next) => {
+  await immobilisationService.supprimerImmobilisation(req.params.id);
+
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, data: {} });
+});
+
+
+// @desc    Comptabiliser les dotations aux amortissements d'une période
+//          Corps : { periode } au format 'AAAA-MM' (dotation mensuelle) ou 'AAAA' (dotation annuelle).
+// @route   POST /api/v1/immobilisations/dotations
+// @access  Private (Admin, Comptable)
+exports.comptabiliserDotations = asyncHandler(async (req, res, next) => {
+  const correspondance = /^(\d{4})(?:-(\d{2}))?$/.exec(req.body.periode || '');
+  if (!correspondance || (correspondance[2] && (correspondance[2] < '01' || correspondance[2] > '12'))) {
+    return next(new ErrorResponse(`La période doit être au format AAAA-MM ou AAAA.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+  const annee = Number(correspondance[1]);
+  // Dernier jour du mois, ou de l'année
+  const dateArrete = correspondance[2] ? new Date(Date.UTC(annee, Number(correspondance[2]), 0)) : new Date(Date.UTC(annee, 11, 31));
+
+  const resultat = await immobilisationService.comptabiliserDotations(dateArrete, req.user.id);
+
+  res.status(resultat.ecriture ? HTTP_STATUS_CODES.CREATED : HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: resultat.ecriture ? formatApiResponse(resultat.ecriture) : null,
+    message: resultat.ecriture
+      ? `Dotations comptabilisées pour ${resultat.immobilisations} immobilisation(s).`
+      : `Aucune dotation à comptabiliser au ${dateArrete.toISOString().slice(0, 10)}.`
+  });
+});
+
+
+// @desc    Sortir une immobilisation du registre (cession ou mise au rebut)
+//          Corps : { type: 'Cession'|'Mise au rebut', dateSortie, prixCession, compteContrepartie }.
+// @route   POST /api/v1/immobilisations/:id/sortie
+// @access  Private (Admin, Comptable)
+exports.sortirImmobilisation = asyncHandler(async (req, res, next) => {
+  const immobilisation = await immobilisationService.sortirImmobilisation(req.params.id, {
+    type: req.body.type,
+    dateSortie: req.body.dateSortie,
+    prixCession: req.body.prixCession,
+    compteContrepartie: req.body.compteContrepartie,
+  }, req.user.id);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(immobilisation),
+    message: `Plus ou moins-value de sortie : ${immobilisation.sortie.plusOuMoinsValue}.`
+  });
+});
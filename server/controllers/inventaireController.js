@@ -0,0 +1,261 @@
+const mongoose = require('mongoose');
+const Inventaire = require('../models/Inventaire');
+const Depot = require('../models/Depot');
+const Produit = require('../models/Produit');
+const Parametres = require('../models/Parametres');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { asyncHandler, generateDocumentNumber } = require('../utils/helpers');
+const { HTTP_STATUS_CODES, DOCUMENT_STATUS } = require('../utils/constants');
+const { getPagination, calculateTotalPages } = require('../utils/helpers');
+const { formatApiResponse, formatApiCollection } = require('../utils/formatters');
+const stockService = require('../services/stockService');
+const comptabiliteService = require('../services/comptabiliteService');
+
+
+// @desc    Récupérer les inventaires
+// @route   GET /api/v1/inventaires
+// @access  Private
+exports.getInventaires = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  let query = {};
+  if (req.query.depot) query.depot = req.query.depot;
+  if (req.query.statut) query.statut = req.query.statut;
+
+  const total = await Inventaire.countDocuments(query);
+  const inventaires = await Inventaire.find(query)
+    .select('-lignes')
+    .populate('depot', 'nom')
+    .sort({ dateOuverture: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: inventaires.length,
+    pagination: {
+      total,
+      page,
+      totalPages: calculateTotalPages(total, limit)
+    },
+    data: formatApiCollection(inventaires),
+  });
+});
+
+
+// @desc    Récupérer un inventaire avec ses écarts valorisés (revue avant validation)
+// @route   GET /api/v1/inventaires/:id
+// @access  Private (Admin, Comptable)
+exports.getInventaireById = asyncHandler(async (req, res, next) => {
+  const inventaire = await Inventaire.findById(req.params.id)
+    .populate('depot', 'nom')
+    .populate('categories', 'nom')
+    .populate('lignes.produit', 'reference designation uniteMesure')
+    .populate('lignes.comptePar', 'nomComplet');
+
+  if (!inventaire) {
+    return next(new ErrorResponse(`Inventaire non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(inventaire),
+  });
+});
+
+
+// @desc    Récupérer la feuille de comptage d'un inventaire, éventuellement pour une seule catégorie.
+//          En comptage aveugle, les quantités théoriques ne sont pas communiquées.
+// @route   GET /api/v1/inventaires/:id/feuille-comptage
+// @access  Private
+exports.getFeuilleComptage = asyncHandler(async (req, res, next) => {
+  const inventaire = await Inventaire.findById(req.params.id)
+    .populate('depot', 'nom')
+    .populate('lignes.produit', 'reference designation uniteMesure codeBarres');
+
+  if (!inventaire) {
+    return next(new ErrorResponse(`Inventaire non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  const lignes = inventaire.lignes
+    .filter(ligne => !req.query.categorie || String(ligne.categorie) === req.query.categorie)
+    .map(ligne => ({
+      produit: ligne.produit,
+      description: ligne.description,
+      categorie: ligne.categorie,
+      quantiteTheorique: inventaire.comptageAveugle ? undefined : ligne.quantiteTheorique,
+      quantiteComptee: ligne.quantiteComptee,
+    }));
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: {
+      numero: inventaire.numero,
+      depot: inventaire.depot,
+      statut: inventaire.statut,
+      comptageAveugle: inventaire.comptageAveugle,
+      lignes,
+    },
+  });
+});
+
+
+// @desc    Ouvrir un inventaire sur un dépôt (tout le dépôt ou certaines catégories).
+//          Les quantités et coûts théoriques sont figés à cet instant.
+// @route   POST /api/v1/inventaires
+// @access  Private (Admin, Commercial)
+exports.ouvrirInventaire = asyncHandler(async (req, res, next) => {
+  const depot = await Depot.findById(req.body.depot);
+  if (!depot || !depot.actif) {
+    return next(new ErrorResponse(`Dépôt non trouvé ou inactif.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const dejaOuvert = await Inventaire.findOne({ depot: depot._id, statut: 'En cours' });
+  if (dejaOuvert) {
+    return next(new ErrorResponse(`L'inventaire n°${dejaOuvert.numero} est déjà en cours sur le dépôt ${depot.nom}.`, HTTP_STATUS_CODES.CONFLICT));
+  }
+
+  const categories = Array.isArray(req.body.categories) ? req.body.categories : [];
+  const filtreProduits = { actif: true, gestionStock: true };
+  if (categories.length > 0) filtreProduits.categorie = { $in: categories };
+
+  const produits = await Produit.find(filtreProduits).sort({ designation: 1 });
+  if (produits.length === 0) {
+    return next(new ErrorResponse(`Aucun produit géré en stock dans le périmètre de l'inventaire.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const lignes = produits.map(produit => {
+    const depotStock = produit.stockParDepot.find(d => d.depot.toString() === depot._id.toString());
+    return {
+      produit: produit._id,
+      description: produit.designation,
+      categorie: produit.categorie,
+      quantiteTheorique: depotStock ? depotStock.quantite : 0,
+      coutUnitaire: stockService.getCumpCourant(produit, depotStock),
+    };
+  });
+
+  // --- Génération du numéro d'inventaire ---
+  const params = await Parametres.findOneAndUpdate(
+      {},
+      { $inc: { sequenceInventaire: 1 } },
+      { new: true }
+  );
+
+  const inventaire = await Inventaire.create({
+    numero: generateDocumentNumber(params.prefixeInventaire, params.sequenceInventaire),
+    depot: depot._id,
+    categories,
+    comptageAveugle: req.body.comptageAveugle,
+    lignes,
+    notes: req.body.notes,
+    creePar: req.user.id,
+  });
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(inventaire),
+  });
+});
+
+
+// @desc    Saisir des quantités comptées ([{ produit, quantiteComptee }]). La saisie peut être
+//          partielle et répétée ; une nouvelle saisie sur un produit remplace la précédente.
+// @route   PATCH /api/v1/inventaires/:id/comptage
+// @access  Private
+exports.saisirComptage = asyncHandler(async (req, res, next) => {
+  const inventaire = await Inventaire.findById(req.params.id);
+
+  if (!inventaire) {
+    return next(new ErrorResponse(`Inventaire non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+  if (inventaire.statut !== 'En cours') {
+    return next(new ErrorResponse(`L'inventaire n°${inventaire.numero} n'est plus ouvert au comptage.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const saisies = Array.isArray(req.body.lignes) ? req.body.lignes : [];
+  for (const saisie of saisies) {
+    const ligne = inventaire.lignes.find(l => l.produit.toString() === String(saisie.produit));
+    if (!ligne) {
+      return next(new ErrorResponse(`Le produit ${saisie.produit} ne fait pas partie de l'inventaire n°${inventaire.numero}.`, HTTP_STATUS_CODES.BAD_REQUEST));
+    }
+    if (!(Number(saisie.quantiteComptee) >= 0)) {
+      return next(new ErrorResponse(`Quantité comptée invalide pour "${ligne.description}".`, HTTP_STATUS_CODES.BAD_REQUEST));
+    }
+    ligne.quantiteComptee = Number(saisie.quantiteComptee);
+    ligne.comptePar = req.user.id;
+    ligne.dateComptage = new Date();
+  }
+
+  await inventaire.save();
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(inventaire),
+  });
+});
+
+
+// @desc    Valider un inventaire : ajustements de stock (AJUSTEMENT_INV) et écriture de
+//          variation des stocks, dans une seule transaction. Les lignes non comptées sont ignorées.
+// @route   PATCH /api/v1/inventaires/:id/valider
+// @access  Private (Admin, Comptable)
+exports.validerInventaire = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const inventaire = await Inventaire.findById(req.params.id).populate('depot', 'nom').session(session);
+    if (!inventaire) {
+      throw new ErrorResponse(`Inventaire non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (inventaire.statut !== 'En cours') {
+      throw new ErrorResponse(`Impossible de valider l'inventaire n°${inventaire.numero} au statut '${inventaire.statut}'.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if (!inventaire.lignes.some(ligne => ligne.estComptee)) {
+      throw new ErrorResponse(`Aucune ligne de l'inventaire n°${inventaire.numero} n'a été comptée.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    inventaire.statut = DOCUMENT_STATUS.VALIDATED;
+    inventaire.dateValidation = new Date();
+    inventaire.validePar = req.user.id;
+
+    const ecarts = await stockService.ajusterStockInventaire(inventaire, req.user.id, session);
+    await comptabiliteService.comptabiliserEcartInventaire(inventaire, ecarts, req.user.id, session);
+    await inventaire.save({ session });
+
+    await session.commitTransaction();
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      data: formatApiResponse(inventaire),
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+});
+
+
+// @desc    Annuler un inventaire en cours (aucun impact sur le stock)
+// @route   PATCH /api/v1/inventaires/:id/annuler
+// @access  Private (Admin)
+exports.annulerInventaire = asyncHandler(async (req, res, next) => {
+  const inventaire = await Inventaire.findById(req.params.id);
+
+  if (!inventaire) {
+    return next(new ErrorResponse(`Inventaire non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+  if (inventaire.statut !== 'En cours') {
+    return next(new ErrorResponse(`Seul un inventaire en cours peut être annulé.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  inventaire.statut = 'Annulé';
+  await inventaire.save();
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(inventaire),
+  });
+});
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const Paiement = require('../models/Paiement');
+const FactureFournisseur = require('../models/FactureFournisseur');
+const Achat = require('../models/Achat');
+const Parametres = require('../models/Parametres');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { asyncHandler, generateDocumentNumber } = require('../utils/helpers');
+const { HTTP_STATUS_CODES, DOCUMENT_STATUS } = require('../utils/constants');
+const { formatApiResponse, formatApiCollection } = require('../utils/formatters');
+const calculService = require('../services/calculService');
+const comptabiliteService = require('../services/comptabiliteService');
+const deviseService = require('../services/deviseService');
+const reglementClientService = require('../services/reglementClientService');
+
+
+// @desc    Enregistrer un paiement à un fournisseur (facture fournisseur ou achat), dans une seule
+//          transaction ; le montant ne peut dépasser le reste dû du document réglé.
+// @route   POST /api/v1/paiements/fournisseurs
+// @access  Private (Admin, Comptable)
+exports.createPaiementFournisseur = asyncHandler(async (req, res, next) => {
+  const { documentId, documentModel = 'FactureFournisseur' } = req.body;
+
+  if (!['FactureFournisseur', 'Achat'].includes(documentModel)) {
+    return next(new ErrorResponse(`Un paiement fournisseur ne peut régler qu'une facture fournisseur ou un achat.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+  const Model = documentModel === 'Achat' ? Achat : FactureFournisseur;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const documentRegle = await Model.findById(documentId).populate('fournisseur').session(session);
+    if (!documentRegle) {
+      throw new ErrorResponse(`Document à régler non trouvé avec l'ID ${documentId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+
+    if ([DOCUMENT_STATUS.DRAFT, 'Annulé', 'Annulée'].includes(documentRegle.statut)) {
+      throw new ErrorResponse(`Impossible de régler un document au statut '${documentRegle.statut}'.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    // Une dette facturée se règle sur la facture fournisseur : l'achat n'en porte plus le solde
+    if (documentModel === 'Achat' && documentRegle.facturesFournisseurLiees?.length > 0) {
+      throw new ErrorResponse(`L'achat n°${documentRegle.numeroAchat} est facturé : enregistrez le paiement sur sa facture fournisseur.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    // Les paiements déjà faits directement sur les achats facturés viennent en déduction de la facture
+    let dejaPayeSurAchats = 0;
+    if (documentModel === 'FactureFournisseur' && documentRegle.achatsLies?.length > 0) {
+      const achats = await Achat.find({ _id: { $in: documentRegle.achatsLies } }).select('montantPaye').session(session);
+      dejaPayeSurAchats = achats.reduce((acc, achat) => acc + (achat.montantPaye || 0), 0);
+    }
+
+    // Reste dû dans la devise du document, net des retours fournisseurs validés sur un achat
+    const resteDu = calculService.calculerSoldeRestant(
+      documentRegle.totalTTC - (documentRegle.montantAvoirsFournisseur || 0) - dejaPayeSurAchats,
+      documentRegle.montantPaye
+    );
+    if (Number(req.body.montant) > resteDu) {
+      throw new ErrorResponse(`Le montant du paiement (${req.body.montant}) dépasse le reste dû sur le document n°${documentRegle.numero || documentRegle.numeroAchat} (${resteDu}).`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    // Le paiement est fait dans la devise du document, au cours du jour (ou celui appliqué par la banque)
+    let cours;
+    try {
+      cours = await deviseService.figerCours({ devise: documentRegle.devise, tauxDeChange: req.body.tauxDeChange, date: req.body.datePaiement }, session);
+    } catch (error) {
+      throw new ErrorResponse(error.message, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    // --- Génération du numéro de paiement ---
+    const params = await Parametres.findOneAndUpdate(
+        {},
+        { $inc: { sequencePaiement: 1 } },
+        { new: true, session }
+    );
+
+    // Le hook post-save du modèle Paiement met à jour le montant payé du document réglé
+    const [paiement] = await Paiement.create([{
+      numeroPaiement: generateDocumentNumber(params.prefixePaiement, params.sequencePaiement),
+      datePaiement: req.body.datePaiement,
+      montant: req.body.montant,
+      ...cours,
+      methodePaiement: req.body.methodePaiement,
+      direction: 'Sortant',
+      documentConcerne: {
+        documentId: documentRegle._id,
+        documentModel,
+        documentNumero: documentRegle.numero || documentRegle.numeroAchat,
+      },
+      referenceExterne: req.body.referenceExterne,
+      notes: req.body.notes,
+      enregistrePar: req.user.id,
+    }], { session });
+
+    await comptabiliteService.comptabiliserPaiementFournisseur(paiement, documentRegle, req.user.id, session);
+
+    // Re-sauvegarder le document réglé pour recalculer son statut de paiement
+    const documentAJour = await Model.findById(documentRegle._id).session(session);
+    await documentAJour.save({ session });
+
+    await session.commitTransaction();
+
+    res.status(HTTP_STATUS_CODES.CREATED).json({
+      success: true,
+      data: formatApiResponse(paiement),
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+});
+
+
+// @desc    Enregistrer un règlement reçu d'un client, réparti sur une ou plusieurs factures :
+//          modeRepartition 'Anteriorite' (factures à régler du client, ou celles de `factures`,
+//          les plus anciennes d'abord) ou 'Manuelle' (`imputations` [{ facture, montant }]).
+//          L'excédent est conservé en avance client (4191). Pour des factures en devise, le
+//          montant est dans leur devise et `tauxDeChange` le cours appliqué (à défaut, celui de
+//          l'historique à la date du paiement) ; la différence avec le cours de chaque facture
+//          est comptabilisée en perte (676) ou gain (776) de change.
+// @route   POST /api/v1/paiements/clients
+// @access  Private (Admin, Comptable)
+exports.createPaiementClient = asyncHandler(async (req, res, next) => {
+  // Compatibilité : règlement d'une seule facture désignée par `documentId`
+  const donnees = { ...req.body };
+  if (donnees.documentId && !donnees.factures && !donnees.imputations) {
+    donnees.factures = [donnees.documentId];
+  }
+
+  // Les erreurs de saisie arrivent en ErrorResponse (400/404) ; les autres, après annulation de
+  // la transaction, en erreur serveur
+  const paiement = await reglementClientService.enregistrerReglement(donnees, req.user.id);
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(paiement),
+    message: paiement.montantAvance > 0
+      ? `Règlement enregistré ; ${paiement.montantAvance} ${paiement.devise} conservé(s) en avance client.`
+      : 'Règlement enregistré.',
+  });
+});
+
+
+// @desc    Avances disponibles d'un client (excédents de règlements non encore imputés)
+// @route   GET /api/v1/paiements/clients/:clientId/avances
+// @access  Private (Admin, Comptable)
+exports.getAvancesClient = asyncHandler(async (req, res, next) => {
+  const avances = await reglementClientService.getAvancesClient(req.params.clientId);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: avances.length,
+    data: formatApiCollection(avances),
+  });
+});
+
+
+// @desc    Imputer l'avance d'un règlement sur une facture du client { facture, montant, dateImputation }
+// @route   POST /api/v1/paiements/:id/imputations
+// @access  Private (Admin, Comptable)
+exports.imputerAvance = asyncHandler(async (req, res, next) => {
+  const paiement = await reglementClientService.imputerAvance(req.params.id, req.body, req.user.id);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(paiement),
+    message: `Avance imputée ; reste disponible : ${paiement.avanceDisponible} ${paiement.devise}.`,
+  });
+});
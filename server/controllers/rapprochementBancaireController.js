@@ -0,0 +1,199 @@
+const fs = require('fs');
+const ReleveBancaire = require('../models/ReleveBancaire');
+const Parametres = require('../models/Parametres');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { asyncHandler, sendFileAttachment } = require('../utils/helpers');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+const { getPagination, calculateTotalPages } = require('../utils/helpers');
+const { formatApiResponse, formatApiCollection } = require('../utils/formatters');
+const rapprochementBancaireService = require('../services/rapprochementBancaireService');
+const excelService = require('../services/excelService');
+const pdfService = require('../services/pdfService');
+
+
+// @desc    Récupérer les relevés bancaires importés (sans leurs opérations)
+// @route   GET /api/v1/releves-bancaires
+// @access  Private (Admin, Comptable)
+exports.getRelevesBancaires = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  let query = {};
+  if (req.query.journal) query.journal = req.query.journal;
+  if (req.query.statut) query.statut = req.query.statut;
+
+  const total = await ReleveBancaire.countDocuments(query);
+  const releves = await ReleveBancaire.find(query)
+    .select('-lignes')
+    .populate('journal', 'code libelle')
+    .populate('compte', 'numero libelle')
+    .sort({ dateFin: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: releves.length,
+    pagination: {
+      total,
+      page,
+      totalPages: calculateTotalPages(total, limit)
+    },
+    data: formatApiCollection(releves),
+  });
+});
+
+
+// @desc    Récupérer un relevé bancaire avec ses opérations et leur rapprochement
+// @route   GET /api/v1/releves-bancaires/:id
+// @access  Private (Admin, Comptable)
+exports.getReleveBancaireById = asyncHandler(async (req, res, next) => {
+  const releve = await ReleveBancaire.findById(req.params.id)
+    .populate('journal', 'code libelle')
+    .populate('compte', 'numero libelle')
+    .populate('lignes.ecriture', 'numeroPiece dateEcriture libelle')
+    .populate('lignes.paiement', 'numeroPaiement referenceExterne');
+
+  if (!releve) {
+    return next(new ErrorResponse(`Relevé bancaire non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(releve),
+  });
+});
+
+
+// @desc    Importer un relevé bancaire (fichier CSV, OFX ou CAMT.053, champ 'releve') et le rapprocher
+//          Corps : journal, et au besoin format, reference, soldeInitial, soldeFinal.
+// @route   POST /api/v1/releves-bancaires
+// @access  Private (Admin, Comptable)
+exports.importerReleveBancaire = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return next(new ErrorResponse(`Veuillez joindre le fichier du relevé.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+  if (!req.body.journal) {
+    return next(new ErrorResponse(`Le journal de banque du relevé est obligatoire.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const resultat = await rapprochementBancaireService.importerReleve({
+    contenu: await fs.promises.readFile(req.file.path, 'utf-8'),
+    journalId: req.body.journal,
+    format: req.body.format,
+    reference: req.body.reference,
+    soldeInitial: req.body.soldeInitial,
+    soldeFinal: req.body.soldeFinal,
+    fichier: req.file.path,
+    nomFichier: req.file.originalname,
+  }, req.user.id);
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(resultat.releve),
+    message: `${resultat.rapprochees} opération(s) sur ${resultat.releve.lignes.length} rapprochée(s) automatiquement.`
+  });
+});
+
+
+// @desc    Relancer le rapprochement automatique d'un relevé (`fenetreJours` : écart de dates toléré)
+// @route   POST /api/v1/releves-bancaires/:id/rapprochement-automatique
+// @access  Private (Admin, Comptable)
+exports.rapprocherAutomatiquement = asyncHandler(async (req, res, next) => {
+  const fenetreJours = req.body.fenetreJours !== undefined ? Number(req.body.fenetreJours) : undefined;
+  if (fenetreJours !== undefined && (!Number.isInteger(fenetreJours) || fenetreJours < 0)) {
+    return next(new ErrorResponse(`La fenêtre de rapprochement doit être un nombre de jours positif.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const resultat = await rapprochementBancaireService.rapprocherAutomatiquement(req.params.id, fenetreJours);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(resultat.releve),
+    message: `${resultat.rapprochees} opération(s) rapprochée(s).`
+  });
+});
+
+
+// @desc    Lister les lignes d'écritures non pointées pouvant correspondre à une opération du relevé
+// @route   GET /api/v1/releves-bancaires/:id/lignes/:index/candidats
+// @access  Private (Admin, Comptable)
+exports.getCandidatsRapprochement = asyncHandler(async (req, res, next) => {
+  const candidats = await rapprochementBancaireService.getCandidats(req.params.id, req.params.index);
+
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, count: candidats.length, data: candidats });
+});
+
+
+// @desc    Rapprocher manuellement une opération du relevé avec une ligne d'écriture
+//          Corps : { ecritureId, indexMouvement }.
+// @route   PATCH /api/v1/releves-bancaires/:id/lignes/:index/rapprocher
+// @access  Private (Admin, Comptable)
+exports.rapprocherLigne = asyncHandler(async (req, res, next) => {
+  const { ecritureId, indexMouvement } = req.body;
+  if (!ecritureId || indexMouvement === undefined) {
+    return next(new ErrorResponse(`Indiquez l'écriture et la ligne à rapprocher.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const releve = await rapprochementBancaireService.rapprocherLigne(req.params.id, req.params.index, { ecritureId, indexMouvement });
+
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, data: formatApiResponse(releve) });
+});
+
+
+// @desc    Annuler le rapprochement d'une opération du relevé
+// @route   PATCH /api/v1/releves-bancaires/:id/lignes/:index/annuler
+// @access  Private (Admin, Comptable)
+exports.annulerRapprochementLigne = asyncHandler(async (req, res, next) => {
+  const releve = await rapprochementBancaireService.annulerRapprochement(req.params.id, req.params.index);
+
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, data: formatApiResponse(releve) });
+});
+
+
+// @desc    Comptabiliser une opération du relevé absente des livres (frais bancaires, agios...)
+//          Corps : { compte, libelle } ; le compte de frais bancaires par défaut (631) s'applique sinon.
+// @route   POST /api/v1/releves-bancaires/:id/lignes/:index/comptabiliser
+// @access  Private (Admin, Comptable)
+exports.comptabiliserLigne = asyncHandler(async (req, res, next) => {
+  const resultat = await rapprochementBancaireService.comptabiliserLigne(req.params.id, req.params.index, {
+    compteId: req.body.compte,
+    libelle: req.body.libelle,
+  }, req.user.id);
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: {
+      releve: formatApiResponse(resultat.releve),
+      ecriture: formatApiResponse(resultat.ecriture),
+    },
+  });
+});
+
+
+// @desc    État de rapprochement bancaire à la date de fin du relevé (`?format=pdf|xlsx` pour l'export)
+// @route   GET /api/v1/releves-bancaires/:id/etat-rapprochement
+// @access  Private (Admin, Comptable)
+exports.getEtatRapprochement = asyncHandler(async (req, res, next) => {
+  const etat = await rapprochementBancaireService.getEtatRapprochement(req.params.id);
+
+  const nomFichier = `rapprochement-${etat.releve.reference}`;
+  if (req.query.format === 'xlsx') {
+    return sendFileAttachment(res, await excelService.exporterEtatRapprochement(etat), `${nomFichier}.xlsx`);
+  }
+  if (req.query.format === 'pdf') {
+    const entreprise = await Parametres.get();
+    return sendFileAttachment(res, await pdfService.creerPdfEtatRapprochement(etat, entreprise), `${nomFichier}.pdf`);
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, data: etat });
+});
+
+
+// @desc    Supprimer un relevé bancaire et dépointer ses opérations rapprochées
+// @route   DELETE /api/v1/releves-bancaires/:id
+// @access  Private (Admin, Comptable)
+exports.deleteReleveBancaire = asyncHandler(async (req, res, next) => {
+  await rapprochementBancaireService.supprimerReleve(req.params.id);
+
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, data: {}, message: "Relevé bancaire supprimé." });
+});
@@ -0,0 +1,394 @@
+const mongoose = require('mongoose');
+const RetourClient = require('../models/RetourClient');
+const BonLivraison = require('../models/BonLivraison');
+const Facture = require('../models/Facture');
+const Avoir = require('../models/Avoir');
+const Paiement = require('../models/Paiement');
+const MouvementStock = require('../models/MouvementStock');
+const Parametres = require('../models/Parametres');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { asyncHandler, generateDocumentNumber } = require('../utils/helpers');
+const { HTTP_STATUS_CODES, DOCUMENT_STATUS } = require('../utils/constants');
+const { getPagination, calculateTotalPages } = require('../utils/helpers');
+const { formatApiResponse, formatApiCollection } = require('../utils/formatters');
+const { roundFinancial } = require('../utils/calculations');
+const calculService = require('../services/calculService');
+const comptabiliteService = require('../services/comptabiliteService');
+const stockService = require('../services/stockService');
+
+
+/**
+ * Vérifie que les quantités d'un retour peuvent encore être créditées sur la facture d'origine.
+ * @param {object} facture - La facture d'origine.
+ * @param {Array<object>} lignes - Les lignes du retour (avec `indexLigneFacture`).
+ * @param {object} [session] - Session MongoDB de la transaction en cours.
+ * @throws {ErrorResponse} Si une ligne dépasse la quantité restant à créditer.
+ */
+const verifierQuantitesCreditables = async (facture, lignes, session) => {
+  const dejaCredite = await Avoir.getQuantitesDejaCreditees(facture._id, session);
+  for (const ligne of lignes) {
+    const ligneFacture = facture.lignes[ligne.indexLigneFacture];
+    const quantiteRestante = ligneFacture.quantite - (dejaCredite.get(ligne.indexLigneFacture) || 0);
+    if (ligne.quantite > quantiteRestante) {
+      throw new ErrorResponse(`"${ligne.description}" : ${quantiteRestante} au maximum peut encore être crédité sur la facture n°${facture.numero}.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+  }
+};
+
+
+/**
+ * Enregistre un retour client (brouillon) au titre d'un bon de livraison ou d'une facture.
+ * Les prix sont repris de la facture ; pour un BL non facturé, le retour n'a pas de valeur de vente.
+ * @param {'BonLivraison' | 'Facture'} typeOrigine - Le type du document retourné.
+ * @param {object} req - La requête Express.
+ * @returns {Promise<object>} Le retour client créé.
+ * @throws {ErrorResponse} Si le document n'est pas retournable ou si une ligne est invalide.
+ */
+const creerRetour = async (typeOrigine, req) => {
+  let bonLivraison = null;
+  let facture = null;
+  let lignesOrigine;
+
+  if (typeOrigine === 'BonLivraison') {
+    bonLivraison = await BonLivraison.findById(req.params.id);
+    if (!bonLivraison) {
+      throw new ErrorResponse(`Bon de livraison non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (!bonLivraison.mouvementStockCree) {
+      throw new ErrorResponse(`Le bon de livraison n°${bonLivraison.numero} n'a pas encore été expédié.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    facture = bonLivraison.factureLiee ? await Facture.findById(bonLivraison.factureLiee) : null;
+    lignesOrigine = bonLivraison.lignes.map(ligne => ({
+      produit: ligne.produit,
+      description: ligne.description,
+      quantite: ligne.quantiteLivree,
+      indexLigneFacture: facture?.lignes.findIndex(lf => lf.indexLigneVente != null && lf.indexLigneVente === ligne.indexLigneVente),
+    }));
+  } else {
+    facture = await Facture.findById(req.params.id);
+    if (!facture) {
+      throw new ErrorResponse(`Facture non trouvée avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    lignesOrigine = facture.lignes.map((ligne, index) => ({
+      produit: ligne.produit,
+      description: ligne.description,
+      quantite: ligne.quantite,
+      indexLigneFacture: index,
+    }));
+  }
+
+  if (facture && [DOCUMENT_STATUS.DRAFT, DOCUMENT_STATUS.CANCELLED].includes(facture.statut)) {
+    throw new ErrorResponse(`Impossible d'enregistrer un retour sur une facture au statut '${facture.statut}'.`, HTTP_STATUS_CODES.BAD_REQUEST);
+  }
+
+  const modeReglement = req.body.modeReglement || (facture ? 'Avoir' : 'Aucun');
+  if (modeReglement !== 'Aucun' && !facture) {
+    throw new ErrorResponse(`Un retour sur une livraison non facturée ne peut donner lieu ni à un avoir ni à un remboursement.`, HTTP_STATUS_CODES.BAD_REQUEST);
+  }
+
+  if (!Array.isArray(req.body.lignes) || req.body.lignes.length === 0) {
+    throw new ErrorResponse(`Indiquez les lignes retournées et le motif de chacune.`, HTTP_STATUS_CODES.BAD_REQUEST);
+  }
+
+  // Coût de sortie d'origine, pour remettre en stock au même coût
+  const sorties = bonLivraison
+    ? await MouvementStock.find({ 'documentLie.id': bonLivraison._id, typeMouvement: 'SORTIE_VENTE' })
+    : [];
+
+  const dejaRetourne = await RetourClient.getQuantitesDejaRetournees(typeOrigine, req.params.id);
+  const lignes = [];
+  // Quantités demandées cumulées par ligne d'origine : une même ligne peut figurer plusieurs fois
+  const demandeParLigne = new Map();
+  for (const demande of req.body.lignes) {
+    const index = Number(demande.indexLigneOrigine);
+    const ligneOrigine = lignesOrigine[index];
+    if (!ligneOrigine || !ligneOrigine.produit) {
+      throw new ErrorResponse(`La ligne n°${index} n'existe pas ou ne concerne pas un produit stocké.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const quantiteRetournable = ligneOrigine.quantite - (dejaRetourne.get(index) || 0);
+    const quantite = Number(demande.quantite);
+    const quantiteCumulee = (demandeParLigne.get(index) || 0) + quantite;
+    demandeParLigne.set(index, quantiteCumulee);
+    if (!Number.isFinite(quantite) || !(quantite > 0) || quantiteCumulee > quantiteRetournable) {
+      throw new ErrorResponse(`Quantité invalide pour "${ligneOrigine.description}" : ${quantiteRetournable} au maximum peut encore être retourné.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const ligneFacture = facture?.lignes[ligneOrigine.indexLigneFacture];
+    if (modeReglement !== 'Aucun' && !ligneFacture) {
+      throw new ErrorResponse(`La ligne "${ligneOrigine.description}" n'a pas été facturée et ne peut pas être créditée.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const sortie = sorties.find(m => m.produit.toString() === ligneOrigine.produit.toString());
+    lignes.push({
+      indexLigneOrigine: index,
+      indexLigneFacture: ligneFacture ? ligneOrigine.indexLigneFacture : undefined,
+      produit: ligneOrigine.produit,
+      description: ligneOrigine.description,
+      quantite,
+      motif: demande.motif,
+      traitement: demande.traitement,
+      coutUnitaire: sortie?.coutUnitaire,
+      prixUnitaireHT: ligneFacture?.prixUnitaireHT,
+      tauxTVA: ligneFacture?.tauxTVA,
+      remise: ligneFacture ? calculService.proraterRemise(ligneFacture.remise, quantite, ligneFacture.quantite) : undefined,
+    });
+  }
+
+  if (modeReglement === 'Avoir') {
+    await verifierQuantitesCreditables(facture, lignes);
+  }
+
+  // --- Génération du numéro de retour ---
+  const params = await Parametres.findOneAndUpdate(
+      {},
+      { $inc: { sequenceRetourClient: 1 } },
+      { new: true }
+  );
+
+  return RetourClient.create({
+    numero: generateDocumentNumber(params.prefixeRetourClient, params.sequenceRetourClient),
+    client: (bonLivraison || facture).client,
+    typeOrigine,
+    bonLivraisonOrigine: bonLivraison?._id,
+    factureOrigine: facture?._id,
+    dateRetour: req.body.dateRetour,
+    depotRetour: req.body.depotRetour || params.depotParDefaut,
+    lignes,
+    modeReglement,
+    notes: req.body.notes,
+    creePar: req.user.id,
+  });
+};
+
+
+/**
+ * Génère l'avoir (brouillon) qui règle un retour client. Il sera validé par la
+ * comptabilité comme tout autre avoir ; le stock, déjà traité par le retour, n'est pas réintégré.
+ * @param {object} retour - Le retour client validé.
+ * @param {object} facture - La facture d'origine.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {object} session - Session MongoDB de la transaction de validation du retour.
+ * @returns {Promise<object>} L'avoir créé.
+ */
+const genererAvoirRetour = async (retour, facture, userId, session) => {
+  await verifierQuantitesCreditables(facture, retour.lignes, session);
+  const dejaCredite = await Avoir.getQuantitesDejaCreditees(facture._id, session);
+
+  // L'avoir est total s'il solde toutes les quantités restantes de la facture
+  const estTotal = facture.lignes.every((ligneFacture, index) => {
+    const credite = (dejaCredite.get(index) || 0)
+      + retour.lignes.filter(l => l.indexLigneFacture === index).reduce((acc, l) => acc + l.quantite, 0);
+    return credite >= ligneFacture.quantite;
+  });
+
+  const params = await Parametres.findOneAndUpdate(
+      {},
+      { $inc: { sequenceAvoir: 1 } },
+      { new: true, session }
+  );
+
+  const [avoir] = await Avoir.create([{
+    numero: generateDocumentNumber(params.prefixeAvoir, params.sequenceAvoir),
+    factureOrigine: facture._id,
+    client: facture.client,
+    typeAvoir: estTotal ? 'Total' : 'Partiel',
+    motif: `Retour client n°${retour.numero}`,
+    lignes: retour.lignes.map(ligne => ({
+      indexLigneFacture: ligne.indexLigneFacture,
+      produit: ligne.produit,
+      description: ligne.description,
+      quantite: ligne.quantite,
+      prixUnitaireHT: ligne.prixUnitaireHT,
+      tauxTVA: ligne.tauxTVA,
+      remise: ligne.remise,
+    })),
+    retourClientLie: retour._id,
+    reintegrerStock: false,
+    creePar: userId,
+  }], { session });
+  return avoir;
+};
+
+
+// @desc    Récupérer les retours clients
+// @route   GET /api/v1/retours-clients
+// @access  Private
+exports.getRetoursClients = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  let query = {};
+  if (req.query.client) query.client = req.query.client;
+  if (req.query.bonLivraison) query.bonLivraisonOrigine = req.query.bonLivraison;
+  if (req.query.facture) query.factureOrigine = req.query.facture;
+  if (req.query.statut) query.statut = req.query.statut;
+
+  const total = await RetourClient.countDocuments(query);
+  const retours = await RetourClient.find(query)
+    .populate('client', 'nom codeClient')
+    .populate('bonLivraisonOrigine', 'numero')
+    .populate('factureOrigine', 'numero')
+    .sort({ dateRetour: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: retours.length,
+    pagination: {
+      total,
+      page,
+      totalPages: calculateTotalPages(total, limit)
+    },
+    data: formatApiCollection(retours),
+  });
+});
+
+
+// @desc    Enregistrer un retour sur un bon de livraison
+//          `lignes` = [{ indexLigneOrigine, quantite, motif, traitement }]
+// @route   POST /api/v1/bons-livraison/:id/retours
+// @access  Private (Admin, Commercial)
+exports.createRetourBonLivraison = asyncHandler(async (req, res, next) => {
+  const retour = await creerRetour('BonLivraison', req);
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(retour),
+  });
+});
+
+
+// @desc    Enregistrer un retour sur une facture
+//          `lignes` = [{ indexLigneOrigine, quantite, motif, traitement }]
+// @route   POST /api/v1/factures/:id/retours
+// @access  Private (Admin, Commercial)
+exports.createRetourFacture = asyncHandler(async (req, res, next) => {
+  const retour = await creerRetour('Facture', req);
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(retour),
+  });
+});
+
+
+// @desc    Valider un retour client : remise en stock ou mise au rebut de chaque ligne,
+//          puis avoir (brouillon) ou remboursement selon le mode de règlement, dans une seule transaction.
+// @route   PATCH /api/v1/retours-clients/:id/valider
+// @access  Private (Admin, Comptable)
+exports.validerRetourClient = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const retour = await RetourClient.findById(req.params.id).populate('client').session(session);
+
+    if (!retour) {
+      throw new ErrorResponse(`Retour client non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (retour.statut !== DOCUMENT_STATUS.DRAFT) {
+      throw new ErrorResponse(`Seul un retour à l'état de brouillon peut être validé.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const facture = retour.factureOrigine ? await Facture.findById(retour.factureOrigine).session(session) : null;
+
+    if (retour.modeReglement === 'Remboursement') {
+      if (!req.body.methodePaiement) {
+        throw new ErrorResponse(`Le mode de paiement du remboursement est obligatoire.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      const [rembourse] = await RetourClient.aggregate([
+        { $match: { factureOrigine: facture._id, modeReglement: 'Remboursement', statut: DOCUMENT_STATUS.VALIDATED } },
+        { $group: { _id: null, total: { $sum: '$totalTTC' } } }
+      ]).session(session);
+      const remboursable = facture.montantPaye - (rembourse?.total || 0);
+      if (retour.totalTTC > remboursable) {
+        throw new ErrorResponse(`Le client n'a réglé que ${roundFinancial(remboursable)} sur la facture n°${facture.numero} : remboursement impossible, émettez un avoir.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+    }
+
+    // 1. Retour physique des marchandises, puis mise au rebut des lignes non revendables
+    await stockService.gererRetourClient(retour, retour.depotRetour, req.user.id, session);
+    const lignesAuRebut = retour.lignes.filter(ligne => ligne.traitement === 'Mise au rebut');
+    await stockService.gererPerteCasse(retour, lignesAuRebut, retour.depotRetour, req.user.id, session);
+
+    retour.mouvementStockCree = true;
+    retour.statut = DOCUMENT_STATUS.VALIDATED;
+    retour.validePar = req.user.id;
+    retour.dateValidation = new Date();
+    await retour.save({ session });
+
+    // Un BL dont toutes les quantités livrées sont effectivement revenues (retours validés) passe à 'Retourné'
+    if (retour.typeOrigine === 'BonLivraison') {
+      const bonLivraison = await BonLivraison.findById(retour.bonLivraisonOrigine).session(session);
+      const dejaRetourne = await RetourClient.getQuantitesDejaRetournees('BonLivraison', bonLivraison._id, { validesSeulement: true, session });
+      const toutRetourne = bonLivraison.lignes.every((ligne, index) => (dejaRetourne.get(index) || 0) >= ligne.quantiteLivree);
+      if (toutRetourne) {
+        bonLivraison.statut = 'Retourné';
+        await bonLivraison.save({ session });
+      }
+    }
+
+    // 2. Règlement du retour
+    if (retour.modeReglement === 'Avoir') {
+      const avoir = await genererAvoirRetour(retour, facture, req.user.id, session);
+      retour.avoirGenere = avoir._id;
+    } else if (retour.modeReglement === 'Remboursement') {
+      const params = await Parametres.findOneAndUpdate(
+          {},
+          { $inc: { sequencePaiement: 1 } },
+          { new: true, session }
+      );
+      const [paiement] = await Paiement.create([{
+        numeroPaiement: generateDocumentNumber(params.prefixePaiement, params.sequencePaiement),
+        datePaiement: req.body.datePaiement,
+        montant: roundFinancial(retour.totalTTC),
+        devise: facture.devise,
+        tauxDeChange: facture.tauxDeChange,
+        methodePaiement: req.body.methodePaiement,
+        direction: 'Sortant',
+        documentConcerne: {
+          documentId: retour._id,
+          documentModel: 'RetourClient',
+          documentNumero: retour.numero,
+        },
+        referenceExterne: req.body.referenceExterne,
+        notes: `Remboursement du retour n°${retour.numero} sur facture n°${facture.numero}`,
+        enregistrePar: req.user.id,
+      }], { session });
+      await comptabiliteService.comptabiliserRemboursementClient(paiement, retour, req.user.id, session);
+      retour.paiementRemboursement = paiement._id;
+    }
+    await retour.save({ session });
+
+    await session.commitTransaction();
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      data: formatApiResponse(retour),
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+});
+
+
+// @desc    Supprimer un retour client (brouillon uniquement)
+// @route   DELETE /api/v1/retours-clients/:id
+// @access  Private (Admin)
+exports.deleteRetourClient = asyncHandler(async (req, res, next) => {
+  const retour = await RetourClient.findById(req.params.id);
+
+  if (!retour) {
+    return next(new ErrorResponse(`Retour client non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+  if (retour.statut !== DOCUMENT_STATUS.DRAFT) {
+    return next(new ErrorResponse(`Un retour validé ne peut pas être supprimé.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  await retour.deleteOne();
+
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, data: {}, message: "Retour client supprimé." });
+});
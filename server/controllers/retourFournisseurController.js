@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const RetourFournisseur = require('../models/RetourFournisseur');
+const Achat = require('../models/Achat');
+const BonReception = require('../models/BonReception');
+const FactureFournisseur = require('../models/FactureFournisseur');
+const Fournisseur = require('../models/Fournisseur');
+const Parametres = require('../models/Parametres');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { asyncHandler, generateDocumentNumber } = require('../utils/helpers');
+const { HTTP_STATUS_CODES, DOCUMENT_STATUS } = require('../utils/constants');
+const { getPagination, calculateTotalPages } = require('../utils/helpers');
+const { formatApiResponse, formatApiCollection } = require('../utils/formatters');
+const { roundFinancial } = require('../utils/calculations');
+const calculService = require('../services/calculService');
+const comptabiliteService = require('../services/comptabiliteService');
+const stockService = require('../services/stockService');
+const { versReference, depuisReference } = require('../utils/devises');
+
+
+/**
+ * Calcule le taux de retour d'un fournisseur : quantités renvoyées (retours validés)
+ * rapportées aux quantités reçues sur l'ensemble de ses bons de réception.
+ * @param {string} fournisseurId - L'ID du fournisseur.
+ * @returns {Promise<number>} Le taux de retour, en pourcentage.
+ */
+const calculerTauxRetour = async (fournisseurId) => {
+  const [recu] = await BonReception.aggregate([
+    { $match: { fournisseur: fournisseurId } },
+    { $unwind: '$lignes' },
+    { $group: { _id: null, total: { $sum: '$lignes.quantiteRecue' } } }
+  ]);
+  const [retourne] = await RetourFournisseur.aggregate([
+    { $match: { fournisseur: fournisseurId, statut: DOCUMENT_STATUS.VALIDATED } },
+    { $unwind: '$lignes' },
+    { $group: { _id: null, total: { $sum: '$lignes.quantite' } } }
+  ]);
+  if (!recu?.total) return 0;
+  return roundFinancial(((retourne?.total || 0) / recu.total) * 100);
+};
+
+/**
+ * Traduit un taux de retour en note d'évaluation (1 à 5).
+ * @param {number} tauxRetour - Le taux de retour, en pourcentage.
+ * @returns {number} La note correspondante.
+ */
+const noterTauxRetour = (tauxRetour) => {
+  if (tauxRetour <= 1) return 5;
+  if (tauxRetour <= 3) return 4;
+  if (tauxRetour <= 5) return 3;
+  if (tauxRetour <= 10) return 2;
+  return 1;
+};
+
+
+// @desc    Récupérer les retours fournisseurs
+// @route   GET /api/v1/retours-fournisseurs
+// @access  Private
+exports.getRetoursFournisseurs = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  let query = {};
+  if (req.query.fournisseur) query.fournisseur = req.query.fournisseur;
+  if (req.query.achat) query.achatLie = req.query.achat;
+  if (req.query.statut) query.statut = req.query.statut;
+
+  const total = await RetourFournisseur.countDocuments(query);
+  const retours = await RetourFournisseur.find(query)
+    .populate('fournisseur', 'nom codeFournisseur')
+    .populate('achatLie', 'numeroAchat')
+    .sort({ dateRetour: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: retours.length,
+    pagination: {
+      total,
+      page,
+      totalPages: calculateTotalPages(total, limit)
+    },
+    data: formatApiCollection(retours),
+  });
+});
+
+
+// @desc    Préparer un retour fournisseur (brouillon) sur un achat réceptionné
+//          `lignes` = [{ indexLigneAchat, quantite, motif }] ; `bonReception` précise la réception
+//          dont les marchandises proviennent (coût et dépôt d'origine).
+// @route   POST /api/v1/achats/:id/retours
+// @access  Private (Admin, Commercial)
+exports.createRetourFournisseur = asyncHandler(async (req, res, next) => {
+  const achat = await Achat.findById(req.params.id);
+  if (!achat) {
+    return next(new ErrorResponse(`Commande d'achat non trouvée avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  if (!Array.isArray(req.body.lignes) || req.body.lignes.length === 0) {
+    return next(new ErrorResponse(`Indiquez les lignes renvoyées et le motif de chacune.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  let bonReception = null;
+  if (req.body.bonReception) {
+    bonReception = await BonReception.findOne({ _id: req.body.bonReception, achatLie: achat._id });
+    if (!bonReception) {
+      return next(new ErrorResponse(`Ce bon de réception ne se rapporte pas à la commande n°${achat.numeroAchat}.`, HTTP_STATUS_CODES.BAD_REQUEST));
+    }
+  }
+  // Réceptions de l'achat, de la plus récente à la plus ancienne, pour retrouver le coût d'origine
+  const receptions = bonReception ? [bonReception] : await BonReception.find({ achatLie: achat._id }).sort({ dateReception: -1 });
+
+  const dejaRetourne = await RetourFournisseur.getQuantitesDejaRetournees(achat._id);
+  const lignes = [];
+  // Quantités demandées cumulées par ligne d'achat : une même ligne peut figurer plusieurs fois
+  const demandeParLigne = new Map();
+  for (const demande of req.body.lignes) {
+    const index = Number(demande.indexLigneAchat);
+    const ligneAchat = achat.lignes[index];
+    if (!ligneAchat) {
+      return next(new ErrorResponse(`La ligne n°${index} n'existe pas sur la commande n°${achat.numeroAchat}.`, HTTP_STATUS_CODES.BAD_REQUEST));
+    }
+
+    const quantite = Number(demande.quantite);
+    const quantiteRetournable = ligneAchat.quantiteRecue - (dejaRetourne.get(index) || 0);
+    const quantiteCumulee = (demandeParLigne.get(index) || 0) + quantite;
+    demandeParLigne.set(index, quantiteCumulee);
+    if (!Number.isFinite(quantite) || !(quantite > 0) || quantiteCumulee > quantiteRetournable) {
+      return next(new ErrorResponse(`Quantité invalide pour "${ligneAchat.description}" : ${quantiteRetournable} au maximum peut être renvoyé.`, HTTP_STATUS_CODES.BAD_REQUEST));
+    }
+
+    const ligneReception = receptions
+      .flatMap(reception => reception.lignes)
+      .find(l => l.indexLigneCommande === index && l.quantiteRecue > 0);
+
+    lignes.push({
+      indexLigneAchat: index,
+      produit: ligneAchat.produit,
+      description: ligneAchat.description,
+      quantite,
+      // Coût en XOF : celui de la réception, ou à défaut le prix net de l'achat à son cours
+      coutUnitaireHT: ligneReception ? ligneReception.coutUnitaireHT : versReference(calculService.prixUnitaireNet(ligneAchat), achat.tauxDeChange),
+      tauxTVA: ligneAchat.tauxTVA,
+      motif: demande.motif,
+    });
+  }
+
+  // --- Génération du numéro de retour ---
+  const params = await Parametres.findOneAndUpdate(
+      {},
+      { $inc: { sequenceRetourFournisseur: 1 } },
+      { new: true }
+  );
+
+  const retour = await RetourFournisseur.create({
+    numero: generateDocumentNumber(params.prefixeRetourFournisseur, params.sequenceRetourFournisseur),
+    fournisseur: achat.fournisseur,
+    achatLie: achat._id,
+    bonReceptionLie: bonReception?._id,
+    depot: req.body.depot || bonReception?.depot || receptions[0]?.depot || params.depotParDefaut,
+    dateRetour: req.body.dateRetour,
+    lignes,
+    notes: req.body.notes,
+    creePar: req.user.id,
+  });
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(retour),
+  });
+});
+
+
+// @desc    Valider un retour fournisseur : sortie de stock au coût d'origine, avoir fournisseur
+//          sur l'achat et écriture comptable si l'achat est déjà facturé, dans une seule
+//          transaction, puis évaluation du fournisseur.
+// @route   PATCH /api/v1/retours-fournisseurs/:id/valider
+// @access  Private (Admin, Comptable)
+exports.validerRetourFournisseur = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let retour;
+  try {
+    retour = await RetourFournisseur.findById(req.params.id).populate('fournisseur').session(session);
+
+    if (!retour) {
+      throw new ErrorResponse(`Retour fournisseur non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (retour.statut !== DOCUMENT_STATUS.DRAFT) {
+      throw new ErrorResponse(`Seul un retour à l'état de brouillon peut être validé.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    // 1. Sortie de stock et avoir fournisseur sur l'achat
+    await stockService.gererRetourFournisseur(retour, req.user.id, session);
+
+    retour.mouvementStockCree = true;
+    retour.statut = DOCUMENT_STATUS.VALIDATED;
+    retour.validePar = req.user.id;
+    retour.dateValidation = new Date();
+
+    const achat = await Achat.findById(retour.achatLie).session(session);
+    // Le retour est valorisé en XOF, l'achat suivi dans sa devise
+    achat.montantAvoirsFournisseur = roundFinancial((achat.montantAvoirsFournisseur || 0) + depuisReference(retour.totalTTC, achat.tauxDeChange));
+    achat.retoursFournisseurLies.push(retour._id);
+    await achat.save({ session });
+
+    // 2. Contre-passation de l'achat, si la dette a déjà été constatée par une facture fournisseur
+    const factureComptabilisee = await FactureFournisseur.exists({ achatsLies: retour.achatLie, comptabilise: true }).session(session);
+    if (factureComptabilisee) {
+      await comptabiliteService.comptabiliserRetourFournisseur(retour, req.user.id, session);
+    }
+    await retour.save({ session });
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  // 3. Évaluation du fournisseur sur son taux de retour
+  const tauxRetour = await calculerTauxRetour(retour.fournisseur._id);
+  await Fournisseur.findByIdAndUpdate(retour.fournisseur._id, {
+    $push: {
+      evaluations: {
+        evaluateur: req.user.id,
+        note: noterTauxRetour(tauxRetour),
+        commentaire: `Retour n°${retour.numero} : ${retour.lignes.map(l => `${l.quantite} x ${l.description} (${l.motif})`).join(', ')}`,
+        retourFournisseur: retour._id,
+        tauxRetour,
+      }
+    }
+  });
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(retour),
+  });
+});
+
+
+// @desc    Supprimer un retour fournisseur (brouillon uniquement)
+// @route   DELETE /api/v1/retours-fournisseurs/:id
+// @access  Private (Admin)
+exports.deleteRetourFournisseur = asyncHandler(async (req, res, next) => {
+  const retour = await RetourFournisseur.findById(req.params.id);
+
+  if (!retour) {
+    return next(new ErrorResponse(`Retour fournisseur non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+  if (retour.statut !== DOCUMENT_STATUS.DRAFT) {
+    return next(new ErrorResponse(`Un retour validé ne peut pas être supprimé.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  await retour.deleteOne();
+
+  res.status(HTTP_STATUS_CODES.OK).json({ success: true, data: {}, message: "Retour fournisseur supprimé." });
+});
@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const Transfert = require('../models/Transfert');
+const Depot = require('../models/Depot');
+const Produit = require('../models/Produit');
+const Parametres = require('../models/Parametres');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { asyncHandler, generateDocumentNumber } = require('../utils/helpers');
+const { HTTP_STATUS_CODES, DOCUMENT_STATUS } = require('../utils/constants');
+const { getPagination, calculateTotalPages } = require('../utils/helpers');
+const { formatApiResponse, formatApiCollection } = require('../utils/formatters');
+const stockService = require('../services/stockService');
+
+
+// @desc    Récupérer les transferts inter-dépôts
+//          `?ecarts=true` ne retourne que les transferts reçus avec un écart.
+// @route   GET /api/v1/transferts
+// @access  Private
+exports.getTransferts = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  let query = {};
+  if (req.query.depot) {
+    query.$or = [{ depotSource: req.query.depot }, { depotDestination: req.query.depot }];
+  }
+  if (req.query.statut) {
+    query.statut = req.query.statut;
+  }
+  if (req.query.ecarts === 'true') {
+    query.statut = 'Reçu avec écart';
+  }
+
+  const total = await Transfert.countDocuments(query);
+  const transferts = await Transfert.find(query)
+    .populate('depotSource', 'nom')
+    .populate('depotDestination', 'nom')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    count: transferts.length,
+    pagination: {
+      total,
+      page,
+      totalPages: calculateTotalPages(total, limit)
+    },
+    data: formatApiCollection(transferts),
+  });
+});
+
+
+// @desc    Récupérer un transfert par son ID (avec les écarts par ligne)
+// @route   GET /api/v1/transferts/:id
+// @access  Private
+exports.getTransfertById = asyncHandler(async (req, res, next) => {
+  const transfert = await Transfert.findById(req.params.id)
+    .populate('depotSource', 'nom')
+    .populate('depotDestination', 'nom')
+    .populate('lignes.produit', 'reference designation uniteMesure')
+    .populate('expediePar recuPar', 'nomComplet');
+
+  if (!transfert) {
+    return next(new ErrorResponse(`Transfert non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: formatApiResponse(transfert),
+  });
+});
+
+
+// @desc    Préparer un transfert entre deux dépôts (brouillon)
+// @route   POST /api/v1/transferts
+// @access  Private (Admin, Commercial)
+exports.createTransfert = asyncHandler(async (req, res, next) => {
+  const { depotSource, depotDestination, lignes } = req.body;
+
+  const depots = await Depot.find({ _id: { $in: [depotSource, depotDestination] }, actif: true });
+  if (!depotSource || !depotDestination || depots.length !== 2) {
+    return next(new ErrorResponse(`Les dépôts source et destination doivent être deux dépôts actifs distincts.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  if (!Array.isArray(lignes) || lignes.length === 0) {
+    return next(new ErrorResponse(`Un transfert doit contenir au moins une ligne.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  const produits = await Produit.find({ _id: { $in: lignes.map(l => l.produit) } });
+  const lignesTransfert = [];
+  for (const ligne of lignes) {
+    const produit = produits.find(p => p._id.toString() === String(ligne.produit));
+    if (!produit || !produit.gestionStock) {
+      return next(new ErrorResponse(`Le produit ${ligne.produit} est introuvable ou n'est pas géré en stock.`, HTTP_STATUS_CODES.BAD_REQUEST));
+    }
+    lignesTransfert.push({
+      produit: produit._id,
+      description: ligne.description || produit.designation,
+      quantiteEnvoyee: ligne.quantiteEnvoyee,
+    });
+  }
+
+  // --- Génération du numéro de transfert ---
+  const params = await Parametres.findOneAndUpdate(
+      {},
+      { $inc: { sequenceTransfert: 1 } },
+      { new: true }
+  );
+
+  const transfert = await Transfert.create({
+    numero: generateDocumentNumber(params.prefixeTransfert, params.sequenceTransfert),
+    depotSource,
+    depotDestination,
+    lignes: lignesTransfert,
+    avecTransit: req.body.avecTransit,
+    notes: req.body.notes,
+    creePar: req.user.id,
+  });
+
+  res.status(HTTP_STATUS_CODES.CREATED).json({
+    success: true,
+    data: formatApiResponse(transfert),
+  });
+});
+
+
+// @desc    Expédier un transfert : sortie du dépôt source, puis mise en transit
+//          (ou entrée immédiate dans le dépôt de destination pour un transfert sans transit)
+// @route   PATCH /api/v1/transferts/:id/expedier
+// @access  Private (Admin, Commercial)
+exports.expedierTransfert = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const transfert = await Transfert.findById(req.params.id).session(session);
+    if (!transfert) {
+      throw new ErrorResponse(`Transfert non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (transfert.statut !== DOCUMENT_STATUS.DRAFT) {
+      throw new ErrorResponse(`Le transfert n°${transfert.numero} a déjà été expédié.`, HTTP_STATUS_CODES.CONFLICT);
+    }
+
+    transfert.dateExpedition = req.body.dateExpedition || new Date();
+    transfert.expediePar = req.user.id;
+
+    if (transfert.avecTransit) {
+      await stockService.gererExpeditionTransfert(transfert, req.user.id, session);
+      transfert.statut = 'En transit';
+    } else {
+      await stockService.gererTransfertStock(transfert, req.user.id, session);
+      transfert.dateReception = transfert.dateExpedition;
+      transfert.recuPar = req.user.id;
+      transfert.statut = 'Reçu';
+    }
+    await transfert.save({ session });
+
+    await session.commitTransaction();
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      data: formatApiResponse(transfert),
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+});
+
+
+// @desc    Réceptionner un transfert en transit dans le dépôt de destination.
+//          Les quantités reçues sont reprises de `lignes` ([{ index, quantiteRecue, motifEcart }]) ;
+//          une ligne non mentionnée est considérée comme reçue en totalité.
+// @route   PATCH /api/v1/transferts/:id/receptionner
+// @access  Private (Admin, Commercial)
+exports.receptionnerTransfert = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const transfert = await Transfert.findById(req.params.id).session(session);
+    if (!transfert) {
+      throw new ErrorResponse(`Transfert non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (transfert.statut !== 'En transit') {
+      throw new ErrorResponse(`Impossible de réceptionner le transfert n°${transfert.numero} au statut '${transfert.statut}'.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const saisies = Array.isArray(req.body.lignes) ? req.body.lignes : [];
+    transfert.lignes.forEach((ligne, index) => {
+      const saisie = saisies.find(s => Number(s.index) === index);
+      const quantiteRecue = saisie ? Number(saisie.quantiteRecue) : ligne.quantiteEnvoyee;
+      if (!(quantiteRecue >= 0) || quantiteRecue > ligne.quantiteEnvoyee) {
+        throw new ErrorResponse(`Quantité reçue invalide pour "${ligne.description}" : ${ligne.quantiteEnvoyee} ont été envoyés.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      ligne.quantiteRecue = quantiteRecue;
+      if (saisie?.motifEcart) ligne.motifEcart = saisie.motifEcart;
+    });
+
+    await stockService.gererReceptionTransfert(transfert, req.user.id, session);
+
+    transfert.dateReception = req.body.dateReception || new Date();
+    transfert.recuPar = req.user.id;
+    transfert.statut = transfert.aDesEcarts ? 'Reçu avec écart' : 'Reçu';
+    await transfert.save({ session });
+
+    await session.commitTransaction();
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      data: formatApiResponse(transfert),
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+});
+
+
+// @desc    Supprimer un transfert (uniquement s'il n'a pas été expédié)
+// @route   DELETE /api/v1/transferts/:id
+// @access  Private (Admin)
+exports.deleteTransfert = asyncHandler(async (req, res, next) => {
+  const transfert = await Transfert.findById(req.params.id);
+
+  if (!transfert) {
+    return next(new ErrorResponse(`Transfert non trouvé avec l'ID ${req.params.id}`, HTTP_STATUS_CODES.NOT_FOUND));
+  }
+  if (transfert.statut !== DOCUMENT_STATUS.DRAFT) {
+    return next(new ErrorResponse(`Un transfert expédié ne peut pas être supprimé.`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+
+  await transfert.deleteOne();
+
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: {},
+  });
+});
@@ -1,4 +1,6 @@
+const mongoose = require('mongoose');
 const Vente = require('../models/Vente');
+const BonLivraison = require('../models/BonLivraison');
 const Client = require('../models/Client');
 const Produit = require('../models/Produit');
 const Parametres = require('../models/Parametres');
@@ -8,6 +10,8 @@ const { HTTP_STATUS_CODES, DOCUMENT_STATUS } = require('../utils/constants');
 const { getPagination, calculateTotalPages } = require('../utils/helpers');
 const { formatApiResponse, formatApiCollection } = require('../utils/formatters');
 const calculService = require('../services/calculService');
+const deviseService = require('../services/deviseService');
+const { depuisReference } = require('../utils/devises');
 
 
 // @desc    Récupérer toutes les ventes (avec filtres, tri et pagination)
@@ -85,6 +89,14 @@ exports.createVente = asyncHandler(async (req, res, next) => {
   );
   req.body.numeroVente = generateDocumentNumber(params.prefixeVente, params.sequenceVente);
 
+  // --- Devise de la vente et cours figé à l'émission ---
+  try {
+    Object.assign(req.body, await deviseService.figerCours({ devise: req.body.devise, tauxDeChange: req.body.tauxDeChange, date: req.body.dateVente }));
+  } catch (error) {
+    return next(new ErrorResponse(error.message, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+  delete req.body.contreValeur;
+
   // --- Validation et enrichissement des lignes ---
   for (const ligne of req.body.lignes) {
       const produit = await Produit.findById(ligne.produit);
@@ -93,7 +105,8 @@ exports.createVente = asyncHandler(async (req, res, next) => {
       }
       // On enrichit la ligne avec les infos du produit (snapshot)
       ligne.description = produit.designation;
-      ligne.prixUnitaireHT = ligne.prixUnitaireHT || produit.prixVenteHT;
+      // Le prix catalogue, en XOF, est converti dans la devise de la vente
+      ligne.prixUnitaireHT = ligne.prixUnitaireHT || depuisReference(produit.prixVenteHT, req.body.tauxDeChange);
       ligne.tauxTVA = produit.tauxTVA;
   }
   
@@ -123,13 +136,24 @@ exports.updateVente = asyncHandler(async (req, res, next) => {
       return next(new ErrorResponse(`Impossible de modifier une vente qui n'est plus à l'état de brouillon.`, HTTP_STATUS_CODES.BAD_REQUEST));
   }
 
+  // Changement de devise ou de cours : nouveau cours figé
+  delete req.body.contreValeur;
+  if (req.body.devise || req.body.tauxDeChange) {
+    try {
+      Object.assign(req.body, await deviseService.figerCours({ devise: req.body.devise || vente.devise, tauxDeChange: req.body.tauxDeChange, date: req.body.dateVente || vente.dateVente }));
+    } catch (error) {
+      return next(new ErrorResponse(error.message, HTTP_STATUS_CODES.BAD_REQUEST));
+    }
+  }
+  const tauxDeChange = req.body.tauxDeChange || vente.tauxDeChange;
+
   // Recalculer les lignes si elles sont modifiées
   if (req.body.lignes) {
     for (const ligne of req.body.lignes) {
       if (!ligne.description || !ligne.tauxTVA) { // Si c'est une nouvelle ligne
         const produit = await Produit.findById(ligne.produit);
         ligne.description = produit.designation;
-        ligne.prixUnitaireHT = ligne.prixUnitaireHT || produit.prixVenteHT;
+        ligne.prixUnitaireHT = ligne.prixUnitaireHT || depuisReference(produit.prixVenteHT, tauxDeChange);
         ligne.tauxTVA = produit.tauxTVA;
       }
     }
@@ -196,4 +220,105 @@ exports.updateVenteStatus = asyncHandler(async (req, res, next) => {
         success: true,
         data: formatApiResponse(vente)
     });
-});
\ No newline at end of file
+});
+
+
+// @desc    Créer un bon de livraison (total ou partiel) à partir d'une vente
+//          Sans `lignes` dans le corps, le BL reprend toutes les quantités restant à livrer.
+//          Sinon `lignes` = [{ indexLigneVente, quantite }].
+// @route   POST /api/v1/ventes/:id/bons-livraison
+// @access  Private (Admin, Commercial, Vendeur)
+exports.creerBonLivraison = asyncHandler(async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const vente = await Vente.findById(req.params.id).populate('client', 'adresse').session(session);
+        if (!vente) {
+            throw new ErrorResponse(`Vente non trouvée`, HTTP_STATUS_CODES.NOT_FOUND);
+        }
+
+        if (![DOCUMENT_STATUS.CONFIRMED, DOCUMENT_STATUS.IN_PREPARATION].includes(vente.statut)) {
+            throw new ErrorResponse(`Impossible de livrer une vente au statut '${vente.statut}'. Elle doit être confirmée.`, HTTP_STATUS_CODES.BAD_REQUEST);
+        }
+
+        // Quantités demandées : tout le reste à livrer par défaut
+        const demandes = Array.isArray(req.body.lignes) && req.body.lignes.length > 0
+            ? req.body.lignes
+            : vente.lignes.map((ligne, index) => ({
+                indexLigneVente: index,
+                quantite: ligne.quantite - ligne.quantiteLivree,
+              })).filter(l => l.quantite > 0);
+
+        if (demandes.length === 0) {
+            throw new ErrorResponse(`La vente n°${vente.numeroVente} a déjà été entièrement livrée.`, HTTP_STATUS_CODES.CONFLICT);
+        }
+
+        const lignesBL = [];
+        // Quantités demandées cumulées par ligne de vente : une même ligne peut figurer plusieurs fois
+        const demandeParLigne = new Map();
+        for (const demande of demandes) {
+            const index = Number(demande.indexLigneVente);
+            const ligneVente = vente.lignes[index];
+            if (!ligneVente) {
+                throw new ErrorResponse(`La ligne n°${index} n'existe pas sur la vente n°${vente.numeroVente}.`, HTTP_STATUS_CODES.BAD_REQUEST);
+            }
+
+            const quantite = Number(demande.quantite);
+            const resteALivrer = ligneVente.quantite - ligneVente.quantiteLivree;
+            const quantiteCumulee = (demandeParLigne.get(index) || 0) + quantite;
+            demandeParLigne.set(index, quantiteCumulee);
+            if (!Number.isFinite(quantite) || !(quantite > 0) || quantiteCumulee > resteALivrer) {
+                throw new ErrorResponse(`Quantité invalide pour "${ligneVente.description}" : il reste ${resteALivrer} à livrer.`, HTTP_STATUS_CODES.BAD_REQUEST);
+            }
+
+            lignesBL.push({
+                indexLigneVente: index,
+                produit: ligneVente.produit,
+                description: ligneVente.description,
+                quantiteCommandee: ligneVente.quantite,
+                quantiteLivree: quantite,
+            });
+        }
+
+        // --- Génération du numéro de BL ---
+        const params = await Parametres.findOneAndUpdate(
+            {},
+            { $inc: { sequenceBonLivraison: 1 } },
+            { new: true, session }
+        );
+
+        // Le BL et l'engagement des quantités sur la vente sont écrits ensemble : deux BL
+        // concurrents sur la même vente entrent en conflit au lieu de sur-engager une ligne
+        const [bonLivraison] = await BonLivraison.create([{
+            numero: generateDocumentNumber(params.prefixeBonLivraison, params.sequenceBonLivraison),
+            client: vente.client._id,
+            dateLivraison: req.body.dateLivraison,
+            lignes: lignesBL,
+            adresseLivraison: req.body.adresseLivraison || vente.client.adresse,
+            transporteur: req.body.transporteur,
+            notes: req.body.notes,
+            venteLiee: vente._id,
+            creePar: req.user.id,
+        }], { session });
+
+        // Suivi par ligne des quantités engagées sur des BL
+        lignesBL.forEach(ligneBL => {
+            vente.lignes[ligneBL.indexLigneVente].quantiteLivree += ligneBL.quantiteLivree;
+        });
+        vente.bonsLivraisonLies.push(bonLivraison._id);
+        vente.statut = DOCUMENT_STATUS.IN_PREPARATION;
+        await vente.save({ session });
+
+        await session.commitTransaction();
+
+        res.status(HTTP_STATUS_CODES.CREATED).json({
+            success: true,
+            data: formatApiResponse(bonLivraison)
+        });
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+});
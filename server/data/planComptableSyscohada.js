@@ -0,0 +1,526 @@
+/**
+ * @file planComptableSyscohada.js
+ * @description Plan comptable SYSCOHADA révisé (comptes principaux et divisionnaires d'usage
+ * courant), journaux standards et comptes par défaut des paramètres. Sert à initialiser la
+ * comptabilité d'une nouvelle entreprise (voir planComptableService).
+ *
+ * Les indicateurs des comptes se déduisent de leur numéro : un compte est lettrable s'il relève
+ * d'une racine de tiers, « compte de tiers » (un client ou un fournisseur obligatoire sur ses
+ * lignes) s'il relève d'une racine clients / fournisseurs, et système s'il est câblé dans les
+ * paramètres ou la TVA.
+ */
+
+const COMPTES = [
+  // --- CLASSE 1 : COMPTES DE RESSOURCES DURABLES ---
+  ['10', 'Capital'],
+  ['101', 'Capital social'],
+  ['1011', 'Capital souscrit, non appelé'],
+  ['1012', 'Capital souscrit, appelé, non versé'],
+  ['1013', 'Capital souscrit, appelé, versé, non amorti'],
+  ['103', 'Capital personnel'],
+  ['104', 'Compte de l\'exploitant'],
+  ['109', 'Apporteurs, capital souscrit, non appelé'],
+  ['11', 'Réserves'],
+  ['111', 'Réserve légale'],
+  ['112', 'Réserves statutaires ou contractuelles'],
+  ['113', 'Réserves réglementées'],
+  ['118', 'Autres réserves'],
+  ['12', 'Report à nouveau'],
+  ['121', 'Report à nouveau créditeur'],
+  ['129', 'Report à nouveau débiteur'],
+  ['13', 'Résultat net de l\'exercice'],
+  ['130', 'Résultat en instance d\'affectation'],
+  ['131', 'Résultat net : bénéfice'],
+  ['139', 'Résultat net : perte'],
+  ['14', 'Subventions d\'investissement'],
+  ['141', 'Subventions d\'équipement'],
+  ['148', 'Autres subventions d\'investissement'],
+  ['15', 'Provisions réglementées et fonds assimilés'],
+  ['151', 'Amortissements dérogatoires'],
+  ['155', 'Provisions réglementées relatives aux immobilisations'],
+  ['16', 'Emprunts et dettes assimilées'],
+  ['161', 'Emprunts obligataires'],
+  ['162', 'Emprunts et dettes auprès des établissements de crédit'],
+  ['163', 'Avances reçues de l\'État'],
+  ['164', 'Avances reçues et comptes courants bloqués'],
+  ['165', 'Dépôts et cautionnements reçus'],
+  ['166', 'Intérêts courus'],
+  ['168', 'Autres emprunts et dettes'],
+  ['17', 'Dettes de location-acquisition'],
+  ['172', 'Dettes de location-acquisition / crédit-bail immobilier'],
+  ['173', 'Dettes de location-acquisition / crédit-bail mobilier'],
+  ['18', 'Dettes liées à des participations et comptes de liaison'],
+  ['181', 'Dettes liées à des participations'],
+  ['19', 'Provisions pour risques et charges'],
+  ['191', 'Provisions pour litiges'],
+  ['194', 'Provisions pour pertes de change'],
+  ['196', 'Provisions pour pensions et obligations similaires'],
+  ['198', 'Autres provisions pour risques et charges'],
+
+  // --- CLASSE 2 : COMPTES D'ACTIF IMMOBILISÉ ---
+  ['21', 'Immobilisations incorporelles'],
+  ['211', 'Frais de développement'],
+  ['212', 'Brevets, licences, concessions et droits similaires'],
+  ['213', 'Logiciels et sites internet'],
+  ['214', 'Marques'],
+  ['215', 'Fonds commercial'],
+  ['216', 'Droit au bail'],
+  ['217', 'Investissements de création'],
+  ['218', 'Autres droits et valeurs incorporels'],
+  ['22', 'Terrains'],
+  ['221', 'Terrains agricoles et forestiers'],
+  ['222', 'Terrains nus'],
+  ['223', 'Terrains bâtis'],
+  ['228', 'Autres terrains'],
+  ['23', 'Bâtiments, installations techniques et agencements'],
+  ['231', 'Bâtiments industriels, agricoles, administratifs et commerciaux sur sol propre'],
+  ['232', 'Bâtiments industriels, agricoles, administratifs et commerciaux sur sol d\'autrui'],
+  ['234', 'Aménagements, agencements et installations techniques'],
+  ['235', 'Aménagements de bureaux'],
+  ['238', 'Autres installations et agencements'],
+  ['24', 'Matériel, mobilier et actifs biologiques'],
+  ['241', 'Matériel et outillage industriel et commercial'],
+  ['242', 'Matériel et outillage agricole'],
+  ['243', 'Matériel d\'emballage récupérable et identifiable'],
+  ['244', 'Matériel et mobilier'],
+  ['2441', 'Matériel de bureau'],
+  ['2442', 'Matériel informatique'],
+  ['2444', 'Mobilier de bureau'],
+  ['245', 'Matériel de transport'],
+  ['246', 'Actifs biologiques'],
+  ['248', 'Autres matériels et mobiliers'],
+  ['25', 'Avances et acomptes versés sur immobilisations'],
+  ['251', 'Avances et acomptes versés sur immobilisations incorporelles'],
+  ['252', 'Avances et acomptes versés sur immobilisations corporelles'],
+  ['26', 'Titres de participation'],
+  ['261', 'Titres de participation dans des sociétés sous contrôle exclusif'],
+  ['265', 'Participations dans des organismes professionnels'],
+  ['268', 'Autres titres de participation'],
+  ['27', 'Autres immobilisations financières'],
+  ['271', 'Prêts et créances'],
+  ['272', 'Prêts au personnel'],
+  ['274', 'Titres immobilisés'],
+  ['275', 'Dépôts et cautionnements versés'],
+  ['276', 'Intérêts courus'],
+  ['28', 'Amortissements'],
+  ['281', 'Amortissements des immobilisations incorporelles'],
+  ['2813', 'Amortissements des logiciels et sites internet'],
+  ['282', 'Amortissements des terrains'],
+  ['283', 'Amortissements des bâtiments, installations techniques et agencements'],
+  ['2831', 'Amortissements des bâtiments sur sol propre'],
+  ['2834', 'Amortissements des aménagements, agencements et installations techniques'],
+  ['284', 'Amortissements du matériel'],
+  ['2841', 'Amortissements du matériel et outillage industriel et commercial'],
+  ['2844', 'Amortissements du matériel et mobilier'],
+  ['2845', 'Amortissements du matériel de transport'],
+  ['29', 'Dépréciations des immobilisations'],
+  ['291', 'Dépréciations des immobilisations incorporelles'],
+  ['292', 'Dépréciations des terrains'],
+  ['293', 'Dépréciations des bâtiments, installations techniques et agencements'],
+  ['294', 'Dépréciations du matériel, mobilier et actifs biologiques'],
+  ['295', 'Dépréciations des avances et acomptes versés sur immobilisations'],
+  ['296', 'Dépréciations des titres de participation'],
+  ['297', 'Dépréciations des autres immobilisations financières'],
+
+  // --- CLASSE 3 : COMPTES DE STOCKS ---
+  ['31', 'Marchandises'],
+  ['311', 'Marchandises A'],
+  ['312', 'Marchandises B'],
+  ['32', 'Matières premières et fournitures liées'],
+  ['321', 'Matières A'],
+  ['33', 'Autres approvisionnements'],
+  ['331', 'Matières consommables'],
+  ['332', 'Fournitures d\'atelier et d\'usine'],
+  ['335', 'Emballages'],
+  ['34', 'Produits en cours'],
+  ['35', 'Services en cours'],
+  ['36', 'Produits finis'],
+  ['37', 'Produits intermédiaires et résiduels'],
+  ['38', 'Stocks en cours de route, en consignation ou en dépôt'],
+  ['381', 'Marchandises en cours de route'],
+  ['387', 'Stock en consignation ou en dépôt'],
+  ['39', 'Dépréciations des stocks et encours de production'],
+  ['391', 'Dépréciations des stocks de marchandises'],
+  ['392', 'Dépréciations des stocks de matières premières'],
+
+  // --- CLASSE 4 : COMPTES DE TIERS ---
+  ['40', 'Fournisseurs et comptes rattachés'],
+  ['401', 'Fournisseurs, dettes en compte'],
+  ['4011', 'Fournisseurs'],
+  ['4012', 'Fournisseurs groupe'],
+  ['4013', 'Fournisseurs sous-traitants'],
+  ['402', 'Fournisseurs, effets à payer'],
+  ['404', 'Fournisseurs, acquisitions courantes d\'immobilisations'],
+  ['408', 'Fournisseurs, factures non parvenues'],
+  ['409', 'Fournisseurs débiteurs'],
+  ['4091', 'Fournisseurs, avances et acomptes versés'],
+  ['4094', 'Fournisseurs, créances pour emballages et matériels à rendre'],
+  ['4098', 'Fournisseurs, rabais, remises, ristournes et autres avoirs à obtenir'],
+  ['41', 'Clients et comptes rattachés'],
+  ['411', 'Clients'],
+  ['4111', 'Clients'],
+  ['4112', 'Clients groupe'],
+  ['4114', 'Clients, État et collectivités publiques'],
+  ['412', 'Clients, effets à recevoir en portefeuille'],
+  ['414', 'Créances sur cessions courantes d\'immobilisations'],
+  ['415', 'Clients, effets escomptés non échus'],
+  ['416', 'Créances clients litigieuses ou douteuses'],
+  ['418', 'Clients, produits à recevoir'],
+  ['419', 'Clients créditeurs'],
+  ['4191', 'Clients, avances et acomptes reçus'],
+  ['4194', 'Clients, dettes pour emballages et matériels consignés'],
+  ['4198', 'Clients, rabais, remises, ristournes et autres avoirs à accorder'],
+  ['42', 'Personnel'],
+  ['421', 'Personnel, avances et acomptes'],
+  ['422', 'Personnel, rémunérations dues'],
+  ['423', 'Personnel, oppositions, saisies-arrêts'],
+  ['425', 'Représentants du personnel'],
+  ['427', 'Personnel, dépôts'],
+  ['428', 'Personnel, charges à payer et produits à recevoir'],
+  ['43', 'Organismes sociaux'],
+  ['431', 'Sécurité sociale'],
+  ['432', 'Caisses de retraite complémentaire'],
+  ['433', 'Autres organismes sociaux'],
+  ['438', 'Organismes sociaux, charges à payer et produits à recevoir'],
+  ['44', 'État et collectivités publiques'],
+  ['441', 'État, impôt sur les bénéfices'],
+  ['442', 'État, autres impôts et taxes'],
+  ['443', 'État, TVA facturée'],
+  ['4431', 'État, TVA facturée sur ventes'],
+  ['4432', 'État, TVA facturée sur prestations de services'],
+  ['4433', 'État, TVA facturée sur travaux'],
+  ['4434', 'État, TVA facturée sur production livrée à soi-même'],
+  ['4435', 'État, TVA sur factures à établir'],
+  ['444', 'État, TVA due ou crédit de TVA'],
+  ['4441', 'État, TVA due'],
+  ['4449', 'État, crédit de TVA à reporter'],
+  ['445', 'État, TVA récupérable'],
+  ['4451', 'État, TVA récupérable sur immobilisations'],
+  ['4452', 'État, TVA récupérable sur achats'],
+  ['4453', 'État, TVA récupérable sur transport'],
+  ['4454', 'État, TVA récupérable sur services extérieurs et autres charges'],
+  ['4455', 'État, TVA récupérable sur factures non parvenues'],
+  ['4456', 'État, TVA transférée par d\'autres entités'],
+  ['446', 'État, autres taxes sur le chiffre d\'affaires'],
+  ['447', 'État, impôts retenus à la source'],
+  ['4471', 'Impôt général sur le revenu'],
+  ['4472', 'Impôts sur salaires'],
+  ['448', 'État, charges à payer et produits à recevoir'],
+  ['449', 'État, créances et dettes diverses'],
+  ['45', 'Organismes internationaux'],
+  ['46', 'Apporteurs, associés et groupe'],
+  ['461', 'Apporteurs, opérations sur le capital'],
+  ['462', 'Associés, comptes courants'],
+  ['465', 'Associés, dividendes à payer'],
+  ['466', 'Groupe, comptes courants'],
+  ['467', 'Apporteurs restant dû sur capital appelé'],
+  ['47', 'Débiteurs et créditeurs divers'],
+  ['471', 'Débiteurs et créditeurs divers'],
+  ['472', 'Créances et dettes sur titres de placement'],
+  ['474', 'Compte de répartition périodique des charges et des produits'],
+  ['475', 'Créances sur travaux non encore facturables'],
+  ['476', 'Charges constatées d\'avance'],
+  ['477', 'Produits constatés d\'avance'],
+  ['478', 'Écarts de conversion - actif'],
+  ['479', 'Écarts de conversion - passif'],
+  ['48', 'Créances et dettes hors activités ordinaires (HAO)'],
+  ['481', 'Fournisseurs d\'investissements'],
+  ['482', 'Fournisseurs d\'investissements, effets à payer'],
+  ['485', 'Créances sur cessions d\'immobilisations'],
+  ['488', 'Autres créances hors activités ordinaires'],
+  ['49', 'Dépréciations et provisions pour risques à court terme (tiers)'],
+  ['491', 'Dépréciations des comptes clients'],
+  ['495', 'Dépréciations des comptes organismes internationaux'],
+  ['496', 'Dépréciations des comptes associés et groupe'],
+  ['497', 'Dépréciations des comptes débiteurs divers'],
+  ['498', 'Dépréciations des comptes de créances HAO'],
+  ['499', 'Provisions pour risques à court terme'],
+
+  // --- CLASSE 5 : COMPTES DE TRÉSORERIE ---
+  ['50', 'Titres de placement'],
+  ['501', 'Titres du trésor et bons de caisse à court terme'],
+  ['502', 'Actions'],
+  ['503', 'Obligations'],
+  ['51', 'Valeurs à encaisser'],
+  ['511', 'Effets à encaisser'],
+  ['512', 'Effets à l\'encaissement'],
+  ['513', 'Chèques à encaisser'],
+  ['514', 'Chèques à l\'encaissement'],
+  ['515', 'Cartes de crédit à encaisser'],
+  ['52', 'Banques'],
+  ['521', 'Banques locales'],
+  ['5211', 'Banque A'],
+  ['5212', 'Banque B'],
+  ['522', 'Banques autres États région'],
+  ['524', 'Banques hors zone monétaire'],
+  ['526', 'Banques, intérêts courus'],
+  ['53', 'Établissements financiers et assimilés'],
+  ['531', 'Chèques postaux'],
+  ['532', 'Trésor'],
+  ['54', 'Instruments de trésorerie'],
+  ['55', 'Instruments de monnaie électronique'],
+  ['551', 'Monnaie électronique - carte carburant'],
+  ['552', 'Monnaie électronique - téléphone portable'],
+  ['5521', 'Orange Money'],
+  ['5522', 'Wave'],
+  ['556', 'Monnaie électronique - cartes prépayées'],
+  ['56', 'Banques, crédits de trésorerie et d\'escompte'],
+  ['561', 'Crédits de trésorerie'],
+  ['564', 'Escompte de crédits de campagne'],
+  ['565', 'Escompte de crédits ordinaires'],
+  ['57', 'Caisse'],
+  ['571', 'Caisse siège social'],
+  ['572', 'Caisse succursale A'],
+  ['58', 'Régies d\'avances, accréditifs et virements internes'],
+  ['581', 'Régies d\'avance'],
+  ['582', 'Accréditifs'],
+  ['585', 'Virements de fonds'],
+  ['588', 'Autres virements internes'],
+  ['59', 'Dépréciations et provisions pour risques à court terme (trésorerie)'],
+  ['590', 'Dépréciations des titres de placement'],
+  ['591', 'Dépréciations des titres et valeurs à encaisser'],
+  ['599', 'Provisions pour risques à court terme à caractère financier'],
+
+  // --- CLASSE 6 : COMPTES DE CHARGES DES ACTIVITÉS ORDINAIRES ---
+  ['60', 'Achats et variations de stocks'],
+  ['601', 'Achats de marchandises'],
+  ['6011', 'Achats de marchandises dans la région'],
+  ['6012', 'Achats de marchandises hors région'],
+  ['6019', 'Rabais, remises et ristournes obtenus (non ventilés)'],
+  ['602', 'Achats de matières premières et fournitures liées'],
+  ['603', 'Variations des stocks de biens achetés'],
+  ['6031', 'Variations des stocks de marchandises'],
+  ['6032', 'Variations des stocks de matières premières et fournitures liées'],
+  ['6033', 'Variations des stocks d\'autres approvisionnements'],
+  ['604', 'Achats stockés de matières et fournitures consommables'],
+  ['605', 'Autres achats'],
+  ['6051', 'Fournitures non stockables - eau'],
+  ['6052', 'Fournitures non stockables - électricité'],
+  ['6053', 'Fournitures non stockables - autres énergies'],
+  ['6054', 'Fournitures d\'entretien non stockables'],
+  ['6055', 'Fournitures de bureau non stockables'],
+  ['6056', 'Achats de petit matériel et outillage'],
+  ['6058', 'Achats de travaux, matériels et équipements'],
+  ['608', 'Achats d\'emballages'],
+  ['61', 'Transports'],
+  ['612', 'Transports sur ventes'],
+  ['613', 'Transports pour le compte de tiers'],
+  ['614', 'Transports du personnel'],
+  ['616', 'Transports de plis'],
+  ['618', 'Autres frais de transport'],
+  ['62', 'Services extérieurs A'],
+  ['621', 'Sous-traitance générale'],
+  ['622', 'Locations et charges locatives'],
+  ['6222', 'Locations de bâtiments'],
+  ['6223', 'Locations de matériels et outillages'],
+  ['623', 'Redevances de location-acquisition'],
+  ['624', 'Entretien, réparations, remise en état et maintenance'],
+  ['625', 'Primes d\'assurance'],
+  ['626', 'Études, recherches et documentation'],
+  ['627', 'Publicité, publications, relations publiques'],
+  ['628', 'Frais de télécommunications'],
+  ['63', 'Services extérieurs B'],
+  ['631', 'Frais bancaires'],
+  ['632', 'Rémunérations d\'intermédiaires et de conseils'],
+  ['633', 'Frais de formation du personnel'],
+  ['634', 'Redevances pour brevets, licences, logiciels'],
+  ['635', 'Cotisations'],
+  ['637', 'Rémunérations de personnel extérieur à l\'entité'],
+  ['638', 'Autres charges externes'],
+  ['64', 'Impôts et taxes'],
+  ['641', 'Impôts et taxes directs'],
+  ['645', 'Impôts et taxes indirects'],
+  ['646', 'Droits d\'enregistrement'],
+  ['647', 'Pénalités, amendes fiscales'],
+  ['648', 'Autres impôts et taxes'],
+  ['65', 'Autres charges'],
+  ['651', 'Pertes sur créances clients et autres débiteurs'],
+  ['652', 'Quote-part de résultat sur opérations faites en commun'],
+  ['654', 'Valeurs comptables des cessions courantes d\'immobilisations'],
+  ['656', 'Perte de change sur créances et dettes commerciales'],
+  ['658', 'Charges diverses'],
+  ['6588', 'Autres charges diverses'],
+  ['659', 'Charges pour dépréciations et provisions pour risques à court terme d\'exploitation'],
+  ['66', 'Charges de personnel'],
+  ['661', 'Rémunérations directes versées au personnel national'],
+  ['662', 'Rémunérations directes versées au personnel non national'],
+  ['663', 'Indemnités forfaitaires versées au personnel'],
+  ['664', 'Charges sociales'],
+  ['666', 'Rémunération de l\'exploitant individuel'],
+  ['668', 'Autres charges sociales'],
+  ['67', 'Frais financiers et charges assimilées'],
+  ['671', 'Intérêts des emprunts'],
+  ['672', 'Intérêts dans loyers de location-acquisition'],
+  ['673', 'Escomptes accordés'],
+  ['674', 'Autres intérêts'],
+  ['675', 'Escomptes des effets de commerce'],
+  ['676', 'Pertes de change financières'],
+  ['677', 'Pertes sur titres de placement'],
+  ['678', 'Pertes sur risques financiers'],
+  ['679', 'Charges pour dépréciations et provisions pour risques à court terme financières'],
+  ['68', 'Dotations aux amortissements'],
+  ['681', 'Dotations aux amortissements d\'exploitation'],
+  ['6812', 'Dotations aux amortissements des immobilisations incorporelles'],
+  ['6813', 'Dotations aux amortissements des immobilisations corporelles'],
+  ['69', 'Dotations aux provisions et aux dépréciations'],
+  ['691', 'Dotations aux provisions et aux dépréciations d\'exploitation'],
+  ['697', 'Dotations aux provisions et aux dépréciations financières'],
+
+  // --- CLASSE 7 : COMPTES DE PRODUITS DES ACTIVITÉS ORDINAIRES ---
+  ['70', 'Ventes'],
+  ['701', 'Ventes de marchandises'],
+  ['7011', 'Ventes de marchandises dans la région'],
+  ['7012', 'Ventes de marchandises hors région'],
+  ['7019', 'Rabais, remises et ristournes accordés (non ventilés)'],
+  ['702', 'Ventes de produits finis'],
+  ['703', 'Ventes de produits intermédiaires'],
+  ['704', 'Ventes de produits résiduels'],
+  ['705', 'Travaux facturés'],
+  ['706', 'Services vendus'],
+  ['707', 'Produits accessoires'],
+  ['7071', 'Ports, emballages perdus et autres frais facturés'],
+  ['7072', 'Commissions et courtages'],
+  ['7073', 'Locations et redevances de location-financement'],
+  ['71', 'Subventions d\'exploitation'],
+  ['711', 'Sur produits à l\'exportation'],
+  ['718', 'Autres subventions d\'exploitation'],
+  ['72', 'Production immobilisée'],
+  ['721', 'Immobilisations incorporelles'],
+  ['722', 'Immobilisations corporelles'],
+  ['73', 'Variations des stocks de biens et de services produits'],
+  ['734', 'Variations des stocks de produits en cours'],
+  ['736', 'Variations des stocks de produits finis'],
+  ['75', 'Autres produits'],
+  ['752', 'Quote-part de résultat sur opérations faites en commun'],
+  ['754', 'Produits des cessions courantes d\'immobilisations'],
+  ['756', 'Gains de change sur créances et dettes commerciales'],
+  ['758', 'Produits divers'],
+  ['759', 'Reprises de charges pour dépréciations et provisions pour risques à court terme d\'exploitation'],
+  ['77', 'Revenus financiers et produits assimilés'],
+  ['771', 'Intérêts de prêts et créances diverses'],
+  ['772', 'Revenus de participations et autres titres immobilisés'],
+  ['773', 'Escomptes obtenus'],
+  ['774', 'Revenus de placement'],
+  ['776', 'Gains de change financiers'],
+  ['777', 'Gains sur cessions de titres de placement'],
+  ['779', 'Reprises de charges pour dépréciations et provisions pour risques à court terme financières'],
+  ['78', 'Transferts de charges'],
+  ['781', 'Transferts de charges d\'exploitation'],
+  ['787', 'Transferts de charges financières'],
+  ['79', 'Reprises de provisions, de dépréciations et autres'],
+  ['791', 'Reprises de provisions et dépréciations d\'exploitation'],
+  ['797', 'Reprises de provisions et dépréciations financières'],
+  ['798', 'Reprises d\'amortissements'],
+  ['799', 'Reprises de subventions d\'investissement'],
+
+  // --- CLASSE 8 : COMPTES DES AUTRES CHARGES ET DES AUTRES PRODUITS ---
+  ['81', 'Valeurs comptables des cessions d\'immobilisations'],
+  ['811', 'Immobilisations incorporelles'],
+  ['812', 'Immobilisations corporelles'],
+  ['816', 'Immobilisations financières'],
+  ['82', 'Produits des cessions d\'immobilisations'],
+  ['821', 'Immobilisations incorporelles'],
+  ['822', 'Immobilisations corporelles'],
+  ['826', 'Immobilisations financières'],
+  ['83', 'Charges hors activités ordinaires'],
+  ['831', 'Charges HAO constatées'],
+  ['834', 'Pertes sur créances HAO'],
+  ['835', 'Dons et libéralités accordés'],
+  ['836', 'Abandons de créances consentis'],
+  ['839', 'Charges pour dépréciations et provisions pour risques à court terme HAO'],
+  ['84', 'Produits hors activités ordinaires'],
+  ['841', 'Produits HAO constatés'],
+  ['845', 'Dons et libéralités obtenus'],
+  ['846', 'Abandons de créances obtenus'],
+  ['849', 'Reprises de charges pour dépréciations et provisions pour risques à court terme HAO'],
+  ['85', 'Dotations hors activités ordinaires'],
+  ['851', 'Dotations aux provisions réglementées'],
+  ['852', 'Dotations aux amortissements HAO'],
+  ['86', 'Reprises de charges, provisions et dépréciations HAO'],
+  ['861', 'Reprises de provisions réglementées'],
+  ['862', 'Reprises d\'amortissements HAO'],
+  ['87', 'Participation des travailleurs'],
+  ['871', 'Participation légale aux bénéfices'],
+  ['88', 'Subventions d\'équilibre'],
+  ['881', 'État'],
+  ['89', 'Impôts sur le résultat'],
+  ['891', 'Impôts sur les bénéfices de l\'exercice'],
+  ['895', 'Impôt minimum forfaitaire (IMF)'],
+
+  // --- CLASSE 9 : COMPTES DES ENGAGEMENTS HORS BILAN ---
+  ['90', 'Engagements obtenus et engagements accordés'],
+  ['901', 'Engagements de financement obtenus'],
+  ['902', 'Engagements de garantie obtenus'],
+  ['905', 'Engagements de financement accordés'],
+  ['906', 'Engagements de garantie accordés'],
+  ['91', 'Contrepartie des engagements'],
+];
+
+// Racines des comptes de tiers lettrables
+const RACINES_LETTRABLES = ['40', '41', '42', '46', '47'];
+
+// Racines des comptes clients et fournisseurs, dont les lignes portent obligatoirement un tiers
+const RACINES_TIERS = ['401', '409', '411', '419'];
+
+/**
+ * Comptes par défaut des paramètres (champ de Parametres -> numéro de compte).
+ * Leurs comptes sont marqués système, comme les comptes de TVA.
+ */
+const COMPTES_PARAMETRES = {
+  compteClientsDefaut: '411',
+  compteAvancesClientsDefaut: '4191',
+  compteVentesDefaut: '701',
+  compteTVAVenteDefaut: '4431',
+  compteTresorerieDefaut: '521',
+  compteFournisseursDefaut: '401',
+  compteAchatsDefaut: '601',
+  compteTVAAchatDefaut: '4452',
+  compteTVADueDefaut: '4441',
+  compteCreditTVADefaut: '4449',
+  compteStockMarchandisesDefaut: '311',
+  compteVariationStockDefaut: '6031',
+  compteResultatBeneficeDefaut: '131',
+  compteResultatPerteDefaut: '139',
+  compteFraisBancairesDefaut: '631',
+  compteDotationsAmortissementsDefaut: '681',
+  compteValeurCessionDefaut: '812',
+  compteProduitCessionDefaut: '822',
+  compteCreanceCessionDefaut: '485',
+  comptePerteChangeDefaut: '676',
+  compteGainChangeDefaut: '776',
+  compteEcartConversionActifDefaut: '478',
+  compteEcartConversionPassifDefaut: '479',
+};
+
+/**
+ * Journaux standards, avec le champ de Parametres dont ils sont le journal par défaut.
+ */
+const JOURNAUX = [
+  { code: 'VT', libelle: 'Journal des ventes', type: 'Vente', parametre: 'journalVentesParDefaut' },
+  { code: 'AC', libelle: 'Journal des achats', type: 'Achat', parametre: 'journalAchatsParDefaut' },
+  { code: 'BQ', libelle: 'Journal de banque', type: 'Trésorerie', compteContrepartie: '521', parametre: 'journalTresorerieParDefaut' },
+  { code: 'CA', libelle: 'Journal de caisse', type: 'Trésorerie', compteContrepartie: '571' },
+  { code: 'OD', libelle: 'Journal des opérations diverses', type: 'Opérations diverses', parametre: 'journalOperationsDiversesParDefaut' },
+  { code: 'AN', libelle: 'Journal des à-nouveaux', type: 'À-nouveaux', parametre: 'journalANouveauxParDefaut' },
+];
+
+const comptesSysteme = new Set(Object.values(COMPTES_PARAMETRES));
+const commencePar = (numero, racines) => racines.some(racine => numero.startsWith(racine));
+
+/**
+ * Indicateurs par défaut d'un compte, déduits de son numéro.
+ * @param {string} numero
+ * @returns {{ estLettrable: boolean, compteTiers: boolean, estSysteme: boolean }}
+ */
+const indicateursParDefaut = (numero) => ({
+  estLettrable: numero.length >= 3 && commencePar(numero, RACINES_LETTRABLES),
+  compteTiers: commencePar(numero, RACINES_TIERS),
+  estSysteme: comptesSysteme.has(numero) || commencePar(numero, ['443', '444', '445']),
+});
+
+module.exports = {
+  comptes: COMPTES.map(([numero, libelle]) => ({ numero, libelle, ...indicateursParDefaut(numero) })),
+  comptesParametres: COMPTES_PARAMETRES,
+  journaux: JOURNAUX,
+  indicateursParDefaut,
+};
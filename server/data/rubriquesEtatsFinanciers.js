@@ -0,0 +1,125 @@
+/**
+ * @file rubriquesEtatsFinanciers.js
+ * @description Affectation par défaut des comptes aux rubriques du Bilan et du Compte de résultat
+ * (SYSCOHADA révisé, système normal). Elle sert à initialiser la collection RubriqueEtatFinancier,
+ * que l'entreprise peut ensuite adapter à son plan comptable.
+ *
+ * Chaque règle de compte désigne une racine ; un compte est rattaché à la règle dont la racine
+ * est la plus longue parmi celles qui lui correspondent. `sens` restreint une règle aux comptes
+ * de solde débiteur ou créditeur (ex: une banque débitrice à l'actif, créditrice au passif) et
+ * `amortissement` range le compte dans la colonne des amortissements et dépréciations de l'actif.
+ */
+
+/**
+ * Raccourci pour déclarer les règles de compte d'une rubrique.
+ * @param {Array<string>} racines - Les racines de comptes.
+ * @param {object} [options] - `sens` et `amortissement` communs aux racines.
+ * @returns {Array<object>}
+ */
+const comptes = (racines, options = {}) => racines.map(racine => ({ racine, ...options }));
+const amortis = (racines) => comptes(racines, { amortissement: true });
+const debiteurs = (racines) => comptes(racines, { sens: 'Débiteur' });
+const crediteurs = (racines) => comptes(racines, { sens: 'Créditeur' });
+
+const BILAN = [
+  // --- ACTIF ---
+  { reference: 'AD', libelle: 'Immobilisations incorporelles', cote: 'Actif', comptes: [...comptes(['21']), ...amortis(['281', '291'])] },
+  { reference: 'AI', libelle: 'Immobilisations corporelles', cote: 'Actif', comptes: [...comptes(['22', '23', '24']), ...amortis(['282', '283', '284', '292', '293', '294'])] },
+  { reference: 'AQ', libelle: 'Avances et acomptes versés sur immobilisations', cote: 'Actif', comptes: [...comptes(['25']), ...amortis(['295'])] },
+  { reference: 'AR', libelle: 'Immobilisations financières', cote: 'Actif', comptes: [...comptes(['26', '27']), ...amortis(['296', '297'])] },
+  { reference: 'AZ', libelle: 'TOTAL ACTIF IMMOBILISÉ', cote: 'Actif', type: 'Total', formule: 'AD+AI+AQ+AR' },
+  { reference: 'BA', libelle: 'Actif circulant HAO', cote: 'Actif', comptes: [...comptes(['485', '488']), ...amortis(['498'])] },
+  { reference: 'BB', libelle: 'Stocks et encours', cote: 'Actif', comptes: [...comptes(['3']), ...amortis(['39'])] },
+  { reference: 'BH', libelle: 'Fournisseurs, avances versées', cote: 'Actif', comptes: debiteurs(['40']) },
+  { reference: 'BI', libelle: 'Clients', cote: 'Actif', comptes: [...debiteurs(['41']), ...amortis(['491'])] },
+  { reference: 'BJ', libelle: 'Autres créances', cote: 'Actif', comptes: [...debiteurs(['42', '43', '44', '45', '46', '47']), ...amortis(['49'])] },
+  { reference: 'BG', libelle: 'Créances et emplois assimilés', cote: 'Actif', type: 'Total', formule: 'BH+BI+BJ' },
+  { reference: 'BK', libelle: 'TOTAL ACTIF CIRCULANT', cote: 'Actif', type: 'Total', formule: 'BA+BB+BG' },
+  { reference: 'BQ', libelle: 'Titres de placement', cote: 'Actif', comptes: [...comptes(['50']), ...amortis(['590'])] },
+  { reference: 'BR', libelle: 'Valeurs à encaisser', cote: 'Actif', comptes: comptes(['51']) },
+  { reference: 'BS', libelle: 'Banques, chèques postaux, caisse et assimilés', cote: 'Actif', comptes: [...debiteurs(['52', '53', '54', '55', '57', '58']), ...amortis(['59'])] },
+  { reference: 'BT', libelle: 'TOTAL TRÉSORERIE-ACTIF', cote: 'Actif', type: 'Total', formule: 'BQ+BR+BS' },
+  { reference: 'BU', libelle: 'Écart de conversion-Actif', cote: 'Actif', comptes: comptes(['478']) },
+  { reference: 'BZ', libelle: 'TOTAL GÉNÉRAL', cote: 'Actif', type: 'Total', formule: 'AZ+BK+BT+BU' },
+
+  // --- PASSIF ---
+  { reference: 'CA', libelle: 'Capital', cote: 'Passif', comptes: comptes(['101', '102', '103', '104']) },
+  { reference: 'CB', libelle: 'Apporteurs capital non appelé (-)', cote: 'Passif', comptes: comptes(['109']) },
+  { reference: 'CD', libelle: 'Primes liées au capital social', cote: 'Passif', comptes: comptes(['105']) },
+  { reference: 'CE', libelle: 'Écarts de réévaluation', cote: 'Passif', comptes: comptes(['106']) },
+  { reference: 'CF', libelle: 'Réserves indisponibles', cote: 'Passif', comptes: comptes(['111', '112']) },
+  { reference: 'CG', libelle: 'Réserves libres', cote: 'Passif', comptes: comptes(['113', '118']) },
+  { reference: 'CH', libelle: 'Report à nouveau (+ ou -)', cote: 'Passif', comptes: comptes(['12']) },
+  // Tant que l'exercice n'est pas clôturé, le résultat est encore porté par les comptes de gestion
+  { reference: 'CJ', libelle: 'Résultat net de l\'exercice (bénéfice + ou perte -)', cote: 'Passif', comptes: comptes(['13', '6', '7', '8']) },
+  { reference: 'CL', libelle: 'Subventions d\'investissement', cote: 'Passif', comptes: comptes(['14']) },
+  { reference: 'CM', libelle: 'Provisions réglementées', cote: 'Passif', comptes: comptes(['15']) },
+  { reference: 'CP', libelle: 'TOTAL CAPITAUX PROPRES ET RESSOURCES ASSIMILÉES', cote: 'Passif', type: 'Total', formule: 'CA+CB+CD+CE+CF+CG+CH+CJ+CL+CM' },
+  { reference: 'DA', libelle: 'Emprunts et dettes financières diverses', cote: 'Passif', comptes: comptes(['16', '18']) },
+  { reference: 'DB', libelle: 'Dettes de location-acquisition', cote: 'Passif', comptes: comptes(['17']) },
+  { reference: 'DC', libelle: 'Provisions pour risques et charges', cote: 'Passif', comptes: comptes(['19']) },
+  { reference: 'DD', libelle: 'TOTAL DETTES FINANCIÈRES ET RESSOURCES ASSIMILÉES', cote: 'Passif', type: 'Total', formule: 'DA+DB+DC' },
+  { reference: 'DF', libelle: 'TOTAL RESSOURCES STABLES', cote: 'Passif', type: 'Total', formule: 'CP+DD' },
+  { reference: 'DH', libelle: 'Dettes circulantes HAO', cote: 'Passif', comptes: comptes(['481', '482', '484']) },
+  { reference: 'DI', libelle: 'Clients, avances reçues', cote: 'Passif', comptes: crediteurs(['41']) },
+  { reference: 'DJ', libelle: 'Fournisseurs d\'exploitation', cote: 'Passif', comptes: crediteurs(['40']) },
+  { reference: 'DK', libelle: 'Dettes fiscales et sociales', cote: 'Passif', comptes: crediteurs(['42', '43', '44']) },
+  { reference: 'DM', libelle: 'Autres dettes', cote: 'Passif', comptes: crediteurs(['45', '46', '47']) },
+  { reference: 'DN', libelle: 'Provisions pour risques à court terme', cote: 'Passif', comptes: comptes(['499', '599']) },
+  { reference: 'DP', libelle: 'TOTAL PASSIF CIRCULANT', cote: 'Passif', type: 'Total', formule: 'DH+DI+DJ+DK+DM+DN' },
+  { reference: 'DQ', libelle: 'Banques, crédits d\'escompte', cote: 'Passif', comptes: comptes(['565']) },
+  { reference: 'DR', libelle: 'Banques, établissements financiers et crédits de trésorerie', cote: 'Passif', comptes: [...crediteurs(['52', '53', '54', '55', '57', '58']), ...comptes(['56'])] },
+  { reference: 'DT', libelle: 'TOTAL TRÉSORERIE-PASSIF', cote: 'Passif', type: 'Total', formule: 'DQ+DR' },
+  { reference: 'DV', libelle: 'Écart de conversion-Passif', cote: 'Passif', comptes: comptes(['479']) },
+  { reference: 'DZ', libelle: 'TOTAL GÉNÉRAL', cote: 'Passif', type: 'Total', formule: 'DF+DP+DT+DV' },
+];
+
+const COMPTE_RESULTAT = [
+  { reference: 'TA', libelle: 'Ventes de marchandises', cote: 'Produit', comptes: comptes(['701']) },
+  { reference: 'RA', libelle: 'Achats de marchandises', cote: 'Charge', comptes: comptes(['601']) },
+  { reference: 'RB', libelle: 'Variation de stocks de marchandises', cote: 'Charge', comptes: comptes(['6031']) },
+  { reference: 'XA', libelle: 'MARGE COMMERCIALE', type: 'Total', formule: 'TA-RA-RB' },
+  { reference: 'TB', libelle: 'Ventes de produits fabriqués', cote: 'Produit', comptes: comptes(['702', '703', '704']) },
+  { reference: 'TC', libelle: 'Travaux, services vendus', cote: 'Produit', comptes: comptes(['705', '706']) },
+  { reference: 'TD', libelle: 'Produits accessoires', cote: 'Produit', comptes: comptes(['707']) },
+  { reference: 'XB', libelle: 'CHIFFRE D\'AFFAIRES', type: 'Total', formule: 'TA+TB+TC+TD' },
+  { reference: 'TE', libelle: 'Production stockée (ou déstockage)', cote: 'Produit', comptes: comptes(['73']) },
+  { reference: 'TF', libelle: 'Production immobilisée', cote: 'Produit', comptes: comptes(['72']) },
+  { reference: 'TG', libelle: 'Subventions d\'exploitation', cote: 'Produit', comptes: comptes(['71']) },
+  { reference: 'TH', libelle: 'Autres produits', cote: 'Produit', comptes: comptes(['75']) },
+  { reference: 'TI', libelle: 'Transferts de charges d\'exploitation', cote: 'Produit', comptes: comptes(['781']) },
+  { reference: 'RC', libelle: 'Achats de matières premières et fournitures liées', cote: 'Charge', comptes: comptes(['602']) },
+  { reference: 'RD', libelle: 'Variation de stocks de matières premières et fournitures liées', cote: 'Charge', comptes: comptes(['6032']) },
+  { reference: 'RE', libelle: 'Autres achats', cote: 'Charge', comptes: comptes(['604', '605', '608']) },
+  { reference: 'RF', libelle: 'Variation de stocks d\'autres approvisionnements', cote: 'Charge', comptes: comptes(['6033']) },
+  { reference: 'RG', libelle: 'Transports', cote: 'Charge', comptes: comptes(['61']) },
+  { reference: 'RH', libelle: 'Services extérieurs', cote: 'Charge', comptes: comptes(['62', '63']) },
+  { reference: 'RI', libelle: 'Impôts et taxes', cote: 'Charge', comptes: comptes(['64']) },
+  { reference: 'RJ', libelle: 'Autres charges', cote: 'Charge', comptes: comptes(['65']) },
+  { reference: 'XC', libelle: 'VALEUR AJOUTÉE', type: 'Total', formule: 'XA+TB+TC+TD+TE+TF+TG+TH+TI-RC-RD-RE-RF-RG-RH-RI-RJ' },
+  { reference: 'RK', libelle: 'Charges de personnel', cote: 'Charge', comptes: comptes(['66']) },
+  { reference: 'XD', libelle: 'EXCÉDENT BRUT D\'EXPLOITATION', type: 'Total', formule: 'XC-RK' },
+  { reference: 'TJ', libelle: 'Reprises d\'amortissements, provisions et dépréciations', cote: 'Produit', comptes: comptes(['791', '798', '799']) },
+  { reference: 'RL', libelle: 'Dotations aux amortissements, aux provisions et dépréciations', cote: 'Charge', comptes: comptes(['681', '691']) },
+  { reference: 'XE', libelle: 'RÉSULTAT D\'EXPLOITATION', type: 'Total', formule: 'XD+TJ-RL' },
+  { reference: 'TK', libelle: 'Revenus financiers et assimilés', cote: 'Produit', comptes: comptes(['77']) },
+  { reference: 'TL', libelle: 'Reprises de provisions et dépréciations financières', cote: 'Produit', comptes: comptes(['797']) },
+  { reference: 'TM', libelle: 'Transferts de charges financières', cote: 'Produit', comptes: comptes(['787']) },
+  { reference: 'RM', libelle: 'Frais financiers et charges assimilées', cote: 'Charge', comptes: comptes(['67']) },
+  { reference: 'RN', libelle: 'Dotations aux provisions et aux dépréciations financières', cote: 'Charge', comptes: comptes(['697']) },
+  { reference: 'XF', libelle: 'RÉSULTAT FINANCIER', type: 'Total', formule: 'TK+TL+TM-RM-RN' },
+  { reference: 'XG', libelle: 'RÉSULTAT DES ACTIVITÉS ORDINAIRES', type: 'Total', formule: 'XE+XF' },
+  { reference: 'TN', libelle: 'Produits des cessions d\'immobilisations', cote: 'Produit', comptes: comptes(['82']) },
+  { reference: 'TO', libelle: 'Autres produits HAO', cote: 'Produit', comptes: comptes(['84', '86', '88']) },
+  { reference: 'RO', libelle: 'Valeurs comptables des cessions d\'immobilisations', cote: 'Charge', comptes: comptes(['81']) },
+  { reference: 'RP', libelle: 'Autres charges HAO', cote: 'Charge', comptes: comptes(['83', '85']) },
+  { reference: 'XH', libelle: 'RÉSULTAT HORS ACTIVITÉS ORDINAIRES', type: 'Total', formule: 'TN+TO-RO-RP' },
+  { reference: 'RQ', libelle: 'Participation des travailleurs', cote: 'Charge', comptes: comptes(['87']) },
+  { reference: 'RS', libelle: 'Impôts sur le résultat', cote: 'Charge', comptes: comptes(['89']) },
+  { reference: 'XI', libelle: 'RÉSULTAT NET', type: 'Total', formule: 'XG+XH-RQ-RS' },
+];
+
+module.exports = [
+  ...BILAN.map((rubrique, index) => ({ etat: 'Bilan', ordre: index + 1, ...rubrique })),
+  ...COMPTE_RESULTAT.map((rubrique, index) => ({ etat: 'CompteResultat', ordre: index + 1, ...rubrique })),
+];
@@ -20,6 +20,23 @@ const uploadDocument = upload({
   maxSize: 10, // 10 Mo maximum
 }).single('document'); // 'document' est le nom du champ du formulaire
 
+// Configuration pour l'import d'un relevé bancaire (CSV, OFX, CAMT.053)
+const uploadReleveBancaire = upload({
+  allowedMimes: ['text/csv', 'text/plain', 'application/vnd.ms-excel', 'application/x-ofx', 'application/ofx', 'application/xml', 'text/xml', 'application/octet-stream'],
+  maxSize: 5,
+}).single('releve');
+
+// Configuration pour l'import d'un plan comptable (CSV ou Excel)
+const uploadPlanComptable = upload({
+  allowedMimes: ['text/csv', 'text/plain', 'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/octet-stream'],
+  maxSize: 5,
+}).single('plan');
+
+const uploadBudget = upload({
+  allowedMimes: ['text/csv', 'text/plain', 'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/octet-stream'],
+  maxSize: 5,
+}).single('budget');
+
 // Middleware personnalisé pour gérer les erreurs de Multer de manière plus propre
 const handleUploadErrors = (uploadMiddleware) => (req, res, next) => {
     uploadMiddleware(req, res, function (err) {
@@ -44,4 +61,7 @@ module.exports = {
   // On exporte les middlewares prêts à l'emploi avec leur gestionnaire d'erreurs
   uploadImage: handleUploadErrors(uploadImage),
   uploadDocument: handleUploadErrors(uploadDocument),
+  uploadReleveBancaire: handleUploadErrors(uploadReleveBancaire),
+  uploadPlanComptable: handleUploadErrors(uploadPlanComptable),
+  uploadBudget: handleUploadErrors(uploadBudget),
 };
\ No newline at end of file
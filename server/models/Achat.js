@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { champsDevise, appliquerContreValeur } = require('../utils/devises');
 
 /**
  * Schéma pour une ligne individuelle dans un achat.
@@ -11,6 +12,7 @@ const ligneAchatSchema = new Schema({
   quantite: { type: Number, required: true, min: [0.01, 'La quantité doit être positive.'] },
   prixUnitaireHT: { type: Number, required: true }, // Prix d'achat convenu
   tauxTVA: { type: Number, required: true },
+  quantiteRecue: { type: Number, default: 0, min: 0 }, // Cumul des quantités réceptionnées
 }, {
   _id: false,
   toJSON: { virtuals: true },
@@ -53,6 +55,9 @@ const achatSchema = new Schema({
   totalTVA: { type: Number, default: 0 },
   totalTTC: { type: Number, default: 0 },
 
+  // --- Devise : lignes et totaux dans la devise du document, contre-valeur en XOF ---
+  ...champsDevise(),
+
   // Statut et Workflow
   statut: {
     type: String,
@@ -65,10 +70,12 @@ const achatSchema = new Schema({
     default: 'Non payé'
   },
   montantPaye: { type: Number, default: 0 },
+  montantAvoirsFournisseur: { type: Number, default: 0, description: "Total TTC des retours fournisseurs validés sur cet achat." },
 
   // Liens avec d'autres documents
-  facturesFournisseurLiees: [{ type: Schema.Types.ObjectId, ref: 'FactureFournisseur' }], // Futur modèle
-  receptionsLiees: [{ type: Schema.Types.ObjectId, ref: 'BonReception' }], // Futur modèle
+  facturesFournisseurLiees: [{ type: Schema.Types.ObjectId, ref: 'FactureFournisseur' }],
+  receptionsLiees: [{ type: Schema.Types.ObjectId, ref: 'BonReception' }],
+  retoursFournisseurLies: [{ type: Schema.Types.ObjectId, ref: 'RetourFournisseur' }],
 
   // Métadonnées
   notes: { type: String, trim: true },
@@ -90,11 +97,13 @@ achatSchema.pre('save', function(next) {
   this.totalHT = totalHT;
   this.totalTVA = totalTVA;
   this.totalTTC = totalHT + totalTVA;
+  appliquerContreValeur(this);
 
-  // Mise à jour du statut de paiement
-  if (this.montantPaye >= this.totalTTC) {
+  // Mise à jour du statut de paiement, sur le montant dû après avoirs fournisseurs
+  const montantDu = this.totalTTC - (this.montantAvoirsFournisseur || 0);
+  if (this.montantPaye >= montantDu) {
       this.statutPaiement = 'Payé';
-  } else if (this.montantPaye > 0 && this.montantPaye < this.totalTTC) {
+  } else if (this.montantPaye > 0 && this.montantPaye < montantDu) {
       this.statutPaiement = 'Partiellement payé';
   } else {
       this.statutPaiement = 'Non payé';
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schéma pour une ligne d'avoir.
+ * Reprend la ligne de la facture d'origine (snapshot) avec la quantité créditée.
+ * `indexLigneFacture` permet de suivre les quantités déjà créditées par ligne,
+ * les lignes de facture n'ayant pas d'identifiant propre.
+ */
+const ligneAvoirSchema = new Schema({
+  indexLigneFacture: { type: Number, required: true, min: 0 },
+  produit: { type: Schema.Types.ObjectId, ref: 'Produit' },
+  description: { type: String, required: true },
+  quantite: { type: Number, required: true, min: [0.01, 'La quantité créditée doit être positive.'] },
+  prixUnitaireHT: { type: Number, required: true },
+  tauxTVA: { type: Number, required: true },
+  remise: {
+    type: { type: String, enum: ['Pourcentage', 'Montant'], default: 'Pourcentage' },
+    valeur: { type: Number, default: 0 }
+  }
+}, {
+  _id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Mêmes virtuals que pour les lignes de facture
+ligneAvoirSchema.virtual('totalLigneHT').get(function() { return this.quantite * this.prixUnitaireHT; });
+ligneAvoirSchema.virtual('montantRemise').get(function() {
+  if (this.remise.type === 'Pourcentage') { return this.totalLigneHT * (this.remise.valeur / 100); }
+  return this.remise.valeur;
+});
+ligneAvoirSchema.virtual('totalLigneApresRemiseHT').get(function() { return this.totalLigneHT - this.montantRemise; });
+ligneAvoirSchema.virtual('montantTVA').get(function() { return this.totalLigneApresRemiseHT * (this.tauxTVA / 100); });
+ligneAvoirSchema.virtual('totalLigneTTC').get(function() { return this.totalLigneApresRemiseHT + this.montantTVA; });
+
+
+/**
+ * Schéma de l'Avoir (note de crédit).
+ * Document qui annule totalement ou partiellement une facture de vente :
+ * il contre-passe l'écriture de vente, peut réintégrer les marchandises en stock
+ * et diminue le solde restant dû sur la facture d'origine.
+ */
+const avoirSchema = new Schema({
+  numero: { type: String, unique: true, required: true, uppercase: true, trim: true },
+  factureOrigine: { type: Schema.Types.ObjectId, ref: 'Facture', required: [true, 'Un avoir doit être lié à une facture.'] },
+  client: { type: Schema.Types.ObjectId, ref: 'Client', required: true },
+
+  dateEmission: { type: Date, default: Date.now, required: true },
+  typeAvoir: { type: String, enum: ['Total', 'Partiel'], required: true, default: 'Partiel' },
+  motif: { type: String, trim: true, required: [true, 'Le motif de l\'avoir est obligatoire.'] },
+
+  lignes: {
+    type: [ligneAvoirSchema],
+    validate: [v => Array.isArray(v) && v.length > 0, 'Un avoir doit contenir au moins une ligne.']
+  },
+
+  // --- Totaux ---
+  totalHT: { type: Number, required: true, default: 0 },
+  totalRemise: { type: Number, required: true, default: 0 },
+  totalTVA: { type: Number, required: true, default: 0 },
+  totalTTC: { type: Number, required: true, default: 0 },
+
+  statut: {
+    type: String,
+    enum: ['Brouillon', 'Validé', 'Annulé'],
+    default: 'Brouillon'
+  },
+
+  // --- Liens ---
+  retourClientLie: { type: Schema.Types.ObjectId, ref: 'RetourClient', description: "Retour de marchandises à l'origine de l'avoir, le cas échéant." },
+
+  // --- Stock ---
+  reintegrerStock: { type: Boolean, default: false, description: "Indique si les marchandises doivent être remises en stock (RETOUR_CLIENT)." },
+  depotRetour: { type: Schema.Types.ObjectId, ref: 'Depot' },
+  mouvementStockCree: { type: Boolean, default: false },
+
+  // --- Comptabilité ---
+  comptabilise: { type: Boolean, default: false },
+  ecritureComptable: { type: Schema.Types.ObjectId, ref: 'EcritureComptable' },
+
+  // --- Métadonnées ---
+  notes: { type: String, trim: true },
+  validePar: { type: Schema.Types.ObjectId, ref: 'User' },
+  dateValidation: { type: Date },
+  creePar: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+/**
+ * Middleware pre-save pour calculer les totaux.
+ */
+avoirSchema.pre('save', function(next) {
+  let totalHT = 0, totalRemise = 0, totalTVA = 0;
+  this.lignes.forEach(ligne => {
+    totalHT += ligne.totalLigneHT;
+    totalRemise += ligne.montantRemise;
+    totalTVA += ligne.montantTVA;
+  });
+  this.totalHT = totalHT;
+  this.totalRemise = totalRemise;
+  this.totalTVA = totalTVA;
+  this.totalTTC = totalHT - totalRemise + totalTVA;
+
+  next();
+});
+
+/**
+ * Calcule, pour chaque ligne d'une facture, la quantité déjà couverte par des avoirs non annulés.
+ * @param {string} factureId - L'ID de la facture d'origine.
+ * @param {object} [session] - Session MongoDB de la transaction en cours.
+ * @returns {Promise<Map<number, number>>} Quantité déjà créditée, indexée par index de ligne de facture.
+ */
+avoirSchema.statics.getQuantitesDejaCreditees = async function(factureId, session) {
+  const avoirs = await this.find({ factureOrigine: factureId, statut: { $ne: 'Annulé' } }).session(session);
+  const quantites = new Map();
+  avoirs.forEach(avoir => {
+    avoir.lignes.forEach(ligne => {
+      const dejaCredite = quantites.get(ligne.indexLigneFacture) || 0;
+      quantites.set(ligne.indexLigneFacture, dejaCredite + ligne.quantite);
+    });
+  });
+  return quantites;
+};
+
+// Index
+avoirSchema.index({ factureOrigine: 1 });
+avoirSchema.index({ client: 1, dateEmission: -1 });
+
+const Avoir = mongoose.model('Avoir', avoirSchema);
+
+module.exports = Avoir;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schéma de l'Axe Analytique.
+ * Un axe est une grille de lecture de la comptabilité générale (agences, dépôts, projets
+ * clients...) ; chaque ligne de charge ou de produit peut être ventilée entre les sections
+ * de chacun des axes.
+ */
+const axeAnalytiqueSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Le code de l'axe analytique est obligatoire."],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      maxlength: [10, 'Le code ne peut pas dépasser 10 caractères.'],
+      description: "Code court de l'axe (ex: 'AGENCE', 'DEPOT', 'PROJET')."
+    },
+    libelle: {
+      type: String,
+      required: [true, "Le libellé de l'axe analytique est obligatoire."],
+      trim: true,
+    },
+    description: { type: String, trim: true },
+    actif: {
+      type: Boolean,
+      default: true,
+      description: "Un axe inactif ne reçoit plus de nouvelles ventilations."
+    },
+    creePar: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const AxeAnalytique = mongoose.model('AxeAnalytique', axeAnalytiqueSchema);
+
+module.exports = AxeAnalytique;
@@ -11,7 +11,8 @@ const ligneBonCommandeSchema = new Schema({
   quantite: { type: Number, required: true, min: [0.01, 'La quantité doit être positive.'] },
   prixUnitaireHT: { type: Number, required: true }, // Prix d'achat convenu
   tauxTVA: { type: Number, required: true },
-  dateLivraisonSouhaitee: { type: Date }
+  dateLivraisonSouhaitee: { type: Date },
+  quantiteRecue: { type: Number, default: 0, min: 0 }, // Cumul des quantités réceptionnées
 }, {
   _id: false,
   toJSON: { virtuals: true },
@@ -71,7 +72,7 @@ const bonCommandeSchema = new Schema({
 
   // --- Liens ---
   // achatLie: { type: Schema.Types.ObjectId, ref: 'Achat' }, // Si on considère Achat comme une "demande d'achat" interne
-  receptionsLiees: [{ type: Schema.Types.ObjectId, ref: 'BonLivraison' }], // Bon de livraison du fournisseur
+  receptionsLiees: [{ type: Schema.Types.ObjectId, ref: 'BonReception' }], // Réceptions de la marchandise commandée
 
   // --- Métadonnées ---
   creePar: { type: Schema.Types.ObjectId, ref: 'User', required: true },
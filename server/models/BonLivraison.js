@@ -6,6 +6,7 @@ const Schema = mongoose.Schema;
  * Se concentre sur la quantité livrée.
  */
 const ligneBonLivraisonSchema = new Schema({
+  indexLigneVente: { type: Number, min: 0, description: "Index de la ligne correspondante dans la vente liée." },
   produit: { type: Schema.Types.ObjectId, ref: 'Produit', required: true },
   description: { type: String, required: true },
   quantiteCommandee: { type: Number, required: true },
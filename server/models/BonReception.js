@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schéma pour une ligne de bon de réception.
+ * Se concentre sur la quantité effectivement reçue pour la ligne de commande correspondante.
+ */
+const ligneBonReceptionSchema = new Schema({
+  indexLigneCommande: { type: Number, required: true, min: 0, description: "Index de la ligne dans l'achat ou le bon de commande d'origine." },
+  produit: { type: Schema.Types.ObjectId, ref: 'Produit', required: true },
+  description: { type: String, required: true },
+  quantiteCommandee: { type: Number, required: true },
+  quantiteRecue: { type: Number, required: true, min: [0, 'La quantité reçue ne peut pas être négative.'] },
+  coutUnitaireHT: { type: Number, required: true, description: "Prix d'achat HT net convenu sur la commande, en XOF, utilisé pour valoriser l'entrée en stock." }
+}, { _id: false });
+
+
+/**
+ * Schéma du Bon de Réception (BR).
+ * Document qui atteste de l'arrivée de marchandises commandées à un fournisseur
+ * dans un dépôt. Il déclenche les mouvements de stock entrants (ENTREE_ACHAT).
+ * Une commande peut être réceptionnée en plusieurs fois.
+ */
+const bonReceptionSchema = new Schema({
+  numero: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  fournisseur: { type: Schema.Types.ObjectId, ref: 'Fournisseur', required: true },
+  depot: { type: Schema.Types.ObjectId, ref: 'Depot', required: [true, 'Le dépôt de réception est obligatoire.'] },
+
+  dateReception: { type: Date, default: Date.now, required: true },
+
+  lignes: {
+    type: [ligneBonReceptionSchema],
+    validate: [v => Array.isArray(v) && v.length > 0, 'Un bon de réception doit contenir au moins une ligne.']
+  },
+
+  // --- Document d'origine (l'un ou l'autre) ---
+  achatLie: { type: Schema.Types.ObjectId, ref: 'Achat' },
+  bonCommandeLie: { type: Schema.Types.ObjectId, ref: 'BonCommande' },
+
+  // --- Informations de livraison du fournisseur ---
+  referenceLivraisonFournisseur: { type: String, trim: true, description: "Numéro du bon de livraison émis par le fournisseur." },
+  recuPar: { type: Schema.Types.ObjectId, ref: 'User' },
+
+  // --- Métadonnées ---
+  creePar: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  notes: { type: String, trim: true },
+
+  // --- Stock ---
+  mouvementStockCree: { type: Boolean, default: false, description: "Indique si les mouvements de stock ont été générés pour ce BR." }
+}, { timestamps: true });
+
+/**
+ * Validation : un bon de réception se rapporte à exactement un document de commande.
+ */
+bonReceptionSchema.pre('validate', function(next) {
+  if (!this.achatLie === !this.bonCommandeLie) {
+    this.invalidate('achatLie', 'Un bon de réception doit être lié soit à un achat, soit à un bon de commande.');
+  }
+  next();
+});
+
+// Index
+bonReceptionSchema.index({ achatLie: 1 });
+bonReceptionSchema.index({ bonCommandeLie: 1 });
+bonReceptionSchema.index({ fournisseur: 1, dateReception: -1 });
+
+const BonReception = mongoose.model('BonReception', bonReceptionSchema);
+
+module.exports = BonReception;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schéma du montant budgété d'un mois.
+ */
+const montantMensuelSchema = new Schema({
+  periode: { type: String, required: true, match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'La période doit être au format AAAA-MM.'] },
+  montant: { type: Number, required: true, min: [0, 'Un montant budgété ne peut pas être négatif.'] },
+}, { _id: false });
+
+/**
+ * Schéma d'une ligne de budget : un compte de gestion ou une plage de comptes (bornes agissant
+ * comme des racines, ex: de '604' à '605'), éventuellement limitée à une section analytique,
+ * avec son montant pour chaque mois de l'exercice.
+ */
+const ligneBudgetSchema = new Schema({
+  compteDebut: { type: String, required: true, trim: true, match: [/^[6-8][0-9]*$/, 'Un budget porte sur des comptes de gestion (classes 6, 7 et 8).'] },
+  compteFin: { type: String, required: true, trim: true, match: [/^[6-8][0-9]*$/, 'Un budget porte sur des comptes de gestion (classes 6, 7 et 8).'] },
+  libelle: { type: String, trim: true },
+  section: { type: Schema.Types.ObjectId, ref: 'SectionAnalytique', description: "Limite la ligne aux quotes-parts ventilées sur cette section." },
+  nature: { type: String, enum: ['Charge', 'Produit'], required: true },
+  montants: [montantMensuelSchema],
+  alertes: [{ type: String, description: "Mois (AAAA-MM) dont le dépassement a déjà été notifié." }],
+}, {
+  _id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+ligneBudgetSchema.virtual('montantAnnuel').get(function() {
+  return Math.round(this.montants.reduce((acc, m) => acc + m.montant, 0) * 100) / 100;
+});
+
+/**
+ * Schéma du Budget.
+ * Le budget d'un exercice, ligne par compte (ou plage de comptes) et le cas échéant par section
+ * analytique, ventilé par mois, comparé aux réalisations de la comptabilité générale et analytique.
+ */
+const budgetSchema = new Schema({
+  exercice: { type: Schema.Types.ObjectId, ref: 'Exercice', required: true, unique: true },
+  libelle: { type: String, required: true, trim: true },
+  lignes: [ligneBudgetSchema],
+  creePar: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  modifiePar: { type: Schema.Types.ObjectId, ref: 'User' },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+const Budget = mongoose.model('Budget', budgetSchema);
+
+module.exports = Budget;
@@ -80,10 +80,15 @@ const clientSchema = new Schema(
       default: true,
     },
     compteComptableAssocie: {
-      // Pourrait faire référence à un modèle CompteComptable plus tard
-      type: String,
-      trim: true,
+      type: Schema.Types.ObjectId,
+      ref: 'CompteComptable',
+      // Compte auxiliaire du client (ex: 4110001) ou compte collectif (411), voir compteTiersService
     },
+    sectionsAnalytiques: [{
+      type: Schema.Types.ObjectId,
+      ref: 'SectionAnalytique',
+      description: "Sections par défaut (une par axe, ex: projet du client) de ses écritures de ventes."
+    }],
     
     // --- Informations Financières (calculées dynamiquement) ---
     solde: {
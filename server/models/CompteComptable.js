@@ -52,6 +52,12 @@ const compteComptableSchema = new Schema(
       description: "Indique si les écritures de ce compte peuvent être lettrées (rapprochées), typiquement les comptes de tiers (401, 411)."
     },
     
+    sequenceLettrage: {
+      type: Number,
+      default: 0,
+      description: "Nombre de codes de lettrage déjà attribués sur ce compte (AA, AB, ...)."
+    },
+    
     // Pour les comptes de Tiers (Clients/Fournisseurs)
     compteTiers: {
         type: Boolean,
@@ -59,8 +65,18 @@ const compteComptableSchema = new Schema(
         description: "Marque ce compte comme un compte général de tiers (ex: 411 - CLIENTS)."
     },
 
+    // Pour les comptes auxiliaires, propres à un client ou un fournisseur (ex: 4110001)
+    compteCollectif: {
+        type: Schema.Types.ObjectId,
+        ref: 'CompteComptable',
+        description: "Compte collectif dont relève le compte auxiliaire (ex: 411 - CLIENTS)."
+    },
+    tiers: { type: Schema.Types.ObjectId, refPath: 'tiersModel' },
+    tiersModel: { type: String, enum: ['Client', 'Fournisseur'] },
+
     // --- Soldes ---
-    // Ces soldes sont mis à jour par des processus de calcul périodiques
+    // Cumuls depuis l'origine des écritures validées, hors à-nouveaux : tenus à jour à chaque
+    // validation d'écriture (SoldeCompte.appliquerEcriture) et recalculables (soldeCompteService)
     soldeDebit: { type: Number, default: 0 },
     soldeCredit: { type: Number, default: 0 },
     
@@ -89,41 +105,63 @@ compteComptableSchema.virtual('solde').get(function() {
     return this.soldeCredit - this.soldeDebit; // Solde créditeur
 });
 
+/**
+ * Déduit la classe, le type et le sens d'un compte de son numéro, selon les règles SYSCOHADA.
+ * @param {string} numero - Le numéro du compte.
+ * @returns {{ classe: number, typeCompte: string, sens: string }}
+ */
+const deduireCaracteristiques = (numero) => {
+    const premiereClasse = parseInt(numero.charAt(0));
+    let typeCompte;
+
+    switch (premiereClasse) {
+        case 1:
+        case 2:
+        case 3:
+        case 4:
+        case 5:
+            typeCompte = 'Bilan';
+            break;
+        case 6:
+        case 7:
+            typeCompte = 'Résultat';
+            break;
+        default:
+            typeCompte = 'Autre';
+    }
+
+    // Définition simplifiée du sens
+    const sens = [2, 3, 6, 8].includes(premiereClasse) ? 'Débit' : 'Crédit';
+
+    return { classe: premiereClasse, typeCompte, sens };
+};
+
+/**
+ * Indique si un compte de gestion est un compte de produits : classe 7, et en classe 8 les
+ * comptes pairs (82, 84, 86, 88) ; les autres comptes de gestion sont des charges.
+ * @param {string} numero - Le numéro du compte (ou une racine).
+ * @returns {boolean}
+ */
+const estCompteDeProduit = (numero) => numero.startsWith('7') || (numero.startsWith('8') && Number(numero.charAt(1)) % 2 === 0);
+
 /**
  * Middleware pre-save pour déduire automatiquement la classe, le type et le sens.
  * C'est une aide à la saisie qui garantit la cohérence selon les règles SYSCOHADA.
  */
 compteComptableSchema.pre('save', function(next) {
     if (this.isModified('numero')) {
-        const premiereClasse = parseInt(this.numero.charAt(0));
-        this.classe = premiereClasse;
-
-        switch (premiereClasse) {
-            case 1:
-            case 2:
-            case 3:
-            case 4:
-            case 5:
-                this.typeCompte = 'Bilan';
-                break;
-            case 6:
-            case 7:
-                this.typeCompte = 'Résultat';
-                break;
-            default:
-                this.typeCompte = 'Autre';
-        }
-
-        // Définition simplifiée du sens
-        if ([2, 3, 6, 8].includes(premiereClasse)) {
-            this.sens = 'Débit';
-        } else {
-            this.sens = 'Crédit';
-        }
+        Object.assign(this, deduireCaracteristiques(this.numero));
     }
     next();
 });
 
+/**
+ * Méthode statique exposant la déduction de la classe, du type et du sens, pour les
+ * créations en masse qui ne passent pas par le middleware pre-save (insertMany, bulkWrite).
+ */
+compteComptableSchema.statics.deduireCaracteristiques = deduireCaracteristiques;
+compteComptableSchema.statics.estCompteDeProduit = estCompteDeProduit;
+
 // Index pour des recherches rapides par numéro
 compteComptableSchema.index({ numero: 1 });
 
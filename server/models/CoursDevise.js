@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { DEVISE_REFERENCE, pariteFixe } = require('../utils/devises');
+
+/**
+ * Schéma du Cours d'une devise.
+ * Historique daté des cours d'une devise étrangère contre la devise de référence : le cours
+ * applicable à une date est le dernier publié ce jour-là ou avant. Les devises à parité fixe
+ * (l'euro) n'ont pas d'historique.
+ */
+const coursDeviseSchema = new Schema({
+  code: {
+    type: String,
+    required: [true, 'Le code ISO de la devise est obligatoire.'],
+    uppercase: true,
+    trim: true,
+    minlength: 3,
+    maxlength: 3,
+  },
+  dateCours: {
+    type: Date,
+    required: [true, 'La date du cours est obligatoire.'],
+    description: "Jour à partir duquel le cours s'applique (à minuit UTC).",
+  },
+  taux: {
+    type: Number,
+    required: [true, 'Le cours est obligatoire.'],
+    min: [0.000001, 'Le cours de la devise doit être positif.'],
+    description: "Contre-valeur en devise de référence d'une unité de la devise.",
+  },
+  source: { type: String, trim: true, description: "Origine du cours (BCEAO, banque...)." },
+  saisiPar: { type: Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+coursDeviseSchema.index({ code: 1, dateCours: -1 }, { unique: true });
+
+/**
+ * Ramène la date du cours au jour et refuse les cours de la devise de référence ou d'une
+ * devise à parité fixe.
+ */
+coursDeviseSchema.pre('validate', function(next) {
+  if (this.dateCours) {
+    const jour = new Date(this.dateCours);
+    jour.setUTCHours(0, 0, 0, 0);
+    this.dateCours = jour;
+  }
+  if (this.code === DEVISE_REFERENCE) {
+    this.invalidate('code', `La devise de référence ${DEVISE_REFERENCE} n'a pas de cours.`, this.code);
+  } else if (pariteFixe(this.code)) {
+    this.invalidate('code', `La parité ${DEVISE_REFERENCE}/${this.code} est fixe (${pariteFixe(this.code)}) : son cours ne se saisit pas.`, this.code);
+  }
+  next();
+});
+
+/**
+ * Cours d'une devise applicable à une date : le dernier publié ce jour-là ou avant.
+ * @param {string} code - Code ISO de la devise.
+ * @param {Date} date
+ * @param {object} [session]
+ * @returns {Promise<object|null>}
+ */
+coursDeviseSchema.statics.coursAu = function(code, date, session) {
+  const finDuJour = new Date(date);
+  finDuJour.setUTCHours(23, 59, 59, 999);
+  return this.findOne({ code: code.toUpperCase(), dateCours: { $lte: finDuJour } })
+    .sort({ dateCours: -1 })
+    .session(session);
+};
+
+const CoursDevise = mongoose.model('CoursDevise', coursDeviseSchema);
+
+module.exports = CoursDevise;
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schéma d'une ligne de ventilation par taux (base imposable et TVA d'un taux donné).
+ */
+const ventilationTauxSchema = new Schema({
+  taux: { type: Number, description: "Taux de TVA en pourcentage ; absent pour la TVA non rattachée à un document." },
+  taxe: { type: Schema.Types.ObjectId, ref: 'Taxe' },
+  baseHT: { type: Number, default: 0 },
+  montantTVA: { type: Number, default: 0 },
+}, { _id: false });
+
+/**
+ * Schéma d'une ligne du détail justificatif : la part d'une pièce comptable dans une case de la déclaration.
+ */
+const detailDeclarationSchema = new Schema({
+  rubrique: { type: String, enum: ['Collectée', 'Déductible'], required: true },
+  ecriture: { type: Schema.Types.ObjectId, ref: 'EcritureComptable', required: true },
+  numeroPiece: { type: String, required: true },
+  dateEcriture: { type: Date, required: true },
+  documentModel: { type: String },
+  documentNumero: { type: String },
+  tiers: { type: String, description: "Nom du client ou du fournisseur." },
+  taux: { type: Number },
+  baseHT: { type: Number, default: 0 },
+  montantTVA: { type: Number, default: 0 },
+}, { _id: false });
+
+
+/**
+ * Schéma de la Déclaration de TVA mensuelle.
+ * La TVA collectée (443) et la TVA déductible (445) sont reprises des écritures validées du mois,
+ * ventilées par taux à partir des documents d'origine. Le crédit de TVA de la déclaration précédente
+ * vient en déduction. La validation passe l'écriture de liquidation et fige la déclaration.
+ */
+const declarationTVASchema = new Schema({
+  periode: {
+    type: String,
+    required: true,
+    unique: true,
+    match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'La période doit être au format AAAA-MM.'],
+  },
+  dateDebut: { type: Date, required: true },
+  dateFin: { type: Date, required: true },
+
+  // --- Cases de la déclaration ---
+  collectee: [ventilationTauxSchema],
+  deductible: [ventilationTauxSchema],
+  totalCollectee: { type: Number, default: 0 },
+  totalDeductible: { type: Number, default: 0 },
+  creditAnterieur: { type: Number, default: 0, description: "Crédit de TVA reporté de la déclaration précédente." },
+  tvaAPayer: { type: Number, default: 0 },
+  creditAReporter: { type: Number, default: 0 },
+
+  // --- Détail justificatif (feuille de travail) ---
+  detail: [detailDeclarationSchema],
+
+  statut: {
+    type: String,
+    enum: ['Brouillon', 'Validée'],
+    default: 'Brouillon'
+  },
+
+  // --- Comptabilité ---
+  comptabilise: { type: Boolean, default: false },
+  ecritureLiquidation: { type: Schema.Types.ObjectId, ref: 'EcritureComptable' },
+
+  // --- Métadonnées ---
+  notes: { type: String, trim: true },
+  validePar: { type: Schema.Types.ObjectId, ref: 'User' },
+  dateValidation: { type: Date },
+  creePar: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+/**
+ * Middleware pre-save pour calculer le solde de la déclaration :
+ * TVA collectée - TVA déductible - crédit antérieur, à payer s'il est positif, à reporter sinon.
+ */
+declarationTVASchema.pre('save', function(next) {
+  const somme = (ventilation) => Math.round(ventilation.reduce((acc, v) => acc + v.montantTVA, 0) * 100) / 100;
+  this.totalCollectee = somme(this.collectee);
+  this.totalDeductible = somme(this.deductible);
+
+  const solde = Math.round((this.totalCollectee - this.totalDeductible - this.creditAnterieur) * 100) / 100;
+  this.tvaAPayer = solde > 0 ? solde : 0;
+  this.creditAReporter = solde < 0 ? -solde : 0;
+
+  next();
+});
+
+const DeclarationTVA = mongoose.model('DeclarationTVA', declarationTVASchema);
+
+module.exports = DeclarationTVA;
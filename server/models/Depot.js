@@ -37,6 +37,11 @@ const depotSchema = new Schema(
       default: true,
       description: "Permet de désactiver un dépôt sans le supprimer (ex: fermeture temporaire)."
     },
+    sectionsAnalytiques: [{
+      type: Schema.Types.ObjectId,
+      ref: 'SectionAnalytique',
+      description: "Sections par défaut (une par axe) des écritures automatiques des opérations du dépôt."
+    }],
     creePar: {
       type: Schema.Types.ObjectId,
       ref: 'User',
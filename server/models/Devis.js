@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { champsDevise, appliquerContreValeur } = require('../utils/devises');
 
 /**
  * Schéma pour une ligne individuelle dans un devis.
@@ -56,6 +57,9 @@ const devisSchema = new Schema({
   totalRemise: { type: Number, required: true, default: 0 },
   totalTVA: { type: Number, required: true },
   totalTTC: { type: Number, required: true },
+
+  // --- Devise : lignes et totaux dans la devise du document, contre-valeur en XOF ---
+  ...champsDevise(),
   
   statut: { 
     type: String, 
@@ -90,6 +94,7 @@ devisSchema.pre('save', function(next) {
   this.totalRemise = totalRemise;
   this.totalTVA = totalTVA;
   this.totalTTC = totalHT - totalRemise + totalTVA;
+  appliquerContreValeur(this);
 
   // Mise à jour automatique du statut si expiré
   if (this.statut !== 'Accepté' && this.statut !== 'Refusé' && this.statut !== 'Annulé') {
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { pariteFixe } = require('../utils/devises');
 
 /**
  * Schéma de la Devise.
@@ -32,7 +33,7 @@ const deviseSchema = new Schema(
       type: Number,
       required: [true, 'Le taux de change par rapport à la devise de référence est obligatoire.'],
       default: 1,
-      description: "Taux pour convertir cette devise VERS la devise de référence (ex: pour l'Euro, si 1€ = 655.957 FCFA, le taux est 655.957)."
+      description: "Taux pour convertir cette devise VERS la devise de référence (ex: pour l'Euro, si 1€ = 655.957 FCFA, le taux est 655.957). Cours courant : l'historique daté est tenu dans CoursDevise."
     },
     
     estDeviseDeReference: {
@@ -62,6 +63,10 @@ deviseSchema.pre('save', async function(next) {
         this.tauxDeChange = 1;
         await this.constructor.updateMany({ _id: { $ne: this._id } }, { estDeviseDeReference: false });
     }
+    // Une devise à parité fixe (l'euro) garde toujours sa parité légale
+    if (pariteFixe(this.code)) {
+        this.tauxDeChange = pariteFixe(this.code);
+    }
     next();
 });
 
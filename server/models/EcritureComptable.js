@@ -1,5 +1,20 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const Exercice = require('./Exercice');
+const SoldeCompte = require('./SoldeCompte');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+
+/**
+ * Schéma d'une quote-part analytique d'un mouvement : la part du montant de la ligne imputée
+ * à une section. Sur chaque axe, les pourcentages d'une ligne totalisent 100 %.
+ */
+const ventilationAnalytiqueSchema = new Schema({
+  axe: { type: Schema.Types.ObjectId, ref: 'AxeAnalytique', required: true },
+  section: { type: Schema.Types.ObjectId, ref: 'SectionAnalytique', required: true },
+  pourcentage: { type: Number, required: true, min: [0.01, 'Un pourcentage de ventilation doit être positif.'], max: 100 },
+  montant: { type: Number, description: "Quote-part du montant de la ligne, calculée à l'enregistrement." },
+}, { _id: false });
 
 /**
  * Schéma pour un mouvement comptable individuel (une ligne dans une écriture).
@@ -14,8 +29,18 @@ const mouvementComptableSchema = new Schema({
   libelle: { type: String, required: true, trim: true },
   debit: { type: Number, default: 0 },
   credit: { type: Number, default: 0 },
+  // Tiers concerné, sur les lignes des comptes de tiers (411, 401)
+  tiers: { type: Schema.Types.ObjectId, refPath: 'mouvements.tiersModel' },
+  tiersModel: { type: String, enum: ['Client', 'Fournisseur'] },
   // Pour le lettrage des comptes de tiers
-  lettrage: { type: String, trim: true, index: true, sparse: true }
+  pieceReference: { type: String, trim: true, description: "Numéro de la facture que la ligne constate ou règle, utilisé par le lettrage automatique." },
+  lettrage: { type: String, trim: true, index: true, sparse: true },
+  dateLettrage: { type: Date },
+  // Pour le rapprochement bancaire des lignes des comptes de banque (52x)
+  releveBancaire: { type: Schema.Types.ObjectId, ref: 'ReleveBancaire', description: "Relevé sur lequel l'opération a été pointée." },
+  dateRapprochement: { type: Date },
+  // Ventilation analytique, sur les lignes de charges et de produits
+  ventilationAnalytique: { type: [ventilationAnalytiqueSchema], default: undefined }
 }, {
   _id: false,
   validate: [
@@ -25,6 +50,37 @@ const mouvementComptableSchema = new Schema({
   ]
 });
 
+/**
+ * Répartit le montant d'une ligne entre les sections de sa ventilation analytique. Sur chaque
+ * axe, la dernière section reçoit l'arrondi pour que les quotes-parts totalisent la ligne.
+ * @param {Array<object>} ventilation - Quotes-parts { axe, section, pourcentage }.
+ * @param {number} montant - Montant de la ligne (débit ou crédit).
+ * @returns {Array<object>} La ventilation avec les montants calculés.
+ * @throws {Error} Si les pourcentages d'un axe ne totalisent pas 100 %.
+ */
+const repartirVentilation = (ventilation, montant) => {
+  const parAxe = new Map();
+  ventilation.forEach(part => {
+    const axe = part.axe.toString();
+    parAxe.set(axe, [...(parAxe.get(axe) || []), part]);
+  });
+
+  parAxe.forEach(parts => {
+    const total = Math.round(parts.reduce((acc, part) => acc + part.pourcentage, 0) * 100) / 100;
+    if (total !== 100) {
+      throw new Error(`La ventilation analytique d'une ligne doit totaliser 100 % par axe (${total} %).`);
+    }
+    let reparti = 0;
+    parts.forEach((part, index) => {
+      part.montant = index === parts.length - 1
+        ? Math.round((montant - reparti) * 100) / 100
+        : Math.round(montant * part.pourcentage) / 100;
+      reparti += part.montant;
+    });
+  });
+  return ventilation;
+};
+
 /**
  * Schéma de l'Écriture Comptable.
  * Représente une transaction comptable complète, composée de plusieurs mouvements
@@ -54,7 +110,7 @@ const ecritureComptableSchema = new Schema({
   // Référence au document métier qui a généré cette écriture (polymorphique)
   documentOrigine: {
     documentId: { type: Schema.Types.ObjectId, refPath: 'documentOrigine.documentModel' },
-    documentModel: { type: String, enum: ['Facture', 'Paiement', 'Achat', 'OperationDiverse'] },
+    documentModel: { type: String, enum: ['Facture', 'Avoir', 'FactureFournisseur', 'Paiement', 'Achat', 'RetourFournisseur', 'Inventaire', 'OperationDiverse', 'Exercice', 'DeclarationTVA', 'ReleveBancaire', 'Immobilisation'] },
     documentNumero: { type: String }
   },
   
@@ -64,8 +120,13 @@ const ecritureComptableSchema = new Schema({
     default: 'Validée'
   },
 
+  // Correction d'une écriture validée par contre-passation
+  contrePassation: { type: Schema.Types.ObjectId, ref: 'EcritureComptable', description: "Écriture qui contre-passe (annule) celle-ci." },
+  ecritureContrePassee: { type: Schema.Types.ObjectId, ref: 'EcritureComptable', description: "Écriture annulée par cette contre-passation." },
+
   // Métadonnées
   validePar: { type: Schema.Types.ObjectId, ref: 'User' },
+  dateValidation: { type: Date },
   creePar: { type: Schema.Types.ObjectId, ref: 'User', required: true }
 }, { timestamps: true });
 
@@ -103,6 +164,90 @@ ecritureComptableSchema.pre('save', function(next) {
   next();
 });
 
+/**
+ * Middleware pre-save calculant les quotes-parts analytiques des lignes ventilées.
+ */
+ecritureComptableSchema.pre('save', function(next) {
+  if (!this.isNew && !this.isModified('mouvements')) {
+    return next();
+  }
+  try {
+    this.mouvements.forEach(m => {
+      if (m.ventilationAnalytique?.length > 0) {
+        repartirVentilation(m.ventilationAnalytique, m.debit || m.credit);
+      }
+    });
+  } catch (error) {
+    return next(error);
+  }
+  next();
+});
+
+/**
+ * Mémorise le statut lu en base, pour distinguer une écriture validée d'une écriture
+ * en cours de validation.
+ */
+ecritureComptableSchema.post('init', function() {
+  this.$locals.statutInitial = this.statut;
+});
+
+/**
+ * Middleware pre-save rendant les écritures validées intangibles : elles ne se corrigent
+ * que par contre-passation.
+ */
+ecritureComptableSchema.pre('save', function(next) {
+  if (this.isNew || this.$locals.statutInitial !== 'Validée') {
+    return next();
+  }
+  const modifies = ['numeroPiece', 'dateEcriture', 'journal', 'libelle', 'mouvements', 'statut'].filter(champ => this.isModified(champ));
+  if (modifies.length > 0) {
+    return next(new Error(`L'écriture n°${this.numeroPiece} est validée et ne peut plus être modifiée (${modifies.join(', ')}) : passez une contre-passation.`));
+  }
+  next();
+});
+
+/**
+ * Middleware pre-save verrouillant les exercices clôturés : aucune écriture ne peut y être
+ * créée, déplacée ou modifiée (le lettrage et le pointage bancaire, posés par mise à jour
+ * directe, restent possibles).
+ */
+ecritureComptableSchema.pre('save', async function(next) {
+  if (!this.isNew && !this.isModified('dateEcriture') && !this.isModified('mouvements') && !this.isModified('statut')) {
+    return next();
+  }
+
+  const exerciceClos = await Exercice.findClotureContenant(this.dateEcriture, this.$session());
+  if (exerciceClos) {
+    return next(new ErrorResponse(`L'exercice "${exerciceClos.libelle}" est clôturé : aucune écriture ne peut plus y être enregistrée (pièce n°${this.numeroPiece}).`, HTTP_STATUS_CODES.BAD_REQUEST));
+  }
+  next();
+});
+
+/**
+ * Middlewares de tenue des soldes des comptes : une écriture qui devient validée s'ajoute aux
+ * soldes, une écriture validée qui cesse de l'être s'en retire, dans la même transaction.
+ */
+ecritureComptableSchema.pre('save', function(next) {
+  const etaitValidee = !this.isNew && this.$locals.statutInitial === 'Validée';
+  const estValidee = this.statut === 'Validée';
+  this.$locals.effetSoldes = estValidee === etaitValidee ? 0 : (estValidee ? 1 : -1);
+  next();
+});
+
+ecritureComptableSchema.post('save', async function() {
+  if (this.$locals.effetSoldes) {
+    await SoldeCompte.appliquerEcriture(this, this.$locals.effetSoldes, this.$session());
+  }
+  this.$locals.statutInitial = this.statut;
+});
+
+// Index pour retrouver les lignes non lettrées d'un tiers
+ecritureComptableSchema.index({ 'mouvements.compte': 1, 'mouvements.tiers': 1, 'mouvements.lettrage': 1 });
+// Index pour les états analytiques par section
+ecritureComptableSchema.index({ 'mouvements.ventilationAnalytique.section': 1, dateEcriture: 1 });
+
+ecritureComptableSchema.statics.repartirVentilation = repartirVentilation;
+
 const EcritureComptable = mongoose.model('EcritureComptable', ecritureComptableSchema);
 
 module.exports = EcritureComptable;
\ No newline at end of file
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
 
 /**
  * Schéma de l'Exercice Comptable.
@@ -45,6 +47,21 @@ const exerciceSchema = new Schema(
         default: 0,
         description: "Bénéfice ou perte de l'exercice, calculé au moment de la clôture."
     },
+    ecritureCloture: {
+        type: Schema.Types.ObjectId,
+        ref: 'EcritureComptable',
+        description: "Écriture de détermination du résultat : solde les comptes de gestion (classes 6, 7 et 8) de l'exercice sur le compte de résultat (13x)."
+    },
+    ecritureEcartsConversion: {
+        type: Schema.Types.ObjectId,
+        ref: 'EcritureComptable',
+        description: "Écriture des écarts de conversion (478/479) des créances et dettes en devises à la clôture, contre-passée au premier jour de l'exercice suivant."
+    },
+    ecritureOuverture: {
+        type: Schema.Types.ObjectId,
+        ref: 'EcritureComptable',
+        description: "Écriture d'à-nouveaux reprenant les soldes de l'exercice précédent à l'ouverture de celui-ci."
+    },
 
     // Métadonnées
     creePar: {
@@ -71,19 +88,37 @@ exerciceSchema.pre('validate', function(next) {
 });
 
 /**
- * Middleware pour s'assurer qu'il ne peut y avoir qu'un seul exercice ouvert à la fois (optionnel mais recommandé).
+ * Middleware pre-save garantissant que les exercices ne se chevauchent pas
+ * et qu'un exercice clôturé ne peut pas être rouvert (intangibilité des comptes clos).
  */
 exerciceSchema.pre('save', async function(next) {
-    if (this.isModified('statut') && this.statut === 'Ouvert') {
-        // S'assurer que tous les autres exercices sont clôturés
-        await this.constructor.updateMany(
-            { _id: { $ne: this._id }, statut: 'Ouvert' },
-            { statut: 'Clôturé' }
-        );
+    if (!this.isNew && this.isModified('statut') && this.statut === 'Ouvert') {
+        return next(new ErrorResponse(`L'exercice "${this.libelle}" est clôturé et ne peut pas être rouvert.`, HTTP_STATUS_CODES.BAD_REQUEST));
+    }
+
+    if (this.isModified('dateDebut') || this.isModified('dateFin')) {
+        const chevauchement = await this.constructor.findOne({
+            _id: { $ne: this._id },
+            dateDebut: { $lte: this.dateFin },
+            dateFin: { $gte: this.dateDebut },
+        }).session(this.$session());
+        if (chevauchement) {
+            return next(new ErrorResponse(`Les dates de l'exercice chevauchent celles de l'exercice "${chevauchement.libelle}".`, HTTP_STATUS_CODES.BAD_REQUEST));
+        }
     }
     next();
 });
 
+/**
+ * Retourne l'exercice clôturé qui contient une date, s'il existe.
+ * @param {Date} date
+ * @param {object} [session] - Session MongoDB de la transaction en cours.
+ * @returns {Promise<object|null>}
+ */
+exerciceSchema.statics.findClotureContenant = function(date, session) {
+    return this.findOne({ statut: 'Clôturé', dateDebut: { $lte: date }, dateFin: { $gte: date } }).session(session || null);
+};
+
 
 // Index pour une recherche rapide par dates
 exerciceSchema.index({ dateDebut: 1, dateFin: 1 });
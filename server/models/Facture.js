@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { champsDevise, appliquerContreValeur } = require('../utils/devises');
 const { ligneVenteSchema } = require('./Vente'); // On pourrait réutiliser le schéma de ligne de Vente si identique
 
 /**
@@ -9,6 +10,7 @@ const { ligneVenteSchema } = require('./Vente'); // On pourrait réutiliser le s
  */
 const ligneFactureSchema = new Schema({
   produit: { type: Schema.Types.ObjectId, ref: 'Produit' },
+  indexLigneVente: { type: Number, min: 0 }, // Ligne de la vente d'origine, si la facture provient d'une vente
   description: { type: String, required: true },
   quantite: { type: Number, required: true, min: [0.01, 'La quantité doit être positive.'] },
   prixUnitaireHT: { type: Number, required: true },
@@ -56,6 +58,10 @@ const factureSchema = new Schema({
   totalTVA: { type: Number, required: true },
   totalTTC: { type: Number, required: true },
   montantPaye: { type: Number, default: 0 },
+  montantAvoirs: { type: Number, default: 0, description: "Total TTC des avoirs validés sur cette facture." },
+
+  // --- Devise : lignes et totaux dans la devise du document, contre-valeur en XOF ---
+  ...champsDevise(),
   
   statut: { 
     type: String, 
@@ -73,13 +79,25 @@ const factureSchema = new Schema({
   venteLiee: { type: Schema.Types.ObjectId, ref: 'Vente' },
   devisLie: { type: Schema.Types.ObjectId, ref: 'Devis' },
   paiementsLies: [{ type: Schema.Types.ObjectId, ref: 'Paiement' }], // Futur modèle Paiement
+  avoirsLies: [{ type: Schema.Types.ObjectId, ref: 'Avoir' }],
   
   comptabilise: { type: Boolean, default: false, description: "Indique si la facture a été passée en écriture comptable." },
   journalComptable: { type: Schema.Types.ObjectId, ref: 'JournalComptable' }, // Futur modèle
 
   // --- Métadonnées ---
   creePar: { type: Schema.Types.ObjectId, ref: 'User', required: true },
-}, { timestamps: true });
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Champ virtuel : solde restant dû, après déduction des paiements et des avoirs.
+ */
+factureSchema.virtual('soldeRestant').get(function() {
+  return this.totalTTC - (this.montantPaye || 0) - (this.montantAvoirs || 0);
+});
 
 /**
  * Middleware pre-save pour calculer les totaux et mettre à jour le statut.
@@ -96,12 +114,15 @@ factureSchema.pre('save', function(next) {
   this.totalRemise = totalRemise;
   this.totalTVA = totalTVA;
   this.totalTTC = totalHT - totalRemise + totalTVA;
+  appliquerContreValeur(this);
 
   // Mise à jour du statut de paiement (sauf si annulée)
+  // Le montant dû tient compte des avoirs émis sur la facture.
   if (this.statut !== 'Annulée') {
-    if (this.montantPaye >= this.totalTTC) {
+    const montantDu = this.totalTTC - (this.montantAvoirs || 0);
+    if (this.montantPaye >= montantDu) {
       this.statut = 'Payée';
-    } else if (this.montantPaye > 0 && this.montantPaye < this.totalTTC) {
+    } else if (this.montantPaye > 0 && this.montantPaye < montantDu) {
       this.statut = 'Partiellement payée';
     } else if (this.dateEcheance && this.dateEcheance < new Date()) {
         this.statut = 'En retard';
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { champsDevise, appliquerContreValeur } = require('../utils/devises');
+
+/**
+ * Schéma pour une ligne de facture fournisseur.
+ * Le compte de charge peut être précisé par ligne (ex: 605 pour une prestation) ;
+ * à défaut, le compte d'achats par défaut des paramètres est utilisé.
+ */
+const ligneFactureFournisseurSchema = new Schema({
+  produit: { type: Schema.Types.ObjectId, ref: 'Produit' },
+  description: { type: String, required: true },
+  quantite: { type: Number, required: true, min: [0.01, 'La quantité doit être positive.'] },
+  prixUnitaireHT: { type: Number, required: true },
+  tauxTVA: { type: Number, required: true },
+  compteCharge: { type: Schema.Types.ObjectId, ref: 'CompteComptable' },
+}, {
+  _id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtuals pour les calculs de ligne
+ligneFactureFournisseurSchema.virtual('totalLigneHT').get(function() { return this.quantite * this.prixUnitaireHT; });
+ligneFactureFournisseurSchema.virtual('montantTVA').get(function() { return this.totalLigneHT * (this.tauxTVA / 100); });
+ligneFactureFournisseurSchema.virtual('totalLigneTTC').get(function() { return this.totalLigneHT + this.montantTVA; });
+
+
+/**
+ * Schéma de la Facture Fournisseur.
+ * Enregistre la facture reçue d'un fournisseur (avec son propre numéro et son échéance),
+ * rattachée à une ou plusieurs commandes d'achat. Sa validation génère l'écriture
+ * dans le journal des achats et constate la dette envers le fournisseur.
+ */
+const factureFournisseurSchema = new Schema({
+  numero: { type: String, unique: true, required: true, uppercase: true, trim: true, description: "Numéro interne d'enregistrement." },
+  numeroFactureFournisseur: {
+    type: String,
+    required: [true, 'Le numéro de facture du fournisseur est obligatoire.'],
+    trim: true,
+    description: "Numéro figurant sur la facture émise par le fournisseur."
+  },
+  fournisseur: { type: Schema.Types.ObjectId, ref: 'Fournisseur', required: true },
+
+  dateFacture: { type: Date, required: true, default: Date.now },
+  dateReception: { type: Date, default: Date.now },
+  dateEcheance: { type: Date, required: [true, 'La date d\'échéance est obligatoire.'] },
+
+  lignes: {
+    type: [ligneFactureFournisseurSchema],
+    validate: [v => Array.isArray(v) && v.length > 0, 'Une facture fournisseur doit contenir au moins une ligne.']
+  },
+
+  // --- Totaux et Paiement ---
+  totalHT: { type: Number, default: 0 },
+  totalTVA: { type: Number, default: 0 },
+  totalTTC: { type: Number, default: 0 },
+  montantPaye: { type: Number, default: 0 },
+
+  // --- Devise : lignes et totaux dans la devise du document, contre-valeur en XOF ---
+  ...champsDevise(),
+
+  statut: {
+    type: String,
+    enum: ['Brouillon', 'Validée', 'Partiellement payée', 'Payée', 'Annulée'],
+    default: 'Brouillon'
+  },
+
+  // --- Liens et Comptabilité ---
+  achatsLies: [{ type: Schema.Types.ObjectId, ref: 'Achat' }],
+  comptabilise: { type: Boolean, default: false },
+  ecritureComptable: { type: Schema.Types.ObjectId, ref: 'EcritureComptable' },
+
+  // --- Métadonnées ---
+  notes: { type: String, trim: true },
+  validePar: { type: Schema.Types.ObjectId, ref: 'User' },
+  creePar: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+/**
+ * Middleware pre-save pour calculer les totaux et mettre à jour le statut de paiement.
+ */
+factureFournisseurSchema.pre('save', function(next) {
+  let totalHT = 0, totalTVA = 0;
+  this.lignes.forEach(ligne => {
+    totalHT += ligne.totalLigneHT;
+    totalTVA += ligne.montantTVA;
+  });
+  this.totalHT = totalHT;
+  this.totalTVA = totalTVA;
+  this.totalTTC = totalHT + totalTVA;
+  appliquerContreValeur(this);
+
+  // Le statut de paiement n'évolue qu'une fois la facture validée
+  if (!['Brouillon', 'Annulée'].includes(this.statut)) {
+    if (this.montantPaye >= this.totalTTC) {
+      this.statut = 'Payée';
+    } else if (this.montantPaye > 0) {
+      this.statut = 'Partiellement payée';
+    } else {
+      this.statut = 'Validée';
+    }
+  }
+
+  next();
+});
+
+// Un fournisseur ne peut pas nous facturer deux fois sous le même numéro
+factureFournisseurSchema.index({ fournisseur: 1, numeroFactureFournisseur: 1 }, { unique: true });
+factureFournisseurSchema.index({ dateEcheance: 1, statut: 1 });
+
+const FactureFournisseur = mongoose.model('FactureFournisseur', factureFournisseurSchema);
+
+module.exports = FactureFournisseur;
@@ -66,8 +66,9 @@ const fournisseurSchema = new Schema(
       trim: true,
     },
     compteComptableAssocie: {
-      type: String,
-      trim: true,
+      type: Schema.Types.ObjectId,
+      ref: 'CompteComptable',
+      // Compte auxiliaire du fournisseur (ex: 4010001) ou compte collectif (401), voir compteTiersService
     },
 
     // --- Informations Financières ---
@@ -93,6 +94,9 @@ const fournisseurSchema = new Schema(
         evaluateur: { type: Schema.Types.ObjectId, ref: 'User' },
         note: { type: Number, min: 1, max: 5 },
         commentaire: String,
+        // Renseignés pour les évaluations générées automatiquement par un retour fournisseur
+        retourFournisseur: { type: Schema.Types.ObjectId, ref: 'RetourFournisseur' },
+        tauxRetour: { type: Number, min: 0, description: "Quantités retournées / quantités reçues (%) à la date du retour." },
       },
     ],
     produitsFournis: [{
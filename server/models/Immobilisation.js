@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schéma d'une dotation aux amortissements comptabilisée pour une immobilisation.
+ */
+const dotationSchema = new Schema({
+  dateArrete: { type: Date, required: true, description: "Date jusqu'à laquelle l'amortissement est constaté." },
+  montant: { type: Number, required: true },
+  ecriture: { type: Schema.Types.ObjectId, ref: 'EcritureComptable' },
+}, { _id: false });
+
+/**
+ * Schéma de l'Immobilisation.
+ * Une ligne du registre des immobilisations : bien durable (classe 2) amorti selon un plan
+ * linéaire ou dégressif, jusqu'à sa sortie par cession ou mise au rebut.
+ */
+const immobilisationSchema = new Schema({
+  reference: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  designation: {
+    type: String,
+    required: [true, "La désignation de l'immobilisation est obligatoire."],
+    trim: true,
+  },
+  categorie: {
+    type: String,
+    required: true,
+    enum: ['Incorporelle', 'Terrain', 'Bâtiment', 'Installation et agencement', 'Matériel et outillage', 'Matériel de transport', 'Matériel de bureau et informatique', 'Mobilier', 'Autre'],
+  },
+
+  // --- Acquisition ---
+  valeurAcquisition: {
+    type: Number,
+    required: true,
+    min: [0.01, "La valeur d'acquisition doit être positive."],
+    description: "Coût d'acquisition hors taxes récupérables.",
+  },
+  dateAcquisition: { type: Date, required: true },
+  dateMiseEnService: { type: Date, description: "Début de l'amortissement linéaire (date d'acquisition par défaut)." },
+  fournisseur: { type: Schema.Types.ObjectId, ref: 'Fournisseur' },
+  factureFournisseur: { type: Schema.Types.ObjectId, ref: 'FactureFournisseur' },
+  indexLigneFacture: { type: Number, description: "Ligne de la facture fournisseur dont provient l'immobilisation." },
+
+  // --- Comptes ---
+  compteImmobilisation: { type: Schema.Types.ObjectId, ref: 'CompteComptable', required: true, description: "Compte de classe 2 (ex: 2441 - Matériel de bureau)." },
+  compteAmortissement: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "Compte 28x (ex: 2844) ; non renseigné pour les biens non amortissables." },
+  compteDotation: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "Compte 681x (dotation des paramètres par défaut)." },
+
+  // --- Plan d'amortissement ---
+  methode: { type: String, enum: ['Linéaire', 'Dégressif', 'Non amortissable'], default: 'Linéaire' },
+  dureeAnnees: {
+    type: Number,
+    min: [1, "La durée d'amortissement est d'au moins un an."],
+    max: 100,
+    required: [function() { return this.methode !== 'Non amortissable'; }, "La durée d'amortissement est obligatoire."],
+  },
+  valeurResiduelle: { type: Number, default: 0, min: 0 },
+
+  // --- Amortissements comptabilisés ---
+  amortissementsComptabilises: { type: Number, default: 0, description: "Cumul des dotations comptabilisées." },
+  dotations: [dotationSchema],
+
+  // --- Sortie ---
+  statut: { type: String, enum: ['En service', 'Cédée', 'Mise au rebut'], default: 'En service' },
+  sortie: {
+    date: Date,
+    prixCession: Number,
+    valeurNetteComptable: Number,
+    plusOuMoinsValue: Number,
+    ecriture: { type: Schema.Types.ObjectId, ref: 'EcritureComptable' },
+  },
+
+  creePar: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+/**
+ * Valeur nette comptable au vu des dotations comptabilisées.
+ */
+immobilisationSchema.virtual('valeurNetteComptable').get(function() {
+  return Math.round((this.valeurAcquisition - this.amortissementsComptabilises) * 100) / 100;
+});
+
+immobilisationSchema.pre('validate', function(next) {
+  if (this.methode === 'Dégressif' && this.dureeAnnees < 3) {
+    return next(new Error("L'amortissement dégressif suppose une durée d'au moins trois ans."));
+  }
+  if (this.valeurResiduelle >= this.valeurAcquisition) {
+    return next(new Error("La valeur résiduelle doit être inférieure à la valeur d'acquisition."));
+  }
+  next();
+});
+
+immobilisationSchema.index({ statut: 1, categorie: 1 });
+// Une ligne de facture fournisseur ne donne qu'une immobilisation
+immobilisationSchema.index(
+  { factureFournisseur: 1, indexLigneFacture: 1 },
+  { unique: true, partialFilterExpression: { factureFournisseur: { $exists: true } } }
+);
+
+const Immobilisation = mongoose.model('Immobilisation', immobilisationSchema);
+
+module.exports = Immobilisation;
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schéma pour une ligne d'inventaire (une ligne de la feuille de comptage).
+ * La quantité et le coût théoriques sont figés à l'ouverture de l'inventaire :
+ * l'écart est calculé par rapport à cette photo, pas au stock du moment de la validation.
+ */
+const ligneInventaireSchema = new Schema({
+  produit: { type: Schema.Types.ObjectId, ref: 'Produit', required: true },
+  description: { type: String, required: true },
+  categorie: { type: Schema.Types.ObjectId, ref: 'Categorie' },
+  quantiteTheorique: { type: Number, required: true, description: "Stock du dépôt à l'ouverture de l'inventaire." },
+  coutUnitaire: { type: Number, required: true, default: 0, description: "CUMP du dépôt à l'ouverture de l'inventaire." },
+  quantiteComptee: { type: Number, min: [0, 'La quantité comptée ne peut pas être négative.'], description: "Vide tant que la ligne n'a pas été comptée." },
+  comptePar: { type: Schema.Types.ObjectId, ref: 'User' },
+  dateComptage: { type: Date },
+}, {
+  _id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtuals pour les écarts de ligne (nuls tant que la ligne n'est pas comptée)
+ligneInventaireSchema.virtual('estComptee').get(function() { return this.quantiteComptee != null; });
+ligneInventaireSchema.virtual('ecart').get(function() {
+  return this.estComptee ? this.quantiteComptee - this.quantiteTheorique : 0;
+});
+ligneInventaireSchema.virtual('valeurEcart').get(function() { return this.ecart * this.coutUnitaire; });
+
+
+/**
+ * Schéma de l'Inventaire physique.
+ * Un inventaire porte sur un dépôt, éventuellement limité à certaines catégories
+ * (inventaire tournant). Il est ouvert, compté (éventuellement à l'aveugle), revu
+ * puis validé : la validation passe les ajustements de stock et l'écriture de
+ * variation des stocks en une seule fois.
+ */
+const inventaireSchema = new Schema({
+  numero: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  depot: { type: Schema.Types.ObjectId, ref: 'Depot', required: [true, "Le dépôt inventorié est obligatoire."] },
+
+  // --- Périmètre et mode de comptage ---
+  categories: [{ type: Schema.Types.ObjectId, ref: 'Categorie', description: "Catégories inventoriées. Vide = tout le dépôt." }],
+  comptageAveugle: { type: Boolean, default: false, description: "Si vrai, les quantités théoriques sont masquées aux compteurs." },
+
+  lignes: {
+    type: [ligneInventaireSchema],
+    validate: [v => Array.isArray(v) && v.length > 0, 'Un inventaire doit contenir au moins une ligne.']
+  },
+
+  statut: {
+    type: String,
+    enum: ['En cours', 'Validé', 'Annulé'],
+    default: 'En cours'
+  },
+  dateOuverture: { type: Date, default: Date.now, required: true },
+  dateValidation: { type: Date },
+
+  // --- Comptabilité ---
+  comptabilise: { type: Boolean, default: false },
+  ecritureComptable: { type: Schema.Types.ObjectId, ref: 'EcritureComptable' },
+
+  // --- Métadonnées ---
+  notes: { type: String, trim: true },
+  validePar: { type: Schema.Types.ObjectId, ref: 'User' },
+  creePar: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Synthèse des écarts valorisés, pour la revue avant validation.
+ */
+inventaireSchema.virtual('synthese').get(function() {
+  const synthese = { lignesComptees: 0, lignesNonComptees: 0, valeurExcedents: 0, valeurManquants: 0 };
+  this.lignes.forEach(ligne => {
+    if (!ligne.estComptee) {
+      synthese.lignesNonComptees++;
+      return;
+    }
+    synthese.lignesComptees++;
+    if (ligne.valeurEcart > 0) synthese.valeurExcedents += ligne.valeurEcart;
+    if (ligne.valeurEcart < 0) synthese.valeurManquants -= ligne.valeurEcart;
+  });
+  synthese.valeurEcartNet = synthese.valeurExcedents - synthese.valeurManquants;
+  return synthese;
+});
+
+// Un seul inventaire ouvert à la fois par dépôt
+inventaireSchema.index({ depot: 1 }, { unique: true, partialFilterExpression: { statut: 'En cours' } });
+inventaireSchema.index({ depot: 1, dateOuverture: -1 });
+
+const Inventaire = mongoose.model('Inventaire', inventaireSchema);
+
+module.exports = Inventaire;
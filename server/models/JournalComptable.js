@@ -26,7 +26,7 @@ const journalComptableSchema = new Schema(
     type: {
       type: String,
       required: true,
-      enum: ['Vente', 'Achat', 'Trésorerie', 'Opérations diverses'],
+      enum: ['Vente', 'Achat', 'Trésorerie', 'Opérations diverses', 'À-nouveaux'],
       description: "Nature des écritures contenues dans le journal."
     },
     
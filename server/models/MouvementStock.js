@@ -51,7 +51,7 @@ const mouvementStockSchema = new Schema(
     // --- Référence au document source ---
     documentLie: {
       id: { type: Schema.Types.ObjectId, required: true },
-      type: { type: String, required: true, enum: ['Vente', 'Achat', 'Inventaire', 'RetourClient', 'RetourFournisseur', 'Transfert'] },
+      type: { type: String, required: true, enum: ['Vente', 'BonLivraison', 'Achat', 'BonReception', 'Inventaire', 'RetourClient', 'RetourFournisseur', 'Transfert', 'Avoir'] },
       numero: { type: String, required: true, trim: true } // ex: 'FA-2023-001', 'CA-2023-010'
     },
     
@@ -91,25 +91,14 @@ mouvementStockSchema.index({ depot: 1, dateMouvement: -1 });
 
 
 /**
- * Middleware pre-save pour :
- * 1. Calculer la valeur totale du mouvement.
- * 2. Mettre à jour le stock dans le modèle Produit correspondant.
+ * Middleware pre-save pour calculer la valeur totale du mouvement.
+ * La mise à jour des quantités du Produit est faite par StockService, dans la même
+ * transaction que la création du mouvement (la refaire ici compterait le mouvement deux fois).
  */
-mouvementStockSchema.pre('save', async function(next) {
+mouvementStockSchema.pre('save', function(next) {
   // S'exécute seulement à la création du document
   if (this.isNew) {
-    // 1. Calculer la valeur du mouvement
     this.valeurMouvement = this.quantite * this.coutUnitaire;
-
-    // 2. Mettre à jour le stock dans le modèle Produit
-    // On utilise la méthode statique que nous avions définie dans Produit.js
-    const Produit = mongoose.model('Produit');
-    try {
-      await Produit.mettreAJourStock(this.produit, this.depot, this.quantite);
-    } catch (error) {
-      // Si la mise à jour du stock échoue (ex: stock négatif), on empêche la sauvegarde du mouvement.
-      return next(error);
-    }
   }
   next();
 });
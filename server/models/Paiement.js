@@ -1,5 +1,22 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { versReference } = require('../utils/devises');
+const { roundFinancial } = require('../utils/calculations');
+
+/**
+ * Sous-schéma d'une imputation : part d'un règlement client affectée à une facture, dans la
+ * devise du règlement. Une imputation « sur avance » affecte après coup l'excédent conservé en
+ * avance client (4191) et a sa propre écriture.
+ */
+const imputationSchema = new Schema({
+  facture: { type: Schema.Types.ObjectId, ref: 'Facture', required: true },
+  factureNumero: { type: String, required: true },
+  montant: { type: Number, required: true, min: [0.01, "Le montant imputé doit être positif."] },
+  dateImputation: { type: Date, default: Date.now },
+  surAvance: { type: Boolean, default: false },
+  ecartDeChange: { type: Number, default: 0, description: "Différence de change réalisée sur cette imputation (gain positif)." },
+  ecriture: { type: Schema.Types.ObjectId, ref: 'EcritureComptable', description: "Écriture d'une imputation sur avance (4191 -> 411)." },
+});
 
 /**
  * Schéma du Paiement.
@@ -15,7 +32,19 @@ const paiementSchema = new Schema(
       required: [true, 'Le montant du paiement est obligatoire.'],
       min: [0.01, 'Le montant doit être positif.']
     },
-    devise: { type: String, required: true, default: 'XOF' },
+    devise: { type: String, required: true, uppercase: true, default: 'XOF' },
+    tauxDeChange: {
+      type: Number,
+      default: 1,
+      min: [0.000001, 'Le cours de la devise doit être positif.'],
+      description: "Cours de la devise au jour du paiement (contre-valeur XOF d'une unité)."
+    },
+    contreValeur: { type: Number, description: "Montant du paiement en XOF, au cours du jour du paiement." },
+    ecartDeChange: {
+      type: Number,
+      default: 0,
+      description: "Différence de change réalisée, comptabilisée en 776 si positive (gain), en 676 si négative (perte)."
+    },
     methodePaiement: {
       type: String,
       required: true,
@@ -29,20 +58,30 @@ const paiementSchema = new Schema(
     },
 
     // --- Association Polymorphique ---
-    // Lie le paiement au document qu'il règle (ex: une Facture ou un Achat)
+    // Lie le paiement au document qu'il règle (ex: une Facture ou un Achat). Un règlement client
+    // porte à la place son client et ses imputations sur les factures.
     documentConcerne: {
       documentId: {
         type: Schema.Types.ObjectId,
-        required: true,
+        required: function() { return !this.client; },
         // `refPath` indique à Mongoose de chercher le nom du modèle dans le champ 'documentModel'
         refPath: 'documentConcerne.documentModel'
       },
       documentModel: {
         type: String,
-        required: true,
-        enum: ['Facture', 'Achat'] // Les modèles qui peuvent recevoir des paiements
+        required: function() { return !this.client; },
+        enum: ['Facture', 'Achat', 'FactureFournisseur', 'RetourClient'] // Les modèles qui peuvent recevoir des paiements
       },
-      documentNumero: { type: String, required: true } // Numéro lisible du document (ex: FA-2024-001)
+      documentNumero: { type: String, required: function() { return !this.client; } } // Numéro lisible du document (ex: FA-2024-001)
+    },
+
+    // --- Règlement client réparti sur plusieurs factures ---
+    client: { type: Schema.Types.ObjectId, ref: 'Client' },
+    imputations: [imputationSchema],
+    montantAvance: {
+      type: Number,
+      default: 0,
+      description: "Excédent du règlement conservé en avance client (4191), à imputer sur de prochaines factures."
     },
     
     statut: {
@@ -61,26 +100,94 @@ const paiementSchema = new Schema(
 
 // --- LOGIQUE MÉTIER (HOOKS) ---
 
+/**
+ * Middleware pre-save: calcule la contre-valeur XOF du paiement au cours du jour.
+ */
+paiementSchema.pre('save', function(next) {
+    this.contreValeur = versReference(this.montant, this.tauxDeChange);
+    next();
+});
+
+/**
+ * Avance client encore disponible : excédent du règlement non encore imputé sur une facture.
+ */
+paiementSchema.virtual('avanceDisponible').get(function() {
+    const impute = (this.imputations || []).filter(i => i.surAvance).reduce((acc, i) => acc + i.montant, 0);
+    return roundFinancial((this.montantAvance || 0) - impute);
+});
+
+/**
+ * Filtre des paiements qui règlent un document, directement ou par une imputation.
+ * @param {string} documentId
+ * @returns {object}
+ */
+paiementSchema.statics.filtreReglementsDe = function(documentId) {
+    return { $or: [{ 'documentConcerne.documentId': documentId }, { 'imputations.facture': documentId }] };
+};
+
+/**
+ * Parts de ce paiement qui règlent un document : le paiement entier s'il le concerne
+ * directement, sinon chacune de ses imputations sur ce document.
+ * @param {string} documentId
+ * @returns {Array<{ id: object, date: Date, montant: number, contreValeur: number, ecartDeChange: number, direction: string }>}
+ * `contreValeur` est la valeur de la part au cours du paiement.
+ */
+paiementSchema.methods.partsSur = function(documentId) {
+    const id = String(documentId);
+    const parts = [];
+    if (this.documentConcerne?.documentId && String(this.documentConcerne.documentId) === id) {
+        parts.push({
+            id: this._id,
+            date: this.datePaiement,
+            montant: this.montant,
+            contreValeur: this.contreValeur ?? versReference(this.montant, this.tauxDeChange),
+            ecartDeChange: this.ecartDeChange || 0,
+            direction: this.direction,
+        });
+    }
+    (this.imputations || []).filter(i => String(i.facture) === id).forEach(i => parts.push({
+        id: i._id,
+        date: i.dateImputation || this.datePaiement,
+        montant: i.montant,
+        contreValeur: versReference(i.montant, this.tauxDeChange),
+        ecartDeChange: i.ecartDeChange || 0,
+        direction: this.direction,
+    }));
+    return parts;
+};
+
 // Fonction pour mettre à jour le solde du document lié (Facture ou Achat)
 const updateDocumentSolde = async (doc) => {
     if (!doc || doc.statut !== 'Validé') return; // N'agir que pour les paiements validés
+    // Dans une transaction, lire et écrire dans sa session : le paiement n'y est pas encore visible ailleurs
+    const session = doc.$session();
 
-    const modelName = doc.documentConcerne.documentModel;
-    const model = mongoose.model(modelName);
-    const documentId = doc.documentConcerne.documentId;
+    const documents = (doc.imputations || []).map(i => ({ documentId: i.facture, modelName: 'Facture' }));
+    if (doc.documentConcerne?.documentId) {
+        documents.push({ documentId: doc.documentConcerne.documentId, modelName: doc.documentConcerne.documentModel });
+    }
+    const dejaTraites = new Set();
 
-    // Recalculer le total de tous les paiements validés pour ce document
-    const paiements = await mongoose.model('Paiement').find({ 
-      'documentConcerne.documentId': documentId,
-      'statut': 'Validé'
-    });
-    
-    const totalPaye = paiements.reduce((acc, p) => acc + p.montant, 0);
+    for (const { documentId, modelName } of documents) {
+        if (dejaTraites.has(String(documentId))) continue;
+        dejaTraites.add(String(documentId));
+
+        const model = mongoose.model(modelName);
+        if (!model.schema.path('montantPaye')) continue; // Ex: remboursement d'un retour client, sans solde à suivre
+
+        // Recalculer le total de tous les paiements validés pour ce document
+        const paiements = await mongoose.model('Paiement').find({
+          ...paiementSchema.statics.filtreReglementsDe(documentId),
+          'statut': 'Validé'
+        }).session(session);
+
+        const totalPaye = roundFinancial(paiements.reduce((acc, p) => acc + p.partsSur(documentId).reduce((s, part) => s + part.montant, 0), 0));
 
-    // Mettre à jour le document et le sauvegarder
-    // La sauvegarde déclenchera le hook pre-save du modèle lié (Facture ou Achat)
-    // qui mettra à son tour à jour son propre statut ('Payé', 'Partiellement payé'...)
-    await model.findByIdAndUpdate(documentId, { montantPaye: totalPaye });
+        // Mettre à jour le document et le sauvegarder
+        // La sauvegarde déclenchera le hook pre-save du modèle lié (Facture ou Achat)
+        // qui mettra à son tour à jour son propre statut ('Payé', 'Partiellement payé'...)
+        await model.findByIdAndUpdate(documentId, { montantPaye: totalPaye }, { session });
+    }
 };
 
 
@@ -103,6 +210,8 @@ paiementSchema.post('remove', async function() {
 
 // Index
 paiementSchema.index({ 'documentConcerne.documentId': 1 });
+paiementSchema.index({ 'imputations.facture': 1 });
+paiementSchema.index({ client: 1, montantAvance: 1 });
 
 const Paiement = mongoose.model('Paiement', paiementSchema);
 
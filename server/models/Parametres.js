@@ -31,12 +31,42 @@ const parametresSchema = new Schema(
     prefixeVente: { type: String, default: 'VTE-', uppercase: true, trim: true },
     sequenceVente: { type: Number, default: 1 },
 
+    prefixeBonLivraison: { type: String, default: 'BL-', uppercase: true, trim: true },
+    sequenceBonLivraison: { type: Number, default: 1 },
+
     prefixeFacture: { type: String, default: 'FAC-', uppercase: true, trim: true },
     sequenceFacture: { type: Number, default: 1 },
 
     prefixeAchat: { type: String, default: 'ACH-', uppercase: true, trim: true },
     sequenceAchat: { type: Number, default: 1 },
 
+    prefixeAvoir: { type: String, default: 'AV-', uppercase: true, trim: true },
+    sequenceAvoir: { type: Number, default: 1 },
+
+    prefixeBonReception: { type: String, default: 'BR-', uppercase: true, trim: true },
+    sequenceBonReception: { type: Number, default: 1 },
+
+    prefixeFactureFournisseur: { type: String, default: 'FF-', uppercase: true, trim: true },
+    sequenceFactureFournisseur: { type: Number, default: 1 },
+
+    prefixePaiement: { type: String, default: 'PAI-', uppercase: true, trim: true },
+    sequencePaiement: { type: Number, default: 1 },
+
+    prefixeTransfert: { type: String, default: 'TR-', uppercase: true, trim: true },
+    sequenceTransfert: { type: Number, default: 1 },
+
+    prefixeInventaire: { type: String, default: 'INV-', uppercase: true, trim: true },
+    sequenceInventaire: { type: Number, default: 1 },
+
+    prefixeRetourClient: { type: String, default: 'RC-', uppercase: true, trim: true },
+    sequenceRetourClient: { type: Number, default: 1 },
+
+    prefixeRetourFournisseur: { type: String, default: 'RF-', uppercase: true, trim: true },
+    sequenceRetourFournisseur: { type: Number, default: 1 },
+
+    prefixeImmobilisation: { type: String, default: 'IMMO-', uppercase: true, trim: true },
+    sequenceImmobilisation: { type: Number, default: 1 },
+
     mentionsLegalesFacture: { type: String, trim: true, default: "Facture payable à réception. Aucun escompte pour paiement anticipé." },
     piedDePageDevis: { type: String, trim: true, default: "Devis valable 30 jours." },
 
@@ -45,6 +75,58 @@ const parametresSchema = new Schema(
     journalVentesParDefaut: { type: Schema.Types.ObjectId, ref: 'JournalComptable' },
     journalAchatsParDefaut: { type: Schema.Types.ObjectId, ref: 'JournalComptable' },
     journalTresorerieParDefaut: { type: Schema.Types.ObjectId, ref: 'JournalComptable' },
+    journalOperationsDiversesParDefaut: { type: Schema.Types.ObjectId, ref: 'JournalComptable' },
+    journalANouveauxParDefaut: { type: Schema.Types.ObjectId, ref: 'JournalComptable', description: "Journal des écritures d'ouverture (à-nouveaux)." },
+
+    // --- Comptes par défaut (ventes et trésorerie) ---
+    compteClientsDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "411 - Clients" },
+    compteAvancesClientsDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "4191 - Clients, avances et acomptes reçus" },
+    compteVentesDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "701 - Ventes de marchandises" },
+    compteTVAVenteDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "4431 - État, TVA facturée sur ventes" },
+    compteTresorerieDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "521 - Banques locales" },
+
+    // --- Comptes auxiliaires de tiers ---
+    // En mode 'Auxiliaire', chaque client ou fournisseur reçoit son propre compte, numéroté
+    // racine + séquence sur la longueur voulue (ex: 4110001) ; en mode 'Collectif', il est
+    // rattaché au compte collectif par défaut (411 ou 401).
+    modeComptesTiers: { type: String, enum: ['Auxiliaire', 'Collectif'], default: 'Auxiliaire' },
+    racineComptesClients: { type: String, default: '411', trim: true, match: /^4[0-9]+$/ },
+    racineComptesFournisseurs: { type: String, default: '401', trim: true, match: /^4[0-9]+$/ },
+    longueurComptesAuxiliaires: { type: Number, default: 7, min: 4, max: 10 },
+    sequenceCompteClient: { type: Number, default: 1 },
+    sequenceCompteFournisseur: { type: Number, default: 1 },
+
+    // --- Comptes par défaut (achats) ---
+    compteFournisseursDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "401 - Fournisseurs" },
+    compteAchatsDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "601 - Achats de marchandises" },
+    compteTVAAchatDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "445 - État, TVA récupérable" },
+
+    // --- Comptes par défaut (déclaration de TVA) ---
+    compteTVADueDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "4441 - État, TVA due" },
+    compteCreditTVADefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "4449 - État, crédit de TVA à reporter" },
+
+    // --- Comptes par défaut (rapprochement bancaire) ---
+    compteFraisBancairesDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "631 - Frais bancaires" },
+
+    // --- Comptes par défaut (opérations en devises) ---
+    comptePerteChangeDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "676 - Pertes de change financières" },
+    compteGainChangeDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "776 - Gains de change financiers" },
+    compteEcartConversionActifDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "478 - Écarts de conversion - actif (pertes latentes)" },
+    compteEcartConversionPassifDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "479 - Écarts de conversion - passif (gains latents)" },
+
+    // --- Comptes par défaut (stocks) ---
+    compteStockMarchandisesDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "311 - Marchandises" },
+    compteVariationStockDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "6031 - Variations des stocks de marchandises" },
+
+    // --- Comptes par défaut (immobilisations) ---
+    compteDotationsAmortissementsDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "681 - Dotations aux amortissements d'exploitation" },
+    compteValeurCessionDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "812 - Valeurs comptables des cessions d'immobilisations corporelles" },
+    compteProduitCessionDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "822 - Produits des cessions d'immobilisations corporelles" },
+    compteCreanceCessionDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "485 - Créances sur cessions d'immobilisations" },
+
+    // --- Comptes par défaut (clôture) ---
+    compteResultatBeneficeDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "131 - Résultat net : bénéfice" },
+    compteResultatPerteDefaut: { type: Schema.Types.ObjectId, ref: 'CompteComptable', description: "139 - Résultat net : perte" },
   },
   { timestamps: true }
 );
@@ -49,6 +49,11 @@ const produitSchema = new Schema(
       required: [true, 'Le prix d\'achat est obligatoire.'],
       default: 0,
     },
+    cump: { // Coût Unitaire Moyen Pondéré, recalculé à chaque entrée en stock valorisée
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     prixVenteHT: {
       type: Number,
       required: [true, 'Le prix de vente HT est obligatoire.'],
@@ -86,6 +91,11 @@ const produitSchema = new Schema(
           required: true,
           default: 0,
           min: 0
+        },
+        cump: { // CUMP propre au dépôt (les transferts le font évoluer sans toucher au CUMP global)
+          type: Number,
+          default: 0,
+          min: 0
         }
       }
     ],
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schéma d'une opération du relevé bancaire et de son rapprochement avec la comptabilité.
+ * Le montant est signé du point de vue de l'entreprise : positif pour un encaissement,
+ * négatif pour un décaissement.
+ */
+const ligneReleveSchema = new Schema({
+  dateOperation: { type: Date, required: true },
+  dateValeur: { type: Date },
+  libelle: { type: String, required: true, trim: true },
+  montant: { type: Number, required: true },
+  referenceExterne: { type: String, trim: true, description: "Référence bancaire de l'opération (virement, numéro de chèque...)." },
+
+  statut: {
+    type: String,
+    enum: ['Non rapprochée', 'Rapprochée', 'Comptabilisée'],
+    default: 'Non rapprochée',
+    description: "Comptabilisée : l'opération n'existait pas en comptabilité et son écriture a été passée depuis le relevé."
+  },
+  // Ligne d'écriture (sur le compte de banque) rapprochée avec l'opération
+  ecriture: { type: Schema.Types.ObjectId, ref: 'EcritureComptable' },
+  indexMouvement: { type: Number },
+  paiement: { type: Schema.Types.ObjectId, ref: 'Paiement' },
+  modeRapprochement: { type: String, enum: ['Automatique', 'Manuel'] },
+  dateRapprochement: { type: Date },
+}, { _id: false });
+
+
+/**
+ * Schéma du Relevé Bancaire.
+ * Un relevé importé (CSV, OFX, CAMT.053) pour un journal de trésorerie, dont les opérations
+ * sont rapprochées des lignes d'écritures du compte de banque (52x) associé au journal.
+ */
+const releveBancaireSchema = new Schema({
+  reference: {
+    type: String,
+    required: [true, 'La référence du relevé est obligatoire.'],
+    trim: true,
+    description: "Numéro du relevé communiqué par la banque, ou nom du fichier importé."
+  },
+  journal: {
+    type: Schema.Types.ObjectId,
+    ref: 'JournalComptable',
+    required: [true, 'Le relevé doit être rattaché à un journal de trésorerie.']
+  },
+  compte: {
+    type: Schema.Types.ObjectId,
+    ref: 'CompteComptable',
+    required: true,
+    description: "Compte de banque (52x) du journal, repris à l'import."
+  },
+  format: { type: String, enum: ['CSV', 'OFX', 'CAMT.053'], required: true },
+  fichier: { type: String, description: "Chemin du fichier importé." },
+  devise: { type: String, default: 'XOF' },
+
+  dateDebut: { type: Date, required: true },
+  dateFin: { type: Date, required: true },
+  soldeInitial: { type: Number, required: true },
+  soldeFinal: { type: Number, required: true },
+
+  lignes: [ligneReleveSchema],
+
+  statut: {
+    type: String,
+    enum: ['En cours', 'Rapproché'],
+    default: 'En cours',
+    description: "Rapproché lorsque toutes les opérations sont rapprochées ou comptabilisées."
+  },
+
+  // --- Métadonnées ---
+  importePar: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+/**
+ * Middleware pre-save : le relevé doit être cohérent (solde initial + opérations = solde final)
+ * et son statut suit l'avancement du rapprochement.
+ */
+releveBancaireSchema.pre('save', function(next) {
+  const mouvements = this.lignes.reduce((acc, l) => acc + l.montant, 0);
+  const ecart = Math.round((this.soldeInitial + mouvements - this.soldeFinal) * 100) / 100;
+  if (ecart !== 0) {
+    return next(new Error(`Relevé incohérent : le solde initial (${this.soldeInitial}) augmenté des opérations ne donne pas le solde final (${this.soldeFinal}), écart de ${ecart}.`));
+  }
+
+  this.statut = this.lignes.every(l => l.statut !== 'Non rapprochée') ? 'Rapproché' : 'En cours';
+  next();
+});
+
+// Un relevé n'est importé qu'une fois par journal
+releveBancaireSchema.index({ journal: 1, reference: 1 }, { unique: true });
+
+const ReleveBancaire = mongoose.model('ReleveBancaire', releveBancaireSchema);
+
+module.exports = ReleveBancaire;
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schéma pour une ligne de retour client.
+ * `indexLigneOrigine` désigne la ligne du bon de livraison ou de la facture retournée.
+ * `indexLigneFacture` est renseigné dès que la ligne est rattachable à une facture,
+ * ce qui permet d'en tirer un avoir. Le prix est repris de la facture (snapshot).
+ */
+const ligneRetourClientSchema = new Schema({
+  indexLigneOrigine: { type: Number, required: true, min: 0 },
+  indexLigneFacture: { type: Number, min: 0 },
+  produit: { type: Schema.Types.ObjectId, ref: 'Produit', required: true },
+  description: { type: String, required: true },
+  quantite: { type: Number, required: true, min: [0.01, 'La quantité retournée doit être positive.'] },
+  motif: {
+    type: String,
+    required: [true, 'Le motif du retour est obligatoire pour chaque ligne.'],
+    enum: ['Défectueux', 'Endommagé au transport', 'Erreur de livraison', 'Non conforme à la commande', 'Périmé', 'Rétractation du client', 'Autre']
+  },
+  traitement: {
+    type: String,
+    enum: ['Remise en stock', 'Mise au rebut'],
+    default: 'Remise en stock',
+    description: "Remise en stock (RETOUR_CLIENT) ou mise au rebut (PERTE_CASSE)."
+  },
+  coutUnitaire: { type: Number, description: "Coût de sortie d'origine, pour valoriser la remise en stock." },
+  prixUnitaireHT: { type: Number, default: 0 },
+  tauxTVA: { type: Number, default: 0 },
+  remise: {
+    type: { type: String, enum: ['Pourcentage', 'Montant'], default: 'Pourcentage' },
+    valeur: { type: Number, default: 0 }
+  }
+}, {
+  _id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Mêmes virtuals que pour les lignes de facture
+ligneRetourClientSchema.virtual('totalLigneHT').get(function() { return this.quantite * this.prixUnitaireHT; });
+ligneRetourClientSchema.virtual('montantRemise').get(function() {
+  if (this.remise.type === 'Pourcentage') { return this.totalLigneHT * (this.remise.valeur / 100); }
+  return this.remise.valeur;
+});
+ligneRetourClientSchema.virtual('totalLigneApresRemiseHT').get(function() { return this.totalLigneHT - this.montantRemise; });
+ligneRetourClientSchema.virtual('montantTVA').get(function() { return this.totalLigneApresRemiseHT * (this.tauxTVA / 100); });
+ligneRetourClientSchema.virtual('totalLigneTTC').get(function() { return this.totalLigneApresRemiseHT + this.montantTVA; });
+
+
+/**
+ * Schéma du Retour Client.
+ * Enregistre les marchandises rendues par un client, au titre d'un bon de livraison
+ * ou d'une facture. Sa validation remet en stock ou met au rebut chaque ligne,
+ * puis règle le retour par un avoir ou par un remboursement.
+ */
+const retourClientSchema = new Schema({
+  numero: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  client: { type: Schema.Types.ObjectId, ref: 'Client', required: true },
+
+  // --- Document d'origine (un BL, une facture, ou un BL facturé) ---
+  typeOrigine: { type: String, enum: ['BonLivraison', 'Facture'], required: true, description: "Document auquel se rapporte `indexLigneOrigine`." },
+  bonLivraisonOrigine: { type: Schema.Types.ObjectId, ref: 'BonLivraison' },
+  factureOrigine: { type: Schema.Types.ObjectId, ref: 'Facture' },
+
+  dateRetour: { type: Date, default: Date.now, required: true },
+  depotRetour: { type: Schema.Types.ObjectId, ref: 'Depot', required: [true, 'Le dépôt de retour est obligatoire.'] },
+
+  lignes: {
+    type: [ligneRetourClientSchema],
+    validate: [v => Array.isArray(v) && v.length > 0, 'Un retour doit contenir au moins une ligne.']
+  },
+
+  // --- Totaux (valeur de vente des marchandises retournées) ---
+  totalHT: { type: Number, default: 0 },
+  totalRemise: { type: Number, default: 0 },
+  totalTVA: { type: Number, default: 0 },
+  totalTTC: { type: Number, default: 0 },
+
+  // --- Règlement du retour ---
+  modeReglement: {
+    type: String,
+    enum: ['Avoir', 'Remboursement', 'Aucun'],
+    required: true,
+    default: 'Avoir',
+    description: "'Aucun' est réservé aux retours sur une livraison non encore facturée."
+  },
+  avoirGenere: { type: Schema.Types.ObjectId, ref: 'Avoir' },
+  paiementRemboursement: { type: Schema.Types.ObjectId, ref: 'Paiement' },
+
+  statut: {
+    type: String,
+    enum: ['Brouillon', 'Validé', 'Annulé'],
+    default: 'Brouillon'
+  },
+  mouvementStockCree: { type: Boolean, default: false },
+
+  // --- Métadonnées ---
+  notes: { type: String, trim: true },
+  validePar: { type: Schema.Types.ObjectId, ref: 'User' },
+  dateValidation: { type: Date },
+  creePar: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+/**
+ * Validation : un retour se rapporte à un bon de livraison ou à une facture.
+ */
+retourClientSchema.pre('validate', function(next) {
+  const origine = this.typeOrigine === 'BonLivraison' ? this.bonLivraisonOrigine : this.factureOrigine;
+  if (!origine) {
+    this.invalidate('typeOrigine', 'Un retour doit être lié à un bon de livraison ou à une facture.');
+  }
+  next();
+});
+
+/**
+ * Middleware pre-save pour calculer les totaux.
+ */
+retourClientSchema.pre('save', function(next) {
+  let totalHT = 0, totalRemise = 0, totalTVA = 0;
+  this.lignes.forEach(ligne => {
+    totalHT += ligne.totalLigneHT;
+    totalRemise += ligne.montantRemise;
+    totalTVA += ligne.montantTVA;
+  });
+  this.totalHT = totalHT;
+  this.totalRemise = totalRemise;
+  this.totalTVA = totalTVA;
+  this.totalTTC = totalHT - totalRemise + totalTVA;
+
+  next();
+});
+
+/**
+ * Calcule, pour chaque ligne d'un document d'origine, la quantité déjà retournée
+ * par des retours non annulés (brouillons compris, pour réserver les quantités en cours de retour).
+ * @param {'BonLivraison' | 'Facture'} typeOrigine - Le type du document d'origine.
+ * @param {string} documentId - L'ID du document d'origine.
+ * @param {object} [options]
+ * @param {boolean} [options.validesSeulement=false] - Ne compter que les retours validés (marchandises effectivement revenues).
+ * @param {object} [options.session] - Session MongoDB de la transaction en cours.
+ * @returns {Promise<Map<number, number>>} Quantité déjà retournée, indexée par index de ligne d'origine.
+ */
+retourClientSchema.statics.getQuantitesDejaRetournees = async function(typeOrigine, documentId, { validesSeulement = false, session } = {}) {
+  const champOrigine = typeOrigine === 'BonLivraison' ? 'bonLivraisonOrigine' : 'factureOrigine';
+  const statut = validesSeulement ? 'Validé' : { $ne: 'Annulé' };
+  const retours = await this.find({ typeOrigine, [champOrigine]: documentId, statut }).session(session);
+  const quantites = new Map();
+  retours.forEach(retour => {
+    retour.lignes.forEach(ligne => {
+      const dejaRetourne = quantites.get(ligne.indexLigneOrigine) || 0;
+      quantites.set(ligne.indexLigneOrigine, dejaRetourne + ligne.quantite);
+    });
+  });
+  return quantites;
+};
+
+// Index
+retourClientSchema.index({ bonLivraisonOrigine: 1 });
+retourClientSchema.index({ factureOrigine: 1 });
+retourClientSchema.index({ client: 1, dateRetour: -1 });
+
+const RetourClient = mongoose.model('RetourClient', retourClientSchema);
+
+module.exports = RetourClient;
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schéma pour une ligne de retour fournisseur.
+ * Le coût est celui de la réception d'origine, pour sortir du stock la valeur qui y était entrée.
+ */
+const ligneRetourFournisseurSchema = new Schema({
+  indexLigneAchat: { type: Number, required: true, min: 0 },
+  produit: { type: Schema.Types.ObjectId, ref: 'Produit', required: true },
+  description: { type: String, required: true },
+  quantite: { type: Number, required: true, min: [0.01, 'La quantité retournée doit être positive.'] },
+  coutUnitaireHT: { type: Number, required: true, description: "Coût de la réception d'origine, en XOF." },
+  tauxTVA: { type: Number, required: true },
+  motif: {
+    type: String,
+    required: [true, 'Le motif du retour est obligatoire pour chaque ligne.'],
+    enum: ['Défectueux', 'Endommagé à la livraison', 'Erreur de livraison', 'Non conforme à la commande', 'Périmé', 'Autre']
+  },
+}, {
+  _id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtuals pour les calculs de ligne
+ligneRetourFournisseurSchema.virtual('totalLigneHT').get(function() { return this.quantite * this.coutUnitaireHT; });
+ligneRetourFournisseurSchema.virtual('montantTVA').get(function() { return this.totalLigneHT * (this.tauxTVA / 100); });
+ligneRetourFournisseurSchema.virtual('totalLigneTTC').get(function() { return this.totalLigneHT + this.montantTVA; });
+
+
+/**
+ * Schéma du Retour Fournisseur.
+ * Renvoie à un fournisseur des marchandises reçues au titre d'un achat (produits défectueux,
+ * erreurs de livraison...). Sa validation sort les marchandises du stock (RETOUR_FOURNISSEUR)
+ * et constate un avoir fournisseur qui diminue ce que nous devons sur l'achat.
+ */
+const retourFournisseurSchema = new Schema({
+  numero: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  fournisseur: { type: Schema.Types.ObjectId, ref: 'Fournisseur', required: true },
+  achatLie: { type: Schema.Types.ObjectId, ref: 'Achat', required: [true, 'Un retour fournisseur doit être lié à un achat.'] },
+  bonReceptionLie: { type: Schema.Types.ObjectId, ref: 'BonReception' },
+  depot: { type: Schema.Types.ObjectId, ref: 'Depot', required: [true, 'Le dépôt de sortie est obligatoire.'] },
+
+  dateRetour: { type: Date, default: Date.now, required: true },
+
+  lignes: {
+    type: [ligneRetourFournisseurSchema],
+    validate: [v => Array.isArray(v) && v.length > 0, 'Un retour fournisseur doit contenir au moins une ligne.']
+  },
+
+  // --- Totaux en XOF (montant de l'avoir attendu du fournisseur) ---
+  totalHT: { type: Number, default: 0 },
+  totalTVA: { type: Number, default: 0 },
+  totalTTC: { type: Number, default: 0 },
+
+  statut: {
+    type: String,
+    enum: ['Brouillon', 'Validé', 'Annulé'],
+    default: 'Brouillon'
+  },
+  mouvementStockCree: { type: Boolean, default: false },
+
+  // --- Comptabilité ---
+  comptabilise: { type: Boolean, default: false },
+  ecritureComptable: { type: Schema.Types.ObjectId, ref: 'EcritureComptable' },
+
+  // --- Métadonnées ---
+  referenceAvoirFournisseur: { type: String, trim: true, description: "Numéro de l'avoir émis par le fournisseur, une fois reçu." },
+  notes: { type: String, trim: true },
+  validePar: { type: Schema.Types.ObjectId, ref: 'User' },
+  dateValidation: { type: Date },
+  creePar: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+/**
+ * Middleware pre-save pour calculer les totaux.
+ */
+retourFournisseurSchema.pre('save', function(next) {
+  let totalHT = 0, totalTVA = 0;
+  this.lignes.forEach(ligne => {
+    totalHT += ligne.totalLigneHT;
+    totalTVA += ligne.montantTVA;
+  });
+  this.totalHT = totalHT;
+  this.totalTVA = totalTVA;
+  this.totalTTC = totalHT + totalTVA;
+
+  next();
+});
+
+/**
+ * Calcule, pour chaque ligne d'un achat, la quantité déjà renvoyée par des retours non annulés.
+ * @param {string} achatId - L'ID de l'achat d'origine.
+ * @returns {Promise<Map<number, number>>} Quantité déjà retournée, indexée par index de ligne d'achat.
+ */
+retourFournisseurSchema.statics.getQuantitesDejaRetournees = async function(achatId) {
+  const retours = await this.find({ achatLie: achatId, statut: { $ne: 'Annulé' } });
+  const quantites = new Map();
+  retours.forEach(retour => {
+    retour.lignes.forEach(ligne => {
+      const dejaRetourne = quantites.get(ligne.indexLigneAchat) || 0;
+      quantites.set(ligne.indexLigneAchat, dejaRetourne + ligne.quantite);
+    });
+  });
+  return quantites;
+};
+
+// Index
+retourFournisseurSchema.index({ achatLie: 1 });
+retourFournisseurSchema.index({ fournisseur: 1, dateRetour: -1 });
+
+const RetourFournisseur = mongoose.model('RetourFournisseur', retourFournisseurSchema);
+
+module.exports = RetourFournisseur;
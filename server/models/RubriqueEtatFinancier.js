@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const rubriquesParDefaut = require('../data/rubriquesEtatsFinanciers');
+
+/**
+ * Schéma d'une règle d'affectation de comptes à une rubrique.
+ * Un compte suit la règle dont la racine est la plus longue parmi celles qui lui correspondent.
+ */
+const regleCompteSchema = new Schema({
+  racine: {
+    type: String,
+    required: [true, 'La racine de compte est obligatoire.'],
+    trim: true,
+    match: [/^[1-9][0-9]*$/, 'La racine de compte ne doit contenir que des chiffres.']
+  },
+  sens: {
+    type: String,
+    enum: ['Solde', 'Débiteur', 'Créditeur'],
+    default: 'Solde',
+    description: "Restreint la règle aux comptes de solde débiteur ou créditeur (ex: banques, comptes de tiers)."
+  },
+  amortissement: {
+    type: Boolean,
+    default: false,
+    description: "Range le compte dans la colonne des amortissements et dépréciations (actif du bilan)."
+  },
+}, { _id: false });
+
+
+/**
+ * Schéma d'une Rubrique des États Financiers (SYSCOHADA révisé).
+ * Une rubrique de détail agrège les soldes des comptes qui lui sont affectés ; une rubrique
+ * de total est calculée par une formule sur les références d'autres rubriques (ex: 'TA-RA-RB').
+ */
+const rubriqueEtatFinancierSchema = new Schema(
+  {
+    etat: {
+      type: String,
+      required: true,
+      enum: ['Bilan', 'CompteResultat'],
+    },
+    reference: {
+      type: String,
+      required: [true, 'La référence de la rubrique est obligatoire (ex: AD, TA, XA).'],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{2}$/, 'La référence doit comporter deux lettres.']
+    },
+    libelle: { type: String, required: [true, 'Le libellé de la rubrique est obligatoire.'], trim: true },
+    cote: {
+      type: String,
+      enum: ['Actif', 'Passif', 'Charge', 'Produit'],
+      required: [
+        function() { return this.etat === 'Bilan' || this.type === 'Rubrique'; },
+        'Le côté de la rubrique (Actif, Passif, Charge ou Produit) est obligatoire.'
+      ],
+      description: "Détermine le signe des soldes : débit - crédit pour l'actif et les charges, crédit - débit sinon."
+    },
+    type: {
+      type: String,
+      enum: ['Rubrique', 'Total'],
+      default: 'Rubrique',
+    },
+    comptes: [regleCompteSchema],
+    formule: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      required: [function() { return this.type === 'Total'; }, 'Une rubrique de total doit avoir une formule.'],
+      match: [/^[A-Z]{2}([+-][A-Z]{2})*$/, 'La formule doit être une somme de références (ex: TA-RA-RB).']
+    },
+    ordre: { type: Number, required: true, description: "Position de la rubrique dans l'état ; un total suit les rubriques qu'il additionne." },
+    actif: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+/**
+ * Retourne les rubriques actives d'un état, dans l'ordre de présentation.
+ * À la première utilisation, la collection est initialisée avec l'affectation SYSCOHADA par défaut.
+ * @param {'Bilan' | 'CompteResultat'} etat
+ * @returns {Promise<Array<object>>}
+ */
+rubriqueEtatFinancierSchema.statics.getRubriques = async function(etat) {
+  if (!(await this.exists({ etat }))) {
+    await this.insertMany(rubriquesParDefaut.filter(r => r.etat === etat));
+  }
+  return this.find({ etat, actif: true }).sort({ ordre: 1 });
+};
+
+// Index
+rubriqueEtatFinancierSchema.index({ etat: 1, reference: 1 }, { unique: true });
+rubriqueEtatFinancierSchema.index({ etat: 1, ordre: 1 });
+
+const RubriqueEtatFinancier = mongoose.model('RubriqueEtatFinancier', rubriqueEtatFinancierSchema);
+
+module.exports = RubriqueEtatFinancier;
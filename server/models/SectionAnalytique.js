@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schéma de la Section Analytique.
+ * Un centre de coût ou de profit d'un axe (ex: l'agence de Thiès sur l'axe 'AGENCE', le
+ * chantier d'un client sur l'axe 'PROJET'), auquel sont imputées des quotes-parts de lignes
+ * d'écritures.
+ */
+const sectionAnalytiqueSchema = new Schema(
+  {
+    axe: {
+      type: Schema.Types.ObjectId,
+      ref: 'AxeAnalytique',
+      required: [true, "La section doit appartenir à un axe analytique."]
+    },
+    code: {
+      type: String,
+      required: [true, 'Le code de la section analytique est obligatoire.'],
+      uppercase: true,
+      trim: true,
+      maxlength: [20, 'Le code ne peut pas dépasser 20 caractères.'],
+    },
+    libelle: {
+      type: String,
+      required: [true, 'Le libellé de la section analytique est obligatoire.'],
+      trim: true,
+    },
+    responsable: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      description: "L'utilisateur qui suit les résultats de la section."
+    },
+    actif: {
+      type: Boolean,
+      default: true,
+      description: "Une section inactive ne reçoit plus de nouvelles ventilations."
+    },
+    creePar: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Le code d'une section est unique au sein de son axe
+sectionAnalytiqueSchema.index({ axe: 1, code: 1 }, { unique: true });
+
+const SectionAnalytique = mongoose.model('SectionAnalytique', sectionAnalytiqueSchema);
+
+module.exports = SectionAnalytique;
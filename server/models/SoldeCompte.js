@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const CompteComptable = require('./CompteComptable');
+
+/**
+ * Schéma des Soldes mensuels d'un compte.
+ * Cumul des débits et crédits des écritures validées d'un compte sur un mois, tenu à jour à
+ * chaque validation d'écriture : les balances par mois et par exercice se lisent ici sans
+ * réagréger tout le grand livre (un exercice couvre les périodes comprises entre ses dates).
+ * Les à-nouveaux sont isolés dans les colonnes d'ouverture.
+ */
+const soldeCompteSchema = new Schema({
+  compte: { type: Schema.Types.ObjectId, ref: 'CompteComptable', required: true },
+  periode: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'La période doit être au format AAAA-MM.'],
+  },
+  debit: { type: Number, default: 0 },
+  credit: { type: Number, default: 0 },
+  debitOuverture: { type: Number, default: 0, description: "À-nouveaux passés dans le mois (premier mois de l'exercice)." },
+  creditOuverture: { type: Number, default: 0 },
+}, { timestamps: true });
+
+soldeCompteSchema.index({ compte: 1, periode: 1 }, { unique: true });
+
+/**
+ * Période (AAAA-MM, UTC) d'une date d'écriture.
+ * @param {Date} date
+ * @returns {string}
+ */
+soldeCompteSchema.statics.periodeDe = function(date) {
+  return new Date(date).toISOString().slice(0, 7);
+};
+
+/**
+ * Répercute une écriture validée (signe 1) ou annulée (signe -1) sur les soldes mensuels et sur
+ * les cumuls des comptes (CompteComptable.soldeDebit / soldeCredit, hors à-nouveaux, qui ne font
+ * que reporter des soldes déjà cumulés).
+ * @param {object} ecriture - L'écriture comptable.
+ * @param {number} signe - 1 à la validation, -1 à l'annulation.
+ * @param {object} [session] - Session MongoDB de la transaction qui enregistre l'écriture.
+ */
+soldeCompteSchema.statics.appliquerEcriture = async function(ecriture, signe, session) {
+  const estANouveau = ecriture.documentOrigine?.documentModel === 'Exercice';
+  const periode = this.periodeDe(ecriture.dateEcriture);
+
+  const parCompte = new Map();
+  ecriture.mouvements.forEach(m => {
+    const cle = m.compte.toString();
+    const cumul = parCompte.get(cle) || { compte: m.compte, debit: 0, credit: 0 };
+    cumul.debit += (m.debit || 0) * signe;
+    cumul.credit += (m.credit || 0) * signe;
+    parCompte.set(cle, cumul);
+  });
+  const cumuls = [...parCompte.values()].map(c => ({
+    compte: c.compte,
+    debit: Math.round(c.debit * 100) / 100,
+    credit: Math.round(c.credit * 100) / 100,
+  }));
+
+  await this.bulkWrite(cumuls.map(c => ({
+    updateOne: {
+      filter: { compte: c.compte, periode },
+      update: {
+        $inc: estANouveau ? { debitOuverture: c.debit, creditOuverture: c.credit } : { debit: c.debit, credit: c.credit },
+      },
+      upsert: true,
+    }
+  })), { session });
+
+  if (!estANouveau) {
+    await CompteComptable.bulkWrite(cumuls.map(c => ({
+      updateOne: {
+        filter: { _id: c.compte },
+        update: { $inc: { soldeDebit: c.debit, soldeCredit: c.credit } },
+      }
+    })), { session });
+  }
+};
+
+const SoldeCompte = mongoose.model('SoldeCompte', soldeCompteSchema);
+
+module.exports = SoldeCompte;
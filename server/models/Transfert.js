@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schéma pour une ligne de transfert.
+ * La quantité reçue n'est connue qu'à l'arrivée ; l'écart avec la quantité envoyée
+ * correspond à la marchandise perdue ou abîmée pendant le transport.
+ */
+const ligneTransfertSchema = new Schema({
+  produit: { type: Schema.Types.ObjectId, ref: 'Produit', required: true },
+  description: { type: String, required: true },
+  quantiteEnvoyee: { type: Number, required: true, min: [0.01, 'La quantité envoyée doit être positive.'] },
+  quantiteRecue: { type: Number, min: [0, 'La quantité reçue ne peut pas être négative.'] },
+  coutUnitaire: { type: Number, default: 0, description: "CUMP du dépôt source au moment de l'expédition." },
+  motifEcart: { type: String, trim: true },
+}, {
+  _id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Écart constaté à la réception (négatif en cas de manquant)
+ligneTransfertSchema.virtual('ecart').get(function() {
+  if (this.quantiteRecue == null) return 0;
+  return this.quantiteRecue - this.quantiteEnvoyee;
+});
+ligneTransfertSchema.virtual('valeurEcart').get(function() { return this.ecart * this.coutUnitaire; });
+
+
+/**
+ * Schéma du Transfert inter-dépôts.
+ * Déplace de la marchandise d'un dépôt vers un autre (ex: entrepôt central vers
+ * la boutique ou une camionnette de livraison). Avec transit, la sortie du dépôt
+ * source est passée à l'expédition et l'entrée à la réception ; sans transit,
+ * les deux jambes sont passées ensemble.
+ */
+const transfertSchema = new Schema({
+  numero: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  depotSource: { type: Schema.Types.ObjectId, ref: 'Depot', required: [true, 'Le dépôt source est obligatoire.'] },
+  depotDestination: { type: Schema.Types.ObjectId, ref: 'Depot', required: [true, 'Le dépôt de destination est obligatoire.'] },
+
+  lignes: {
+    type: [ligneTransfertSchema],
+    validate: [v => Array.isArray(v) && v.length > 0, 'Un transfert doit contenir au moins une ligne.']
+  },
+
+  avecTransit: { type: Boolean, default: true, description: "Si faux, la marchandise est reçue dès l'expédition." },
+  statut: {
+    type: String,
+    enum: ['Brouillon', 'En transit', 'Reçu', 'Reçu avec écart', 'Annulé'],
+    default: 'Brouillon'
+  },
+
+  // --- Dates et intervenants ---
+  dateExpedition: { type: Date },
+  dateReception: { type: Date },
+  expediePar: { type: Schema.Types.ObjectId, ref: 'User' },
+  recuPar: { type: Schema.Types.ObjectId, ref: 'User' },
+
+  // --- Métadonnées ---
+  creePar: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  notes: { type: String, trim: true },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Indique si au moins une ligne présente un écart à la réception.
+ */
+transfertSchema.virtual('aDesEcarts').get(function() {
+  return this.lignes.some(ligne => ligne.ecart !== 0);
+});
+
+/**
+ * Validation : un transfert relie deux dépôts distincts.
+ */
+transfertSchema.pre('validate', function(next) {
+  if (this.depotSource && this.depotDestination && this.depotSource.toString() === this.depotDestination.toString()) {
+    this.invalidate('depotDestination', 'Le dépôt de destination doit être différent du dépôt source.');
+  }
+  next();
+});
+
+// Index
+transfertSchema.index({ depotSource: 1, createdAt: -1 });
+transfertSchema.index({ depotDestination: 1, statut: 1 });
+
+const Transfert = mongoose.model('Transfert', transfertSchema);
+
+module.exports = Transfert;
@@ -44,6 +44,11 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    sectionsAnalytiques: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SectionAnalytique',
+      description: "Sections par défaut (une par axe) des ventes réalisées par l'utilisateur en tant que vendeur.",
+    }],
     // Champs pour la réinitialisation du mot de passe
     resetPasswordToken: String,
     resetPasswordExpire: Date,
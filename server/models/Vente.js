@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { champsDevise, appliquerContreValeur } = require('../utils/devises');
 
 /**
  * Schéma pour une ligne individuelle dans une vente.
@@ -15,7 +16,10 @@ const ligneVenteSchema = new Schema({
   remise: {
     type: { type: String, enum: ['Pourcentage', 'Montant'], default: 'Pourcentage' },
     valeur: { type: Number, default: 0 }
-  }
+  },
+  // Suivi des livraisons et facturations partielles de la ligne
+  quantiteLivree: { type: Number, default: 0, min: 0 },
+  quantiteFacturee: { type: Number, default: 0, min: 0 }
 }, {
   _id: false, // Pas d'ID séparé pour les sous-documents, sauf si nécessaire
   toJSON: { virtuals: true },
@@ -68,6 +72,9 @@ const venteSchema = new Schema({
   totalTVA: { type: Number, default: 0 },
   totalTTC: { type: Number, default: 0 },
 
+  // --- Devise : lignes et totaux dans la devise du document, contre-valeur en XOF ---
+  ...champsDevise(),
+
   // Statut et Workflow
   statut: {
     type: String,
@@ -110,6 +117,7 @@ venteSchema.pre('save', function(next) {
   this.totalRemise = totalRemise;
   this.totalTVA = totalTVA;
   this.totalTTC = totalHT - totalRemise + totalTVA;
+  appliquerContreValeur(this);
 
   // Mise à jour du statut de paiement
   if (this.montantPaye >= this.totalTTC) {
@@ -0,0 +1,49 @@
+/**
+ * @file comptabiliserDotations.js
+ * @description Comptabilise les dotations aux amortissements arrêtées au dernier jour de la
+ * période écoulée. Seul le complément non encore comptabilisé est passé : relancer le script
+ * sur une même période est sans effet. L'écriture est attribuée au premier administrateur
+ * actif. À planifier (cron) en début de mois :
+ *   npm run immobilisations:dotations            -> arrêté à la fin du mois précédent
+ *   npm run immobilisations:dotations -- 2025-03 -> arrêté au 31/03/2025
+ */
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({ path: './.env' });
+
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const immobilisationService = require('../services/immobilisationService');
+const { USER_ROLES } = require('../utils/constants');
+
+const main = async () => {
+  await connectDB();
+  const periode = process.argv.slice(2).find(arg => /^\d{4}-(0[1-9]|1[0-2])$/.test(arg));
+  const maintenant = new Date();
+  const [annee, mois] = periode
+    ? periode.split('-').map(Number)
+    : [maintenant.getUTCFullYear(), maintenant.getUTCMonth()];
+  // Le jour 0 du mois suivant est le dernier jour du mois visé
+  const dateArrete = new Date(Date.UTC(annee, mois, 0));
+
+  const admin = await User.findOne({ role: USER_ROLES.ADMIN, actif: true }).sort({ createdAt: 1 });
+  if (!admin) {
+    throw new Error('Aucun administrateur actif auquel attribuer les écritures.');
+  }
+
+  const { ecriture, immobilisations } = await immobilisationService.comptabiliserDotations(dateArrete, admin._id);
+
+  const arrete = dateArrete.toISOString().slice(0, 10);
+  console.log(ecriture
+    ? `Écriture ${ecriture.numeroPiece} : dotations de ${immobilisations} immobilisation(s) au ${arrete}.`
+    : `Aucune dotation à comptabiliser au ${arrete}.`);
+
+  await mongoose.disconnect();
+};
+
+main().catch(async (error) => {
+  console.error(`Échec de la comptabilisation des dotations : ${error.message}`);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,35 @@
+/**
+ * @file controlerBudgets.js
+ * @description Contrôle les dépassements mensuels du budget des charges et alerte les comptables.
+ * Complète le contrôle fait à l'enregistrement des écritures, pour celles passées dans une
+ * transaction englobante (ventes, achats, paiements). À planifier (cron) :
+ *   npm run budgets:controle           -> mois en cours
+ *   npm run budgets:controle -- 2025-03 -> mois indiqué
+ */
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({ path: './.env' });
+
+const connectDB = require('../config/database');
+const budgetService = require('../services/budgetService');
+
+const main = async () => {
+  await connectDB();
+  const periode = process.argv.slice(2).find(arg => /^\d{4}-(0[1-9]|1[0-2])$/.test(arg));
+  // Le milieu du mois, pour rester dans la période quel que soit le fuseau
+  const date = periode ? new Date(`${periode}-15T12:00:00.000Z`) : new Date();
+
+  const depassements = await budgetService.verifierDepassements(date);
+
+  depassements.forEach(d => console.log(`Comptes ${d.ligne.compteDebut} à ${d.ligne.compteFin}, ${d.periode} : budget ${d.budgete}, réalisé ${d.realise}`));
+  console.log(depassements.length === 0 ? 'Aucun nouveau dépassement.' : `${depassements.length} dépassement(s) notifié(s).`);
+
+  await mongoose.disconnect();
+};
+
+main().catch(async (error) => {
+  console.error(`Échec du contrôle des budgets : ${error.message}`);
+  await mongoose.disconnect();
+  process.exit(1);
+});
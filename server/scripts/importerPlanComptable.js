@@ -0,0 +1,43 @@
+/**
+ * @file importerPlanComptable.js
+ * @description Initialise la comptabilité d'une nouvelle installation : plan comptable, journaux
+ * standards et comptes par défaut des paramètres.
+ *   npm run plan:import                          -> plan SYSCOHADA révisé fourni
+ *   npm run plan:import -- chemin/plan.xlsx      -> plan de l'entreprise (CSV ou Excel)
+ *   npm run plan:import -- --mettre-a-jour       -> met aussi à jour les comptes existants
+ */
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({ path: './.env' });
+
+const connectDB = require('../config/database');
+const planComptableService = require('../services/planComptableService');
+
+const main = async () => {
+  await connectDB();
+  const fichier = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+  const mettreAJour = process.argv.includes('--mettre-a-jour');
+
+  const comptes = fichier ? await planComptableService.lireFichierPlan(fichier) : undefined;
+  const rapport = await planComptableService.importerPlanComptable({ comptes, mettreAJour });
+
+  console.log(`Plan ${rapport.source} : ${rapport.comptes.crees} compte(s) créé(s), ${rapport.comptes.misAJour} mis à jour, ${rapport.comptes.inchanges} inchangé(s).`);
+  console.log(`Journaux créés : ${rapport.journauxCrees.join(', ') || 'aucun'}.`);
+  if (!rapport.parametres) {
+    console.warn("Paramètres non initialisés : journaux et comptes par défaut à renseigner ensuite.");
+  } else {
+    console.log(`Paramètres renseignés : ${rapport.parametres.renseignes.join(', ') || 'aucun'}.`);
+    if (rapport.parametres.manquants.length > 0) {
+      console.warn(`Sans compte ou journal correspondant : ${rapport.parametres.manquants.join(', ')}.`);
+    }
+  }
+
+  await mongoose.disconnect();
+};
+
+main().catch(async (error) => {
+  console.error(`Échec de l'import du plan comptable : ${error.message}`);
+  await mongoose.disconnect();
+  process.exit(1);
+});
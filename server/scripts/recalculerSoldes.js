@@ -0,0 +1,37 @@
+/**
+ * @file recalculerSoldes.js
+ * @description Recalcule les soldes des comptes depuis les écritures validées et affiche les
+ * écarts constatés. À planifier (cron) ou à lancer après une reprise de données :
+ *   npm run soldes:recalcul            -> recalcule et corrige
+ *   npm run soldes:recalcul -- --constat -> constat seul, sans correction
+ * Le code de sortie vaut 2 si des écarts ont été relevés.
+ */
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({ path: './.env' });
+
+const connectDB = require('../config/database');
+const soldeCompteService = require('../services/soldeCompteService');
+
+const main = async () => {
+  await connectDB();
+  const corriger = !process.argv.includes('--constat');
+
+  const { ecartsComptes, ecartsPeriodes, corrige } = await soldeCompteService.recalculerSoldes({ corriger });
+
+  ecartsComptes.forEach(e => console.log(`Compte ${e.numero} : attendu D ${e.attendu.soldeDebit} / C ${e.attendu.soldeCredit}, constaté D ${e.constate.soldeDebit} / C ${e.constate.soldeCredit}`));
+  ecartsPeriodes.forEach(e => console.log(`Compte ${e.numero}, ${e.periode} : attendu D ${e.attendu.debit} / C ${e.attendu.credit}, constaté D ${e.constate.debit} / C ${e.constate.credit}`));
+  console.log(ecartsComptes.length === 0 && ecartsPeriodes.length === 0
+    ? 'Aucun écart.'
+    : `${ecartsComptes.length} compte(s) et ${ecartsPeriodes.length} solde(s) mensuel(s) en écart${corrige ? ', corrigés' : ''}.`);
+
+  await mongoose.disconnect();
+  process.exitCode = ecartsComptes.length > 0 || ecartsPeriodes.length > 0 ? 2 : 0;
+};
+
+main().catch(async (error) => {
+  console.error(`Échec du recalcul des soldes : ${error.message}`);
+  await mongoose.disconnect();
+  process.exit(1);
+});
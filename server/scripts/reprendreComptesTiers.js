@@ -0,0 +1,29 @@
+/**
+ * @file reprendreComptesTiers.js
+ * @description Reprise des comptes comptables des clients et fournisseurs : convertit les anciens
+ * numéros de compte saisis en texte en références au plan comptable, puis attribue un compte
+ * (auxiliaire ou collectif, selon les paramètres) aux tiers qui n'en ont pas.
+ *   npm run tiers:comptes
+ */
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({ path: './.env' });
+
+const connectDB = require('../config/database');
+const compteTiersService = require('../services/compteTiersService');
+
+const main = async () => {
+  await connectDB();
+
+  const { repris, effaces, attribues } = await compteTiersService.reprendreComptesTiers();
+  console.log(`${repris} ancien(s) numéro(s) repris, ${effaces} effacé(s) faute de compte correspondant, ${attribues} compte(s) attribué(s).`);
+
+  await mongoose.disconnect();
+};
+
+main().catch(async (error) => {
+  console.error(`Échec de la reprise des comptes de tiers : ${error.message}`);
+  await mongoose.disconnect();
+  process.exit(1);
+});
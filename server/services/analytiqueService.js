@@ -0,0 +1,156 @@
+const EcritureComptable = require('../models/EcritureComptable');
+const Exercice = require('../models/Exercice');
+const SectionAnalytique = require('../models/SectionAnalytique');
+const Client = require('../models/Client');
+const User = require('../models/User');
+const Depot = require('../models/Depot');
+const Vente = require('../models/Vente');
+const BonLivraison = require('../models/BonLivraison');
+const MouvementStock = require('../models/MouvementStock');
+const { roundFinancial } = require('../utils/calculations');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+
+/**
+ * @class AnalytiqueService
+ * @description Comptabilité analytique : ventilation des lignes d'écritures entre les sections
+ * des axes analytiques, saisie ou héritée des sections par défaut du client, du vendeur et du
+ * dépôt sur les écritures automatiques.
+ */
+class AnalytiqueService {
+
+  /**
+   * Contrôle une ventilation saisie et en calcule les quotes-parts : sections actives d'axes
+   * actifs, chacune une seule fois, pourcentages totalisant 100 % sur chaque axe.
+   * @param {Array<object>} ventilation - Quotes-parts { section, pourcentage }.
+   * @param {number} montant - Montant de la ligne ventilée.
+   * @param {object} [session]
+   * @returns {Promise<Array<object>|undefined>} Les quotes-parts { axe, section, pourcentage, montant }, ou undefined si la ventilation est vide.
+   */
+  async preparerVentilation(ventilation, montant, session) {
+    if (!Array.isArray(ventilation) || ventilation.length === 0) {
+      return undefined;
+    }
+
+    const sections = await SectionAnalytique.find({ _id: { $in: ventilation.map(part => part.section) } })
+      .populate('axe', 'code actif')
+      .session(session);
+    const parts = ventilation.map(part => {
+      const section = sections.find(s => s._id.toString() === String(part.section));
+      if (!section || !section.actif || !section.axe?.actif) {
+        throw new ErrorResponse(`Section analytique active non trouvée (${part.section}).`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      return { axe: section.axe._id, section: section._id, pourcentage: roundFinancial(Number(part.pourcentage)) };
+    });
+    if (new Set(parts.map(part => part.section.toString())).size !== parts.length) {
+      throw new ErrorResponse('Une section analytique ne peut figurer qu\'une fois dans la ventilation d\'une ligne.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if (parts.some(part => !(part.pourcentage > 0))) {
+      throw new ErrorResponse('Un pourcentage de ventilation doit être positif.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    try {
+      return EcritureComptable.repartirVentilation(parts, montant);
+    } catch (error) {
+      throw new ErrorResponse(error.message, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+  }
+
+  /**
+   * Ventilation par défaut d'une écriture automatique, à 100 % sur une section par axe : les
+   * sections du client priment sur celles du vendeur, elles-mêmes prioritaires sur celles du dépôt.
+   * @param {object} origine
+   * @param {string|object} [origine.client]
+   * @param {string|object} [origine.vendeur] - L'utilisateur vendeur.
+   * @param {string|object} [origine.depot]
+   * @param {object} [session]
+   * @returns {Promise<Array<object>|undefined>} Les quotes-parts { axe, section, pourcentage }, ou undefined si aucune section n'est héritée.
+   */
+  async ventilationParDefaut({ client, vendeur, depot } = {}, session) {
+    const ids = [];
+    for (const [Model, reference] of [[Client, client], [User, vendeur], [Depot, depot]]) {
+      if (!reference) continue;
+      const porteur = await Model.findById(reference._id || reference).select('sectionsAnalytiques').session(session);
+      ids.push(...(porteur?.sectionsAnalytiques || []));
+    }
+    if (ids.length === 0) {
+      return undefined;
+    }
+
+    const sections = await SectionAnalytique.find({ _id: { $in: ids }, actif: true }).populate('axe', 'actif').session(session);
+    const parAxe = new Map();
+    ids.forEach(id => {
+      const section = sections.find(s => s._id.toString() === id.toString());
+      if (section && section.axe?.actif && !parAxe.has(section.axe._id.toString())) {
+        parAxe.set(section.axe._id.toString(), { axe: section.axe._id, section: section._id, pourcentage: 100 });
+      }
+    });
+    return parAxe.size > 0 ? [...parAxe.values()] : undefined;
+  }
+
+  /**
+   * Retrouve le vendeur et le dépôt d'expédition d'une facture de vente : vendeur de la vente
+   * liée (à défaut, commercial attitré du client) et dépôt des sorties de stock de ses livraisons.
+   * @param {object} facture - La facture (client populé ou non).
+   * @param {object} [session]
+   * @returns {Promise<{ vendeur: object|undefined, depot: object|undefined }>}
+   */
+  async origineVente(facture, session) {
+    let vendeur;
+    let depot;
+    if (facture.venteLiee) {
+      const vente = await Vente.findById(facture.venteLiee._id || facture.venteLiee).select('vendeur').session(session);
+      vendeur = vente?.vendeur;
+      const livraisons = await BonLivraison.find({ venteLiee: facture.venteLiee._id || facture.venteLiee }).select('_id').session(session);
+      if (livraisons.length > 0) {
+        const sortie = await MouvementStock.findOne({ 'documentLie.type': 'BonLivraison', 'documentLie.id': { $in: livraisons.map(l => l._id) } })
+          .select('depot')
+          .session(session);
+        depot = sortie?.depot;
+      }
+    }
+    if (!vendeur && facture.client) {
+      const client = await Client.findById(facture.client._id || facture.client).select('commercialAttitre').session(session);
+      vendeur = client?.commercialAttitre;
+    }
+    return { vendeur, depot };
+  }
+
+  /**
+   * Remplace la ventilation analytique d'une ligne d'écriture. Comme le lettrage, la ventilation
+   * reste modifiable sur une écriture validée : elle ne change ni les comptes ni les montants.
+   * Elle est en revanche figée, avec le compte de résultat analytique, une fois l'exercice clôturé.
+   * @param {string} ecritureId
+   * @param {number} indexMouvement - Position de la ligne dans l'écriture.
+   * @param {Array<object>} ventilation - Quotes-parts { section, pourcentage } ; vide pour retirer la ventilation.
+   * @returns {Promise<object>} L'écriture mise à jour.
+   */
+  async reventilerMouvement(ecritureId, indexMouvement, ventilation) {
+    const ecriture = await EcritureComptable.findById(ecritureId);
+    if (!ecriture) {
+      throw new ErrorResponse(`Écriture non trouvée avec l'ID ${ecritureId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (ecriture.statut === 'Annulée') {
+      throw new ErrorResponse(`L'écriture n°${ecriture.numeroPiece} est annulée.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    const exerciceClos = await Exercice.findClotureContenant(ecriture.dateEcriture);
+    if (exerciceClos) {
+      throw new ErrorResponse(`L'exercice "${exerciceClos.libelle}" est clôturé : la ventilation de l'écriture n°${ecriture.numeroPiece} ne peut plus changer.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    const index = Number(indexMouvement);
+    const mouvement = ecriture.mouvements[index];
+    if (!Number.isInteger(index) || !mouvement) {
+      throw new ErrorResponse(`L'écriture n°${ecriture.numeroPiece} n'a pas de ligne ${index + 1}.`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+
+    const parts = await this.preparerVentilation(ventilation, mouvement.debit || mouvement.credit);
+    // Mise à jour directe : le verrou des écritures validées porte sur leurs comptes et montants
+    await EcritureComptable.updateOne(
+      { _id: ecriture._id },
+      parts ? { $set: { [`mouvements.${index}.ventilationAnalytique`]: parts } } : { $unset: { [`mouvements.${index}.ventilationAnalytique`]: '' } }
+    );
+    return EcritureComptable.findById(ecriture._id);
+  }
+}
+
+module.exports = new AnalytiqueService();
@@ -0,0 +1,423 @@
+const Budget = require('../models/Budget');
+const Exercice = require('../models/Exercice');
+const CompteComptable = require('../models/CompteComptable');
+const SectionAnalytique = require('../models/SectionAnalytique');
+const AxeAnalytique = require('../models/AxeAnalytique');
+const SoldeCompte = require('../models/SoldeCompte');
+const EcritureComptable = require('../models/EcritureComptable');
+const notificationService = require('./notificationService');
+const { lireTableau } = require('../utils/tableur');
+const { lireMontant, normaliserEntete } = require('../utils/releveBancaire');
+const { roundFinancial } = require('../utils/calculations');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+
+const MOIS = ['janvier', 'fevrier', 'mars', 'avril', 'mai', 'juin', 'juillet', 'aout', 'septembre', 'octobre', 'novembre', 'decembre'];
+
+// Intitulés de colonnes reconnus dans un budget importé (les colonnes de mois sont lues à part)
+const COLONNES_BUDGET = {
+  compte: ['compte', 'numero', 'numero de compte', 'n compte'],
+  compteDebut: ['compte debut', 'compte de debut', 'du compte'],
+  compteFin: ['compte fin', 'compte de fin', 'au compte'],
+  section: ['section', 'section analytique', 'code section'],
+  libelle: ['libelle', 'intitule', 'poste', 'rubrique'],
+  montantAnnuel: ['total', 'annuel', 'montant annuel', 'budget annuel'],
+};
+
+/**
+ * Périodes (AAAA-MM) couvertes par un exercice.
+ * @param {object} exercice
+ * @returns {Array<string>}
+ */
+const periodesExercice = (exercice) => {
+  const periodes = [];
+  const debut = new Date(exercice.dateDebut);
+  const fin = new Date(exercice.dateFin);
+  for (let mois = new Date(Date.UTC(debut.getUTCFullYear(), debut.getUTCMonth(), 1)); mois <= fin; mois.setUTCMonth(mois.getUTCMonth() + 1)) {
+    periodes.push(mois.toISOString().slice(0, 7));
+  }
+  return periodes;
+};
+
+/**
+ * Clé d'une ligne de budget : sa plage de comptes et sa section.
+ * @param {object} ligne
+ * @returns {string}
+ */
+const cleLigne = (ligne) => `${ligne.compteDebut}|${ligne.compteFin}|${ligne.section?._id || ligne.section || ''}`;
+
+/**
+ * Budget, réalisé, écart (réalisé - budget) et pourcentage consommé.
+ * @param {number} budget
+ * @param {number} realise
+ * @returns {object}
+ */
+const indicateurs = (budget, realise) => ({
+  budget: roundFinancial(budget),
+  realise: roundFinancial(realise),
+  ecart: roundFinancial(realise - budget),
+  tauxConsomme: budget > 0 ? roundFinancial(realise / budget * 100) : null,
+});
+
+/**
+ * @class BudgetService
+ * @description Budgets annuels par exercice, ligne par compte de gestion (ou plage de comptes)
+ * et au besoin par section analytique, ventilés par mois : saisie ou import Excel, suivi budget
+ * contre réalisé et alerte des dépassements mensuels des charges.
+ */
+class BudgetService {
+
+  /**
+   * Contrôle et normalise les lignes d'un budget.
+   * @private
+   * @param {Array<object>} lignes - { compte | compteDebut et compteFin, libelle, section, montants | montantAnnuel }.
+   * `montants` : douze montants dans l'ordre des mois de l'exercice, ou [{ periode, montant }] ;
+   * à défaut, `montantAnnuel` est réparti également sur les mois.
+   * @param {object} exercice
+   * @returns {Promise<Array<object>>}
+   */
+  async _preparerLignes(lignes, exercice) {
+    if (!Array.isArray(lignes) || lignes.length === 0) {
+      throw new ErrorResponse('Le budget doit contenir au moins une ligne.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    const periodes = periodesExercice(exercice);
+    const sections = await SectionAnalytique.find({ _id: { $in: lignes.map(l => l.section).filter(Boolean) } });
+
+    const preparees = lignes.map((ligne, i) => {
+      const compteDebut = String(ligne.compteDebut || ligne.compte || '').trim();
+      const compteFin = String(ligne.compteFin || compteDebut).trim();
+      if (!/^[6-8][0-9]*$/.test(compteDebut) || !/^[6-8][0-9]*$/.test(compteFin) || compteFin.padEnd(10, '9') < compteDebut) {
+        throw new ErrorResponse(`Ligne ${i + 1} : plage de comptes de gestion invalide (${compteDebut || '?'} à ${compteFin || '?'}).`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      const nature = CompteComptable.estCompteDeProduit(compteDebut) ? 'Produit' : 'Charge';
+      if (CompteComptable.estCompteDeProduit(compteFin) !== (nature === 'Produit')) {
+        throw new ErrorResponse(`Ligne ${i + 1} : la plage ${compteDebut} à ${compteFin} mêle charges et produits.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      let section;
+      if (ligne.section) {
+        section = sections.find(s => s._id.toString() === String(ligne.section));
+        if (!section) {
+          throw new ErrorResponse(`Ligne ${i + 1} : section analytique non trouvée (${ligne.section}).`, HTTP_STATUS_CODES.BAD_REQUEST);
+        }
+      }
+
+      let montants;
+      if (Array.isArray(ligne.montants) && ligne.montants.length > 0) {
+        const saisis = new Map(ligne.montants.map((m, j) => (typeof m === 'object' && m !== null ? [m.periode, m.montant] : [periodes[j], m])));
+        const horsExercice = [...saisis.keys()].filter(periode => !periodes.includes(periode));
+        if (horsExercice.length > 0) {
+          throw new ErrorResponse(`Ligne ${i + 1} : mois hors de l'exercice ${exercice.libelle} (${horsExercice.join(', ')}).`, HTTP_STATUS_CODES.BAD_REQUEST);
+        }
+        montants = periodes.map(periode => ({ periode, montant: roundFinancial(Number(saisis.get(periode)) || 0) }));
+      } else {
+        const annuel = roundFinancial(Number(ligne.montantAnnuel) || 0);
+        const mensuel = roundFinancial(annuel / periodes.length);
+        montants = periodes.map((periode, j) => ({
+          periode,
+          // Le dernier mois reçoit l'arrondi
+          montant: j === periodes.length - 1 ? roundFinancial(annuel - mensuel * (periodes.length - 1)) : mensuel,
+        }));
+      }
+      if (montants.some(m => m.montant < 0)) {
+        throw new ErrorResponse(`Ligne ${i + 1} : un montant budgété ne peut pas être négatif.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      return { compteDebut, compteFin, libelle: ligne.libelle, section: section?._id, nature, montants, alertes: [] };
+    });
+
+    const cles = preparees.map(cleLigne);
+    const doublon = cles.find((cle, i) => cles.indexOf(cle) !== i);
+    if (doublon) {
+      throw new ErrorResponse(`La plage de comptes ${doublon.split('|').slice(0, 2).join(' à ')} figure deux fois au budget pour la même section.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    return preparees;
+  }
+
+  /**
+   * Enregistre le budget d'un exercice, en remplaçant ses lignes s'il existe déjà. Les alertes
+   * déjà envoyées sont conservées pour les mois dont le montant budgété ne change pas.
+   * @param {string} exerciceId
+   * @param {object} donnees - { libelle, lignes } (voir _preparerLignes).
+   * @param {string} userId
+   * @returns {Promise<object>} Le budget enregistré.
+   */
+  async enregistrerBudget(exerciceId, { libelle, lignes }, userId) {
+    const exercice = await Exercice.findById(exerciceId);
+    if (!exercice) {
+      throw new ErrorResponse(`Exercice non trouvé avec l'ID ${exerciceId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    const preparees = await this._preparerLignes(lignes, exercice);
+
+    let budget = await Budget.findOne({ exercice: exercice._id });
+    if (budget) {
+      const anciennes = new Map(budget.lignes.map(ligne => [cleLigne(ligne), ligne]));
+      preparees.forEach(ligne => {
+        const ancienne = anciennes.get(cleLigne(ligne));
+        if (!ancienne) return;
+        const montantDe = (l, periode) => l.montants.find(m => m.periode === periode)?.montant;
+        ligne.alertes = ancienne.alertes.filter(periode => montantDe(ancienne, periode) === montantDe(ligne, periode));
+      });
+      budget.modifiePar = userId;
+    } else {
+      budget = new Budget({ exercice: exercice._id, creePar: userId });
+    }
+
+    budget.libelle = libelle || budget.libelle || `Budget ${exercice.libelle}`;
+    budget.lignes = preparees;
+    await budget.save();
+    return budget;
+  }
+
+  /**
+   * Lit les lignes d'un budget préparé sous Excel ou en CSV. Colonnes reconnues : compte (ou
+   * compte début et compte fin), libellé, section (code, ou AXE/CODE si le code existe sur
+   * plusieurs axes) et une colonne par mois, intitulée du nom du mois (Janvier, févr...) ou
+   * AAAA-MM ; à défaut de colonnes de mois, une colonne total répartie également.
+   * @param {string} chemin - Chemin du fichier téléversé.
+   * @param {string} nomFichier - Nom d'origine, pour reconnaître le format.
+   * @param {object} exercice
+   * @returns {Promise<Array<object>>} Les lignes lues, à passer à enregistrerBudget.
+   */
+  async lireFichierBudget(chemin, nomFichier, exercice) {
+    let lignes;
+    try {
+      lignes = await lireTableau(chemin, nomFichier);
+    } catch (error) {
+      throw new ErrorResponse(error.message, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if (lignes.length < 2) {
+      throw new ErrorResponse('Le budget ne contient aucune ligne.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    const periodes = periodesExercice(exercice);
+    const intitules = lignes[0].map(normaliserEntete);
+    const index = Object.fromEntries(Object.keys(COLONNES_BUDGET).map(champ => [champ, intitules.findIndex(i => COLONNES_BUDGET[champ].includes(i))]));
+    const colonneCompte = index.compteDebut >= 0 ? index.compteDebut : index.compte;
+
+    const colonnesMois = lignes[0].map((entete, colonne) => {
+      const brut = String(entete).trim();
+      if (/^\d{4}-\d{2}/.test(brut)) {
+        return [colonne, brut.slice(0, 7)];
+      }
+      const nom = intitules[colonne].replace(/ /g, '');
+      const mois = MOIS.filter(m => nom.length >= 3 && m.startsWith(nom));
+      const periode = mois.length === 1 ? periodes.find(p => Number(p.slice(5)) === MOIS.indexOf(mois[0]) + 1) : undefined;
+      return periode ? [colonne, periode] : null;
+    }).filter(Boolean);
+
+    if (colonneCompte < 0 || (colonnesMois.length === 0 && index.montantAnnuel < 0)) {
+      throw new ErrorResponse('En-tête non reconnu : la colonne compte et les colonnes des mois (ou une colonne total) sont obligatoires.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const codesSections = [...new Set(lignes.slice(1).map(champs => (index.section >= 0 ? champs[index.section] : '')).filter(Boolean))];
+    const sections = new Map();
+    for (const code of codesSections) {
+      const [codeAxe, codeSection] = code.includes('/') ? code.toUpperCase().split('/') : [null, code.toUpperCase()];
+      const filtre = { code: codeSection.trim() };
+      if (codeAxe) {
+        const axe = await AxeAnalytique.findOne({ code: codeAxe.trim() });
+        filtre.axe = axe?._id;
+      }
+      const trouvees = await SectionAnalytique.find(filtre).select('_id');
+      if (trouvees.length !== 1) {
+        throw new ErrorResponse(trouvees.length === 0 ? `Section analytique ${code} introuvable.` : `La section ${code} existe sur plusieurs axes : écrivez AXE/CODE.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      sections.set(code, trouvees[0]._id);
+    }
+
+    return lignes.slice(1)
+      .filter(champs => champs.some(c => c !== ''))
+      .map((champs, i) => {
+        const ligne = {
+          compteDebut: String(champs[colonneCompte] || '').replace(/\s/g, ''),
+          compteFin: index.compteFin >= 0 ? String(champs[index.compteFin] || '').replace(/\s/g, '') || undefined : undefined,
+          libelle: index.libelle >= 0 ? champs[index.libelle] || undefined : undefined,
+          section: index.section >= 0 && champs[index.section] ? sections.get(champs[index.section]) : undefined,
+        };
+        const lire = (texte) => (String(texte ?? '').trim() === '' ? 0 : lireMontant(texte));
+        if (colonnesMois.length > 0) {
+          ligne.montants = colonnesMois.map(([colonne, periode]) => ({ periode, montant: lire(champs[colonne]) }));
+        } else {
+          ligne.montantAnnuel = lire(champs[index.montantAnnuel]);
+        }
+        if ((ligne.montants || [{ montant: ligne.montantAnnuel }]).some(m => Number.isNaN(m.montant))) {
+          throw new ErrorResponse(`Ligne ${i + 2} du budget : montant illisible.`, HTTP_STATUS_CODES.BAD_REQUEST);
+        }
+        return ligne;
+      });
+  }
+
+  /**
+   * Importe le budget d'un exercice depuis un fichier Excel ou CSV, en remplacement des lignes existantes.
+   * @param {string} exerciceId
+   * @param {string} chemin - Chemin du fichier téléversé.
+   * @param {string} nomFichier - Nom d'origine, pour reconnaître le format.
+   * @param {string} userId
+   * @param {string} [libelle]
+   * @returns {Promise<object>} Le budget enregistré.
+   */
+  async importerBudget(exerciceId, chemin, nomFichier, userId, libelle) {
+    const exercice = await Exercice.findById(exerciceId);
+    if (!exercice) {
+      throw new ErrorResponse(`Exercice non trouvé avec l'ID ${exerciceId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    const lignes = await this.lireFichierBudget(chemin, nomFichier, exercice);
+    return this.enregistrerBudget(exerciceId, { libelle, lignes }, userId);
+  }
+
+  /**
+   * Réalisé d'une ligne de budget, mois par mois : soldes mensuels des comptes de la plage
+   * (hors à-nouveaux), ou quotes-parts ventilées sur sa section. Compté positivement dans le
+   * sens naturel de la ligne (débit pour une charge, crédit pour un produit).
+   * @private
+   * @param {object} ligne - { compteDebut, compteFin, section, nature }.
+   * @param {Array<string>} periodes - Mois (AAAA-MM) consécutifs.
+   * @returns {Promise<Map<string, number>>}
+   */
+  async _realises(ligne, periodes) {
+    const realises = new Map(periodes.map(periode => [periode, 0]));
+    if (periodes.length === 0) {
+      return realises;
+    }
+    const comptes = await CompteComptable.find({ numero: { $gte: ligne.compteDebut, $lte: ligne.compteFin.padEnd(10, '9') } }).select('_id');
+    if (comptes.length === 0) {
+      return realises;
+    }
+    const ids = comptes.map(c => c._id);
+    const signe = ligne.nature === 'Produit' ? -1 : 1;
+    const ajouter = (periode, solde) => {
+      if (realises.has(periode)) realises.set(periode, roundFinancial(realises.get(periode) + signe * solde));
+    };
+
+    if (!ligne.section) {
+      const soldes = await SoldeCompte.find({ compte: { $in: ids }, periode: { $in: periodes } });
+      soldes.forEach(s => ajouter(s.periode, s.debit - s.credit));
+      return realises;
+    }
+
+    const [annee, mois] = periodes[periodes.length - 1].split('-').map(Number);
+    const parts = await EcritureComptable.aggregate([
+      {
+        $match: {
+          statut: 'Validée',
+          dateEcriture: { $gte: new Date(`${periodes[0]}-01T00:00:00.000Z`), $lt: new Date(Date.UTC(annee, mois, 1)) },
+          'mouvements.ventilationAnalytique.section': ligne.section,
+        }
+      },
+      { $unwind: '$mouvements' },
+      { $match: { 'mouvements.compte': { $in: ids } } },
+      { $unwind: '$mouvements.ventilationAnalytique' },
+      { $match: { 'mouvements.ventilationAnalytique.section': ligne.section } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m', date: '$dateEcriture' } },
+          solde: { $sum: { $multiply: ['$mouvements.ventilationAnalytique.montant', { $cond: [{ $gt: ['$mouvements.debit', 0] }, 1, -1] }] } },
+        }
+      },
+    ]);
+    parts.forEach(p => ajouter(p._id, p.solde));
+    return realises;
+  }
+
+  /**
+   * Suivi budgétaire d'un exercice : pour chaque ligne, budget, réalisé, écart (réalisé - budget)
+   * et pourcentage consommé, par mois et en cumul, puis totaux des charges et des produits.
+   * @param {string} exerciceId
+   * @param {object} [options]
+   * @param {string} [options.jusqua] - Dernier mois (AAAA-MM) suivi ; tout l'exercice par défaut.
+   * @returns {Promise<object>}
+   */
+  async getSuiviBudgetaire(exerciceId, { jusqua } = {}) {
+    const budget = await Budget.findOne({ exercice: exerciceId })
+      .populate('exercice', 'libelle dateDebut dateFin')
+      .populate('lignes.section', 'code libelle');
+    if (!budget) {
+      throw new ErrorResponse(`Aucun budget n'est enregistré pour l'exercice ${exerciceId}.`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    const periodes = periodesExercice(budget.exercice).filter(periode => !jusqua || periode <= jusqua);
+
+    const cumuls = { Charge: { budget: 0, realise: 0 }, Produit: { budget: 0, realise: 0 } };
+    const lignes = [];
+    for (const ligne of budget.lignes) {
+      const realises = await this._realises({ compteDebut: ligne.compteDebut, compteFin: ligne.compteFin, section: ligne.section?._id, nature: ligne.nature }, periodes);
+      const mois = periodes.map(periode => ({
+        periode,
+        ...indicateurs(ligne.montants.find(m => m.periode === periode)?.montant || 0, realises.get(periode)),
+      }));
+      const cumul = indicateurs(mois.reduce((acc, m) => acc + m.budget, 0), mois.reduce((acc, m) => acc + m.realise, 0));
+      cumuls[ligne.nature].budget += cumul.budget;
+      cumuls[ligne.nature].realise += cumul.realise;
+
+      lignes.push({
+        compteDebut: ligne.compteDebut,
+        compteFin: ligne.compteFin,
+        libelle: ligne.libelle,
+        section: ligne.section ? { _id: ligne.section._id, code: ligne.section.code, libelle: ligne.section.libelle } : null,
+        nature: ligne.nature,
+        montantAnnuel: ligne.montantAnnuel,
+        mois,
+        cumul,
+        tauxConsommeAnnuel: ligne.montantAnnuel > 0 ? roundFinancial(cumul.realise / ligne.montantAnnuel * 100) : null,
+      });
+    }
+
+    const charges = indicateurs(cumuls.Charge.budget, cumuls.Charge.realise);
+    const produits = indicateurs(cumuls.Produit.budget, cumuls.Produit.realise);
+    return {
+      budget: { _id: budget._id, libelle: budget.libelle },
+      exercice: budget.exercice,
+      periodes,
+      lignes,
+      totaux: {
+        charges,
+        produits,
+        resultat: { budget: roundFinancial(produits.budget - charges.budget), realise: roundFinancial(produits.realise - charges.realise) },
+      },
+    };
+  }
+
+  /**
+   * Relève les lignes de charges dont le réalisé d'un mois dépasse le budget et en alerte les
+   * comptables par NotificationService, une seule fois par ligne et par mois. Appelée après
+   * l'enregistrement des écritures et par le contrôle planifié (npm run budgets:controle) ; une
+   * erreur est journalisée sans interrompre l'appelant.
+   * @param {Date} [date] - Un jour du mois contrôlé, aujourd'hui par défaut.
+   * @returns {Promise<Array<object>>} Les dépassements nouvellement alertés.
+   */
+  async verifierDepassements(date = new Date()) {
+    try {
+      const periode = SoldeCompte.periodeDe(date);
+      const exercice = await Exercice.findOne({ dateDebut: { $lte: date }, dateFin: { $gte: date } });
+      const budget = exercice && await Budget.findOne({ exercice: exercice._id }).populate('lignes.section', 'code libelle');
+      if (!budget) {
+        return [];
+      }
+
+      const depassements = [];
+      for (const [index, ligne] of budget.lignes.entries()) {
+        if (ligne.nature !== 'Charge' || ligne.alertes.includes(periode)) continue;
+        const budgete = ligne.montants.find(m => m.periode === periode)?.montant || 0;
+        const realises = await this._realises({ compteDebut: ligne.compteDebut, compteFin: ligne.compteFin, section: ligne.section?._id, nature: ligne.nature }, [periode]);
+        const realise = realises.get(periode);
+        if (realise > budgete) {
+          depassements.push({ index, ligne, periode, budgete, realise, ecart: roundFinancial(realise - budgete) });
+        }
+      }
+      if (depassements.length === 0) {
+        return [];
+      }
+
+      await Budget.updateOne(
+        { _id: budget._id },
+        { $push: Object.fromEntries(depassements.map(d => [`lignes.${d.index}.alertes`, periode])) }
+      );
+      await notificationService.notifierDepassementBudget(budget, depassements);
+      return depassements;
+    } catch (error) {
+      console.error('Erreur lors du contrôle des dépassements budgétaires :', error);
+      return [];
+    }
+  }
+}
+
+module.exports = new BudgetService();
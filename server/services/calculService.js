@@ -70,11 +70,44 @@ class CalculService {
     return roundFinancial(solde);
   }
 
+  /**
+   * Reporte la remise d'une ligne sur une quantité partielle de cette ligne.
+   * Une remise en pourcentage est conservée telle quelle, une remise en montant est proratisée.
+   * @param {object} remise - La remise de la ligne d'origine { type, valeur }.
+   * @param {number} quantitePartielle - La quantité reprise (livrée, facturée, créditée...).
+   * @param {number} quantiteTotale - La quantité de la ligne d'origine.
+   * @returns {object} La remise à appliquer sur la ligne partielle.
+   */
+  proraterRemise(remise, quantitePartielle, quantiteTotale) {
+    if (!remise) {
+      return { type: 'Pourcentage', valeur: 0 };
+    }
+    if (remise.type === 'Montant' && quantiteTotale > 0) {
+      return { type: 'Montant', valeur: roundFinancial((remise.valeur || 0) * quantitePartielle / quantiteTotale) };
+    }
+    return { type: remise.type, valeur: remise.valeur };
+  }
+
+  /**
+   * Calcule le prix unitaire HT d'une ligne, net de sa remise éventuelle.
+   * @param {object} ligne - La ligne du document { quantite, prixUnitaireHT, remise }.
+   * @returns {number} Le prix unitaire HT après remise (non arrondi).
+   */
+  prixUnitaireNet(ligne) {
+    if (!(ligne.quantite > 0)) {
+      return ligne.prixUnitaireHT || 0;
+    }
+    const totalLigneHT = ligne.quantite * (ligne.prixUnitaireHT || 0);
+    const montantRemise = calculateDiscountAmount(totalLigneHT, ligne.remise?.valeur || 0, ligne.remise?.type);
+    return (totalLigneHT - montantRemise) / ligne.quantite;
+  }
+
   /**
    * Applique un paiement à un ensemble de factures selon une stratégie (ex: les plus anciennes d'abord).
    * @param {number} montantPaiement - Le montant total du paiement à répartir.
    * @param {Array<object>} factures - Un tableau de factures impayées, triées par ordre de priorité.
-   * @returns {object} Un objet contenant la répartition et l'éventuel excédent.
+   * @returns {object} Un objet contenant la répartition et l'éventuel excédent, que l'appelant
+   * conserve en avance client.
    */
   repartirPaiementSurFactures(montantPaiement, factures) {
     let montantRestantAPlacer = roundFinancial(montantPaiement);
@@ -83,7 +116,7 @@ class CalculService {
     for (const facture of factures) {
       if (montantRestantAPlacer <= 0) break;
       
-      const soldeFacture = this.calculerSoldeRestant(facture.totalTTC, facture.montantPaye);
+      const soldeFacture = this.calculerSoldeRestant(facture.totalTTC - (facture.montantAvoirs || 0), facture.montantPaye);
 
       if (soldeFacture > 0) {
         const montantAAppliquer = roundFinancial(Math.min(montantRestantAPlacer, soldeFacture));
@@ -99,10 +132,6 @@ class CalculService {
     }
     
     const excedent = montantRestantAPlacer > 0 ? montantRestantAPlacer : 0;
-    if (excedent > 0) {
-        console.warn(`Un excédent de paiement de ${excedent} n'a pas pu être réparti.`);
-    }
-
     return { repartition, excedent };
   }
 
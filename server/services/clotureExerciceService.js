@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const EcritureComptable = require('../models/EcritureComptable');
+const Exercice = require('../models/Exercice');
+const Parametres = require('../models/Parametres');
+const comptabiliteService = require('./comptabiliteService');
+const { roundFinancial } = require('../utils/calculations');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+
+/**
+ * Calcule les dates de l'exercice qui suit un exercice clôturé (même durée, à partir du lendemain).
+ * @param {object} exercice - L'exercice clôturé.
+ * @returns {{ dateDebut: Date, dateFin: Date }}
+ */
+const datesExerciceSuivant = (exercice) => {
+  const dateDebut = new Date(exercice.dateFin);
+  dateDebut.setDate(dateDebut.getDate() + 1);
+  dateDebut.setHours(0, 0, 0, 0);
+  const dateFin = new Date(dateDebut);
+  dateFin.setFullYear(dateFin.getFullYear() + 1);
+  dateFin.setMilliseconds(-1);
+  return { dateDebut, dateFin };
+};
+
+/**
+ * @class ClotureExerciceService
+ * @description Procédure de clôture d'un exercice comptable : contrôles préalables, écriture de
+ * détermination du résultat soldant les classes 6, 7 et 8 sur le 13x, écriture d'à-nouveaux de
+ * l'exercice suivant portant les soldes des comptes de bilan et le résultat, puis verrouillage de l'exercice.
+ */
+class ClotureExerciceService {
+
+  /**
+   * Contrôle qu'un exercice peut être clôturé.
+   * @param {object} exercice - L'exercice à contrôler.
+   * @returns {Promise<Array<string>>} Les anomalies bloquantes (vide si la clôture est possible).
+   */
+  async verifierExercice(exercice) {
+    const anomalies = [];
+    const periode = { dateEcriture: { $gte: exercice.dateDebut, $lte: exercice.dateFin } };
+
+    if (exercice.statut !== 'Ouvert') {
+      anomalies.push(`L'exercice "${exercice.libelle}" est déjà clôturé.`);
+      return anomalies;
+    }
+
+    const anterieurOuvert = await Exercice.findOne({ statut: 'Ouvert', dateFin: { $lt: exercice.dateDebut } });
+    if (anterieurOuvert) {
+      anomalies.push(`L'exercice antérieur "${anterieurOuvert.libelle}" doit être clôturé d'abord.`);
+    }
+
+    const brouillons = await EcritureComptable.find({ ...periode, statut: 'Brouillon' }).select('numeroPiece');
+    if (brouillons.length > 0) {
+      anomalies.push(`${brouillons.length} écriture(s) en brouillon à valider ou supprimer : ${brouillons.map(e => e.numeroPiece).join(', ')}.`);
+    }
+
+    const desequilibrees = await EcritureComptable.aggregate([
+      { $match: { ...periode, statut: 'Validée' } },
+      {
+        $project: {
+          numeroPiece: 1,
+          ecart: { $round: [{ $subtract: [{ $sum: '$mouvements.debit' }, { $sum: '$mouvements.credit' }] }, 2] },
+        }
+      },
+      { $match: { ecart: { $ne: 0 } } }
+    ]);
+    if (desequilibrees.length > 0) {
+      anomalies.push(`Écriture(s) déséquilibrée(s) : ${desequilibrees.map(e => `${e.numeroPiece} (écart ${e.ecart})`).join(', ')}.`);
+    }
+
+    return anomalies;
+  }
+
+  /**
+   * Calcule, à la date de clôture, les soldes des comptes de bilan (classes 1 à 5) et des comptes
+   * de gestion (classes 6, 7 et 8) par compte et par tiers, et le résultat de l'exercice.
+   * @private
+   * @param {object} exercice - L'exercice clôturé.
+   * @param {object} session - Session MongoDB de la transaction de clôture.
+   * @returns {Promise<{ soldes: Array<object>, soldesGestion: Array<object>, resultat: number }>}
+   * Le résultat est positif en cas de bénéfice.
+   */
+  async _calculerSoldesCloture(exercice, session) {
+    // Bilan et gestion se cumulent sur la même période, depuis les à-nouveaux de l'exercice ou, pour
+    // un premier exercice, depuis l'origine : les à-nouveaux qui en découlent sont alors équilibrés
+    const debutCumul = exercice.ecritureOuverture ? { $gte: exercice.dateDebut } : {};
+    const lignes = await EcritureComptable.aggregate([
+      { $match: { statut: 'Validée', dateEcriture: { ...debutCumul, $lte: exercice.dateFin } } },
+      { $unwind: '$mouvements' },
+      { $lookup: { from: 'comptecomptables', localField: 'mouvements.compte', foreignField: '_id', as: 'compteInfo' } },
+      { $unwind: '$compteInfo' },
+      {
+        $group: {
+          _id: { compte: '$mouvements.compte', tiers: '$mouvements.tiers', tiersModel: '$mouvements.tiersModel' },
+          numero: { $first: '$compteInfo.numero' },
+          classe: { $first: '$compteInfo.classe' },
+          solde: { $sum: { $subtract: ['$mouvements.debit', '$mouvements.credit'] } },
+        }
+      },
+      { $sort: { numero: 1 } }
+    ]).session(session);
+
+    const arrondir = (l) => ({ ...l._id, numero: l.numero, solde: roundFinancial(l.solde) });
+    const soldes = lignes
+      .filter(l => l.classe <= 5)
+      .map(arrondir)
+      .filter(l => l.solde !== 0);
+    const soldesGestion = lignes
+      .filter(l => l.classe >= 6 && l.classe <= 8)
+      .map(arrondir)
+      .filter(l => l.solde !== 0);
+    const resultat = roundFinancial(-soldesGestion.reduce((acc, l) => acc + l.solde, 0));
+
+    return { soldes, soldesGestion, resultat };
+  }
+
+  /**
+   * Clôture un exercice : les contrôles doivent être satisfaits. Solde les comptes de gestion sur
+   * le résultat au dernier jour de l'exercice, crée l'exercice suivant s'il n'existe pas, y passe
+   * l'écriture d'à-nouveaux, fait de lui l'exercice courant et verrouille l'exercice clôturé
+   * contre toute nouvelle écriture.
+   * @param {string} exerciceId - L'ID de l'exercice à clôturer.
+   * @param {string} userId - L'ID de l'utilisateur qui clôture.
+   * @returns {Promise<{ exercice: object, exerciceSuivant: object, ecritureOuverture: object|null }>}
+   */
+  async cloturerExercice(exerciceId, userId) {
+    const exercice = await Exercice.findById(exerciceId);
+    if (!exercice) {
+      throw new ErrorResponse(`Exercice non trouvé avec l'ID ${exerciceId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+
+    const anomalies = await this.verifierExercice(exercice);
+    if (anomalies.length > 0) {
+      throw new ErrorResponse(`Clôture impossible : ${anomalies.join(' ')}`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const params = await Parametres.get();
+    if (!params || !params.journalANouveauxParDefaut) {
+      throw new ErrorResponse("Le journal des à-nouveaux par défaut n'est pas configuré dans les paramètres.", HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if (!params.journalOperationsDiversesParDefaut) {
+      throw new ErrorResponse("Le journal des opérations diverses par défaut n'est pas configuré dans les paramètres.", HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if (!params.compteResultatBeneficeDefaut || !params.compteResultatPerteDefaut) {
+      throw new ErrorResponse("Les comptes de résultat (bénéfice, perte) par défaut ne sont pas configurés dans les paramètres.", HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const { soldes, soldesGestion, resultat } = await this._calculerSoldesCloture(exercice, session);
+      const compteResultat = resultat > 0 ? params.compteResultatBeneficeDefaut : params.compteResultatPerteDefaut;
+      const libelleResultat = `Résultat de l'exercice "${exercice.libelle}"`;
+
+      // 1. Détermination du résultat : les comptes de gestion sont soldés sur 131 (bénéfice) ou 139 (perte)
+      if (soldesGestion.length > 0) {
+        const mouvementsCloture = soldesGestion.map(ligne => ({
+          compte: ligne.compte,
+          libelle: `Solde ${ligne.numero}`,
+          debit: ligne.solde < 0 ? -ligne.solde : 0,
+          credit: ligne.solde > 0 ? ligne.solde : 0,
+          tiers: ligne.tiers,
+          tiersModel: ligne.tiersModel,
+        }));
+        if (resultat !== 0) {
+          mouvementsCloture.push({
+            compte: compteResultat,
+            libelle: libelleResultat,
+            debit: resultat < 0 ? -resultat : 0,
+            credit: resultat > 0 ? resultat : 0,
+          });
+        }
+        // Hors documentModel 'Exercice', réservé aux à-nouveaux
+        const ecritureCloture = await comptabiliteService._creerEcriture({
+          numeroPiece: `CL-${exercice.dateFin.toISOString().slice(0, 7)}`,
+          dateEcriture: exercice.dateFin,
+          journal: params.journalOperationsDiversesParDefaut,
+          libelle: `Détermination du résultat de l'exercice "${exercice.libelle}"`,
+          documentOrigine: { documentModel: 'OperationDiverse', documentNumero: exercice.libelle },
+          creePar: userId,
+          validePar: userId,
+          mouvements: mouvementsCloture,
+        }, session);
+        exercice.ecritureCloture = ecritureCloture._id;
+      }
+
+      // 2. Exercice suivant
+      const { dateDebut, dateFin } = datesExerciceSuivant(exercice);
+      let exerciceSuivant = await Exercice.findOne({ dateDebut: { $lte: dateDebut }, dateFin: { $gte: dateDebut } }).session(session);
+      if (!exerciceSuivant) {
+        [exerciceSuivant] = await Exercice.create([{
+          libelle: `Exercice ${dateFin.getFullYear()}`,
+          dateDebut,
+          dateFin,
+          creePar: userId,
+        }], { session });
+      }
+
+      // 3. À-nouveaux : soldes des comptes de bilan, et résultat viré en 131 (bénéfice) ou 139 (perte)
+      const mouvements = soldes.map(ligne => ({
+        compte: ligne.compte,
+        libelle: `À-nouveau ${ligne.numero}`,
+        debit: ligne.solde > 0 ? ligne.solde : 0,
+        credit: ligne.solde < 0 ? -ligne.solde : 0,
+        tiers: ligne.tiers,
+        tiersModel: ligne.tiersModel,
+      }));
+      if (resultat !== 0) {
+        mouvements.push({
+          compte: compteResultat,
+          libelle: libelleResultat,
+          debit: resultat < 0 ? -resultat : 0,
+          credit: resultat > 0 ? resultat : 0,
+        });
+      }
+
+      let ecritureOuverture = null;
+      if (mouvements.length >= 2) {
+        const numeroPiece = `AN-${exerciceSuivant.dateDebut.toISOString().slice(0, 7)}`;
+        ecritureOuverture = await comptabiliteService._creerEcriture({
+          numeroPiece,
+          dateEcriture: exerciceSuivant.dateDebut,
+          journal: params.journalANouveauxParDefaut,
+          libelle: `À-nouveaux de l'exercice "${exercice.libelle}"`,
+          documentOrigine: {
+            documentId: exercice._id,
+            documentModel: 'Exercice',
+            documentNumero: exercice.libelle
+          },
+          creePar: userId,
+          validePar: userId,
+          mouvements,
+        }, session);
+        exerciceSuivant.ecritureOuverture = ecritureOuverture._id;
+        await exerciceSuivant.save({ session });
+      }
+
+      // 4. Verrouillage de l'exercice clôturé
+      exercice.statut = 'Clôturé';
+      exercice.resultatExercice = resultat;
+      exercice.cloturePar = userId;
+      exercice.dateCloture = new Date();
+      await exercice.save({ session });
+
+      await Parametres.updateOne({}, { exerciceCourant: exerciceSuivant._id }, { session });
+
+      await session.commitTransaction();
+      return { exercice, exerciceSuivant, ecritureOuverture };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+module.exports = new ClotureExerciceService();
@@ -1,6 +1,20 @@
 const EcritureComptable = require('../models/EcritureComptable');
 const Parametres = require('../models/Parametres');
+const BonReception = require('../models/BonReception');
+const Paiement = require('../models/Paiement');
+const analytiqueService = require('./analytiqueService');
+const budgetService = require('./budgetService');
 const mongoose = require('mongoose');
+const { roundFinancial } = require('../utils/calculations');
+const { versReference, montantReference, estEnDevise } = require('../utils/devises');
+
+/**
+ * Mention de la devise d'un document étranger dans le libellé de son écriture, ex: " (1 500 EUR à 655.957)".
+ * @param {object} doc - Document ou paiement (devise, tauxDeChange).
+ * @param {number} montant - Montant en devise.
+ * @returns {string}
+ */
+const mentionDevise = (doc, montant) => (estEnDevise(doc) ? ` (${roundFinancial(montant)} ${doc.devise} à ${doc.tauxDeChange})` : '');
 
 /**
  * @class ComptabiliteService
@@ -12,24 +26,31 @@ class ComptabiliteService {
    * Génère et sauvegarde une écriture comptable.
    * @private
    * @param {object} data - Les données de l'écriture.
+   * @param {object} [sessionExterne] - Session MongoDB d'une transaction englobante. Si fournie,
+   * l'écriture y participe et c'est l'appelant qui valide ou annule la transaction.
    * @returns {Promise<object>} Le document EcritureComptable créé.
    */
-  async _creerEcriture(data) {
-    const session = await mongoose.startSession();
-    session.startTransaction();
+  async _creerEcriture(data, sessionExterne) {
+    const session = sessionExterne || await mongoose.startSession();
+    if (!sessionExterne) session.startTransaction();
     try {
       const ecriture = new EcritureComptable(data);
       await ecriture.save({ session }); // Le hook pre-save validera l'équilibre
       
-      await session.commitTransaction();
+      if (!sessionExterne) {
+        await session.commitTransaction();
+        // Sans attendre : le contrôle journalise ses propres erreurs. Les écritures d'une transaction
+        // englobante sont couvertes par le contrôle planifié des budgets.
+        budgetService.verifierDepassements(ecriture.dateEcriture);
+      }
       console.log(`Écriture comptable pour pièce n°${data.numeroPiece} créée avec succès.`);
       return ecriture;
     } catch (error) {
-      await session.abortTransaction();
+      if (!sessionExterne) await session.abortTransaction();
       console.error(`Erreur lors de la création de l'écriture comptable pour la pièce n°${data.numeroPiece}:`, error.message);
       throw error;
     } finally {
-        session.endSession();
+        if (!sessionExterne) session.endSession();
     }
   }
 
@@ -39,7 +60,7 @@ class ComptabiliteService {
    * @param {string} userId - L'ID de l'utilisateur qui effectue l'action.
    * @returns {Promise<object>} L'écriture comptable générée.
    *
-   * Schéma de l'écriture :
+   * Schéma de l'écriture (en XOF, au cours figé sur une facture en devise) :
    * Débit: 411xxx (Compte Client) - Montant TTC
    * Crédit: 70xxxx (Compte de Ventes) - Montant HT
    * Crédit: 443xxx (Compte de TVA Collectée) - Montant TVA
@@ -57,14 +78,20 @@ class ComptabiliteService {
     // NOTE: Logique pour trouver les comptes. Pourrait être plus complexe.
     // Ici, on suppose que le client et les produits ont des comptes comptables associés.
     // En fallback, on utilise des comptes généraux des paramètres.
-    const compteClient = facture.client.compteComptableAssocie || params.compteClientsDefaut; // A ajouter dans Parametres
-    const compteVente = params.compteVentesDefaut; // A ajouter dans Parametres
-    const compteTVA = params.compteTVAVenteDefaut; // A ajouter dans Parametres
+    const compteClient = facture.client.compteComptableAssocie || params.compteClientsDefaut;
+    const compteVente = params.compteVentesDefaut;
+    const compteTVA = params.compteTVAVenteDefaut;
 
     if (!compteClient || !compteVente || !compteTVA) {
         throw new Error("Un ou plusieurs comptes comptables par défaut sont manquants pour comptabiliser la vente.");
     }
 
+    // Ventilation analytique héritée du client, du vendeur et du dépôt d'expédition
+    const ventilationAnalytique = await analytiqueService.ventilationParDefaut({
+      client: facture.client,
+      ...await analytiqueService.origineVente(facture),
+    });
+
     const data = {
       numeroPiece: facture.numero,
       dateEcriture: facture.dateEmission,
@@ -78,11 +105,11 @@ class ComptabiliteService {
       creePar: userId,
       mouvements: [
         // Débit du compte client pour le montant total TTC
-        { compte: compteClient, libelle: `Facture n°${facture.numero}`, debit: facture.totalTTC, credit: 0 },
+        { compte: compteClient, libelle: `Facture n°${facture.numero}${mentionDevise(facture, facture.totalTTC)}`, debit: montantReference(facture, 'totalTTC'), credit: 0, tiers: facture.client._id, tiersModel: 'Client', pieceReference: facture.numero },
         // Crédit du compte de produits/ventes pour le montant HT
-        { compte: compteVente, libelle: `Vente client ${facture.client.nom}`, debit: 0, credit: facture.totalHT },
+        { compte: compteVente, libelle: `Vente client ${facture.client.nom}`, debit: 0, credit: montantReference(facture, 'totalHT'), ventilationAnalytique },
         // Crédit du compte de TVA collectée
-        { compte: compteTVA, libelle: `TVA sur facture n°${facture.numero}`, debit: 0, credit: facture.totalTVA }
+        { compte: compteTVA, libelle: `TVA sur facture n°${facture.numero}`, debit: 0, credit: montantReference(facture, 'totalTVA') }
       ]
     };
     
@@ -97,52 +124,641 @@ class ComptabiliteService {
   }
   
   /**
-   * Comptabilise un paiement reçu d'un client.
-   * @param {object} paiement - Le document Mongoose du paiement.
-   * @param {object} factureLiee - La facture que ce paiement règle.
+   * Comptabilise un avoir client (contre-passation de la facture d'origine, au prorata de l'avoir).
+   * @param {object} avoir - Le document Mongoose de l'avoir (client et factureOrigine populés).
+   * @param {string} userId - L'ID de l'utilisateur qui effectue l'action.
+   * @param {object} [session] - Session MongoDB de la transaction de validation de l'avoir.
+   * @returns {Promise<object>} L'écriture comptable générée.
+   *
+   * Schéma de l'écriture (en XOF, au cours de la facture d'origine) :
+   * Débit: 70xxxx (Compte de Ventes) - Montant HT net de remise
+   * Débit: 443xxx (Compte de TVA Collectée) - Montant TVA
+   * Crédit: 411xxx (Compte Client) - Montant TTC
+   */
+  async comptabiliserAvoir(avoir, userId, session) {
+    if (avoir.comptabilise) {
+      throw new Error(`L'avoir n°${avoir.numero} a déjà été comptabilisé.`);
+    }
+
+    const params = await Parametres.get();
+    if (!params || !params.journalVentesParDefaut) {
+      throw new Error("Le journal des ventes par défaut n'est pas configuré dans les paramètres.");
+    }
+
+    const compteClient = avoir.client.compteComptableAssocie || params.compteClientsDefaut;
+    const compteVente = params.compteVentesDefaut;
+    const compteTVA = params.compteTVAVenteDefaut;
+
+    if (!compteClient || !compteVente || !compteTVA) {
+        throw new Error("Un ou plusieurs comptes comptables par défaut sont manquants pour comptabiliser l'avoir.");
+    }
+
+    const numeroFacture = avoir.factureOrigine.numero;
+    // Ventilation analytique de la vente d'origine, le dépôt de retour primant sur celui d'expédition
+    const origine = await analytiqueService.origineVente(avoir.factureOrigine, session);
+    const ventilationAnalytique = await analytiqueService.ventilationParDefaut({
+      client: avoir.client,
+      vendeur: origine.vendeur,
+      depot: avoir.depotRetour || origine.depot,
+    }, session);
+    // L'avoir est établi dans la devise de la facture : il en reprend le cours
+    const taux = avoir.factureOrigine.tauxDeChange;
+    const montantHT = versReference(avoir.totalHT - avoir.totalRemise, taux);
+    const montantTVA = versReference(avoir.totalTVA, taux);
+    const mouvements = [
+      // Débit du compte de ventes pour annuler le chiffre d'affaires
+      { compte: compteVente, libelle: `Annulation vente client ${avoir.client.nom}`, debit: montantHT, credit: 0, ventilationAnalytique },
+      // Crédit du compte client pour diminuer sa créance
+      { compte: compteClient, libelle: `Avoir n°${avoir.numero} sur facture n°${numeroFacture}${mentionDevise(avoir.factureOrigine, avoir.totalTTC)}`, debit: 0, credit: roundFinancial(montantHT + montantTVA), tiers: avoir.client._id, tiersModel: 'Client', pieceReference: numeroFacture }
+    ];
+    // Débit de la TVA collectée (absente si les lignes créditées sont exonérées)
+    if (montantTVA > 0) {
+      mouvements.splice(1, 0, { compte: compteTVA, libelle: `TVA sur avoir n°${avoir.numero}`, debit: montantTVA, credit: 0 });
+    }
+
+    const data = {
+      numeroPiece: avoir.numero,
+      dateEcriture: avoir.dateEmission,
+      journal: params.journalVentesParDefaut,
+      libelle: `Avoir n°${avoir.numero} sur facture n°${numeroFacture} - Client: ${avoir.client.nom}`,
+      documentOrigine: {
+        documentId: avoir._id,
+        documentModel: 'Avoir',
+        documentNumero: avoir.numero
+      },
+      creePar: userId,
+      mouvements
+    };
+
+    const ecriture = await this._creerEcriture(data, session);
+
+    avoir.comptabilise = true;
+    avoir.ecritureComptable = ecriture._id;
+    await avoir.save({ session });
+
+    return ecriture;
+  }
+
+  /**
+   * Contre-valeurs XOF d'un paiement : montant encaissé ou décaissé au cours du jour du paiement,
+   * et part de la créance ou de la dette qu'il solde, au cours figé du document réglé. Le paiement
+   * qui solde le document reprend le reliquat exact de sa contre-valeur, pour ne laisser aucun
+   * centime sur le compte de tiers.
+   * @private
+   * @param {object} paiement - Le paiement, dans la devise du document réglé.
+   * @param {object} document - La facture, la facture fournisseur ou l'achat réglé.
+   * @param {object} [imputation] - L'imputation du paiement sur le document, pour un règlement
+   * client réparti ; le paiement entier sinon.
+   * @param {object} [session] - Session MongoDB de la transaction qui enregistre le paiement.
+   * @returns {Promise<{ tresorerie: number, document: number, ecart: number }>} `ecart` est le
+   * gain (positif) ou la perte (négatif) de change réalisé.
+   */
+  async _contreValeursReglement(paiement, document, imputation, session) {
+    const montant = imputation ? imputation.montant : paiement.montant;
+    const tresorerie = imputation
+      ? versReference(montant, paiement.tauxDeChange)
+      : paiement.contreValeur ?? versReference(montant, paiement.tauxDeChange);
+    if (!estEnDevise(document)) {
+      return { tresorerie, document: tresorerie, ecart: 0 };
+    }
+
+    let partDocument = versReference(montant, document.tauxDeChange);
+    const partCourante = String((imputation || paiement)._id);
+    const reglements = await Paiement.find({ ...Paiement.filtreReglementsDe(document._id), statut: 'Validé' }).session(session);
+    const precedents = reglements.flatMap(p => p.partsSur(document._id)).filter(part => String(part.id) !== partCourante);
+    const avoirs = document.montantAvoirs || document.montantAvoirsFournisseur || 0;
+    const payeDevise = precedents.reduce((acc, part) => acc + part.montant, 0) + montant;
+    if (payeDevise >= document.totalTTC - avoirs - 0.005) {
+      const dejaSolde = precedents.reduce((acc, part) => (
+        acc + (part.direction === 'Entrant' ? part.contreValeur - part.ecartDeChange : part.contreValeur + part.ecartDeChange)
+      ), 0);
+      partDocument = roundFinancial(montantReference(document, 'totalTTC') - versReference(avoirs, document.tauxDeChange) - dejaSolde);
+    }
+
+    // Gain si l'on encaisse plus, ou décaisse moins, que la contre-valeur soldée
+    const ecart = roundFinancial(paiement.direction === 'Entrant' ? tresorerie - partDocument : partDocument - tresorerie);
+    return { tresorerie, document: partDocument, ecart };
+  }
+
+  /**
+   * Ligne de différence de change réalisée d'un règlement en devise.
+   * @private
+   * @param {number} ecart - Gain (positif) ou perte (négatif) de change.
+   * @param {object} params - Les paramètres (comptes de pertes et de gains de change).
+   * @param {string} libelle
+   * @returns {object|null} Le mouvement, ou null sans écart.
+   */
+  _mouvementEcartDeChange(ecart, params, libelle) {
+    if (ecart === 0) return null;
+    const compte = ecart > 0 ? params.compteGainChangeDefaut : params.comptePerteChangeDefaut;
+    if (!compte) {
+      throw new Error("Les comptes de pertes et de gains de change (676/776) ne sont pas configurés dans les paramètres.");
+    }
+    return ecart > 0
+      ? { compte, libelle: `Gain de change ${libelle}`, debit: 0, credit: ecart }
+      : { compte, libelle: `Perte de change ${libelle}`, debit: -ecart, credit: 0 };
+  }
+
+  /**
+   * Comptabilise un règlement reçu d'un client, réparti sur une ou plusieurs factures.
+   * @param {object} paiement - Le document Mongoose du paiement (imputations, montantAvance).
+   * @param {object} client - Le client payeur.
+   * @param {Array<object>} factures - Les factures réglées par les imputations du paiement.
    * @param {string} userId - L'ID de l'utilisateur.
+   * @param {object} session - Session MongoDB de la transaction qui enregistre le paiement.
    * @returns {Promise<object>} L'écriture comptable générée.
    *
    * Schéma de l'écriture :
-   * Débit: 5xx (Compte de Trésorerie - Banque/Caisse) - Montant du paiement
-   * Crédit: 411xxx (Compte Client) - Montant du paiement
+   * Débit: 5xx (Compte de Trésorerie - Banque/Caisse) - Montant du paiement, au cours du jour
+   * Crédit: 411xxx (Compte Client) - Part de chaque facture, au cours de la facture (une ligne par facture)
+   * Crédit: 4191 (Avances clients) - Excédent conservé en avance, au cours du jour
+   * Débit: 676 (Pertes de change) ou Crédit: 776 (Gains de change) - Différence entre les deux cours
    */
-  async comptabiliserPaiementClient(paiement, factureLiee, userId) {
+  async comptabiliserPaiementClient(paiement, client, factures, userId, session) {
     const params = await Parametres.get();
     if (!params || !params.journalTresorerieParDefaut) {
       throw new Error("Le journal de trésorerie par défaut n'est pas configuré.");
     }
 
-    const compteClient = factureLiee.client.compteComptableAssocie || params.compteClientsDefaut;
+    const compteClient = client.compteComptableAssocie || params.compteClientsDefaut;
     const compteTreso = params.compteTresorerieDefaut; // Le compte de la banque/caisse qui reçoit l'argent
 
     if (!compteClient || !compteTreso) {
       throw new Error("Les comptes comptables par défaut (client/trésorerie) sont manquants.");
     }
+    if (paiement.montantAvance > 0 && !params.compteAvancesClientsDefaut) {
+      throw new Error("Le compte des avances clients (4191) n'est pas configuré dans les paramètres.");
+    }
+
+    const tresorerie = paiement.contreValeur ?? versReference(paiement.montant, paiement.tauxDeChange);
+    const partAvance = versReference(paiement.montantAvance, paiement.tauxDeChange);
+    const imputations = paiement.imputations.filter(i => !i.surAvance);
+    const reglements = [];
+    for (const imputation of imputations) {
+      const facture = factures.find(f => f._id.equals(imputation.facture));
+      reglements.push({ imputation, facture, montants: await this._contreValeursReglement(paiement, facture, imputation, session) });
+    }
+    // Les arrondis de conversion des parts vont à la dernière facture, en différence de change
+    const arrondi = roundFinancial(tresorerie - partAvance - reglements.reduce((acc, r) => acc + r.montants.tresorerie, 0));
+    if (arrondi !== 0 && reglements.length > 0) {
+      const dernier = reglements[reglements.length - 1].montants;
+      dernier.tresorerie = roundFinancial(dernier.tresorerie + arrondi);
+      dernier.ecart = roundFinancial(dernier.ecart + arrondi);
+    }
 
+    const mouvements = [
+      // Débit du compte de trésorerie
+      { compte: compteTreso, libelle: `Encaissement client ${client.nom}${mentionDevise(paiement, paiement.montant)}`, debit: tresorerie, credit: 0 },
+    ];
+    reglements.forEach(({ facture, montants }) => {
+      // Crédit du compte client pour solder sa dette, facture par facture
+      mouvements.push({ compte: compteClient, libelle: `Règlement facture n°${facture.numero}`, debit: 0, credit: montants.document, tiers: client._id, tiersModel: 'Client', pieceReference: facture.numero });
+      const ecartDeChange = this._mouvementEcartDeChange(montants.ecart, params, `sur facture n°${facture.numero}`);
+      if (ecartDeChange) mouvements.push(ecartDeChange);
+    });
+    if (partAvance > 0) {
+      mouvements.push({ compte: params.compteAvancesClientsDefaut, libelle: `Avance client ${client.nom}${mentionDevise(paiement, paiement.montantAvance)}`, debit: 0, credit: partAvance, tiers: client._id, tiersModel: 'Client', pieceReference: paiement.numeroPaiement });
+    }
+
+    const numeros = reglements.map(r => r.facture.numero);
     const data = {
       numeroPiece: paiement.numeroPaiement,
       dateEcriture: paiement.datePaiement,
       journal: params.journalTresorerieParDefaut,
-      libelle: `Paiement facture n°${factureLiee.numero} - Client: ${factureLiee.client.nom}`,
+      libelle: numeros.length > 0
+        ? `Paiement facture${numeros.length > 1 ? 's' : ''} n°${numeros.join(', ')} - Client: ${client.nom}`
+        : `Avance reçue - Client: ${client.nom}`,
       documentOrigine: {
         documentId: paiement._id,
         documentModel: 'Paiement',
         documentNumero: paiement.numeroPaiement
       },
       creePar: userId,
-      mouvements: [
-        // Débit du compte de trésorerie
-        { compte: compteTreso, libelle: `Encaissement client ${factureLiee.client.nom}`, debit: paiement.montant, credit: 0 },
-        // Crédit du compte client pour solder sa dette
-        { compte: compteClient, libelle: `Règlement facture n°${factureLiee.numero}`, debit: 0, credit: paiement.montant },
-      ]
+      mouvements
+    };
+
+    const ecriture = await this._creerEcriture(data, session);
+
+    const ecarts = { ecartDeChange: roundFinancial(reglements.reduce((acc, r) => acc + r.montants.ecart, 0)) };
+    reglements.forEach(({ imputation, montants }) => {
+      imputation.ecartDeChange = montants.ecart;
+      ecarts[`imputations.${paiement.imputations.indexOf(imputation)}.ecartDeChange`] = montants.ecart;
+    });
+    paiement.ecartDeChange = ecarts.ecartDeChange;
+    await Paiement.updateOne({ _id: paiement._id }, { $set: ecarts }, { session });
+
+    return ecriture;
+  }
+
+  /**
+   * Comptabilise l'imputation sur une facture d'une avance client : l'avance, reçue au cours du
+   * paiement, solde la créance au cours de la facture. L'imputation qui épuise l'avance reprend le
+   * reliquat exact de sa contre-valeur en 4191.
+   * @param {object} paiement - Le paiement qui porte l'avance.
+   * @param {object} imputation - L'imputation sur avance, déjà enregistrée sur le paiement.
+   * @param {object} facture - La facture réglée.
+   * @param {object} client - Le client.
+   * @param {string} userId - L'ID de l'utilisateur.
+   * @param {object} session - Session MongoDB de la transaction qui enregistre l'imputation.
+   * @returns {Promise<object>} L'écriture comptable générée.
+   *
+   * Schéma de l'écriture (journal des opérations diverses) :
+   * Débit: 4191 (Avances clients) - Montant imputé, au cours du paiement
+   * Crédit: 411xxx (Compte Client) - Montant imputé, au cours de la facture
+   * Débit: 676 (Pertes de change) ou Crédit: 776 (Gains de change) - Différence entre les deux cours
+   */
+  async comptabiliserImputationAvance(paiement, imputation, facture, client, userId, session) {
+    const params = await Parametres.get();
+    if (!params || !params.journalOperationsDiversesParDefaut) {
+      throw new Error("Le journal des opérations diverses par défaut n'est pas configuré dans les paramètres.");
+    }
+
+    const compteClient = client.compteComptableAssocie || params.compteClientsDefaut;
+    if (!compteClient || !params.compteAvancesClientsDefaut) {
+      throw new Error("Les comptes comptables par défaut (client/avances clients) sont manquants.");
+    }
+
+    const montants = await this._contreValeursReglement(paiement, facture, imputation, session);
+    if (paiement.avanceDisponible <= 0.005) {
+      const imputationsAvance = paiement.imputations.filter(i => i.surAvance);
+      const dejaImpute = imputationsAvance
+        .filter(i => !i._id.equals(imputation._id))
+        .reduce((acc, i) => acc + versReference(i.montant, paiement.tauxDeChange), 0);
+      const reliquat = roundFinancial(versReference(paiement.montantAvance, paiement.tauxDeChange) - dejaImpute);
+      montants.ecart = roundFinancial(montants.ecart + reliquat - montants.tresorerie);
+      montants.tresorerie = reliquat;
+    }
+
+    const mouvements = [
+      { compte: params.compteAvancesClientsDefaut, libelle: `Imputation avance n°${paiement.numeroPaiement}${mentionDevise(paiement, imputation.montant)}`, debit: montants.tresorerie, credit: 0, tiers: client._id, tiersModel: 'Client', pieceReference: paiement.numeroPaiement },
+      { compte: compteClient, libelle: `Règlement facture n°${facture.numero}`, debit: 0, credit: montants.document, tiers: client._id, tiersModel: 'Client', pieceReference: facture.numero },
+    ];
+    const ecartDeChange = this._mouvementEcartDeChange(montants.ecart, params, `sur facture n°${facture.numero}`);
+    if (ecartDeChange) mouvements.push(ecartDeChange);
+
+    const index = paiement.imputations.indexOf(imputation);
+    const rang = paiement.imputations.filter(i => i.surAvance).indexOf(imputation) + 1;
+    const ecriture = await this._creerEcriture({
+      numeroPiece: `${paiement.numeroPaiement}-AV${rang}`,
+      dateEcriture: imputation.dateImputation,
+      journal: params.journalOperationsDiversesParDefaut,
+      libelle: `Imputation de l'avance n°${paiement.numeroPaiement} sur la facture n°${facture.numero} - Client: ${client.nom}`,
+      documentOrigine: {
+        documentId: paiement._id,
+        documentModel: 'Paiement',
+        documentNumero: paiement.numeroPaiement
+      },
+      creePar: userId,
+      mouvements
+    }, session);
+
+    imputation.ecartDeChange = montants.ecart;
+    imputation.ecriture = ecriture._id;
+    await Paiement.updateOne({ _id: paiement._id }, {
+      $set: {
+        [`imputations.${index}.ecartDeChange`]: montants.ecart,
+        [`imputations.${index}.ecriture`]: ecriture._id,
+      },
+      $inc: { ecartDeChange: montants.ecart },
+    }, { session });
+
+    return ecriture;
+  }
+
+  /**
+   * Comptabilise une facture fournisseur.
+   * @param {object} factureFournisseur - Le document Mongoose de la facture fournisseur (fournisseur populé).
+   * @param {string} userId - L'ID de l'utilisateur qui effectue l'action.
+   * @param {object} [session] - Session MongoDB de la transaction de validation de la facture.
+   * @returns {Promise<object>} L'écriture comptable générée.
+   *
+   * Schéma de l'écriture (en XOF, au cours figé sur une facture en devise) :
+   * Débit: 60xxxx (Compte d'Achats ou compte de charge de la ligne) - Montant HT
+   * Débit: 445xxx (Compte de TVA Récupérable) - Montant TVA
+   * Crédit: 401xxx (Compte Fournisseur) - Montant TTC
+   */
+  async comptabiliserFactureAchat(factureFournisseur, userId, session) {
+    if (factureFournisseur.comptabilise) {
+      throw new Error(`La facture fournisseur n°${factureFournisseur.numero} a déjà été comptabilisée.`);
+    }
+
+    const params = await Parametres.get();
+    if (!params || !params.journalAchatsParDefaut) {
+      throw new Error("Le journal des achats par défaut n'est pas configuré dans les paramètres.");
+    }
+
+    const fournisseur = factureFournisseur.fournisseur;
+    const compteFournisseur = fournisseur.compteComptableAssocie || params.compteFournisseursDefaut;
+    const compteTVA = params.compteTVAAchatDefaut;
+
+    if (!compteFournisseur || !compteTVA || (!params.compteAchatsDefaut && factureFournisseur.lignes.some(l => !l.compteCharge))) {
+        throw new Error("Un ou plusieurs comptes comptables par défaut sont manquants pour comptabiliser l'achat.");
+    }
+
+    // Regroupement des montants HT par compte de charge
+    const montantsParCompte = new Map();
+    factureFournisseur.lignes.forEach(ligne => {
+      const compte = (ligne.compteCharge || params.compteAchatsDefaut).toString();
+      montantsParCompte.set(compte, (montantsParCompte.get(compte) || 0) + ligne.totalLigneHT);
+    });
+
+    // Ventilation analytique héritée du dépôt de réception des achats facturés
+    const reception = factureFournisseur.achatsLies?.length > 0
+      ? await BonReception.findOne({ achatLie: { $in: factureFournisseur.achatsLies } }).select('depot').session(session)
+      : null;
+    const ventilationAnalytique = await analytiqueService.ventilationParDefaut({ depot: reception?.depot }, session);
+
+    const libelleFacture = `Facture ${fournisseur.nom} n°${factureFournisseur.numeroFactureFournisseur}`;
+    const mouvements = [];
+    montantsParCompte.forEach((montant, compte) => {
+      mouvements.push({ compte, libelle: libelleFacture, debit: versReference(montant, factureFournisseur.tauxDeChange), credit: 0, ventilationAnalytique });
+    });
+    const montantTVA = versReference(factureFournisseur.totalTVA, factureFournisseur.tauxDeChange);
+    if (montantTVA > 0) {
+      mouvements.push({ compte: compteTVA, libelle: `TVA récupérable ${libelleFacture}`, debit: montantTVA, credit: 0 });
+    }
+    // Le crédit fournisseur reprend la somme des débits arrondis pour garantir l'équilibre
+    const totalTTC = roundFinancial(mouvements.reduce((acc, m) => acc + m.debit, 0));
+    mouvements.push({ compte: compteFournisseur, libelle: `${libelleFacture}${mentionDevise(factureFournisseur, factureFournisseur.totalTTC)}`, debit: 0, credit: totalTTC, tiers: fournisseur._id, tiersModel: 'Fournisseur', pieceReference: factureFournisseur.numero });
+
+    const data = {
+      numeroPiece: factureFournisseur.numero,
+      dateEcriture: factureFournisseur.dateFacture,
+      journal: params.journalAchatsParDefaut,
+      libelle: `${libelleFacture} - Fournisseur: ${fournisseur.nom}`,
+      documentOrigine: {
+        documentId: factureFournisseur._id,
+        documentModel: 'FactureFournisseur',
+        documentNumero: factureFournisseur.numero
+      },
+      creePar: userId,
+      mouvements
+    };
+
+    const ecriture = await this._creerEcriture(data, session);
+
+    factureFournisseur.comptabilise = true;
+    factureFournisseur.ecritureComptable = ecriture._id;
+    await factureFournisseur.save({ session });
+
+    return ecriture;
+  }
+
+  /**
+   * Comptabilise un paiement émis vers un fournisseur.
+   * @param {object} paiement - Le document Mongoose du paiement (direction 'Sortant').
+   * @param {object} documentRegle - La facture fournisseur ou l'achat réglé (fournisseur populé).
+   * @param {string} userId - L'ID de l'utilisateur.
+   * @param {object} [session] - Session MongoDB de la transaction qui enregistre le paiement.
+   * @returns {Promise<object>} L'écriture comptable générée.
+   *
+   * Schéma de l'écriture :
+   * Débit: 401xxx (Compte Fournisseur) - Montant du paiement, au cours du document réglé
+   * Crédit: 5xx (Compte de Trésorerie - Banque/Caisse) - Montant du paiement, au cours du jour
+   * Débit: 676 (Pertes de change) ou Crédit: 776 (Gains de change) - Différence entre les deux cours
+   */
+  async comptabiliserPaiementFournisseur(paiement, documentRegle, userId, session) {
+    const params = await Parametres.get();
+    if (!params || !params.journalTresorerieParDefaut) {
+      throw new Error("Le journal de trésorerie par défaut n'est pas configuré.");
+    }
+
+    const fournisseur = documentRegle.fournisseur;
+    const compteFournisseur = fournisseur.compteComptableAssocie || params.compteFournisseursDefaut;
+    const compteTreso = params.compteTresorerieDefaut;
+
+    if (!compteFournisseur || !compteTreso) {
+      throw new Error("Les comptes comptables par défaut (fournisseur/trésorerie) sont manquants.");
+    }
+
+    const numeroDocument = documentRegle.numeroFactureFournisseur || documentRegle.numeroAchat || documentRegle.numero;
+    const montants = await this._contreValeursReglement(paiement, documentRegle, undefined, session);
+    const mouvements = [
+      // Débit du compte fournisseur pour solder notre dette
+      { compte: compteFournisseur, libelle: `Règlement n°${numeroDocument}`, debit: montants.document, credit: 0, tiers: fournisseur._id, tiersModel: 'Fournisseur', pieceReference: documentRegle.numero || documentRegle.numeroAchat },
+      // Crédit du compte de trésorerie qui décaisse
+      { compte: compteTreso, libelle: `Décaissement fournisseur ${fournisseur.nom}${mentionDevise(paiement, paiement.montant)}`, debit: 0, credit: montants.tresorerie },
+    ];
+    const ecartDeChange = this._mouvementEcartDeChange(montants.ecart, params, `sur règlement n°${numeroDocument}`);
+    if (ecartDeChange) mouvements.push(ecartDeChange);
+
+    const data = {
+      numeroPiece: paiement.numeroPaiement,
+      dateEcriture: paiement.datePaiement,
+      journal: params.journalTresorerieParDefaut,
+      libelle: `Règlement n°${numeroDocument} - Fournisseur: ${fournisseur.nom}`,
+      documentOrigine: {
+        documentId: paiement._id,
+        documentModel: 'Paiement',
+        documentNumero: paiement.numeroPaiement
+      },
+      creePar: userId,
+      mouvements
     };
 
-    return this._creerEcriture(data);
+    const ecriture = await this._creerEcriture(data, session);
+
+    paiement.ecartDeChange = montants.ecart;
+    await Paiement.updateOne({ _id: paiement._id }, { ecartDeChange: montants.ecart }, { session });
+
+    return ecriture;
   }
 
-  // TODO: Implémenter comptabiliserFactureAchat, comptabiliserPaiementFournisseur, etc.
+  /**
+   * Comptabilise un retour fournisseur (avoir attendu du fournisseur, contre-passation de l'achat).
+   * @param {object} retourFournisseur - Le document Mongoose du retour (fournisseur populé).
+   * @param {string} userId - L'ID de l'utilisateur qui valide le retour.
+   * @param {object} [session] - Session MongoDB de la transaction de validation du retour.
+   * @returns {Promise<object>} L'écriture comptable générée.
+   *
+   * Schéma de l'écriture :
+   * Débit: 401xxx (Compte Fournisseur) - Montant TTC
+   * Crédit: 60xxxx (Compte d'Achats) - Montant HT
+   * Crédit: 445xxx (Compte de TVA Récupérable) - Montant TVA
+   */
+  async comptabiliserRetourFournisseur(retourFournisseur, userId, session) {
+    if (retourFournisseur.comptabilise) {
+      throw new Error(`Le retour fournisseur n°${retourFournisseur.numero} a déjà été comptabilisé.`);
+    }
+
+    const params = await Parametres.get();
+    if (!params || !params.journalAchatsParDefaut) {
+      throw new Error("Le journal des achats par défaut n'est pas configuré dans les paramètres.");
+    }
+
+    const fournisseur = retourFournisseur.fournisseur;
+    const compteFournisseur = fournisseur.compteComptableAssocie || params.compteFournisseursDefaut;
+    const compteAchats = params.compteAchatsDefaut;
+    const compteTVA = params.compteTVAAchatDefaut;
+
+    if (!compteFournisseur || !compteAchats || !compteTVA) {
+        throw new Error("Un ou plusieurs comptes comptables par défaut sont manquants pour comptabiliser le retour fournisseur.");
+    }
+
+    const libelleRetour = `Retour fournisseur n°${retourFournisseur.numero}`;
+    const ventilationAnalytique = await analytiqueService.ventilationParDefaut({ depot: retourFournisseur.depot }, session);
+    // Le retour est valorisé en XOF, au coût des réceptions d'origine
+    const montantHT = roundFinancial(retourFournisseur.totalHT);
+    const montantTVA = roundFinancial(retourFournisseur.totalTVA);
+    const mouvements = [
+      // Débit du compte fournisseur pour diminuer notre dette
+      { compte: compteFournisseur, libelle: libelleRetour, debit: roundFinancial(montantHT + montantTVA), credit: 0, tiers: fournisseur._id, tiersModel: 'Fournisseur' },
+      // Crédit du compte d'achats pour annuler la charge
+      { compte: compteAchats, libelle: `${libelleRetour} - ${fournisseur.nom}`, debit: 0, credit: montantHT, ventilationAnalytique },
+    ];
+    // Crédit de la TVA récupérable (absente si les lignes retournées sont exonérées)
+    if (montantTVA > 0) {
+      mouvements.push({ compte: compteTVA, libelle: `TVA sur retour fournisseur n°${retourFournisseur.numero}`, debit: 0, credit: montantTVA });
+    }
+
+    const data = {
+      numeroPiece: retourFournisseur.numero,
+      dateEcriture: retourFournisseur.dateRetour,
+      journal: params.journalAchatsParDefaut,
+      libelle: `${libelleRetour} - Fournisseur: ${fournisseur.nom}`,
+      documentOrigine: {
+        documentId: retourFournisseur._id,
+        documentModel: 'RetourFournisseur',
+        documentNumero: retourFournisseur.numero
+      },
+      creePar: userId,
+      mouvements
+    };
+
+    const ecriture = await this._creerEcriture(data, session);
+
+    retourFournisseur.comptabilise = true;
+    retourFournisseur.ecritureComptable = ecriture._id;
+
+    return ecriture;
+  }
+
+  /**
+   * Comptabilise le remboursement d'un retour client, sans passer par un avoir :
+   * la vente est contre-passée directement contre la trésorerie qui rembourse.
+   * @param {object} paiement - Le document Mongoose du paiement (direction 'Sortant').
+   * @param {object} retour - Le retour client remboursé (client populé).
+   * @param {string} userId - L'ID de l'utilisateur.
+   * @param {object} [session] - Session MongoDB de la transaction de validation du retour.
+   * @returns {Promise<object>} L'écriture comptable générée.
+   *
+   * Schéma de l'écriture :
+   * Débit: 70xxxx (Compte de Ventes) - Montant HT net de remise
+   * Débit: 443xxx (Compte de TVA Collectée) - Montant TVA
+   * Crédit: 5xx (Compte de Trésorerie - Banque/Caisse) - Montant remboursé
+   */
+  async comptabiliserRemboursementClient(paiement, retour, userId, session) {
+    const params = await Parametres.get();
+    if (!params || !params.journalTresorerieParDefaut) {
+      throw new Error("Le journal de trésorerie par défaut n'est pas configuré.");
+    }
+
+    const compteVente = params.compteVentesDefaut;
+    const compteTVA = params.compteTVAVenteDefaut;
+    const compteTreso = params.compteTresorerieDefaut;
+
+    if (!compteVente || !compteTVA || !compteTreso) {
+      throw new Error("Un ou plusieurs comptes comptables par défaut sont manquants pour comptabiliser le remboursement.");
+    }
+
+    // Le remboursement est versé dans la devise de la facture, au cours de celle-ci
+    const montantRembourse = paiement.contreValeur ?? versReference(paiement.montant, paiement.tauxDeChange);
+    const montantTVA = versReference(retour.totalTVA, paiement.tauxDeChange);
+    const ventilationAnalytique = await analytiqueService.ventilationParDefaut({ client: retour.client, depot: retour.depotRetour }, session);
+    const mouvements = [
+      // Débit du compte de ventes pour annuler le chiffre d'affaires
+      { compte: compteVente, libelle: `Retour client ${retour.client.nom}`, debit: roundFinancial(montantRembourse - montantTVA), credit: 0, ventilationAnalytique },
+      // Crédit du compte de trésorerie qui rembourse
+      { compte: compteTreso, libelle: `Remboursement client ${retour.client.nom}${mentionDevise(paiement, paiement.montant)}`, debit: 0, credit: montantRembourse },
+    ];
+    // Débit de la TVA collectée (absente si les lignes retournées sont exonérées)
+    if (montantTVA > 0) {
+      mouvements.splice(1, 0, { compte: compteTVA, libelle: `TVA sur retour n°${retour.numero}`, debit: montantTVA, credit: 0 });
+    }
+
+    const data = {
+      numeroPiece: paiement.numeroPaiement,
+      dateEcriture: paiement.datePaiement,
+      journal: params.journalTresorerieParDefaut,
+      libelle: `Remboursement retour n°${retour.numero} - Client: ${retour.client.nom}`,
+      documentOrigine: {
+        documentId: paiement._id,
+        documentModel: 'Paiement',
+        documentNumero: paiement.numeroPaiement
+      },
+      creePar: userId,
+      mouvements
+    };
+
+    return this._creerEcriture(data, session);
+  }
+
+  /**
+   * Comptabilise les écarts d'un inventaire physique validé.
+   * Les excédents et les manquants sont passés séparément pour garder leur trace dans le journal.
+   * @param {object} inventaire - Le document Mongoose de l'inventaire (dépôt populé).
+   * @param {{ excedents: number, manquants: number }} ecarts - Valeur totale des excédents et des manquants (positives).
+   * @param {string} userId - L'ID de l'utilisateur qui valide l'inventaire.
+   * @param {object} [session] - Session MongoDB de la transaction de validation.
+   * @returns {Promise<object|null>} L'écriture comptable générée, ou null si l'inventaire est sans écart valorisé.
+   *
+   * Schéma de l'écriture :
+   * Excédents : Débit 31xxxx (Stock de marchandises) / Crédit 6031xx (Variation des stocks)
+   * Manquants : Débit 6031xx (Variation des stocks) / Crédit 31xxxx (Stock de marchandises)
+   */
+  async comptabiliserEcartInventaire(inventaire, ecarts, userId, session) {
+    if (inventaire.comptabilise) {
+      throw new Error(`L'inventaire n°${inventaire.numero} a déjà été comptabilisé.`);
+    }
+
+    const excedents = roundFinancial(ecarts.excedents);
+    const manquants = roundFinancial(ecarts.manquants);
+    if (excedents === 0 && manquants === 0) return null;
+
+    const params = await Parametres.findOne().session(session);
+    if (!params || !params.journalOperationsDiversesParDefaut) {
+      throw new Error("Le journal des opérations diverses par défaut n'est pas configuré dans les paramètres.");
+    }
+
+    const compteStock = params.compteStockMarchandisesDefaut;
+    const compteVariation = params.compteVariationStockDefaut;
+    if (!compteStock || !compteVariation) {
+      throw new Error("Les comptes comptables par défaut (stock/variation des stocks) sont manquants.");
+    }
+
+    const libelleInventaire = `Inventaire n°${inventaire.numero} - Dépôt: ${inventaire.depot.nom}`;
+    const ventilationAnalytique = await analytiqueService.ventilationParDefaut({ depot: inventaire.depot }, session);
+    const mouvements = [];
+    if (excedents > 0) {
+      mouvements.push({ compte: compteStock, libelle: `Excédents ${libelleInventaire}`, debit: excedents, credit: 0 });
+      mouvements.push({ compte: compteVariation, libelle: `Excédents ${libelleInventaire}`, debit: 0, credit: excedents, ventilationAnalytique });
+    }
+    if (manquants > 0) {
+      mouvements.push({ compte: compteVariation, libelle: `Manquants ${libelleInventaire}`, debit: manquants, credit: 0, ventilationAnalytique });
+      mouvements.push({ compte: compteStock, libelle: `Manquants ${libelleInventaire}`, debit: 0, credit: manquants });
+    }
+
+    const data = {
+      numeroPiece: inventaire.numero,
+      dateEcriture: inventaire.dateValidation || new Date(),
+      journal: params.journalOperationsDiversesParDefaut,
+      libelle: `Écarts d'inventaire n°${inventaire.numero} - Dépôt: ${inventaire.depot.nom}`,
+      documentOrigine: {
+        documentId: inventaire._id,
+        documentModel: 'Inventaire',
+        documentNumero: inventaire.numero
+      },
+      creePar: userId,
+      mouvements
+    };
+
+    const ecriture = await this._creerEcriture(data, session);
+
+    inventaire.comptabilise = true;
+    inventaire.ecritureComptable = ecriture._id;
+
+    return ecriture;
+  }
 }
 
 module.exports = new ComptabiliteService();
\ No newline at end of file
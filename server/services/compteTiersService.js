@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Fournisseur = require('../models/Fournisseur');
+const CompteComptable = require('../models/CompteComptable');
+const Parametres = require('../models/Parametres');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+
+// Paramétrage des comptes de tiers, par type de tiers
+const TYPES_TIERS = {
+  Client: { Model: Client, racine: 'racineComptesClients', sequence: 'sequenceCompteClient', collectif: 'compteClientsDefaut' },
+  Fournisseur: { Model: Fournisseur, racine: 'racineComptesFournisseurs', sequence: 'sequenceCompteFournisseur', collectif: 'compteFournisseursDefaut' },
+};
+
+/**
+ * @class CompteTiersService
+ * @description Comptes comptables des clients et fournisseurs : compte auxiliaire propre à chaque
+ * tiers (numéroté selon les paramètres, ex: 4110001) ou rattachement au compte collectif.
+ */
+class CompteTiersService {
+
+  /**
+   * Retourne le paramétrage d'un type de tiers.
+   * @private
+   * @param {string} tiersModel - 'Client' ou 'Fournisseur'.
+   * @returns {object}
+   */
+  _type(tiersModel) {
+    const type = TYPES_TIERS[tiersModel];
+    if (!type) {
+      throw new ErrorResponse(`Type de tiers inconnu : ${tiersModel}.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    return type;
+  }
+
+  /**
+   * Crée le compte auxiliaire d'un tiers sous le prochain numéro libre de la séquence.
+   * @private
+   * @param {string} tiersModel
+   * @param {object} tiers - Le client ou le fournisseur.
+   * @param {object} params - Les paramètres de l'application.
+   * @param {object} session
+   * @returns {Promise<object>} Le compte créé.
+   */
+  async _creerCompteAuxiliaire(tiersModel, tiers, params, session) {
+    const type = this._type(tiersModel);
+    const racine = params[type.racine];
+    const longueur = params.longueurComptesAuxiliaires;
+    const collectif = await CompteComptable.findOne({ numero: racine }).session(session) || (params[type.collectif] && await CompteComptable.findById(params[type.collectif]).session(session));
+
+    // Les numéros déjà pris (saisis à la main) sont sautés
+    let numero;
+    do {
+      const { [type.sequence]: sequence } = await Parametres.findByIdAndUpdate(params._id, { $inc: { [type.sequence]: 1 } }, { new: false, session });
+      if (String(sequence).length > longueur - racine.length) {
+        throw new ErrorResponse(`Plus aucun numéro de compte auxiliaire libre sous la racine ${racine} sur ${longueur} chiffres.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      numero = racine + String(sequence).padStart(longueur - racine.length, '0');
+    } while (await CompteComptable.exists({ numero }).session(session));
+
+    const [compte] = await CompteComptable.create([{
+      numero,
+      libelle: `${tiersModel} ${tiers.nom}`,
+      estLettrable: true,
+      compteTiers: true,
+      compteCollectif: collectif?._id,
+      tiers: tiers._id,
+      tiersModel,
+    }], { session });
+    return compte;
+  }
+
+  /**
+   * Attribue son compte comptable à un tiers qui n'en a pas encore, selon le mode des paramètres :
+   * compte auxiliaire créé pour lui, ou compte collectif.
+   * @param {string} tiersModel - 'Client' ou 'Fournisseur'.
+   * @param {string} tiersId
+   * @param {object} [sessionExterne] - Session MongoDB d'une transaction en cours.
+   * @returns {Promise<object|null>} Le compte du tiers, ou null si les paramètres ne sont pas initialisés.
+   */
+  async attribuerCompte(tiersModel, tiersId, sessionExterne) {
+    const type = this._type(tiersModel);
+    const session = sessionExterne || await mongoose.startSession();
+    if (!sessionExterne) session.startTransaction();
+    try {
+      const tiers = await type.Model.findById(tiersId).session(session);
+      if (!tiers) {
+        throw new ErrorResponse(`${tiersModel} non trouvé avec l'ID ${tiersId}`, HTTP_STATUS_CODES.NOT_FOUND);
+      }
+
+      const params = await Parametres.findOne().session(session);
+      let compte = null;
+      if (tiers.compteComptableAssocie) {
+        compte = await CompteComptable.findById(tiers.compteComptableAssocie).session(session);
+      } else if (params) {
+        compte = params.modeComptesTiers === 'Collectif'
+          ? await CompteComptable.findById(params[type.collectif]).session(session)
+          : await this._creerCompteAuxiliaire(tiersModel, tiers, params, session);
+        if (!compte) {
+          throw new ErrorResponse(`Le compte collectif par défaut des ${tiersModel.toLowerCase()}s n'est pas configuré dans les paramètres.`, HTTP_STATUS_CODES.BAD_REQUEST);
+        }
+        await type.Model.updateOne({ _id: tiers._id }, { compteComptableAssocie: compte._id }, { session });
+      }
+
+      if (!sessionExterne) await session.commitTransaction();
+      return compte;
+    } catch (error) {
+      if (!sessionExterne) await session.abortTransaction();
+      throw error;
+    } finally {
+      if (!sessionExterne) session.endSession();
+    }
+  }
+
+  /**
+   * Change le compte d'un tiers : compte collectif par défaut, compte auxiliaire (son compte
+   * auxiliaire existant ou un nouveau), ou compte de tiers désigné. Les écritures déjà passées
+   * restent sur l'ancien compte.
+   * @param {string} tiersModel - 'Client' ou 'Fournisseur'.
+   * @param {string} tiersId
+   * @param {object} choix
+   * @param {string} [choix.mode] - 'Auxiliaire' ou 'Collectif'.
+   * @param {string} [choix.compteId] - Un compte de tiers précis, prioritaire sur le mode.
+   * @returns {Promise<object>} Le nouveau compte du tiers.
+   */
+  async rattacherCompte(tiersModel, tiersId, { mode, compteId } = {}) {
+    const type = this._type(tiersModel);
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const tiers = await type.Model.findById(tiersId).session(session);
+      if (!tiers) {
+        throw new ErrorResponse(`${tiersModel} non trouvé avec l'ID ${tiersId}`, HTTP_STATUS_CODES.NOT_FOUND);
+      }
+      const params = await Parametres.findOne().session(session);
+      if (!params) {
+        throw new ErrorResponse("Les paramètres de l'application ne sont pas initialisés.", HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      let compte;
+      if (compteId) {
+        compte = await CompteComptable.findById(compteId).session(session);
+        if (!compte || !compte.actif || !compte.compteTiers) {
+          throw new ErrorResponse(`Compte de tiers actif non trouvé avec l'ID ${compteId}`, HTTP_STATUS_CODES.BAD_REQUEST);
+        }
+        if (compte.tiers && compte.tiers.toString() !== tiers._id.toString()) {
+          throw new ErrorResponse(`Le compte ${compte.numero} est le compte auxiliaire d'un autre tiers.`, HTTP_STATUS_CODES.BAD_REQUEST);
+        }
+      } else if (mode === 'Collectif') {
+        compte = await CompteComptable.findById(params[type.collectif]).session(session);
+        if (!compte) {
+          throw new ErrorResponse(`Le compte collectif par défaut des ${tiersModel.toLowerCase()}s n'est pas configuré dans les paramètres.`, HTTP_STATUS_CODES.BAD_REQUEST);
+        }
+      } else if (mode === 'Auxiliaire') {
+        compte = await CompteComptable.findOne({ tiers: tiers._id, tiersModel, actif: true }).session(session)
+          || await this._creerCompteAuxiliaire(tiersModel, tiers, params, session);
+      } else {
+        throw new ErrorResponse("Indiquez le compte à rattacher ou le mode ('Auxiliaire' ou 'Collectif').", HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      await type.Model.updateOne({ _id: tiers._id }, { compteComptableAssocie: compte._id }, { session });
+      await session.commitTransaction();
+      return compte;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Reprise des comptes de tiers : les anciens numéros saisis en texte dans compteComptableAssocie
+   * sont remplacés par le compte correspondant (ou effacés s'il n'existe pas), puis chaque tiers
+   * sans compte reçoit le sien.
+   * @returns {Promise<{ repris: number, effaces: number, attribues: number }>}
+   */
+  async reprendreComptesTiers() {
+    if (!await Parametres.exists({})) {
+      throw new ErrorResponse("Les paramètres de l'application ne sont pas initialisés.", HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    const rapport = { repris: 0, effaces: 0, attribues: 0 };
+
+    for (const tiersModel of Object.keys(TYPES_TIERS)) {
+      const { Model } = this._type(tiersModel);
+
+      // Lecture brute : l'ancien texte ne passe plus le typage du schéma
+      const anciens = await Model.collection.find({ compteComptableAssocie: { $type: 'string' } }).project({ compteComptableAssocie: 1 }).toArray();
+      for (const ancien of anciens) {
+        const compte = await CompteComptable.findOne({ numero: ancien.compteComptableAssocie.trim() });
+        if (compte) {
+          await Model.collection.updateOne({ _id: ancien._id }, { $set: { compteComptableAssocie: compte._id } });
+          rapport.repris++;
+        } else {
+          await Model.collection.updateOne({ _id: ancien._id }, { $unset: { compteComptableAssocie: '' } });
+          rapport.effaces++;
+        }
+      }
+
+      const sansCompte = await Model.find({ compteComptableAssocie: null }).select('_id');
+      for (const tiers of sansCompte) {
+        await this.attribuerCompte(tiersModel, tiers._id);
+        rapport.attribues++;
+      }
+    }
+
+    return rapport;
+  }
+}
+
+module.exports = new CompteTiersService();
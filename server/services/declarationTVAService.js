@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const EcritureComptable = require('../models/EcritureComptable');
+const CompteComptable = require('../models/CompteComptable');
+const DeclarationTVA = require('../models/DeclarationTVA');
+const Facture = require('../models/Facture');
+const Avoir = require('../models/Avoir');
+const FactureFournisseur = require('../models/FactureFournisseur');
+const RetourFournisseur = require('../models/RetourFournisseur');
+const RetourClient = require('../models/RetourClient');
+const Parametres = require('../models/Parametres');
+const Taxe = require('../models/Taxe');
+const Exercice = require('../models/Exercice');
+const comptabiliteService = require('./comptabiliteService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+const { roundFinancial } = require('../utils/calculations');
+
+/**
+ * Retourne la période (AAAA-MM) qui précède une période donnée.
+ * @param {string} periode - Période au format AAAA-MM.
+ * @returns {string}
+ */
+const periodePrecedente = (periode) => {
+  const [annee, mois] = periode.split('-').map(Number);
+  const date = new Date(annee, mois - 2, 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * @class DeclarationTVAService
+ * @description Établit la déclaration mensuelle de TVA à partir des écritures validées :
+ * TVA collectée (comptes 443) et TVA déductible (comptes 445), ventilées par taux grâce aux
+ * documents d'origine, report du crédit antérieur et écriture de liquidation.
+ */
+class DeclarationTVAService {
+
+  /**
+   * Lit les lignes de TVA d'un document d'origine, regroupées par taux.
+   * @private
+   * @param {string} documentModel - Le modèle du document d'origine de l'écriture.
+   * @param {string} documentId - L'ID du document.
+   * @returns {Promise<{ tiers: string, parTaux: Map<number, { baseHT: number, montantTVA: number }> }|null>}
+   */
+  async _lireDocument(documentModel, documentId) {
+    let document = null;
+    switch (documentModel) {
+      case 'Facture': document = await Facture.findById(documentId).populate('client', 'nom'); break;
+      case 'Avoir': document = await Avoir.findById(documentId).populate('client', 'nom'); break;
+      case 'FactureFournisseur': document = await FactureFournisseur.findById(documentId).populate('fournisseur', 'nom'); break;
+      case 'RetourFournisseur': document = await RetourFournisseur.findById(documentId).populate('fournisseur', 'nom'); break;
+      // Remboursement d'un retour client : la TVA est celle des lignes retournées
+      case 'Paiement': document = await RetourClient.findOne({ paiementRemboursement: documentId }).populate('client', 'nom'); break;
+      default: return null;
+    }
+    if (!document) return null;
+
+    const parTaux = new Map();
+    document.lignes.forEach(ligne => {
+      const cumul = parTaux.get(ligne.tauxTVA) || { baseHT: 0, montantTVA: 0 };
+      cumul.baseHT += ligne.totalLigneApresRemiseHT ?? ligne.totalLigneHT;
+      cumul.montantTVA += ligne.montantTVA;
+      parTaux.set(ligne.tauxTVA, cumul);
+    });
+    return { tiers: (document.client || document.fournisseur)?.nom, parTaux };
+  }
+
+  /**
+   * Calcule les cases d'une déclaration pour un mois à partir des écritures validées.
+   * @private
+   * @param {Date} dateDebut - Premier jour du mois.
+   * @param {Date} dateFin - Dernier instant du mois.
+   * @returns {Promise<object>} Ventilations, détail justificatif et montants par compte de TVA.
+   */
+  async _calculer(dateDebut, dateFin) {
+    const [comptesCollectee, comptesDeductible] = await Promise.all([
+      CompteComptable.find({ numero: /^443/ }).select('_id'),
+      CompteComptable.find({ numero: /^445/ }).select('_id'),
+    ]);
+    const idsCollectee = comptesCollectee.map(c => c._id.toString());
+    const idsDeductible = comptesDeductible.map(c => c._id.toString());
+    const idsTVA = [...comptesCollectee, ...comptesDeductible].map(c => c._id);
+
+    // Lignes de TVA du mois, hors liquidations précédentes
+    const lignes = await EcritureComptable.aggregate([
+      {
+        $match: {
+          statut: 'Validée',
+          dateEcriture: { $gte: dateDebut, $lte: dateFin },
+          'documentOrigine.documentModel': { $ne: 'DeclarationTVA' },
+          'mouvements.compte': { $in: idsTVA },
+        }
+      },
+      { $unwind: '$mouvements' },
+      { $match: { 'mouvements.compte': { $in: idsTVA } } },
+      {
+        $group: {
+          _id: { ecriture: '$_id', compte: '$mouvements.compte' },
+          numeroPiece: { $first: '$numeroPiece' },
+          dateEcriture: { $first: '$dateEcriture' },
+          documentOrigine: { $first: '$documentOrigine' },
+          solde: { $sum: { $subtract: ['$mouvements.debit', '$mouvements.credit'] } },
+        }
+      },
+      { $sort: { dateEcriture: 1, numeroPiece: 1 } }
+    ]);
+
+    const taxes = await Taxe.find();
+    const ventilations = { 'Collectée': new Map(), 'Déductible': new Map() };
+    const montantsParCompte = new Map();
+    const detail = [];
+
+    for (const ligne of lignes) {
+      const compteId = ligne._id.compte.toString();
+      const rubrique = idsCollectee.includes(compteId) ? 'Collectée' : 'Déductible';
+      // La TVA collectée s'inscrit au crédit, la TVA déductible au débit
+      const montant = roundFinancial(rubrique === 'Collectée' ? -ligne.solde : ligne.solde);
+      if (montant === 0) continue;
+      montantsParCompte.set(compteId, roundFinancial((montantsParCompte.get(compteId) || 0) + montant));
+
+      // Répartition du montant comptabilisé entre les taux du document d'origine
+      const origine = ligne.documentOrigine || {};
+      const document = origine.documentId ? await this._lireDocument(origine.documentModel, origine.documentId) : null;
+      const tvaDocument = document ? [...document.parTaux.values()].reduce((acc, t) => acc + t.montantTVA, 0) : 0;
+      const parts = [];
+      if (tvaDocument !== 0) {
+        const ratio = montant / tvaDocument;
+        document.parTaux.forEach((cumul, taux) => {
+          parts.push({ taux, baseHT: roundFinancial(cumul.baseHT * ratio), montantTVA: roundFinancial(cumul.montantTVA * ratio) });
+        });
+        // L'arrondi est absorbé par la part la plus importante
+        const principale = parts.reduce((max, p) => (Math.abs(p.montantTVA) > Math.abs(max.montantTVA) ? p : max));
+        principale.montantTVA = roundFinancial(principale.montantTVA + montant - parts.reduce((acc, p) => acc + p.montantTVA, 0));
+      } else {
+        parts.push({ taux: null, baseHT: 0, montantTVA: montant });
+      }
+
+      parts.forEach(part => {
+        detail.push({
+          rubrique,
+          ecriture: ligne._id.ecriture,
+          numeroPiece: ligne.numeroPiece,
+          dateEcriture: ligne.dateEcriture,
+          documentModel: origine.documentModel,
+          documentNumero: origine.documentNumero,
+          tiers: document?.tiers,
+          ...part,
+        });
+        const cle = part.taux === null ? 'autre' : part.taux;
+        const cumul = ventilations[rubrique].get(cle) || { taux: part.taux ?? undefined, baseHT: 0, montantTVA: 0 };
+        cumul.baseHT = roundFinancial(cumul.baseHT + part.baseHT);
+        cumul.montantTVA = roundFinancial(cumul.montantTVA + part.montantTVA);
+        ventilations[rubrique].set(cle, cumul);
+      });
+    }
+
+    const versTableau = (ventilation) => [...ventilation.values()]
+      .map(v => ({ ...v, taxe: v.taux !== undefined ? taxes.find(t => t.taux === v.taux)?._id : undefined }))
+      .sort((a, b) => (b.taux ?? -1) - (a.taux ?? -1));
+
+    return {
+      collectee: versTableau(ventilations['Collectée']),
+      deductible: versTableau(ventilations['Déductible']),
+      detail,
+      montantsCollectee: [...montantsParCompte].filter(([compte]) => idsCollectee.includes(compte)),
+      montantsDeductible: [...montantsParCompte].filter(([compte]) => idsDeductible.includes(compte)),
+    };
+  }
+
+  /**
+   * Établit (ou recalcule) la déclaration de TVA d'un mois, à l'état de brouillon.
+   * @param {number} annee
+   * @param {number} mois - Mois de 1 à 12.
+   * @param {string} userId - L'ID de l'utilisateur.
+   * @param {number} [creditInitial] - Crédit de TVA à reprendre lorsqu'aucune déclaration précédente n'existe.
+   * @returns {Promise<object>} La déclaration enregistrée.
+   */
+  async preparerDeclaration(annee, mois, userId, creditInitial = 0) {
+    const periode = `${annee}-${String(mois).padStart(2, '0')}`;
+    let declaration = await DeclarationTVA.findOne({ periode });
+    if (declaration && declaration.statut === 'Validée') {
+      throw new ErrorResponse(`La déclaration de TVA de ${periode} est déjà validée.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const dateDebut = new Date(annee, mois - 1, 1);
+    const dateFin = new Date(annee, mois, 0, 23, 59, 59, 999);
+    const { collectee, deductible, detail } = await this._calculer(dateDebut, dateFin);
+
+    const precedente = await DeclarationTVA.findOne({ periode: periodePrecedente(periode) });
+    const creditAnterieur = precedente ? precedente.creditAReporter : roundFinancial(Number(creditInitial) || 0);
+
+    if (!declaration) {
+      declaration = new DeclarationTVA({ periode, dateDebut, dateFin, creePar: userId });
+    }
+    declaration.set({ collectee, deductible, detail, creditAnterieur });
+    await declaration.save();
+
+    return declaration;
+  }
+
+  /**
+   * Valide une déclaration : recalcule ses cases, passe l'écriture de liquidation et la fige.
+   * La déclaration du mois précédent, si elle existe, doit être validée.
+   * @param {string} declarationId
+   * @param {string} userId - L'ID de l'utilisateur qui valide.
+   * @returns {Promise<object>} La déclaration validée.
+   *
+   * Schéma de l'écriture de liquidation :
+   * Débit: 443xxx (TVA collectée du mois)
+   * Crédit: 445xxx (TVA déductible du mois)
+   * Crédit: 4449 (imputation du crédit antérieur)
+   * Crédit: 4441 (TVA due) ou Débit: 4449 (nouveau crédit de TVA à reporter)
+   */
+  async validerDeclaration(declarationId, userId) {
+    const declaration = await DeclarationTVA.findById(declarationId);
+    if (!declaration) {
+      throw new ErrorResponse(`Déclaration de TVA non trouvée avec l'ID ${declarationId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (declaration.statut !== 'Brouillon') {
+      throw new ErrorResponse(`La déclaration de TVA de ${declaration.periode} est déjà validée.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const precedente = await DeclarationTVA.findOne({ periode: periodePrecedente(declaration.periode) });
+    if (precedente && precedente.statut !== 'Validée') {
+      throw new ErrorResponse(`La déclaration de ${precedente.periode} doit être validée d'abord.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    const exerciceClos = await Exercice.findClotureContenant(declaration.dateFin);
+    if (exerciceClos) {
+      throw new ErrorResponse(`L'exercice "${exerciceClos.libelle}" est clôturé : la liquidation de la TVA de ${declaration.periode} ne peut plus y être enregistrée.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const params = await Parametres.get();
+    if (!params || !params.journalOperationsDiversesParDefaut) {
+      throw new ErrorResponse("Le journal des opérations diverses par défaut n'est pas configuré dans les paramètres.", HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if (!params.compteTVADueDefaut || !params.compteCreditTVADefaut) {
+      throw new ErrorResponse("Les comptes de TVA due et de crédit de TVA ne sont pas configurés dans les paramètres.", HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const { collectee, deductible, detail, montantsCollectee, montantsDeductible } = await this._calculer(declaration.dateDebut, declaration.dateFin);
+    declaration.set({ collectee, deductible, detail, creditAnterieur: precedente ? precedente.creditAReporter : declaration.creditAnterieur });
+
+    // Lignes de l'écriture : chaque montant est un débit s'il est positif, un crédit sinon
+    const ligne = (compte, libelle, montant) => ({
+      compte,
+      libelle,
+      debit: montant > 0 ? montant : 0,
+      credit: montant < 0 ? -montant : 0,
+    });
+    const libelle = `Liquidation TVA ${declaration.periode}`;
+    const mouvements = [
+      ...montantsCollectee.map(([compte, montant]) => ligne(compte, `TVA collectée ${declaration.periode}`, montant)),
+      ...montantsDeductible.map(([compte, montant]) => ligne(compte, `TVA déductible ${declaration.periode}`, -montant)),
+    ];
+    if (declaration.creditAnterieur > 0) {
+      mouvements.push(ligne(params.compteCreditTVADefaut, `Imputation du crédit de TVA antérieur`, -declaration.creditAnterieur));
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      // Le pre-save calcule la TVA à payer ou le crédit à reporter
+      declaration.statut = 'Validée';
+      declaration.validePar = userId;
+      declaration.dateValidation = new Date();
+      await declaration.save({ session });
+
+      if (declaration.tvaAPayer > 0) {
+        mouvements.push(ligne(params.compteTVADueDefaut, `TVA due ${declaration.periode}`, -declaration.tvaAPayer));
+      }
+      if (declaration.creditAReporter > 0) {
+        mouvements.push(ligne(params.compteCreditTVADefaut, `Crédit de TVA à reporter ${declaration.periode}`, declaration.creditAReporter));
+      }
+
+      if (mouvements.length >= 2) {
+        const ecriture = await comptabiliteService._creerEcriture({
+          numeroPiece: `TVA-${declaration.periode}`,
+          dateEcriture: declaration.dateFin,
+          journal: params.journalOperationsDiversesParDefaut,
+          libelle,
+          documentOrigine: {
+            documentId: declaration._id,
+            documentModel: 'DeclarationTVA',
+            documentNumero: declaration.periode
+          },
+          creePar: userId,
+          validePar: userId,
+          mouvements,
+        }, session);
+        declaration.comptabilise = true;
+        declaration.ecritureLiquidation = ecriture._id;
+        await declaration.save({ session });
+      }
+
+      await session.commitTransaction();
+      return declaration;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+module.exports = new DeclarationTVAService();
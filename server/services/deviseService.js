@@ -0,0 +1,347 @@
+const mongoose = require('mongoose');
+const Devise = require('../models/Devise');
+const CoursDevise = require('../models/CoursDevise');
+const Exercice = require('../models/Exercice');
+const EcritureComptable = require('../models/EcritureComptable');
+const Facture = require('../models/Facture');
+const FactureFournisseur = require('../models/FactureFournisseur');
+const Avoir = require('../models/Avoir');
+const Paiement = require('../models/Paiement');
+const Parametres = require('../models/Parametres');
+const comptabiliteService = require('./comptabiliteService');
+const { roundFinancial } = require('../utils/calculations');
+const { DEVISE_REFERENCE, pariteFixe, versReference, montantReference } = require('../utils/devises');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+
+/**
+ * Jour (AAAA-MM-JJ) d'une date, pour les messages et les numéros de pièce.
+ * @param {Date} date
+ * @returns {string}
+ */
+const jourDe = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * @class DeviseService
+ * @description Cours des devises étrangères : historique daté des cours, cours figé sur les
+ * documents commerciaux à leur émission et sur les paiements à leur date, et écarts de
+ * conversion des créances et dettes en devises à la clôture.
+ */
+class DeviseService {
+
+  /**
+   * Cours d'une devise applicable à une date : la parité légale pour une devise à parité fixe,
+   * sinon le dernier cours de l'historique publié ce jour-là ou avant. Une devise encore sans
+   * historique garde le cours paramétré sur sa fiche.
+   * @param {string} [code] - Code ISO de la devise ; la devise de référence par défaut.
+   * @param {Date} [date] - Aujourd'hui par défaut.
+   * @param {object} [session]
+   * @returns {Promise<{ devise: string, tauxDeChange: number }>}
+   */
+  async coursAu(code, date = new Date(), session) {
+    const devise = (code || DEVISE_REFERENCE).toUpperCase().trim();
+    if (devise === DEVISE_REFERENCE) {
+      return { devise, tauxDeChange: 1 };
+    }
+
+    const fiche = await Devise.findOne({ code: devise, actif: true }).session(session);
+    if (!fiche) {
+      throw new ErrorResponse(`La devise ${devise} n'est pas paramétrée ou n'est plus active.`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (pariteFixe(devise)) {
+      return { devise, tauxDeChange: pariteFixe(devise) };
+    }
+
+    const cours = await CoursDevise.coursAu(devise, date, session);
+    if (cours) {
+      return { devise, tauxDeChange: cours.taux };
+    }
+    if (await CoursDevise.exists({ code: devise }).session(session)) {
+      throw new ErrorResponse(`Aucun cours de la devise ${devise} n'est connu au ${jourDe(date)}.`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (!(fiche.tauxDeChange > 0)) {
+      throw new ErrorResponse(`Le cours de la devise ${devise} n'est pas renseigné.`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    return { devise, tauxDeChange: fiche.tauxDeChange };
+  }
+
+  /**
+   * Devise et cours à figer sur un document ou un paiement : le cours saisi (celui appliqué par
+   * la banque, par exemple) prime sur le cours du jour de l'opération. Une devise à parité fixe
+   * n'accepte que sa parité légale.
+   * @param {object} saisie
+   * @param {string} [saisie.devise] - Code ISO de la devise ; la devise de référence par défaut.
+   * @param {number|string} [saisie.tauxDeChange] - Cours saisi.
+   * @param {Date|string} [saisie.date] - Date de l'opération ; aujourd'hui par défaut.
+   * @param {object} [session]
+   * @returns {Promise<{ devise: string, tauxDeChange: number }>}
+   */
+  async figerCours({ devise, tauxDeChange, date } = {}, session) {
+    const cours = await this.coursAu(devise, date ? new Date(date) : new Date(), session);
+    if (cours.devise === DEVISE_REFERENCE || tauxDeChange === undefined || tauxDeChange === null || tauxDeChange === '') {
+      return cours;
+    }
+
+    const saisi = Number(tauxDeChange);
+    if (!(saisi > 0)) {
+      throw new ErrorResponse(`Le cours saisi pour la devise ${cours.devise} doit être un nombre positif.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if (pariteFixe(cours.devise) && saisi !== cours.tauxDeChange) {
+      throw new ErrorResponse(`La parité ${DEVISE_REFERENCE}/${cours.devise} est fixe (${cours.tauxDeChange}) : un autre cours ne peut pas être appliqué.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    return { devise: cours.devise, tauxDeChange: saisi };
+  }
+
+  /**
+   * Historique des cours d'une devise, du plus récent au plus ancien.
+   * @param {string} code - Code ISO de la devise.
+   * @param {object} [filtres]
+   * @param {Date} [filtres.dateDebut]
+   * @param {Date} [filtres.dateFin]
+   * @returns {Promise<Array<object>>}
+   */
+  async getHistoriqueCours(code, { dateDebut, dateFin } = {}) {
+    const filtre = { code: code.toUpperCase() };
+    if (dateDebut || dateFin) {
+      filtre.dateCours = {};
+      if (dateDebut) filtre.dateCours.$gte = new Date(dateDebut);
+      if (dateFin) filtre.dateCours.$lte = new Date(dateFin);
+    }
+    return CoursDevise.find(filtre).sort({ dateCours: -1 }).populate('saisiPar', 'nomComplet');
+  }
+
+  /**
+   * Enregistre le cours d'une devise à une date (remplace celui déjà saisi pour ce jour). Le cours
+   * le plus récent devient le cours courant de la fiche Devise.
+   * @param {string} code - Code ISO de la devise.
+   * @param {object} donnees
+   * @param {Date|string} [donnees.dateCours] - Aujourd'hui par défaut.
+   * @param {number} donnees.taux
+   * @param {string} [donnees.source]
+   * @param {string} userId
+   * @returns {Promise<object>} Le cours enregistré.
+   */
+  async enregistrerCours(code, { dateCours, taux, source } = {}, userId) {
+    const devise = await Devise.findOne({ code: (code || '').toUpperCase() });
+    if (!devise) {
+      throw new ErrorResponse(`La devise ${code} n'est pas paramétrée.`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+
+    const jour = new Date(dateCours || Date.now());
+    jour.setUTCHours(0, 0, 0, 0);
+    let cours = await CoursDevise.findOne({ code: devise.code, dateCours: jour });
+    if (cours) {
+      Object.assign(cours, { taux, source, saisiPar: userId });
+    } else {
+      cours = new CoursDevise({ code: devise.code, dateCours: jour, taux, source, saisiPar: userId });
+    }
+    await cours.save();
+
+    const dernier = await CoursDevise.findOne({ code: devise.code }).sort({ dateCours: -1 });
+    if (dernier._id.equals(cours._id)) {
+      devise.tauxDeChange = cours.taux;
+      await devise.save();
+    }
+    return cours;
+  }
+
+  /**
+   * Reste dû à une date d'une facture client ou fournisseur en devise : en devise, à sa valeur
+   * historique (cours de la facture, réduit des parts déjà soldées par les règlements) et à sa
+   * valeur au cours de la date.
+   * @private
+   * @param {object} document - La facture ou la facture fournisseur.
+   * @param {'Facture'|'FactureFournisseur'} documentModel
+   * @param {Date} dateArrete
+   * @param {number} taux - Cours de la devise à la date d'arrêté.
+   * @param {object} session
+   * @returns {Promise<{ restantDevise: number, valeurHistorique: number, valeurArrete: number }>}
+   */
+  async _resteDuA(document, documentModel, dateArrete, taux, session) {
+    let avoirs = 0;
+    if (documentModel === 'Facture') {
+      const avoirsValides = await Avoir.find({ factureOrigine: document._id, statut: 'Validé', dateEmission: { $lte: dateArrete } }).session(session);
+      avoirs = avoirsValides.reduce((acc, a) => acc + a.totalTTC, 0);
+    }
+
+    const reglements = await Paiement.find({
+      ...Paiement.filtreReglementsDe(document._id),
+      direction: documentModel === 'Facture' ? 'Entrant' : 'Sortant',
+      statut: 'Validé',
+      datePaiement: { $lte: dateArrete },
+    }).session(session);
+    // Une imputation sur avance ne règle la facture qu'à sa propre date
+    const parts = reglements.flatMap(p => p.partsSur(document._id)).filter(part => part.date <= dateArrete);
+
+    // Part de la créance ou de la dette soldée par chaque règlement, au cours du document
+    const solde = parts.reduce((acc, part) => (
+      acc + (part.direction === 'Entrant' ? part.contreValeur - part.ecartDeChange : part.contreValeur + part.ecartDeChange)
+    ), 0);
+
+    const restantDevise = roundFinancial(document.totalTTC - avoirs - parts.reduce((acc, part) => acc + part.montant, 0));
+    return {
+      restantDevise,
+      valeurHistorique: roundFinancial(montantReference(document, 'totalTTC') - versReference(avoirs, document.tauxDeChange) - solde),
+      valeurArrete: versReference(restantDevise, taux),
+    };
+  }
+
+  /**
+   * Convertit au cours de clôture les créances clients et dettes fournisseurs en devises
+   * restant dues à la fin d'un exercice. Les écarts latents ne touchent pas le résultat : ils
+   * sont portés en écarts de conversion, contre-passés au premier jour de l'exercice suivant
+   * pour que les règlements dégagent leur différence de change au cours d'origine.
+   *
+   * Schéma de l'écriture (journal des opérations diverses, à la date de clôture) :
+   * Créance en baisse : Débit 478 (Écart de conversion - actif) / Crédit 411xxx
+   * Créance en hausse : Débit 411xxx / Crédit 479 (Écart de conversion - passif)
+   * Dette en hausse   : Débit 478 / Crédit 401xxx
+   * Dette en baisse   : Débit 401xxx / Crédit 479
+   *
+   * @param {string} exerciceId
+   * @param {string} userId
+   * @returns {Promise<{ ecriture: object|null, contrePassation: object|null, ecarts: Array<object> }>}
+   */
+  async convertirCreancesEtDettes(exerciceId, userId) {
+    const exercice = await Exercice.findById(exerciceId);
+    if (!exercice) {
+      throw new ErrorResponse(`Exercice non trouvé avec l'ID ${exerciceId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (exercice.statut !== 'Ouvert') {
+      throw new ErrorResponse(`L'exercice "${exercice.libelle}" est clôturé.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if (exercice.ecritureEcartsConversion) {
+      throw new ErrorResponse(`Les écarts de conversion de l'exercice "${exercice.libelle}" ont déjà été comptabilisés.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const params = await Parametres.get();
+    if (!params || !params.journalOperationsDiversesParDefaut) {
+      throw new ErrorResponse("Le journal des opérations diverses par défaut n'est pas configuré dans les paramètres.", HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if (!params.compteEcartConversionActifDefaut || !params.compteEcartConversionPassifDefaut) {
+      throw new ErrorResponse("Les comptes d'écarts de conversion (478/479) ne sont pas configurés dans les paramètres.", HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const dateArrete = exercice.dateFin;
+    const enDevise = { devise: { $nin: [null, DEVISE_REFERENCE] }, comptabilise: true };
+    const documents = [
+      ...(await Facture.find({ ...enDevise, statut: { $ne: 'Annulée' }, dateEmission: { $lte: dateArrete } }).populate('client'))
+        .map(document => ({ document, documentModel: 'Facture' })),
+      ...(await FactureFournisseur.find({ ...enDevise, statut: { $ne: 'Annulée' }, dateFacture: { $lte: dateArrete } }).populate('fournisseur'))
+        .map(document => ({ document, documentModel: 'FactureFournisseur' })),
+    ];
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const coursCloture = new Map();
+      const ecarts = [];
+      const mouvements = [];
+      let perteLatente = 0;
+      let gainLatent = 0;
+
+      for (const { document, documentModel } of documents) {
+        if (!coursCloture.has(document.devise)) {
+          coursCloture.set(document.devise, (await this.coursAu(document.devise, dateArrete, session)).tauxDeChange);
+        }
+        const taux = coursCloture.get(document.devise);
+        const { restantDevise, valeurHistorique, valeurArrete } = await this._resteDuA(document, documentModel, dateArrete, taux, session);
+        if (restantDevise <= 0.005) continue;
+
+        const variation = roundFinancial(valeurArrete - valeurHistorique);
+        if (variation === 0) continue;
+
+        const estCreance = documentModel === 'Facture';
+        const tiers = estCreance ? document.client : document.fournisseur;
+        const compteTiers = tiers.compteComptableAssocie || (estCreance ? params.compteClientsDefaut : params.compteFournisseursDefaut);
+        if (!compteTiers) {
+          throw new ErrorResponse("Les comptes comptables par défaut (client/fournisseur) sont manquants.", HTTP_STATUS_CODES.BAD_REQUEST);
+        }
+
+        // Une créance qui baisse ou une dette qui monte est une perte latente
+        const perte = estCreance ? variation < 0 : variation > 0;
+        const montant = Math.abs(variation);
+        const libelle = `Écart de conversion ${estCreance ? 'facture' : 'facture fournisseur'} n°${document.numero} (${restantDevise} ${document.devise} à ${taux})`;
+        mouvements.push({
+          compte: compteTiers,
+          libelle,
+          debit: (variation > 0) === estCreance ? montant : 0,
+          credit: (variation > 0) === estCreance ? 0 : montant,
+          tiers: tiers._id,
+          tiersModel: estCreance ? 'Client' : 'Fournisseur',
+          pieceReference: document.numero,
+        });
+        if (perte) perteLatente += montant; else gainLatent += montant;
+
+        ecarts.push({
+          documentModel,
+          documentId: document._id,
+          numero: document.numero,
+          tiers: tiers.nom,
+          devise: document.devise,
+          restantDevise,
+          tauxDocument: document.tauxDeChange,
+          tauxCloture: taux,
+          valeurHistorique,
+          valeurCloture: valeurArrete,
+          ecart: perte ? -montant : montant,
+        });
+      }
+
+      if (mouvements.length === 0) {
+        await session.abortTransaction();
+        return { ecriture: null, contrePassation: null, ecarts };
+      }
+
+      perteLatente = roundFinancial(perteLatente);
+      gainLatent = roundFinancial(gainLatent);
+      if (perteLatente > 0) {
+        mouvements.push({ compte: params.compteEcartConversionActifDefaut, libelle: 'Écarts de conversion - pertes latentes', debit: perteLatente, credit: 0 });
+      }
+      if (gainLatent > 0) {
+        mouvements.push({ compte: params.compteEcartConversionPassifDefaut, libelle: 'Écarts de conversion - gains latents', debit: 0, credit: gainLatent });
+      }
+
+      const ecriture = await comptabiliteService._creerEcriture({
+        numeroPiece: `ECV-${jourDe(dateArrete)}`,
+        dateEcriture: dateArrete,
+        journal: params.journalOperationsDiversesParDefaut,
+        libelle: `Écarts de conversion des créances et dettes en devises - ${exercice.libelle}`,
+        documentOrigine: { documentModel: 'OperationDiverse', documentNumero: exercice.libelle },
+        creePar: userId,
+        validePar: userId,
+        mouvements,
+      }, session);
+
+      // Contre-passation à l'ouverture de l'exercice suivant
+      const dateOuverture = new Date(dateArrete);
+      dateOuverture.setDate(dateOuverture.getDate() + 1);
+      dateOuverture.setHours(0, 0, 0, 0);
+      const contrePassation = await comptabiliteService._creerEcriture({
+        numeroPiece: `ECV-${jourDe(dateArrete)}-CP`,
+        dateEcriture: dateOuverture,
+        journal: params.journalOperationsDiversesParDefaut,
+        libelle: `Contre-passation des écarts de conversion - ${exercice.libelle}`,
+        documentOrigine: { documentModel: 'OperationDiverse', documentNumero: exercice.libelle },
+        ecritureContrePassee: ecriture._id,
+        creePar: userId,
+        validePar: userId,
+        mouvements: mouvements.map(m => ({ ...m, libelle: `Contre-passation - ${m.libelle}`, debit: m.credit, credit: m.debit })),
+      }, session);
+
+      await EcritureComptable.updateOne({ _id: ecriture._id }, { contrePassation: contrePassation._id }, { session });
+      exercice.ecritureEcartsConversion = ecriture._id;
+      await exercice.save({ session });
+
+      await session.commitTransaction();
+      return { ecriture, contrePassation, ecarts };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+module.exports = new DeviseService();
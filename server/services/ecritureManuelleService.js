@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const EcritureComptable = require('../models/EcritureComptable');
+const CompteComptable = require('../models/CompteComptable');
+const JournalComptable = require('../models/JournalComptable');
+const Exercice = require('../models/Exercice');
+const analytiqueService = require('./analytiqueService');
+const budgetService = require('./budgetService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { generateDocumentNumber } = require('../utils/helpers');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+const { roundFinancial } = require('../utils/calculations');
+
+// Champs d'une ligne d'écriture modifiables à la saisie
+const CHAMPS_MOUVEMENT = ['compte', 'libelle', 'debit', 'credit', 'tiers', 'tiersModel', 'pieceReference', 'ventilationAnalytique'];
+
+/**
+ * @class EcritureManuelleService
+ * @description Saisie des écritures manuelles (opérations diverses) dans n'importe quel journal :
+ * brouillon librement modifiable, validation qui attribue le numéro de pièce définitif tiré de la
+ * séquence du journal, puis correction uniquement par contre-passation.
+ */
+class EcritureManuelleService {
+
+  /**
+   * Attribue le prochain numéro de pièce d'un journal (ex: 'OD-000042').
+   * @private
+   * @param {string} journalId
+   * @param {object} session
+   * @returns {Promise<string>}
+   */
+  async _prochainNumeroPiece(journalId, session) {
+    // La séquence du journal porte le prochain numéro à utiliser
+    const journal = await JournalComptable.findByIdAndUpdate(
+      journalId,
+      { $inc: { sequence: 1 } },
+      { new: false, session }
+    );
+    return generateDocumentNumber(`${journal.code}-`, journal.sequence);
+  }
+
+  /**
+   * Refuse une date d'écriture comprise dans un exercice clôturé.
+   * @private
+   * @param {Date} dateEcriture
+   * @param {object} [session]
+   */
+  async _verifierExerciceOuvert(dateEcriture, session) {
+    const exerciceClos = dateEcriture && await Exercice.findClotureContenant(dateEcriture, session);
+    if (exerciceClos) {
+      throw new ErrorResponse(`L'exercice "${exerciceClos.libelle}" est clôturé : aucune écriture ne peut plus y être enregistrée.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+  }
+
+  /**
+   * Contrôle et normalise les données saisies d'une écriture (journal, comptes, lignes).
+   * @private
+   * @param {object} donnees - { journal, dateEcriture, libelle, mouvements }.
+   * @returns {Promise<object>} Les données prêtes à enregistrer.
+   */
+  async _preparerSaisie({ journal, dateEcriture, libelle, mouvements }) {
+    const journalDoc = await JournalComptable.findById(journal);
+    if (!journalDoc || !journalDoc.actif) {
+      throw new ErrorResponse(`Journal actif non trouvé avec l'ID ${journal}`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if (!Array.isArray(mouvements) || mouvements.length < 2) {
+      throw new ErrorResponse('Une écriture comptable doit contenir au moins deux lignes.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const comptes = await CompteComptable.find({ _id: { $in: mouvements.map(m => m.compte) } });
+    const lignes = mouvements.map((mouvement, index) => {
+      const compte = comptes.find(c => c._id.toString() === String(mouvement.compte));
+      if (!compte || !compte.actif) {
+        throw new ErrorResponse(`Ligne ${index + 1} : compte actif non trouvé (${mouvement.compte}).`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      if (compte.compteTiers && !mouvement.tiers) {
+        throw new ErrorResponse(`Ligne ${index + 1} : le compte de tiers ${compte.numero} exige un client ou un fournisseur.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      if (compte.tiers && String(mouvement.tiers) !== compte.tiers.toString()) {
+        throw new ErrorResponse(`Ligne ${index + 1} : le compte ${compte.numero} est le compte auxiliaire d'un autre tiers.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      const ligne = Object.fromEntries(CHAMPS_MOUVEMENT.filter(champ => mouvement[champ] !== undefined).map(champ => [champ, mouvement[champ]]));
+      ligne.libelle = ligne.libelle || libelle;
+      ligne.debit = roundFinancial(Number(ligne.debit) || 0);
+      ligne.credit = roundFinancial(Number(ligne.credit) || 0);
+      return ligne;
+    });
+
+    const totalDebit = roundFinancial(lignes.reduce((acc, l) => acc + l.debit, 0));
+    const totalCredit = roundFinancial(lignes.reduce((acc, l) => acc + l.credit, 0));
+    if (totalDebit !== totalCredit) {
+      throw new ErrorResponse(`L'écriture n'est pas équilibrée : Total Débit (${totalDebit}) doit être égal au Total Crédit (${totalCredit}).`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if (totalDebit === 0) {
+      throw new ErrorResponse('Une écriture comptable ne peut pas avoir un total de zéro.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    await this._verifierExerciceOuvert(dateEcriture);
+
+    for (const [index, ligne] of lignes.entries()) {
+      try {
+        ligne.ventilationAnalytique = await analytiqueService.preparerVentilation(ligne.ventilationAnalytique, ligne.debit || ligne.credit);
+      } catch (error) {
+        throw new ErrorResponse(`Ligne ${index + 1} : ${error.message}`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+    }
+
+    return { journal: journalDoc._id, dateEcriture, libelle, mouvements: lignes };
+  }
+
+  /**
+   * Enregistre une écriture manuelle en brouillon, sous un numéro de pièce provisoire.
+   * @param {object} donnees - { journal, dateEcriture, libelle, mouvements }.
+   * @param {string} userId
+   * @returns {Promise<object>} L'écriture créée.
+   */
+  async creerBrouillon(donnees, userId) {
+    const saisie = await this._preparerSaisie(donnees);
+    const _id = new mongoose.Types.ObjectId();
+    return EcritureComptable.create({
+      _id,
+      ...saisie,
+      numeroPiece: `BROUILLON-${_id}`,
+      statut: 'Brouillon',
+      documentOrigine: { documentModel: 'OperationDiverse' },
+      creePar: userId,
+    });
+  }
+
+  /**
+   * Modifie une écriture en brouillon.
+   * @param {string} ecritureId
+   * @param {object} donnees - { journal, dateEcriture, libelle, mouvements } ; les champs absents sont conservés.
+   * @returns {Promise<object>} L'écriture modifiée.
+   */
+  async modifierBrouillon(ecritureId, donnees) {
+    const ecriture = await EcritureComptable.findById(ecritureId);
+    if (!ecriture) {
+      throw new ErrorResponse(`Écriture non trouvée avec l'ID ${ecritureId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (ecriture.statut !== 'Brouillon') {
+      throw new ErrorResponse(`L'écriture n°${ecriture.numeroPiece} n'est plus un brouillon : corrigez-la par contre-passation.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const saisie = await this._preparerSaisie({
+      journal: donnees.journal || ecriture.journal,
+      dateEcriture: donnees.dateEcriture || ecriture.dateEcriture,
+      libelle: donnees.libelle || ecriture.libelle,
+      mouvements: donnees.mouvements || ecriture.mouvements.map(m => m.toObject()),
+    });
+    ecriture.set(saisie);
+    await ecriture.save();
+    return ecriture;
+  }
+
+  /**
+   * Supprime une écriture en brouillon.
+   * @param {string} ecritureId
+   */
+  async supprimerBrouillon(ecritureId) {
+    const ecriture = await EcritureComptable.findById(ecritureId);
+    if (!ecriture) {
+      throw new ErrorResponse(`Écriture non trouvée avec l'ID ${ecritureId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (ecriture.statut !== 'Brouillon') {
+      throw new ErrorResponse(`L'écriture n°${ecriture.numeroPiece} est validée et ne peut pas être supprimée.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    await ecriture.deleteOne();
+  }
+
+  /**
+   * Valide une écriture en brouillon : numéro de pièce définitif tiré de la séquence du journal,
+   * validePar et date de validation. L'écriture devient intangible.
+   * @param {string} ecritureId
+   * @param {string} userId - Le comptable qui valide.
+   * @returns {Promise<object>} L'écriture validée.
+   */
+  async validerEcriture(ecritureId, userId) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const ecriture = await EcritureComptable.findById(ecritureId).session(session);
+      if (!ecriture) {
+        throw new ErrorResponse(`Écriture non trouvée avec l'ID ${ecritureId}`, HTTP_STATUS_CODES.NOT_FOUND);
+      }
+      if (ecriture.statut !== 'Brouillon') {
+        throw new ErrorResponse(`L'écriture n°${ecriture.numeroPiece} n'est pas un brouillon.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      await this._verifierExerciceOuvert(ecriture.dateEcriture, session);
+
+      ecriture.numeroPiece = await this._prochainNumeroPiece(ecriture.journal, session);
+      ecriture.statut = 'Validée';
+      ecriture.validePar = userId;
+      ecriture.dateValidation = new Date();
+      await ecriture.save({ session }); // Les hooks contrôlent l'équilibre et l'exercice
+
+      await session.commitTransaction();
+      budgetService.verifierDepassements(ecriture.dateEcriture); // Sans attendre : alerte des dépassements
+      return ecriture;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Contre-passe une écriture validée : nouvelle écriture validée dans le même journal, aux
+   * débits et crédits inversés, qui en annule l'effet. L'écriture d'origine reste validée et
+   * référence sa contre-passation.
+   * @param {string} ecritureId
+   * @param {object} options
+   * @param {Date} [options.dateEcriture] - Date de la contre-passation, aujourd'hui par défaut.
+   * @param {string} [options.libelle]
+   * @param {string} userId
+   * @returns {Promise<object>} L'écriture de contre-passation.
+   */
+  async contrePasserEcriture(ecritureId, { dateEcriture, libelle } = {}, userId) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const ecriture = await EcritureComptable.findById(ecritureId).session(session);
+      if (!ecriture) {
+        throw new ErrorResponse(`Écriture non trouvée avec l'ID ${ecritureId}`, HTTP_STATUS_CODES.NOT_FOUND);
+      }
+      if (ecriture.statut !== 'Validée') {
+        throw new ErrorResponse(`Seule une écriture validée se contre-passe ; l'écriture n°${ecriture.numeroPiece} est ${ecriture.statut.toLowerCase()}.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      if (ecriture.contrePassation) {
+        throw new ErrorResponse(`L'écriture n°${ecriture.numeroPiece} a déjà été contre-passée.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      const dateContrePassation = dateEcriture || new Date();
+      await this._verifierExerciceOuvert(dateContrePassation, session);
+
+      const [contrePassation] = await EcritureComptable.create([{
+        numeroPiece: await this._prochainNumeroPiece(ecriture.journal, session),
+        dateEcriture: dateContrePassation,
+        journal: ecriture.journal,
+        libelle: libelle || `Contre-passation de la pièce n°${ecriture.numeroPiece}`,
+        mouvements: ecriture.mouvements.map(m => ({
+          compte: m.compte,
+          libelle: `Contre-passation - ${m.libelle}`,
+          debit: m.credit,
+          credit: m.debit,
+          tiers: m.tiers,
+          tiersModel: m.tiersModel,
+          pieceReference: m.pieceReference,
+          ventilationAnalytique: m.ventilationAnalytique?.map(({ axe, section, pourcentage }) => ({ axe, section, pourcentage })),
+        })),
+        documentOrigine: { documentModel: 'OperationDiverse' },
+        ecritureContrePassee: ecriture._id,
+        statut: 'Validée',
+        creePar: userId,
+        validePar: userId,
+        dateValidation: new Date(),
+      }], { session });
+
+      // Simple renvoi vers la contre-passation : le contenu de l'écriture reste intact
+      await EcritureComptable.updateOne({ _id: ecriture._id }, { contrePassation: contrePassation._id }, { session });
+
+      await session.commitTransaction();
+      return contrePassation;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+module.exports = new EcritureManuelleService();
@@ -0,0 +1,226 @@
+const EcritureComptable = require('../models/EcritureComptable');
+const Exercice = require('../models/Exercice');
+const RubriqueEtatFinancier = require('../models/RubriqueEtatFinancier');
+const reportService = require('./reportService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+const { roundFinancial } = require('../utils/calculations');
+
+/**
+ * Évalue une formule de total (ex: 'XA+TB-RC') sur les montants déjà calculés.
+ * @param {string} formule - Somme signée de références de rubriques.
+ * @param {Map<string, object>} montants - Les montants calculés, indexés par référence.
+ * @param {string} colonne - La colonne évaluée ('brut', 'amortissement' ou 'net').
+ * @returns {number}
+ */
+const evaluerFormule = (formule, montants, colonne) => {
+  return roundFinancial(formule.match(/[+-]?[A-Z]{2}/g).reduce((total, terme) => {
+    const signe = terme.startsWith('-') ? -1 : 1;
+    const montant = montants.get(terme.replace(/^[+-]/, ''))?.[colonne] || 0;
+    return total + signe * montant;
+  }, 0));
+};
+
+/**
+ * @class EtatsFinanciersService
+ * @description Produit les états financiers annuels SYSCOHADA (Bilan, Compte de résultat)
+ * d'un exercice, avec l'exercice précédent en comparatif, à partir des écritures validées
+ * et de l'affectation des comptes aux rubriques (RubriqueEtatFinancier).
+ */
+class EtatsFinanciersService {
+
+  /**
+   * Charge un exercice et l'exercice qui le précède.
+   * @private
+   * @param {string} exerciceId
+   * @returns {Promise<{ exercice: object, precedent: object|null }>}
+   */
+  async _chargerExercices(exerciceId) {
+    const exercice = await Exercice.findById(exerciceId);
+    if (!exercice) {
+      throw new ErrorResponse(`Exercice non trouvé avec l'ID ${exerciceId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    const precedent = await Exercice.findOne({ dateFin: { $lt: exercice.dateDebut } }).sort({ dateFin: -1 });
+    return { exercice, precedent };
+  }
+
+  /**
+   * Soldes de clôture (débit - crédit) des comptes mouvementés d'un exercice.
+   * @private
+   * @param {object} exercice
+   * @param {object} [options]
+   * @param {boolean} [options.avantResultat=false] - Neutraliser l'écriture de détermination du
+   * résultat d'un exercice clôturé, pour retrouver les soldes des comptes de gestion.
+   * @returns {Promise<Array<{ numero: string, libelle: string, solde: number }>>}
+   */
+  async _getSoldes(exercice, { avantResultat = false } = {}) {
+    const balance = await reportService.getBalance({ dateDebut: exercice.dateDebut, dateFin: exercice.dateFin });
+    const soldes = balance.classes
+      .flatMap(classe => classe.comptes)
+      .map(ligne => ({
+        numero: ligne.compte.numero,
+        libelle: ligne.compte.libelle,
+        solde: ligne.clotureDebit - ligne.clotureCredit,
+      }));
+
+    if (avantResultat && exercice.ecritureCloture) {
+      const cloture = await EcritureComptable.findById(exercice.ecritureCloture).populate('mouvements.compte', 'numero libelle');
+      cloture?.mouvements.forEach(mouvement => {
+        let compte = soldes.find(c => c.numero === mouvement.compte.numero);
+        if (!compte) {
+          compte = { numero: mouvement.compte.numero, libelle: mouvement.compte.libelle, solde: 0 };
+          soldes.push(compte);
+        }
+        compte.solde -= (mouvement.debit || 0) - (mouvement.credit || 0);
+      });
+    }
+
+    return soldes
+      .map(compte => ({ ...compte, solde: roundFinancial(compte.solde) }))
+      .filter(compte => compte.solde !== 0);
+  }
+
+  /**
+   * Calcule les montants de chaque rubrique d'un état : affectation des soldes de comptes
+   * aux rubriques de détail, puis évaluation des totaux dans l'ordre de l'état.
+   * @private
+   * @param {Array<object>} rubriques - Les rubriques de l'état, triées par ordre.
+   * @param {Array<object>} soldes - Les soldes des comptes concernés par l'état.
+   * @returns {{ montants: Map<string, object>, comptesNonAffectes: Array<object> }}
+   */
+  _calculerEtat(rubriques, soldes) {
+    const regles = rubriques
+      .filter(r => r.type === 'Rubrique')
+      .flatMap(rubrique => rubrique.comptes.map(regle => ({ rubrique, regle })));
+
+    const detail = new Map(rubriques.map(r => [r.reference, { brut: 0, amortissement: 0 }]));
+    const comptesNonAffectes = [];
+
+    soldes.forEach(compte => {
+      const candidates = regles.filter(({ regle }) =>
+        compte.numero.startsWith(regle.racine) &&
+        (regle.sens === 'Solde' || (regle.sens === 'Débiteur' ? compte.solde > 0 : compte.solde < 0))
+      );
+      if (candidates.length === 0) {
+        comptesNonAffectes.push(compte);
+        return;
+      }
+      const { rubrique, regle } = candidates.reduce((retenue, c) => (c.regle.racine.length > retenue.regle.racine.length ? c : retenue));
+
+      const montants = detail.get(rubrique.reference);
+      if (regle.amortissement) {
+        montants.amortissement = roundFinancial(montants.amortissement - compte.solde);
+      } else {
+        const signe = ['Actif', 'Charge'].includes(rubrique.cote) ? 1 : -1;
+        montants.brut = roundFinancial(montants.brut + signe * compte.solde);
+      }
+    });
+
+    const montants = new Map();
+    rubriques.forEach(rubrique => {
+      if (rubrique.type === 'Total') {
+        montants.set(rubrique.reference, {
+          brut: evaluerFormule(rubrique.formule, montants, 'brut'),
+          amortissement: evaluerFormule(rubrique.formule, montants, 'amortissement'),
+          net: evaluerFormule(rubrique.formule, montants, 'net'),
+        });
+      } else {
+        const { brut, amortissement } = detail.get(rubrique.reference);
+        montants.set(rubrique.reference, { brut, amortissement, net: roundFinancial(brut - amortissement) });
+      }
+    });
+
+    return { montants, comptesNonAffectes };
+  }
+
+  /**
+   * Résumé d'un exercice pour l'en-tête des états.
+   * @private
+   * @param {object|null} exercice
+   * @returns {object|null}
+   */
+  _resumeExercice(exercice) {
+    if (!exercice) return null;
+    return { _id: exercice._id, libelle: exercice.libelle, dateDebut: exercice.dateDebut, dateFin: exercice.dateFin, statut: exercice.statut };
+  }
+
+  /**
+   * Établit le Bilan d'un exercice (actif brut / amortissements / net, passif), avec le net N-1.
+   * @param {string} exerciceId
+   * @returns {Promise<object>} Le bilan, son contrôle d'équilibre et les comptes sans rubrique.
+   */
+  async getBilan(exerciceId) {
+    const { exercice, precedent } = await this._chargerExercices(exerciceId);
+    const rubriques = await RubriqueEtatFinancier.getRubriques('Bilan');
+
+    // Hors engagements (classe 9) ; les comptes de gestion y entrent par le résultat de l'exercice (CJ)
+    const soldesBilan = (soldes) => soldes.filter(c => !c.numero.startsWith('9'));
+    const n = this._calculerEtat(rubriques, soldesBilan(await this._getSoldes(exercice)));
+    const n1 = precedent ? this._calculerEtat(rubriques, soldesBilan(await this._getSoldes(precedent))) : null;
+
+    const ligne = (rubrique) => ({
+      reference: rubrique.reference,
+      libelle: rubrique.libelle,
+      type: rubrique.type,
+      ...n.montants.get(rubrique.reference),
+      netN1: n1 ? n1.montants.get(rubrique.reference).net : null,
+    });
+    const actif = rubriques.filter(r => r.cote === 'Actif').map(ligne);
+    const passif = rubriques.filter(r => r.cote === 'Passif').map(ligne);
+
+    const total = (lignes) => roundFinancial(lignes.filter(l => l.type === 'Rubrique').reduce((acc, l) => acc + l.net, 0));
+    const totalActif = total(actif);
+    const totalPassif = total(passif);
+
+    return {
+      exercice: this._resumeExercice(exercice),
+      exercicePrecedent: this._resumeExercice(precedent),
+      actif,
+      passif,
+      totalActif,
+      totalPassif,
+      equilibre: totalActif === totalPassif,
+      comptesNonAffectes: n.comptesNonAffectes,
+    };
+  }
+
+  /**
+   * Établit le Compte de résultat d'un exercice avec ses soldes intermédiaires de gestion
+   * (marge commerciale, valeur ajoutée, EBE, résultat d'exploitation...), en comparatif N-1.
+   * @param {string} exerciceId
+   * @returns {Promise<object>} Le compte de résultat, le résultat net et les comptes sans rubrique.
+   */
+  async getCompteResultat(exerciceId) {
+    const { exercice, precedent } = await this._chargerExercices(exerciceId);
+    const rubriques = await RubriqueEtatFinancier.getRubriques('CompteResultat');
+
+    const soldesGestion = (soldes) => soldes.filter(c => ['6', '7', '8'].includes(c.numero.charAt(0)));
+    // Les charges et produits d'un exercice clôturé sont lus avant leur virement au résultat
+    const n = this._calculerEtat(rubriques, soldesGestion(await this._getSoldes(exercice, { avantResultat: true })));
+    const n1 = precedent ? this._calculerEtat(rubriques, soldesGestion(await this._getSoldes(precedent, { avantResultat: true }))) : null;
+
+    const lignes = rubriques.map(rubrique => ({
+      reference: rubrique.reference,
+      libelle: rubrique.libelle,
+      type: rubrique.type,
+      cote: rubrique.cote,
+      montantN: n.montants.get(rubrique.reference).net,
+      montantN1: n1 ? n1.montants.get(rubrique.reference).net : null,
+    }));
+
+    const resultat = (colonne) => roundFinancial(lignes
+      .filter(l => l.type === 'Rubrique')
+      .reduce((acc, l) => acc + (l.cote === 'Produit' ? 1 : -1) * (l[colonne] || 0), 0));
+
+    return {
+      exercice: this._resumeExercice(exercice),
+      exercicePrecedent: this._resumeExercice(precedent),
+      lignes,
+      resultatNet: resultat('montantN'),
+      resultatNetN1: n1 ? resultat('montantN1') : null,
+      comptesNonAffectes: n.comptesNonAffectes,
+    };
+  }
+}
+
+module.exports = new EtatsFinanciersService();
@@ -125,6 +125,310 @@ class ExcelService {
       return this._creerClasseur('Export Factures', columns, data);
   }
 
+  /**
+   * Exporte le grand livre au format Excel : pour chaque compte, le report à nouveau,
+   * les mouvements avec leur solde progressif, puis le total du compte.
+   * @param {Array<object>} grandLivre - Le résultat de ReportService.getGrandLivre.
+   * @returns {Promise<Buffer>} - Le buffer du fichier .xlsx.
+   */
+  async exporterGrandLivre(grandLivre) {
+      const montant = { numFmt: '#,##0.00 "XOF"' };
+      const columns = [
+          { header: 'Compte', key: 'compte', width: 12 },
+          { header: 'Date', key: 'date', width: 12 },
+          { header: 'Journal', key: 'journal', width: 10 },
+          { header: 'Pièce', key: 'piece', width: 18 },
+          { header: 'Libellé', key: 'libelle', width: 40 },
+          { header: 'Débit', key: 'debit', width: 18, style: montant },
+          { header: 'Crédit', key: 'credit', width: 18, style: montant },
+          { header: 'Solde', key: 'solde', width: 18, style: montant },
+          { header: 'Lettrage', key: 'lettrage', width: 10 },
+      ];
+
+      const data = [];
+      grandLivre.forEach(bloc => {
+          data.push({ compte: bloc.compte.numero, libelle: bloc.compte.libelle });
+          data.push({ compte: bloc.compte.numero, libelle: 'Report à nouveau', solde: bloc.soldeOuverture });
+          bloc.lignes.forEach(ligne => data.push({
+              compte: bloc.compte.numero,
+              date: format(new Date(ligne.dateEcriture), 'dd/MM/yyyy'),
+              journal: ligne.journal,
+              piece: ligne.numeroPiece,
+              libelle: ligne.libelle,
+              debit: ligne.debit || null,
+              credit: ligne.credit || null,
+              solde: ligne.solde,
+              lettrage: ligne.lettrage,
+          }));
+          data.push({ compte: bloc.compte.numero, libelle: `Total compte ${bloc.compte.numero}`, debit: bloc.totalDebit, credit: bloc.totalCredit, solde: bloc.soldeCloture });
+      });
+
+      return this._creerClasseur('Grand Livre', columns, data);
+  }
+
+  /**
+   * Exporte la balance générale à six colonnes au format Excel, avec un sous-total par classe.
+   * @param {{ classes: Array<object>, totaux: object }} balance - Le résultat de ReportService.getBalance.
+   * @returns {Promise<Buffer>} - Le buffer du fichier .xlsx.
+   */
+  async exporterBalance(balance) {
+      const montant = { numFmt: '#,##0.00 "XOF"' };
+      const columns = [
+          { header: 'Compte', key: 'numero', width: 12 },
+          { header: 'Intitulé', key: 'libelle', width: 40 },
+          { header: 'Ouverture Débit', key: 'ouvertureDebit', width: 18, style: montant },
+          { header: 'Ouverture Crédit', key: 'ouvertureCredit', width: 18, style: montant },
+          { header: 'Mouvements Débit', key: 'mouvementsDebit', width: 18, style: montant },
+          { header: 'Mouvements Crédit', key: 'mouvementsCredit', width: 18, style: montant },
+          { header: 'Clôture Débit', key: 'clotureDebit', width: 18, style: montant },
+          { header: 'Clôture Crédit', key: 'clotureCredit', width: 18, style: montant },
+      ];
+
+      const data = [];
+      balance.classes.forEach(classe => {
+          classe.comptes.forEach(ligne => data.push({ ...ligne, numero: ligne.compte.numero, libelle: ligne.compte.libelle }));
+          data.push({ ...classe.totaux, libelle: `Total classe ${classe.classe} - ${classe.libelle}` });
+      });
+      data.push({ ...balance.totaux, libelle: 'TOTAL GÉNÉRAL' });
+
+      return this._creerClasseur('Balance', columns, data);
+  }
+
+  /**
+   * Exporte le grand livre auxiliaire des clients ou des fournisseurs au format Excel.
+   * @param {Array<object>} grandLivre - Le résultat de ReportService.getGrandLivreTiers.
+   * @returns {Promise<Buffer>} - Le buffer du fichier .xlsx.
+   */
+  async exporterGrandLivreTiers(grandLivre) {
+      const montant = { numFmt: '#,##0.00 "XOF"' };
+      const columns = [
+          { header: 'Tiers', key: 'tiers', width: 16 },
+          { header: 'Date', key: 'date', width: 12 },
+          { header: 'Journal', key: 'journal', width: 10 },
+          { header: 'Pièce', key: 'piece', width: 18 },
+          { header: 'Compte', key: 'compte', width: 12 },
+          { header: 'Libellé', key: 'libelle', width: 40 },
+          { header: 'Débit', key: 'debit', width: 18, style: montant },
+          { header: 'Crédit', key: 'credit', width: 18, style: montant },
+          { header: 'Solde', key: 'solde', width: 18, style: montant },
+          { header: 'Lettrage', key: 'lettrage', width: 10 },
+      ];
+
+      const data = [];
+      grandLivre.forEach(bloc => {
+          data.push({ tiers: bloc.tiers.code, compte: bloc.tiers.compte?.numero, libelle: bloc.tiers.nom });
+          data.push({ tiers: bloc.tiers.code, libelle: 'Report à nouveau', solde: bloc.soldeOuverture });
+          bloc.lignes.forEach(ligne => data.push({
+              tiers: bloc.tiers.code,
+              date: format(new Date(ligne.dateEcriture), 'dd/MM/yyyy'),
+              journal: ligne.journal,
+              piece: ligne.numeroPiece,
+              compte: ligne.compte,
+              libelle: ligne.libelle,
+              debit: ligne.debit || null,
+              credit: ligne.credit || null,
+              solde: ligne.solde,
+              lettrage: ligne.lettrage,
+          }));
+          data.push({ tiers: bloc.tiers.code, libelle: `Total ${bloc.tiers.nom}`, debit: bloc.totalDebit, credit: bloc.totalCredit, solde: bloc.soldeCloture });
+      });
+
+      return this._creerClasseur('Grand Livre Auxiliaire', columns, data);
+  }
+
+  /**
+   * Exporte la balance auxiliaire à six colonnes des clients ou des fournisseurs au format Excel.
+   * @param {{ tiers: Array<object>, totaux: object }} balance - Le résultat de ReportService.getBalanceTiers.
+   * @returns {Promise<Buffer>} - Le buffer du fichier .xlsx.
+   */
+  async exporterBalanceTiers(balance) {
+      const montant = { numFmt: '#,##0.00 "XOF"' };
+      const columns = [
+          { header: 'Code', key: 'code', width: 16 },
+          { header: 'Tiers', key: 'nom', width: 36 },
+          { header: 'Compte', key: 'compte', width: 12 },
+          { header: 'Ouverture Débit', key: 'ouvertureDebit', width: 18, style: montant },
+          { header: 'Ouverture Crédit', key: 'ouvertureCredit', width: 18, style: montant },
+          { header: 'Mouvements Débit', key: 'mouvementsDebit', width: 18, style: montant },
+          { header: 'Mouvements Crédit', key: 'mouvementsCredit', width: 18, style: montant },
+          { header: 'Clôture Débit', key: 'clotureDebit', width: 18, style: montant },
+          { header: 'Clôture Crédit', key: 'clotureCredit', width: 18, style: montant },
+      ];
+
+      const data = balance.tiers.map(ligne => ({ ...ligne, code: ligne.tiers.code, nom: ligne.tiers.nom, compte: ligne.tiers.compte?.numero }));
+      data.push({ ...balance.totaux, nom: 'TOTAL' });
+
+      return this._creerClasseur('Balance Auxiliaire', columns, data);
+  }
+
+  /**
+   * Exporte la balance âgée des clients ou des fournisseurs au format Excel, une colonne par tranche.
+   * @param {object} balance - Le résultat de ReportService.getBalanceAgee.
+   * @returns {Promise<Buffer>} - Le buffer du fichier .xlsx.
+   */
+  async exporterBalanceAgee(balance) {
+      const montant = { numFmt: '#,##0.00 "XOF"' };
+      const columns = [
+          { header: 'Code', key: 'code', width: 16 },
+          { header: 'Tiers', key: 'nom', width: 36 },
+          ...balance.tranches.map((libelle, i) => ({ header: libelle, key: `tranche${i}`, width: 16, style: montant })),
+          { header: 'Total', key: 'total', width: 18, style: montant },
+      ];
+      const parTranche = (montants) => Object.fromEntries(montants.map((m, i) => [`tranche${i}`, m]));
+
+      const data = balance.tiers.map(ligne => ({ code: ligne.tiers.code, nom: ligne.tiers.nom, ...parTranche(ligne.tranches), total: ligne.total }));
+      data.push({ nom: 'TOTAL', ...parTranche(balance.totaux.tranches), total: balance.totaux.total });
+
+      return this._creerClasseur('Balance Agée', columns, data);
+  }
+
+  /**
+   * Exporte le compte de résultat analytique d'un axe : le détail par compte de chaque section,
+   * suivi de son résultat, puis la part non ventilée et les totaux.
+   * @param {object} etat - Le résultat de ReportService.getCompteResultatAnalytique.
+   * @returns {Promise<Buffer>} - Le buffer du fichier .xlsx.
+   */
+  async exporterCompteResultatAnalytique(etat) {
+      const montant = { numFmt: '#,##0.00 "XOF"' };
+      const columns = [
+          { header: 'Section', key: 'section', width: 28 },
+          { header: 'Compte', key: 'numero', width: 14 },
+          { header: 'Libellé', key: 'libelle', width: 40 },
+          { header: 'Produits', key: 'produits', width: 18, style: montant },
+          { header: 'Charges', key: 'charges', width: 18, style: montant },
+      ];
+
+      const data = [];
+      const ajouterBloc = (intitule, bloc) => {
+          bloc.produits.forEach(l => data.push({ section: intitule, numero: l.compte.numero, libelle: l.compte.libelle, produits: l.montant }));
+          bloc.charges.forEach(l => data.push({ section: intitule, numero: l.compte.numero, libelle: l.compte.libelle, charges: l.montant }));
+          data.push({ section: intitule, libelle: `Résultat : ${bloc.resultat}${bloc.tauxMarge !== null ? ` (marge ${bloc.tauxMarge} %)` : ''}`, produits: bloc.totalProduits, charges: bloc.totalCharges });
+          data.push({});
+      };
+      etat.sections.forEach(bloc => ajouterBloc(`${bloc.section.code} - ${bloc.section.libelle}`, bloc));
+      ajouterBloc('Non ventilé', etat.nonVentile);
+      data.push({ section: 'TOTAL', libelle: `Résultat : ${etat.totaux.resultat}`, produits: etat.totaux.totalProduits, charges: etat.totaux.totalCharges });
+
+      return this._creerClasseur(`Analytique ${etat.axe.code}`, columns, data);
+  }
+
+  /**
+   * Exporte le suivi budgétaire d'un exercice : une ligne par mois de chaque ligne de budget,
+   * suivie de son cumul, puis les totaux des charges et des produits.
+   * @param {object} suivi - Le résultat de BudgetService.getSuiviBudgetaire.
+   * @returns {Promise<Buffer>} - Le buffer du fichier .xlsx.
+   */
+  async exporterSuiviBudgetaire(suivi) {
+      const montant = { numFmt: '#,##0.00 "XOF"' };
+      const columns = [
+          { header: 'Comptes', key: 'comptes', width: 16 },
+          { header: 'Libellé', key: 'libelle', width: 34 },
+          { header: 'Section', key: 'section', width: 14 },
+          { header: 'Mois', key: 'periode', width: 10 },
+          { header: 'Budget', key: 'budget', width: 18, style: montant },
+          { header: 'Réalisé', key: 'realise', width: 18, style: montant },
+          { header: 'Écart', key: 'ecart', width: 18, style: montant },
+          { header: 'Consommé (%)', key: 'tauxConsomme', width: 14 },
+      ];
+
+      const data = [];
+      suivi.lignes.forEach(ligne => {
+          const entete = {
+              comptes: ligne.compteDebut === ligne.compteFin ? ligne.compteDebut : `${ligne.compteDebut} à ${ligne.compteFin}`,
+              libelle: ligne.libelle || ligne.nature,
+              section: ligne.section ? ligne.section.code : '',
+          };
+          ligne.mois.forEach(m => data.push({ ...entete, ...m }));
+          data.push({ ...entete, periode: 'Cumul', ...ligne.cumul });
+          data.push({});
+      });
+      data.push({ libelle: 'Total charges', ...suivi.totaux.charges });
+      data.push({ libelle: 'Total produits', ...suivi.totaux.produits });
+      data.push({ libelle: 'Résultat', budget: suivi.totaux.resultat.budget, realise: suivi.totaux.resultat.realise });
+
+      return this._creerClasseur(`Budget ${suivi.exercice.libelle}`, columns, data);
+  }
+
+  /**
+   * Exporte la feuille de travail d'une déclaration de TVA : le détail par pièce de chaque case,
+   * suivi du récapitulatif par taux et du solde de la déclaration.
+   * @param {object} declaration - Le document Mongoose 'DeclarationTVA'.
+   * @returns {Promise<Buffer>} - Le buffer du fichier .xlsx.
+   */
+  async exporterDeclarationTVA(declaration) {
+      const montant = { numFmt: '#,##0.00 "XOF"' };
+      const columns = [
+          { header: 'Case', key: 'rubrique', width: 14 },
+          { header: 'Date', key: 'date', width: 12 },
+          { header: 'Pièce', key: 'numeroPiece', width: 18 },
+          { header: 'Document', key: 'document', width: 28 },
+          { header: 'Tiers', key: 'tiers', width: 30 },
+          { header: 'Taux (%)', key: 'taux', width: 10 },
+          { header: 'Base HT', key: 'baseHT', width: 18, style: montant },
+          { header: 'TVA', key: 'montantTVA', width: 18, style: montant },
+      ];
+
+      const data = declaration.detail.map(ligne => ({
+          rubrique: `TVA ${ligne.rubrique.toLowerCase()}`,
+          date: format(new Date(ligne.dateEcriture), 'dd/MM/yyyy'),
+          numeroPiece: ligne.numeroPiece,
+          document: ligne.documentModel ? `${ligne.documentModel} ${ligne.documentNumero || ''}` : '',
+          tiers: ligne.tiers,
+          taux: ligne.taux,
+          baseHT: ligne.baseHT,
+          montantTVA: ligne.montantTVA,
+      }));
+
+      data.push({});
+      [['Collectée', declaration.collectee], ['Déductible', declaration.deductible]].forEach(([rubrique, ventilation]) => {
+          ventilation.forEach(v => data.push({ rubrique: `Total TVA ${rubrique.toLowerCase()}`, taux: v.taux, baseHT: v.baseHT, montantTVA: v.montantTVA }));
+      });
+      data.push({ rubrique: 'Crédit antérieur', montantTVA: declaration.creditAnterieur });
+      data.push({ rubrique: 'TVA à payer', montantTVA: declaration.tvaAPayer });
+      data.push({ rubrique: 'Crédit à reporter', montantTVA: declaration.creditAReporter });
+
+      return this._creerClasseur(`TVA ${declaration.periode}`, columns, data);
+  }
+
+  /**
+   * Exporte l'état de rapprochement bancaire d'un relevé.
+   * @param {object} etat - Le résultat de RapprochementBancaireService.getEtatRapprochement.
+   * @returns {Promise<Buffer>} - Le buffer du fichier Excel.
+   */
+  async exporterEtatRapprochement(etat) {
+      const montant = { numFmt: '#,##0.00 "XOF"' };
+      const columns = [
+          { header: 'Rubrique', key: 'rubrique', width: 40 },
+          { header: 'Date', key: 'date', width: 12 },
+          { header: 'Pièce / Relevé', key: 'piece', width: 20 },
+          { header: 'Libellé', key: 'libelle', width: 40 },
+          { header: 'Montant', key: 'montant', width: 18, style: montant },
+      ];
+
+      const suspens = (rubrique, lignes, piece) => lignes.map(l => ({
+          rubrique,
+          date: format(new Date(l.dateEcriture || l.dateOperation), 'dd/MM/yyyy'),
+          piece: piece(l),
+          libelle: l.libelle,
+          montant: l.montant,
+      }));
+
+      const data = [
+          { rubrique: `Solde du relevé au ${format(new Date(etat.releve.dateFin), 'dd/MM/yyyy')}`, montant: etat.soldeBanque },
+          ...suspens('Encaissement non relevé', etat.encaissementsNonReleves, l => l.numeroPiece),
+          ...suspens('Décaissement non relevé', etat.decaissementsNonReleves, l => l.numeroPiece),
+          { rubrique: 'Solde bancaire rapproché', montant: etat.soldeBanqueRapproche },
+          {},
+          { rubrique: `Solde comptable du ${etat.compte.numero}`, montant: etat.soldeComptable },
+          ...suspens('Opération non comptabilisée', etat.suspensBancaires, l => l.releve),
+          { rubrique: 'Solde comptable rapproché', montant: etat.soldeComptableRapproche },
+          {},
+          { rubrique: 'Écart', montant: etat.ecart },
+      ];
+
+      return this._creerClasseur(`Rapprochement ${etat.releve.reference}`.slice(0, 31), columns, data);
+  }
+
   // TODO: Implémenter exporterProduits, exporterEcrituresComptables, etc.
 }
 
@@ -0,0 +1,543 @@
+const mongoose = require('mongoose');
+const Immobilisation = require('../models/Immobilisation');
+const CompteComptable = require('../models/CompteComptable');
+const FactureFournisseur = require('../models/FactureFournisseur');
+const Parametres = require('../models/Parametres');
+const comptabiliteService = require('./comptabiliteService');
+const ecritureManuelleService = require('./ecritureManuelleService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { generateDocumentNumber } = require('../utils/helpers');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+const { roundFinancial } = require('../utils/calculations');
+const { versReference } = require('../utils/devises');
+
+const JOUR = 24 * 60 * 60 * 1000;
+
+// Champs d'une immobilisation fixés à la saisie
+const CHAMPS_SAISIE = ['designation', 'categorie', 'valeurAcquisition', 'dateAcquisition', 'dateMiseEnService', 'fournisseur', 'methode', 'dureeAnnees', 'valeurResiduelle', 'compteImmobilisation', 'compteAmortissement', 'compteDotation'];
+// Champs qui déterminent le plan d'amortissement, figés dès la première dotation
+const CHAMPS_PLAN = ['valeurAcquisition', 'dateAcquisition', 'dateMiseEnService', 'methode', 'dureeAnnees', 'valeurResiduelle', 'compteImmobilisation', 'compteAmortissement', 'compteDotation'];
+
+/**
+ * Ramène une date au jour (minuit UTC).
+ * @param {Date|string} date
+ * @returns {Date}
+ */
+const jour = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+/**
+ * Nombre de jours entre deux dates, bornes incluses.
+ * @param {Date} debut
+ * @param {Date} fin
+ * @returns {number}
+ */
+const joursEntre = (debut, fin) => Math.round((fin - debut) / JOUR) + 1;
+
+/**
+ * Coefficient fiscal de l'amortissement dégressif selon la durée d'utilisation.
+ * @param {number} duree - En années.
+ * @returns {number}
+ */
+const coefficientDegressif = (duree) => (duree <= 4 ? 1.5 : duree <= 6 ? 2 : 2.5);
+
+/**
+ * @class ImmobilisationService
+ * @description Registre des immobilisations : plans d'amortissement linéaire et dégressif,
+ * comptabilisation des dotations (681 / 28x), sorties par cession ou mise au rebut, et
+ * immobilisation d'une ligne de facture fournisseur.
+ */
+class ImmobilisationService {
+
+  /**
+   * Calcule le plan d'amortissement d'une immobilisation, par année civile.
+   * - Linéaire : annuités constantes depuis la mise en service, prorata temporis au jour près
+   *   la première et la dernière année.
+   * - Dégressif : taux linéaire x coefficient fiscal (1,5 ; 2 ; 2,5) appliqué à la valeur nette,
+   *   depuis le premier jour du mois d'acquisition (prorata en mois la première année), avec
+   *   bascule en linéaire dès que l'annuité linéaire sur la durée restante devient supérieure.
+   * @param {object} immobilisation
+   * @returns {Array<{ annee: number, dateDebut: Date, dateFin: Date, taux: number, dotation: number, cumul: number, valeurNetteComptable: number }>}
+   */
+  calculerPlan(immobilisation) {
+    if (immobilisation.methode === 'Non amortissable') return [];
+
+    const duree = immobilisation.dureeAnnees;
+    const base = roundFinancial(immobilisation.valeurAcquisition - (immobilisation.valeurResiduelle || 0));
+    const plan = [];
+    let cumul = 0;
+    const ajouter = (annee, dateDebut, dateFin, taux, dotation) => {
+      cumul = roundFinancial(cumul + dotation);
+      plan.push({ annee, dateDebut, dateFin, taux, dotation, cumul, valeurNetteComptable: roundFinancial(immobilisation.valeurAcquisition - cumul) });
+    };
+
+    if (immobilisation.methode === 'Dégressif') {
+      const acquisition = jour(immobilisation.dateAcquisition);
+      const debut = new Date(Date.UTC(acquisition.getUTCFullYear(), acquisition.getUTCMonth(), 1));
+      const tauxDegressif = coefficientDegressif(duree) / duree;
+      for (let rang = 0; rang < duree; rang++) {
+        const annee = debut.getUTCFullYear() + rang;
+        const mois = rang === 0 ? 12 - debut.getUTCMonth() : 12;
+        const taux = Math.max(tauxDegressif, 1 / (duree - rang));
+        const dotation = rang === duree - 1 ? roundFinancial(base - cumul) : roundFinancial((base - cumul) * taux * mois / 12);
+        ajouter(annee, rang === 0 ? debut : new Date(Date.UTC(annee, 0, 1)), new Date(Date.UTC(annee, 11, 31)), roundFinancial(taux * 100), dotation);
+      }
+      return plan;
+    }
+
+    const debut = jour(immobilisation.dateMiseEnService || immobilisation.dateAcquisition);
+    const fin = new Date(Date.UTC(debut.getUTCFullYear() + duree, debut.getUTCMonth(), debut.getUTCDate()) - JOUR);
+    const annuite = base / duree;
+    for (let annee = debut.getUTCFullYear(); annee <= fin.getUTCFullYear(); annee++) {
+      const debutAnnee = new Date(Date.UTC(annee, 0, 1));
+      const finAnnee = new Date(Date.UTC(annee, 11, 31));
+      const dateDebut = debut > debutAnnee ? debut : debutAnnee;
+      const dateFin = fin < finAnnee ? fin : finAnnee;
+      const dotation = annee === fin.getUTCFullYear()
+        ? roundFinancial(base - cumul)
+        : roundFinancial(annuite * joursEntre(dateDebut, dateFin) / joursEntre(debutAnnee, finAnnee));
+      ajouter(annee, dateDebut, dateFin, roundFinancial(100 / duree), dotation);
+    }
+    return plan;
+  }
+
+  /**
+   * Amortissement cumulé prévu par le plan à une date (prorata au jour de l'année en cours).
+   * @param {Array<object>} plan - Le résultat de calculerPlan.
+   * @param {Date} date
+   * @returns {number}
+   */
+  amortissementCumuleAu(plan, date) {
+    const arrete = jour(date);
+    let cumul = 0;
+    for (const ligne of plan) {
+      if (ligne.dateDebut > arrete) break;
+      cumul = ligne.dateFin <= arrete
+        ? ligne.cumul
+        : ligne.cumul - ligne.dotation + ligne.dotation * joursEntre(ligne.dateDebut, arrete) / joursEntre(ligne.dateDebut, ligne.dateFin);
+    }
+    return roundFinancial(cumul);
+  }
+
+  /**
+   * Retrouve le compte d'amortissement (28x) correspondant à un compte d'immobilisation :
+   * 2441 -> 28441, à défaut 2844, puis 284.
+   * @private
+   * @param {object} compteImmobilisation
+   * @param {object} [session]
+   * @returns {Promise<object>}
+   */
+  async _compteAmortissementDe(compteImmobilisation, session) {
+    const suffixe = compteImmobilisation.numero.slice(1);
+    const candidats = [];
+    for (let longueur = suffixe.length; longueur >= 1; longueur--) candidats.push(`28${suffixe.slice(0, longueur)}`);
+
+    const comptes = await CompteComptable.find({ numero: { $in: candidats }, actif: true }).session(session);
+    const compte = candidats.map(numero => comptes.find(c => c.numero === numero)).find(Boolean);
+    if (!compte) {
+      throw new ErrorResponse(`Aucun compte d'amortissement (${candidats[candidats.length - 1]}) ne correspond au compte ${compteImmobilisation.numero}.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    return compte;
+  }
+
+  /**
+   * Contrôle les comptes d'une immobilisation et complète ceux qui manquent.
+   * @private
+   * @param {object} donnees - Les champs saisis.
+   * @param {object} params - Les paramètres de l'application.
+   * @param {object} [session]
+   * @returns {Promise<object>} Les champs complétés.
+   */
+  async _preparerComptes(donnees, params, session) {
+    const compte = await CompteComptable.findById(donnees.compteImmobilisation).session(session);
+    if (!compte || !compte.actif || compte.classe !== 2 || /^2[89]/.test(compte.numero)) {
+      throw new ErrorResponse(`Compte d'immobilisation (classe 2, hors 28 et 29) non trouvé avec l'ID ${donnees.compteImmobilisation}`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if (donnees.methode === 'Non amortissable') {
+      return { ...donnees, compteAmortissement: undefined, compteDotation: undefined };
+    }
+
+    let compteAmortissement;
+    if (donnees.compteAmortissement) {
+      compteAmortissement = await CompteComptable.findById(donnees.compteAmortissement).session(session);
+      if (!compteAmortissement || !compteAmortissement.actif || !compteAmortissement.numero.startsWith('28')) {
+        throw new ErrorResponse(`Compte d'amortissement (28x) non trouvé avec l'ID ${donnees.compteAmortissement}`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+    } else {
+      compteAmortissement = await this._compteAmortissementDe(compte, session);
+    }
+
+    const compteDotation = donnees.compteDotation || params.compteDotationsAmortissementsDefaut;
+    if (!compteDotation) {
+      throw new ErrorResponse("Le compte de dotations aux amortissements par défaut n'est pas configuré dans les paramètres.", HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    return { ...donnees, compteAmortissement: compteAmortissement._id, compteDotation };
+  }
+
+  /**
+   * Inscrit une immobilisation au registre, sous la prochaine référence (ex: 'IMMO-000012').
+   * @param {object} donnees - Voir CHAMPS_SAISIE ; le compte d'amortissement est déduit du compte
+   * d'immobilisation et le compte de dotation repris des paramètres s'ils ne sont pas fournis.
+   * @param {string} userId
+   * @param {object} [sessionExterne] - Session MongoDB d'une transaction en cours.
+   * @returns {Promise<object>} L'immobilisation créée.
+   */
+  async creerImmobilisation(donnees, userId, sessionExterne) {
+    const session = sessionExterne || await mongoose.startSession();
+    if (!sessionExterne) session.startTransaction();
+    try {
+      const saisie = Object.fromEntries(CHAMPS_SAISIE.filter(champ => donnees[champ] !== undefined).map(champ => [champ, donnees[champ]]));
+      const params = await Parametres.findOneAndUpdate({}, { $inc: { sequenceImmobilisation: 1 } }, { new: true, session });
+      if (!params) {
+        throw new ErrorResponse("Les paramètres de l'application ne sont pas initialisés.", HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      const [immobilisation] = await Immobilisation.create([{
+        ...await this._preparerComptes(saisie, params, session),
+        factureFournisseur: donnees.factureFournisseur,
+        indexLigneFacture: donnees.indexLigneFacture,
+        reference: generateDocumentNumber(params.prefixeImmobilisation, params.sequenceImmobilisation),
+        creePar: userId,
+      }], { session });
+
+      if (!sessionExterne) await session.commitTransaction();
+      return immobilisation;
+    } catch (error) {
+      if (!sessionExterne) await session.abortTransaction();
+      throw error;
+    } finally {
+      if (!sessionExterne) session.endSession();
+    }
+  }
+
+  /**
+   * Immobilise une ligne de facture fournisseur : valeur d'acquisition = montant HT de la ligne,
+   * date et fournisseur de la facture. Si la facture n'est pas encore comptabilisée, la ligne est
+   * imputée au compte d'immobilisation ; sinon elle doit déjà l'être.
+   * @param {string} factureId
+   * @param {number} indexLigne - Position de la ligne dans la facture (à partir de 0).
+   * @param {object} donnees - categorie, methode, dureeAnnees... et au besoin compteImmobilisation et designation.
+   * @param {string} userId
+   * @returns {Promise<object>} L'immobilisation créée.
+   */
+  async creerDepuisFactureFournisseur(factureId, indexLigne, donnees, userId) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const facture = await FactureFournisseur.findById(factureId).session(session);
+      if (!facture || facture.statut === 'Annulée') {
+        throw new ErrorResponse(`Facture fournisseur non trouvée avec l'ID ${factureId}`, HTTP_STATUS_CODES.NOT_FOUND);
+      }
+      const ligne = facture.lignes[Number(indexLigne)];
+      if (!ligne) {
+        throw new ErrorResponse(`La facture n°${facture.numero} n'a pas de ligne ${Number(indexLigne) + 1}.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      if (await Immobilisation.exists({ factureFournisseur: facture._id, indexLigneFacture: Number(indexLigne) }).session(session)) {
+        throw new ErrorResponse(`Cette ligne de facture a déjà été immobilisée.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      const compteImmobilisation = donnees.compteImmobilisation || ligne.compteCharge;
+      if (!compteImmobilisation) {
+        throw new ErrorResponse("Le compte d'immobilisation de la ligne est obligatoire.", HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      if (facture.comptabilise) {
+        if (!ligne.compteCharge || ligne.compteCharge.toString() !== String(compteImmobilisation)) {
+          throw new ErrorResponse(`La facture n°${facture.numero} est déjà comptabilisée sur un autre compte que le compte d'immobilisation : corrigez son écriture avant d'immobiliser la ligne.`, HTTP_STATUS_CODES.BAD_REQUEST);
+        }
+      } else if (!ligne.compteCharge || ligne.compteCharge.toString() !== String(compteImmobilisation)) {
+        ligne.compteCharge = compteImmobilisation;
+        await facture.save({ session });
+      }
+
+      const immobilisation = await this.creerImmobilisation({
+        ...donnees,
+        designation: donnees.designation || ligne.description,
+        // Valeur d'origine en XOF, au cours de la facture comme son écriture d'achat
+        valeurAcquisition: versReference(ligne.totalLigneHT, facture.tauxDeChange),
+        dateAcquisition: facture.dateFacture,
+        fournisseur: facture.fournisseur,
+        compteImmobilisation,
+        factureFournisseur: facture._id,
+        indexLigneFacture: Number(indexLigne),
+      }, userId, session);
+
+      await session.commitTransaction();
+      return immobilisation;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Modifie une immobilisation en service. Les éléments du plan d'amortissement sont figés dès la
+   * première dotation comptabilisée.
+   * @param {string} immobilisationId
+   * @param {object} donnees
+   * @returns {Promise<object>} L'immobilisation modifiée.
+   */
+  async modifierImmobilisation(immobilisationId, donnees) {
+    const immobilisation = await Immobilisation.findById(immobilisationId);
+    if (!immobilisation) {
+      throw new ErrorResponse(`Immobilisation non trouvée avec l'ID ${immobilisationId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (immobilisation.statut !== 'En service') {
+      throw new ErrorResponse(`L'immobilisation ${immobilisation.reference} est sortie du registre.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    const modifiesPlan = CHAMPS_PLAN.filter(champ => donnees[champ] !== undefined && String(donnees[champ]) !== String(immobilisation[champ]));
+    if (modifiesPlan.length > 0 && immobilisation.dotations.length > 0) {
+      throw new ErrorResponse(`Des dotations ont déjà été comptabilisées pour ${immobilisation.reference} : son plan d'amortissement (${modifiesPlan.join(', ')}) ne peut plus changer.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const saisie = Object.fromEntries(CHAMPS_SAISIE.filter(champ => donnees[champ] !== undefined).map(champ => [champ, donnees[champ]]));
+    if (modifiesPlan.length > 0) {
+      const params = await Parametres.get();
+      Object.assign(saisie, await this._preparerComptes({
+        compteImmobilisation: immobilisation.compteImmobilisation,
+        methode: immobilisation.methode,
+        compteDotation: immobilisation.compteDotation,
+        // Le compte d'amortissement est re-déduit si le compte d'immobilisation change
+        compteAmortissement: saisie.compteImmobilisation ? undefined : immobilisation.compteAmortissement,
+        ...saisie,
+      }, params || {}));
+    }
+    immobilisation.set(saisie);
+    await immobilisation.save();
+    return immobilisation;
+  }
+
+  /**
+   * Supprime une immobilisation saisie par erreur : elle ne doit avoir ni dotation ni sortie.
+   * @param {string} immobilisationId
+   */
+  async supprimerImmobilisation(immobilisationId) {
+    const immobilisation = await Immobilisation.findById(immobilisationId);
+    if (!immobilisation) {
+      throw new ErrorResponse(`Immobilisation non trouvée avec l'ID ${immobilisationId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    if (immobilisation.dotations.length > 0 || immobilisation.statut !== 'En service') {
+      throw new ErrorResponse(`L'immobilisation ${immobilisation.reference} a déjà été amortie ou sortie : elle ne peut plus être supprimée.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    await immobilisation.deleteOne();
+  }
+
+  /**
+   * Comptabilise, en une écriture du journal des opérations diverses, les dotations dues à une
+   * date par des immobilisations : écart entre l'amortissement cumulé prévu par le plan et celui
+   * déjà comptabilisé. Débit 681x (par compte de dotation), crédit 28x (par immobilisation).
+   * @private
+   * @param {Array<object>} immobilisations
+   * @param {Date} dateArrete
+   * @param {string} libelle
+   * @param {string} userId
+   * @param {object} session
+   * @returns {Promise<object|null>} L'écriture, ou null si aucune dotation n'est due.
+   */
+  async _comptabiliserDotations(immobilisations, dateArrete, libelle, userId, session) {
+    const dues = immobilisations
+      .filter(immobilisation => immobilisation.methode !== 'Non amortissable')
+      .map(immobilisation => ({
+        immobilisation,
+        montant: roundFinancial(this.amortissementCumuleAu(this.calculerPlan(immobilisation), dateArrete) - immobilisation.amortissementsComptabilises),
+      }))
+      .filter(due => due.montant > 0);
+    if (dues.length === 0) {
+      return null;
+    }
+
+    const params = await Parametres.findOne().session(session);
+    if (!params || !params.journalOperationsDiversesParDefaut) {
+      throw new ErrorResponse("Le journal des opérations diverses par défaut n'est pas configuré dans les paramètres.", HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const parCompteDotation = new Map();
+    dues.forEach(({ immobilisation, montant }) => {
+      const compte = immobilisation.compteDotation.toString();
+      parCompteDotation.set(compte, roundFinancial((parCompteDotation.get(compte) || 0) + montant));
+    });
+    const mouvements = [
+      ...[...parCompteDotation].map(([compte, montant]) => ({ compte, libelle, debit: montant, credit: 0 })),
+      ...dues.map(({ immobilisation, montant }) => ({
+        compte: immobilisation.compteAmortissement,
+        libelle: `Amortissement ${immobilisation.reference} - ${immobilisation.designation}`,
+        debit: 0,
+        credit: montant,
+      })),
+    ];
+
+    const seule = dues.length === 1 ? dues[0].immobilisation : null;
+    const ecriture = await comptabiliteService._creerEcriture({
+      numeroPiece: await ecritureManuelleService._prochainNumeroPiece(params.journalOperationsDiversesParDefaut, session),
+      dateEcriture: dateArrete,
+      journal: params.journalOperationsDiversesParDefaut,
+      libelle,
+      documentOrigine: { documentId: seule?._id, documentModel: 'Immobilisation', documentNumero: seule?.reference },
+      creePar: userId,
+      validePar: userId,
+      dateValidation: new Date(),
+      mouvements,
+    }, session);
+
+    await Immobilisation.bulkWrite(dues.map(({ immobilisation, montant }) => ({
+      updateOne: {
+        filter: { _id: immobilisation._id },
+        update: {
+          $inc: { amortissementsComptabilises: montant },
+          $push: { dotations: { dateArrete, montant, ecriture: ecriture._id } },
+        },
+      }
+    })), { session });
+
+    return ecriture;
+  }
+
+  /**
+   * Comptabilise les dotations aux amortissements de toutes les immobilisations en service
+   * jusqu'à une date d'arrêté (fin de mois pour des dotations mensuelles, fin d'année pour des
+   * dotations annuelles). Sans effet si tout est déjà comptabilisé.
+   * @param {Date} dateArrete
+   * @param {string} userId
+   * @returns {Promise<{ ecriture: object|null, immobilisations: number }>}
+   */
+  async comptabiliserDotations(dateArrete, userId) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const immobilisations = await Immobilisation.find({
+        statut: 'En service',
+        methode: { $ne: 'Non amortissable' },
+        dateAcquisition: { $lte: dateArrete },
+      }).session(session);
+
+      const date = jour(dateArrete);
+      const ecriture = await this._comptabiliserDotations(
+        immobilisations,
+        date,
+        `Dotations aux amortissements au ${date.toISOString().slice(0, 10).split('-').reverse().join('/')}`,
+        userId,
+        session
+      );
+
+      await session.commitTransaction();
+      return { ecriture, immobilisations: ecriture ? ecriture.mouvements.filter(m => m.credit > 0).length : 0 };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Sort une immobilisation du registre par cession ou mise au rebut :
+   * 1. dotation complémentaire jusqu'à la date de sortie ;
+   * 2. sortie de l'actif : débit 28x (amortissements cumulés) et 812 (valeur nette comptable),
+   *    crédit 2x (valeur d'acquisition) ;
+   * 3. en cas de cession, prix de cession : débit 485 (ou le compte fourni), crédit 822.
+   * La plus ou moins-value (prix - valeur nette) ressort de l'écart entre 822 et 812.
+   * @param {string} immobilisationId
+   * @param {object} sortie
+   * @param {string} sortie.type - 'Cession' ou 'Mise au rebut'.
+   * @param {Date} [sortie.dateSortie] - Aujourd'hui par défaut.
+   * @param {number} [sortie.prixCession] - Prix de cession hors taxes.
+   * @param {string} [sortie.compteContrepartie] - Compte encaissant le prix (485 par défaut, ou 521...).
+   * @param {string} userId
+   * @returns {Promise<object>} L'immobilisation sortie.
+   */
+  async sortirImmobilisation(immobilisationId, { type, dateSortie, prixCession, compteContrepartie } = {}, userId) {
+    if (!['Cession', 'Mise au rebut'].includes(type)) {
+      throw new ErrorResponse("Le type de sortie doit être 'Cession' ou 'Mise au rebut'.", HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    const prix = type === 'Cession' ? roundFinancial(Number(prixCession) || 0) : 0;
+    if (prix < 0) {
+      throw new ErrorResponse('Le prix de cession ne peut pas être négatif.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      let immobilisation = await Immobilisation.findById(immobilisationId).session(session);
+      if (!immobilisation) {
+        throw new ErrorResponse(`Immobilisation non trouvée avec l'ID ${immobilisationId}`, HTTP_STATUS_CODES.NOT_FOUND);
+      }
+      if (immobilisation.statut !== 'En service') {
+        throw new ErrorResponse(`L'immobilisation ${immobilisation.reference} est déjà sortie du registre.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      const date = jour(dateSortie || new Date());
+      if (date < jour(immobilisation.dateAcquisition)) {
+        throw new ErrorResponse("La date de sortie précède la date d'acquisition.", HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      const params = await Parametres.findOne().session(session);
+      if (!params || !params.journalOperationsDiversesParDefaut || !params.compteValeurCessionDefaut) {
+        throw new ErrorResponse("Le journal des opérations diverses ou le compte de valeur des cessions (812) n'est pas configuré dans les paramètres.", HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      const compteEncaissement = compteContrepartie || params.compteCreanceCessionDefaut;
+      if (prix > 0) {
+        if (!params.compteProduitCessionDefaut || !compteEncaissement) {
+          throw new ErrorResponse("Les comptes de produit (822) et de créance (485) sur cessions ne sont pas configurés dans les paramètres.", HTTP_STATUS_CODES.BAD_REQUEST);
+        }
+        if (compteContrepartie && !await CompteComptable.exists({ _id: compteContrepartie, actif: true }).session(session)) {
+          throw new ErrorResponse(`Compte actif non trouvé avec l'ID ${compteContrepartie}`, HTTP_STATUS_CODES.BAD_REQUEST);
+        }
+      }
+
+      await this._comptabiliserDotations([immobilisation], date, `Dotation complémentaire ${immobilisation.reference} (sortie)`, userId, session);
+      immobilisation = await Immobilisation.findById(immobilisationId).session(session);
+
+      const amortissements = roundFinancial(immobilisation.amortissementsComptabilises);
+      const valeurNette = roundFinancial(immobilisation.valeurAcquisition - amortissements);
+      const libelle = `${type} ${immobilisation.reference} - ${immobilisation.designation}`;
+      const mouvements = [];
+      if (amortissements > 0) {
+        mouvements.push({ compte: immobilisation.compteAmortissement, libelle, debit: amortissements, credit: 0 });
+      }
+      if (valeurNette > 0) {
+        mouvements.push({ compte: params.compteValeurCessionDefaut, libelle, debit: valeurNette, credit: 0 });
+      }
+      mouvements.push({ compte: immobilisation.compteImmobilisation, libelle, debit: 0, credit: immobilisation.valeurAcquisition });
+      if (prix > 0) {
+        mouvements.push(
+          { compte: compteEncaissement, libelle: `Prix de cession ${immobilisation.reference}`, debit: prix, credit: 0 },
+          { compte: params.compteProduitCessionDefaut, libelle: `Prix de cession ${immobilisation.reference}`, debit: 0, credit: prix }
+        );
+      }
+
+      const ecriture = await comptabiliteService._creerEcriture({
+        numeroPiece: await ecritureManuelleService._prochainNumeroPiece(params.journalOperationsDiversesParDefaut, session),
+        dateEcriture: date,
+        journal: params.journalOperationsDiversesParDefaut,
+        libelle,
+        documentOrigine: { documentId: immobilisation._id, documentModel: 'Immobilisation', documentNumero: immobilisation.reference },
+        creePar: userId,
+        validePar: userId,
+        dateValidation: new Date(),
+        mouvements,
+      }, session);
+
+      immobilisation.statut = type === 'Cession' ? 'Cédée' : 'Mise au rebut';
+      immobilisation.sortie = {
+        date,
+        prixCession: prix,
+        valeurNetteComptable: valeurNette,
+        plusOuMoinsValue: roundFinancial(prix - valeurNette),
+        ecriture: ecriture._id,
+      };
+      await immobilisation.save({ session });
+
+      await session.commitTransaction();
+      return immobilisation;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+module.exports = new ImmobilisationService();
@@ -0,0 +1,280 @@
+const EcritureComptable = require('../models/EcritureComptable');
+const CompteComptable = require('../models/CompteComptable');
+const mongoose = require('mongoose');
+const { roundFinancial } = require('../utils/calculations');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+
+/**
+ * Convertit un rang de lettrage (0, 1, 2...) en code alphabétique : AA, AB, ..., AZ, BA, ..., ZZ, AAA...
+ * @param {number} rang - Rang du code sur le compte (à partir de 0).
+ * @returns {string} Le code de lettrage.
+ */
+const rangVersCode = (rang) => {
+  // Numérotation bijective en base 26 (A=1), décalée pour commencer à 'AA'
+  let n = rang + 27;
+  let code = '';
+  while (n > 0) {
+    const reste = (n - 1) % 26;
+    code = String.fromCharCode(65 + reste) + code;
+    n = Math.floor((n - 1) / 26);
+  }
+  return code;
+};
+
+/**
+ * @class LettrageService
+ * @description Rapprochement (lettrage) des lignes débitrices et créditrices des comptes de tiers :
+ * une facture avec ses règlements, plusieurs acomptes avec une facture, ou un règlement
+ * avec plusieurs factures. Un groupe de lignes lettrées partage le même code et a un solde nul.
+ */
+class LettrageService {
+
+  /**
+   * Attribue le prochain code de lettrage d'un compte.
+   * @private
+   * @param {string} compteId - L'ID du compte lettré.
+   * @param {object} session - Session MongoDB de la transaction de lettrage.
+   * @returns {Promise<string>} Le code attribué.
+   */
+  async _prochainCode(compteId, session) {
+    const compte = await CompteComptable.findByIdAndUpdate(
+      compteId,
+      { $inc: { sequenceLettrage: 1 } },
+      { new: true, session }
+    );
+    return rangVersCode(compte.sequenceLettrage - 1);
+  }
+
+  /**
+   * Charge les lignes désignées par leur écriture et leur position, en vérifiant qu'elles
+   * peuvent être lettrées ensemble.
+   * @private
+   * @param {Array<{ ecritureId: string, indexMouvement: number }>} references - Les lignes à lettrer.
+   * @param {object} session - Session MongoDB de la transaction de lettrage.
+   * @returns {Promise<{ compteId: string, lignes: Array<object> }>} Le compte et les lignes chargées.
+   */
+  async _chargerLignes(references, session) {
+    if (!Array.isArray(references) || references.length < 2) {
+      throw new ErrorResponse('Un lettrage porte sur au moins deux lignes.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    // Une même ligne citée deux fois fausserait l'équilibre du lettrage
+    const cles = new Set(references.map(({ ecritureId, indexMouvement }) => `${ecritureId}:${Number(indexMouvement)}`));
+    if (cles.size !== references.length) {
+      throw new ErrorResponse("Une même ligne ne peut figurer qu'une fois dans un lettrage.", HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const ecritures = await EcritureComptable.find({ _id: { $in: references.map(r => r.ecritureId) } }).session(session);
+    const lignes = references.map(({ ecritureId, indexMouvement }) => {
+      const ecriture = ecritures.find(e => e._id.toString() === String(ecritureId));
+      const mouvement = ecriture?.mouvements[indexMouvement];
+      if (!mouvement) {
+        throw new ErrorResponse(`Ligne n°${indexMouvement} de l'écriture ${ecritureId} introuvable.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      if (ecriture.statut !== 'Validée') {
+        throw new ErrorResponse(`L'écriture n°${ecriture.numeroPiece} n'est pas validée et ne peut pas être lettrée.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      if (mouvement.lettrage) {
+        throw new ErrorResponse(`La ligne "${mouvement.libelle}" (pièce n°${ecriture.numeroPiece}) est déjà lettrée (${mouvement.lettrage}).`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      return { ecriture, indexMouvement: Number(indexMouvement), mouvement };
+    });
+
+    const compteId = lignes[0].mouvement.compte.toString();
+    if (lignes.some(l => l.mouvement.compte.toString() !== compteId)) {
+      throw new ErrorResponse('Toutes les lignes lettrées doivent appartenir au même compte.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    const tiers = lignes[0].mouvement.tiers?.toString();
+    if (lignes.some(l => l.mouvement.tiers?.toString() !== tiers)) {
+      throw new ErrorResponse('Toutes les lignes lettrées doivent concerner le même tiers.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const compte = await CompteComptable.findById(compteId).session(session);
+    if (!compte || !compte.estLettrable) {
+      throw new ErrorResponse(`Le compte ${compte ? compte.numero : compteId} n'est pas lettrable.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    return { compteId, lignes };
+  }
+
+  /**
+   * Pose un code de lettrage sur des lignes déjà chargées et équilibrées.
+   * @private
+   * @param {string} compteId - L'ID du compte lettré.
+   * @param {Array<object>} lignes - Les lignes ({ ecriture, indexMouvement }).
+   * @param {object} session - Session MongoDB de la transaction de lettrage.
+   * @returns {Promise<string>} Le code attribué.
+   */
+  async _poserLettrage(compteId, lignes, session) {
+    const code = await this._prochainCode(compteId, session);
+    const dateLettrage = new Date();
+    for (const { ecriture, indexMouvement } of lignes) {
+      await EcritureComptable.updateOne(
+        { _id: ecriture._id },
+        { $set: { [`mouvements.${indexMouvement}.lettrage`]: code, [`mouvements.${indexMouvement}.dateLettrage`]: dateLettrage } },
+        { session }
+      );
+    }
+    return code;
+  }
+
+  /**
+   * Lettre manuellement un ensemble de lignes. Le total des débits doit égaler le total des crédits.
+   * @param {Array<{ ecritureId: string, indexMouvement: number }>} references - Les lignes à lettrer.
+   * @returns {Promise<string>} Le code de lettrage attribué.
+   */
+  async lettrer(references) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const { compteId, lignes } = await this._chargerLignes(references, session);
+
+      const solde = roundFinancial(lignes.reduce((acc, l) => acc + (l.mouvement.debit || 0) - (l.mouvement.credit || 0), 0));
+      if (solde !== 0) {
+        throw new ErrorResponse(`Les lignes ne s'équilibrent pas (écart de ${solde}) : lettrage impossible.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      const code = await this._poserLettrage(compteId, lignes, session);
+      await session.commitTransaction();
+      return code;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Annule un lettrage : toutes les lignes portant ce code sur le compte redeviennent non lettrées.
+   * Le code n'est pas réattribué.
+   * @param {string} compteId - L'ID du compte.
+   * @param {string} code - Le code de lettrage à annuler.
+   * @returns {Promise<number>} Le nombre d'écritures modifiées.
+   */
+  async delettrer(compteId, code) {
+    const compte = new mongoose.Types.ObjectId(String(compteId));
+    const resultat = await EcritureComptable.updateMany(
+      { mouvements: { $elemMatch: { compte, lettrage: code } } },
+      { $unset: { 'mouvements.$[ligne].lettrage': '', 'mouvements.$[ligne].dateLettrage': '' } },
+      { arrayFilters: [{ 'ligne.compte': compte, 'ligne.lettrage': code }] }
+    );
+    return resultat.modifiedCount;
+  }
+
+  /**
+   * Retourne les lignes non lettrées d'un compte lettrable, éventuellement pour un seul tiers.
+   * @param {object} filtre - Critères de recherche.
+   * @param {string} [filtre.compteId] - L'ID du compte (tous les comptes lettrables sinon).
+   * @param {string} [filtre.tiersId] - L'ID du client ou du fournisseur.
+   * @returns {Promise<Array<object>>} Les lignes, les plus anciennes en premier.
+   */
+  async getLignesNonLettrees({ compteId, tiersId } = {}) {
+    const comptes = compteId
+      ? [new mongoose.Types.ObjectId(String(compteId))]
+      : (await CompteComptable.find({ estLettrable: true }).select('_id')).map(c => c._id);
+
+    const filtreLigne = { 'mouvements.compte': { $in: comptes }, 'mouvements.lettrage': { $in: [null, ''] } };
+    if (tiersId) filtreLigne['mouvements.tiers'] = new mongoose.Types.ObjectId(String(tiersId));
+
+    return EcritureComptable.aggregate([
+      { $match: { statut: 'Validée', 'mouvements.compte': { $in: comptes } } },
+      { $unwind: { path: '$mouvements', includeArrayIndex: 'indexMouvement' } },
+      { $match: filtreLigne },
+      { $sort: { dateEcriture: 1, numeroPiece: 1 } },
+      {
+        $project: {
+          _id: 0,
+          ecritureId: '$_id',
+          indexMouvement: 1,
+          numeroPiece: 1,
+          dateEcriture: 1,
+          compte: '$mouvements.compte',
+          tiers: '$mouvements.tiers',
+          tiersModel: '$mouvements.tiersModel',
+          pieceReference: '$mouvements.pieceReference',
+          libelle: '$mouvements.libelle',
+          debit: '$mouvements.debit',
+          credit: '$mouvements.credit',
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Lettre les lignes non lettrées d'une même pièce pour un tiers (une facture et ses règlements,
+   * une avance et ses imputations) si leur solde est nul.
+   * @param {string} compteId - L'ID du compte.
+   * @param {string} tiersId - L'ID du client ou du fournisseur.
+   * @param {string} pieceReference - Le numéro de la pièce.
+   * @returns {Promise<string|null>} Le code attribué, ou null si la pièce n'est pas soldée.
+   */
+  async lettrerPiece(compteId, tiersId, pieceReference) {
+    const compte = await CompteComptable.findById(compteId).select('estLettrable');
+    if (!compte || !compte.estLettrable) return null;
+
+    const lignes = (await this.getLignesNonLettrees({ compteId, tiersId })).filter(l => l.pieceReference === pieceReference);
+    const solde = roundFinancial(lignes.reduce((acc, l) => acc + (l.debit || 0) - (l.credit || 0), 0));
+    if (lignes.length < 2 || solde !== 0) return null;
+
+    return this.lettrer(lignes.map(l => ({ ecritureId: l.ecritureId, indexMouvement: l.indexMouvement })));
+  }
+
+  /**
+   * Lettrage automatique des lignes non lettrées d'un compte, tiers par tiers :
+   * 1. les lignes d'une même facture (facture, règlements partiels, avoirs) dont le solde est nul ;
+   * 2. les paires débit/crédit de même montant ;
+   * 3. toutes les lignes restantes du tiers si leur solde est nul (ex: un règlement de plusieurs factures).
+   * @param {string} compteId - L'ID du compte lettrable.
+   * @param {string} [tiersId] - Limite le lettrage à un tiers.
+   * @returns {Promise<Array<string>>} Les codes de lettrage attribués.
+   */
+  async lettrageAutomatique(compteId, tiersId) {
+    const lignesNonLettrees = await this.getLignesNonLettrees({ compteId, tiersId });
+    const parTiers = new Map();
+    lignesNonLettrees.forEach(ligne => {
+      const cle = ligne.tiers ? ligne.tiers.toString() : '';
+      if (!parTiers.has(cle)) parTiers.set(cle, []);
+      parTiers.get(cle).push(ligne);
+    });
+
+    const solde = (lignes) => roundFinancial(lignes.reduce((acc, l) => acc + (l.debit || 0) - (l.credit || 0), 0));
+    const groupes = [];
+    parTiers.forEach(lignesTiers => {
+      let restantes = lignesTiers;
+      const retirer = (groupe) => {
+        groupes.push(groupe);
+        restantes = restantes.filter(l => !groupe.includes(l));
+      };
+
+      // 1. Par facture
+      const parPiece = new Map();
+      restantes.filter(l => l.pieceReference).forEach(ligne => {
+        if (!parPiece.has(ligne.pieceReference)) parPiece.set(ligne.pieceReference, []);
+        parPiece.get(ligne.pieceReference).push(ligne);
+      });
+      parPiece.forEach(groupe => {
+        if (groupe.length >= 2 && solde(groupe) === 0) retirer(groupe);
+      });
+
+      // 2. Par montant identique
+      for (const debit of restantes.filter(l => l.debit > 0)) {
+        if (!restantes.includes(debit)) continue;
+        const credit = restantes.find(l => l.credit > 0 && roundFinancial(l.credit - debit.debit) === 0);
+        if (credit) retirer([debit, credit]);
+      }
+
+      // 3. Solde global du tiers
+      if (restantes.length >= 2 && solde(restantes) === 0) retirer(restantes);
+    });
+
+    const codes = [];
+    for (const groupe of groupes) {
+      codes.push(await this.lettrer(groupe.map(l => ({ ecritureId: l.ecritureId, indexMouvement: l.indexMouvement }))));
+    }
+    return codes;
+  }
+}
+
+module.exports = new LettrageService();
@@ -101,6 +101,33 @@ class NotificationService {
          console.error(`Erreur lors de la notification d'expédition pour le BL n°${bonLivraison.numero}:`, error);
      }
   }
+
+  /**
+   * Alerte les comptables des comptes de charges dont le réalisé du mois dépasse le budget.
+   * @param {object} budget - Le document Mongoose du budget.
+   * @param {Array<object>} depassements - { ligne, periode, budgete, realise, ecart }.
+   */
+  async notifierDepassementBudget(budget, depassements) {
+    try {
+      const periode = depassements[0].periode;
+      const utilisateursANotifier = await User.find({ role: { $in: ['Admin', 'Comptable'] }, actif: true });
+      const subject = `Alerte budget : ${depassements.length} dépassement(s) en ${periode}`;
+      const detail = depassements.map(({ ligne, budgete, realise, ecart }) => {
+        const comptes = ligne.compteDebut === ligne.compteFin ? `Compte ${ligne.compteDebut}` : `Comptes ${ligne.compteDebut} à ${ligne.compteFin}`;
+        const section = ligne.section ? ` - section ${ligne.section.code || ligne.section}` : '';
+        return `- ${comptes}${ligne.libelle ? ` (${ligne.libelle})` : ''}${section} : budget ${budgete}, réalisé ${realise}, dépassement ${ecart}`;
+      }).join('\n');
+      const text = `Les charges suivantes dépassent leur budget mensuel (${budget.libelle}, ${periode}) :\n\n${detail}`;
+
+      for (const user of utilisateursANotifier) {
+        if (user.email) {
+          await emailService.sendSimpleEmail({ to: user.email, subject, text });
+        }
+      }
+    } catch (error) {
+      console.error(`Erreur lors de la notification des dépassements du budget ${budget.libelle}:`, error);
+    }
+  }
 }
 
 // Pour la simplicité, on ajoute une méthode `sendSimpleEmail` à notre `emailService`.
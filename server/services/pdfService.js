@@ -33,19 +33,40 @@ const compileTemplate = (templateName, data) => {
 /**
  * Génère le HTML pour le tableau des lignes d'un document.
  * @param {Array<object>} lignes - Le tableau de lignes (devis, facture, etc.).
+ * @param {string} [devise='XOF'] - Code ISO de la devise du document.
  * @returns {string} - Une chaîne de caractères HTML représentant les <tr> du tableau.
  */
-const genererLignesTableau = (lignes) => {
+const genererLignesTableau = (lignes, devise = 'XOF') => {
     return lignes.map(ligne => `
       <tr class="item">
         <td>${ligne.description || ''}</td>
         <td>${(ligne.quantite || 0).toLocaleString('fr-FR')}</td>
-        <td>${(ligne.prixUnitaireHT || 0).toLocaleString('fr-FR', { style: 'currency', currency: 'XOF' })}</td>
-        <td>${(ligne.totalLigneApresRemiseHT || ligne.totalLigneHT || 0).toLocaleString('fr-FR', { style: 'currency', currency: 'XOF' })}</td>
+        <td>${(ligne.prixUnitaireHT || 0).toLocaleString('fr-FR', { style: 'currency', currency: devise })}</td>
+        <td>${(ligne.totalLigneApresRemiseHT || ligne.totalLigneHT || 0).toLocaleString('fr-FR', { style: 'currency', currency: devise })}</td>
       </tr>
     `).join('');
 };
 
+/**
+ * Formate un montant pour les états comptables (cellule vide pour un montant nul).
+ * @param {number} montant
+ * @returns {string}
+ */
+const formaterMontant = (montant) => {
+    if (!montant) return '';
+    return montant.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+};
+
+/**
+ * Formate un solde signé (débit - crédit) en indiquant son sens.
+ * @param {number} solde
+ * @returns {string} - Ex: "1 500,00 D" ou "800,00 C".
+ */
+const formaterSolde = (solde) => {
+    if (!solde) return '0,00';
+    return `${formaterMontant(Math.abs(solde))} ${solde > 0 ? 'D' : 'C'}`;
+};
+
 
 /**
  * @class PdfService
@@ -100,6 +121,9 @@ class PdfService {
    * @returns {Promise<Buffer>} - Le buffer du PDF.
    */
   async creerPdfFacture(facture, entreprise) {
+    // Montants dans la devise de la facture ; contre-valeur en XOF pour une facture en devise
+    const devise = facture.devise || 'XOF';
+    const enDevise = (montant) => montant.toLocaleString('fr-FR', { style: 'currency', currency: devise });
     const data = {
       // Entreprise
       nomEntreprise: entreprise.nomEntreprise,
@@ -113,11 +137,12 @@ class PdfService {
       dateEmission: format(new Date(facture.dateEmission), 'dd MMMM yyyy', { locale: fr }),
       dateEcheance: format(new Date(facture.dateEcheance), 'dd MMMM yyyy', { locale: fr }),
       // Lignes (sera injecté séparément)
-      lignes: genererLignesTableau(facture.lignes),
+      lignes: genererLignesTableau(facture.lignes, devise),
       // Totaux
-      totalHT: facture.totalHT.toLocaleString('fr-FR', { style: 'currency', currency: 'XOF' }),
-      totalTVA: facture.totalTVA.toLocaleString('fr-FR', { style: 'currency', currency: 'XOF' }),
-      totalTTC: facture.totalTTC.toLocaleString('fr-FR', { style: 'currency', currency: 'XOF' }),
+      totalHT: enDevise(facture.totalHT),
+      totalTVA: enDevise(facture.totalTVA),
+      totalTTC: enDevise(facture.totalTTC),
+      mentionContreValeur: devise === 'XOF' ? '' : `Contre-valeur : ${(facture.contreValeur?.totalTTC || 0).toLocaleString('fr-FR', { style: 'currency', currency: 'XOF' })} au cours de 1 ${devise} = ${facture.tauxDeChange.toLocaleString('fr-FR')} XOF.`,
       mentionsLegales: entreprise.mentionsLegalesFacture,
     };
     
@@ -128,6 +153,251 @@ class PdfService {
     return this._genererPdf(html);
   }
 
+  /**
+   * Crée le PDF du grand livre.
+   * @param {Array<object>} grandLivre - Le résultat de ReportService.getGrandLivre.
+   * @param {{ dateDebut: Date, dateFin: Date }} periode - La période couverte.
+   * @param {object} entreprise - L'objet des paramètres de l'entreprise.
+   * @returns {Promise<Buffer>} - Le buffer du PDF.
+   */
+  async creerPdfGrandLivre(grandLivre, periode, entreprise) {
+    const comptes = grandLivre.map(bloc => `
+      <div class="account-title">${bloc.compte.numero} - ${bloc.compte.libelle}</div>
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Date</th><th>Journal</th><th>Pièce</th><th>Libellé</th>
+            <th class="align-right">Débit</th><th class="align-right">Crédit</th>
+            <th class="align-right">Solde</th><th>Lettrage</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr class="report-row">
+            <td colspan="6">Report à nouveau</td>
+            <td class="align-right">${formaterSolde(bloc.soldeOuverture)}</td><td></td>
+          </tr>
+          ${bloc.lignes.map(ligne => `
+          <tr>
+            <td>${format(new Date(ligne.dateEcriture), 'dd/MM/yyyy')}</td>
+            <td>${ligne.journal || ''}</td>
+            <td>${ligne.numeroPiece}</td>
+            <td>${ligne.libelle}</td>
+            <td class="align-right">${formaterMontant(ligne.debit)}</td>
+            <td class="align-right">${formaterMontant(ligne.credit)}</td>
+            <td class="align-right">${formaterSolde(ligne.solde)}</td>
+            <td>${ligne.lettrage || ''}</td>
+          </tr>`).join('')}
+          <tr class="total-row">
+            <td colspan="4">Total compte ${bloc.compte.numero}</td>
+            <td class="align-right">${formaterMontant(bloc.totalDebit)}</td>
+            <td class="align-right">${formaterMontant(bloc.totalCredit)}</td>
+            <td class="align-right">${formaterSolde(bloc.soldeCloture)}</td><td></td>
+          </tr>
+        </tbody>
+      </table>
+    `).join('');
+
+    let html = compileTemplate('grand-livre.html', {
+      nomEntreprise: entreprise.nomEntreprise,
+      dateDebut: format(new Date(periode.dateDebut), 'dd MMMM yyyy', { locale: fr }),
+      dateFin: format(new Date(periode.dateFin), 'dd MMMM yyyy', { locale: fr }),
+      dateGeneration: format(new Date(), 'dd MMMM yyyy à HH:mm', { locale: fr }),
+    });
+    html = html.replace('{{comptes}}', comptes);
+
+    return this._genererPdf(html);
+  }
+
+  /**
+   * Crée le PDF de la balance générale à six colonnes.
+   * @param {{ classes: Array<object>, totaux: object }} balance - Le résultat de ReportService.getBalance.
+   * @param {{ dateDebut: Date, dateFin: Date }} periode - La période couverte.
+   * @param {object} entreprise - L'objet des paramètres de l'entreprise.
+   * @returns {Promise<Buffer>} - Le buffer du PDF.
+   */
+  async creerPdfBalance(balance, periode, entreprise) {
+    const colonnes = (l) => ['ouvertureDebit', 'ouvertureCredit', 'mouvementsDebit', 'mouvementsCredit', 'clotureDebit', 'clotureCredit']
+      .map(cle => `<td class="align-right">${formaterMontant(l[cle])}</td>`)
+      .join('');
+
+    const lignes = balance.classes.map(classe => `
+      ${classe.comptes.map(ligne => `
+      <tr>
+        <td>${ligne.compte.numero}</td>
+        <td>${ligne.compte.libelle}</td>
+        ${colonnes(ligne)}
+      </tr>`).join('')}
+      <tr class="class-total">
+        <td colspan="2">Total classe ${classe.classe} - ${classe.libelle}</td>
+        ${colonnes(classe.totaux)}
+      </tr>
+    `).join('') + `
+      <tr class="grand-total">
+        <td colspan="2">TOTAL GÉNÉRAL</td>
+        ${colonnes(balance.totaux)}
+      </tr>`;
+
+    let html = compileTemplate('balance.html', {
+      nomEntreprise: entreprise.nomEntreprise,
+      dateDebut: format(new Date(periode.dateDebut), 'dd MMMM yyyy', { locale: fr }),
+      dateFin: format(new Date(periode.dateFin), 'dd MMMM yyyy', { locale: fr }),
+      dateGeneration: format(new Date(), 'dd MMMM yyyy à HH:mm', { locale: fr }),
+    });
+    html = html.replace('{{lignesBalance}}', lignes);
+
+    return this._genererPdf(html);
+  }
+
+  /**
+   * Données d'en-tête communes aux états financiers annuels.
+   * @private
+   * @param {object} etat - Le bilan ou le compte de résultat (exercice et exercicePrecedent).
+   * @param {object} entreprise - L'objet des paramètres de l'entreprise.
+   * @returns {object}
+   */
+  _enteteEtatFinancier(etat, entreprise) {
+    return {
+      nomEntreprise: entreprise.nomEntreprise,
+      libelleExercice: etat.exercice.libelle,
+      dateCloture: format(new Date(etat.exercice.dateFin), 'dd MMMM yyyy', { locale: fr }),
+      anneeN: format(new Date(etat.exercice.dateFin), 'yyyy'),
+      anneeN1: etat.exercicePrecedent ? format(new Date(etat.exercicePrecedent.dateFin), 'yyyy') : 'N-1',
+      devise: entreprise.deviseParDefaut?.code || 'XOF',
+      dateGeneration: format(new Date(), 'dd MMMM yyyy à HH:mm', { locale: fr }),
+    };
+  }
+
+  /**
+   * Crée le PDF du Bilan SYSCOHADA d'un exercice.
+   * @param {object} bilan - Le résultat de EtatsFinanciersService.getBilan.
+   * @param {object} entreprise - L'objet des paramètres de l'entreprise.
+   * @returns {Promise<Buffer>} - Le buffer du PDF.
+   */
+  async creerPdfBilan(bilan, entreprise) {
+    const classeLigne = (ligne) => (ligne.type === 'Total' ? 'total-row' : 'sub-account');
+    const lignesActif = bilan.actif.map(ligne => `
+      <tr class="${classeLigne(ligne)}">
+        <td class="ref">${ligne.reference}</td>
+        <td>${ligne.libelle}</td>
+        <td class="amount">${formaterMontant(ligne.brut)}</td>
+        <td class="amount">${formaterMontant(ligne.amortissement)}</td>
+        <td class="amount">${formaterMontant(ligne.net)}</td>
+        <td class="amount">${formaterMontant(ligne.netN1)}</td>
+      </tr>`).join('');
+    const lignesPassif = bilan.passif.map(ligne => `
+      <tr class="${classeLigne(ligne)}">
+        <td class="ref">${ligne.reference}</td>
+        <td>${ligne.libelle}</td>
+        <td class="amount">${formaterMontant(ligne.net)}</td>
+        <td class="amount">${formaterMontant(ligne.netN1)}</td>
+      </tr>`).join('');
+
+    const data = {
+      ...this._enteteEtatFinancier(bilan, entreprise),
+      controleEquilibre: bilan.equilibre
+        ? 'Bilan équilibré.'
+        : `Bilan déséquilibré : actif ${formaterMontant(bilan.totalActif)} / passif ${formaterMontant(bilan.totalPassif)}.`,
+    };
+    let html = compileTemplate('bilan-comptable.html', data);
+    html = html.replace('{{lignesActif}}', lignesActif).replace('{{lignesPassif}}', lignesPassif);
+
+    return this._genererPdf(html);
+  }
+
+  /**
+   * Crée le PDF du Compte de résultat SYSCOHADA d'un exercice.
+   * @param {object} compteResultat - Le résultat de EtatsFinanciersService.getCompteResultat.
+   * @param {object} entreprise - L'objet des paramètres de l'entreprise.
+   * @returns {Promise<Buffer>} - Le buffer du PDF.
+   */
+  async creerPdfCompteResultat(compteResultat, entreprise) {
+    const lignes = compteResultat.lignes.map(ligne => `
+      <tr class="${ligne.type === 'Total' ? 'intermediate-row' : 'sub-account'}">
+        <td class="ref">${ligne.reference}</td>
+        <td>${ligne.libelle}</td>
+        <td class="amount">${formaterMontant(ligne.montantN)}</td>
+        <td class="amount">${formaterMontant(ligne.montantN1)}</td>
+      </tr>`).join('');
+
+    let html = compileTemplate('compte-resultat.html', this._enteteEtatFinancier(compteResultat, entreprise));
+    html = html.replace('{{lignesResultat}}', lignes);
+
+    return this._genererPdf(html);
+  }
+
+  /**
+   * Crée le PDF d'une déclaration mensuelle de TVA.
+   * @param {object} declaration - Le document Mongoose 'DeclarationTVA'.
+   * @param {object} entreprise - L'objet des paramètres de l'entreprise.
+   * @returns {Promise<Buffer>} - Le buffer du PDF.
+   */
+  async creerPdfDeclarationTVA(declaration, entreprise) {
+    const lignesVentilation = (ventilation) => ventilation.map(v => `
+      <tr>
+        <td>${v.taux === undefined || v.taux === null ? 'Non ventilée' : `${v.taux} %`}</td>
+        <td class="align-right">${formaterMontant(v.baseHT)}</td>
+        <td class="align-right">${formaterMontant(v.montantTVA)}</td>
+      </tr>`).join('');
+
+    const data = {
+      nomEntreprise: entreprise.nomEntreprise,
+      nineaEntreprise: entreprise.ninea || '',
+      periode: format(new Date(declaration.dateDebut), 'MMMM yyyy', { locale: fr }),
+      statut: declaration.statut,
+      totalCollectee: formaterMontant(declaration.totalCollectee) || '0,00',
+      totalDeductible: formaterMontant(declaration.totalDeductible) || '0,00',
+      creditAnterieur: formaterMontant(declaration.creditAnterieur) || '0,00',
+      tvaAPayer: formaterMontant(declaration.tvaAPayer) || '0,00',
+      creditAReporter: formaterMontant(declaration.creditAReporter) || '0,00',
+      dateGeneration: format(new Date(), 'dd MMMM yyyy à HH:mm', { locale: fr }),
+    };
+
+    let html = compileTemplate('declaration-tva.html', data);
+    html = html
+      .replace('{{lignesCollectee}}', lignesVentilation(declaration.collectee))
+      .replace('{{lignesDeductible}}', lignesVentilation(declaration.deductible));
+
+    return this._genererPdf(html);
+  }
+
+  /**
+   * Crée le PDF de l'état de rapprochement bancaire d'un relevé.
+   * @param {object} etat - Le résultat de RapprochementBancaireService.getEtatRapprochement.
+   * @param {object} entreprise - L'objet des paramètres de l'entreprise.
+   * @returns {Promise<Buffer>} - Le buffer du PDF.
+   */
+  async creerPdfEtatRapprochement(etat, entreprise) {
+    const lignesSuspens = (lignes, piece) => lignes.map(l => `
+      <tr>
+        <td>${format(new Date(l.dateEcriture || l.dateOperation), 'dd/MM/yyyy')}</td>
+        <td>${piece(l) || ''}</td>
+        <td>${l.libelle}</td>
+        <td class="align-right">${formaterMontant(l.montant)}</td>
+      </tr>`).join('');
+
+    const data = {
+      nomEntreprise: entreprise.nomEntreprise,
+      journal: `${etat.journal.code} - ${etat.journal.libelle}`,
+      compte: `${etat.compte.numero} - ${etat.compte.libelle}`,
+      referenceReleve: etat.releve.reference,
+      dateReleve: format(new Date(etat.releve.dateFin), 'dd/MM/yyyy'),
+      soldeBanque: formaterMontant(etat.soldeBanque) || '0,00',
+      soldeBanqueRapproche: formaterMontant(etat.soldeBanqueRapproche) || '0,00',
+      soldeComptable: formaterMontant(etat.soldeComptable) || '0,00',
+      soldeComptableRapproche: formaterMontant(etat.soldeComptableRapproche) || '0,00',
+      ecart: formaterMontant(etat.ecart) || '0,00',
+      dateGeneration: format(new Date(), 'dd MMMM yyyy à HH:mm', { locale: fr }),
+    };
+
+    let html = compileTemplate('etat-rapprochement.html', data);
+    html = html
+      .replace('{{lignesEncaissements}}', lignesSuspens(etat.encaissementsNonReleves, l => l.numeroPiece))
+      .replace('{{lignesDecaissements}}', lignesSuspens(etat.decaissementsNonReleves, l => l.numeroPiece))
+      .replace('{{lignesSuspensBancaires}}', lignesSuspens(etat.suspensBancaires, l => l.releve));
+
+    return this._genererPdf(html);
+  }
+
   // TODO: Implémenter creerPdfDevis, creerPdfBonLivraison, etc. sur le même modèle.
 }
 
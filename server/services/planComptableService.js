@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const CompteComptable = require('../models/CompteComptable');
+const JournalComptable = require('../models/JournalComptable');
+const Parametres = require('../models/Parametres');
+const planSyscohada = require('../data/planComptableSyscohada');
+const { normaliserEntete } = require('../utils/releveBancaire');
+const { lireTableau } = require('../utils/tableur');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+
+// Intitulés de colonnes reconnus dans un plan comptable importé
+const COLONNES_PLAN = {
+  numero: ['numero', 'numero de compte', 'compte', 'n compte', 'n de compte'],
+  libelle: ['libelle', 'intitule', 'libelle du compte', 'intitule du compte', 'designation'],
+  estLettrable: ['lettrable', 'est lettrable'],
+  compteTiers: ['compte tiers', 'compte de tiers', 'tiers'],
+  estSysteme: ['systeme', 'est systeme', 'compte systeme'],
+};
+
+/**
+ * Lit un indicateur oui / non d'un plan importé ; une cellule vide laisse la valeur par défaut.
+ * @param {string} texte
+ * @returns {boolean|undefined}
+ */
+const lireIndicateur = (texte) => {
+  const valeur = String(texte ?? '').trim().toLowerCase();
+  if (valeur === '') return undefined;
+  return ['oui', 'o', 'vrai', 'true', 'x', '1', 'yes'].includes(valeur);
+};
+
+/**
+ * @class PlanComptableService
+ * @description Initialisation de la comptabilité : import du plan comptable (plan SYSCOHADA révisé
+ * fourni, ou plan de l'entreprise en CSV / Excel), création des journaux standards et
+ * renseignement des journaux et comptes par défaut des paramètres.
+ */
+class PlanComptableService {
+
+  /**
+   * Lit les comptes d'un plan comptable en CSV ou Excel (première feuille). La première ligne
+   * porte les intitulés : numéro et libellé obligatoires ; lettrable, compte de tiers et système
+   * facultatifs (déduits du numéro s'ils sont absents).
+   * @param {string} chemin - Chemin du fichier téléversé.
+   * @param {string} [nomFichier] - Nom d'origine, pour reconnaître le format.
+   * @returns {Promise<Array<object>>} Les comptes lus { numero, libelle, estLettrable, compteTiers, estSysteme }.
+   */
+  async lireFichierPlan(chemin, nomFichier) {
+    let lignes;
+    try {
+      lignes = await lireTableau(chemin, nomFichier);
+    } catch (error) {
+      throw new ErrorResponse(error.message, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if (lignes.length < 2) {
+      throw new ErrorResponse('Le plan comptable ne contient aucun compte.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    const intitules = lignes[0].map(normaliserEntete);
+    const index = Object.fromEntries(Object.keys(COLONNES_PLAN).map(champ => [champ, intitules.findIndex(i => COLONNES_PLAN[champ].includes(i))]));
+    if (index.numero < 0 || index.libelle < 0) {
+      throw new ErrorResponse('En-tête non reconnu : les colonnes numéro et libellé sont obligatoires.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    return lignes.slice(1)
+      .filter(champs => champs.some(c => c !== ''))
+      .map((champs, i) => {
+        const numero = String(champs[index.numero] || '').replace(/\s/g, '');
+        const libelle = String(champs[index.libelle] || '').trim();
+        if (!/^[1-9][0-9]*$/.test(numero) || numero.length < 2 || numero.length > 10 || !libelle) {
+          throw new ErrorResponse(`Ligne ${i + 2} du plan comptable invalide : numéro "${numero}", libellé "${libelle}".`, HTTP_STATUS_CODES.BAD_REQUEST);
+        }
+        const compte = { numero, libelle, ...planSyscohada.indicateursParDefaut(numero) };
+        ['estLettrable', 'compteTiers', 'estSysteme'].forEach(champ => {
+          const valeur = index[champ] >= 0 ? lireIndicateur(champs[index[champ]]) : undefined;
+          if (valeur !== undefined) compte[champ] = valeur;
+        });
+        return compte;
+      });
+  }
+
+  /**
+   * Crée les comptes absents du plan et, sur demande, met à jour le libellé et les indicateurs
+   * des comptes existants (leurs soldes et leur lettrage ne sont jamais touchés).
+   * @private
+   * @param {Array<object>} comptes
+   * @param {boolean} mettreAJour
+   * @param {object} session
+   * @returns {Promise<{ crees: number, misAJour: number, inchanges: number }>}
+   */
+  async _importerComptes(comptes, mettreAJour, session) {
+    const parNumero = new Map(comptes.map(c => [c.numero, c])); // La dernière occurrence l'emporte
+    const existants = await CompteComptable.find({ numero: { $in: [...parNumero.keys()] } }).session(session);
+    const numerosExistants = new Set(existants.map(c => c.numero));
+
+    // insertMany ne passe pas par le pre-save : classe, type et sens sont déduits ici
+    const nouveaux = [...parNumero.values()]
+      .filter(c => !numerosExistants.has(c.numero))
+      .map(c => ({ ...c, ...CompteComptable.deduireCaracteristiques(c.numero) }));
+    if (nouveaux.length > 0) {
+      await CompteComptable.insertMany(nouveaux, { session });
+    }
+
+    let misAJour = 0;
+    if (mettreAJour) {
+      const modifications = existants
+        .map(existant => ({ existant, compte: parNumero.get(existant.numero) }))
+        .filter(({ existant, compte }) => ['libelle', 'estLettrable', 'compteTiers', 'estSysteme'].some(champ => existant[champ] !== compte[champ]));
+      if (modifications.length > 0) {
+        await CompteComptable.bulkWrite(modifications.map(({ existant, compte }) => ({
+          updateOne: {
+            filter: { _id: existant._id },
+            update: { $set: { libelle: compte.libelle, estLettrable: compte.estLettrable, compteTiers: compte.compteTiers, estSysteme: compte.estSysteme } },
+          }
+        })), { session });
+      }
+      misAJour = modifications.length;
+    }
+
+    return { crees: nouveaux.length, misAJour, inchanges: existants.length - misAJour };
+  }
+
+  /**
+   * Crée les journaux standards absents (VT, AC, BQ, CA, OD, AN) ; un journal dont le code existe
+   * déjà est conservé tel quel.
+   * @private
+   * @param {Map<string, object>} comptes - Comptes par numéro.
+   * @param {object} session
+   * @returns {Promise<{ journaux: Map<string, object>, crees: Array<string> }>}
+   */
+  async _creerJournaux(comptes, session) {
+    const existants = await JournalComptable.find({ code: { $in: planSyscohada.journaux.map(j => j.code) } }).session(session);
+    const journaux = new Map(existants.map(j => [j.code, j]));
+
+    const aCreer = planSyscohada.journaux
+      .filter(j => !journaux.has(j.code))
+      .map(j => ({
+        code: j.code,
+        libelle: j.libelle,
+        type: j.type,
+        compteContrepartie: j.compteContrepartie ? comptes.get(j.compteContrepartie)?._id : undefined,
+        estSysteme: true,
+      }));
+    if (aCreer.length > 0) {
+      const crees = await JournalComptable.create(aCreer, { session, ordered: true });
+      crees.forEach(j => journaux.set(j.code, j));
+    }
+
+    return { journaux, crees: aCreer.map(j => j.code) };
+  }
+
+  /**
+   * Renseigne les journaux et comptes par défaut encore vides des paramètres ; les choix déjà
+   * faits sont conservés. Les comptes ainsi câblés deviennent des comptes système.
+   * @private
+   * @param {Map<string, object>} comptes - Comptes par numéro.
+   * @param {Map<string, object>} journaux - Journaux par code.
+   * @param {object} session
+   * @returns {Promise<{ renseignes: Array<string>, manquants: Array<string> }|null>} null si les paramètres ne sont pas initialisés.
+   */
+  async _cablerParametres(comptes, journaux, session) {
+    const params = await Parametres.findOne().session(session);
+    if (!params) {
+      return null;
+    }
+
+    const renseignes = [];
+    const manquants = [];
+    const renseigner = (champ, document) => {
+      if (params[champ]) return;
+      if (document) {
+        params[champ] = document._id;
+        renseignes.push(champ);
+      } else {
+        manquants.push(champ);
+      }
+    };
+
+    planSyscohada.journaux.filter(j => j.parametre).forEach(j => renseigner(j.parametre, journaux.get(j.code)));
+    Object.entries(planSyscohada.comptesParametres).forEach(([champ, numero]) => renseigner(champ, comptes.get(numero)));
+    await params.save({ session });
+
+    const comptesCables = Object.keys(planSyscohada.comptesParametres).map(champ => params[champ]).filter(Boolean);
+    await CompteComptable.updateMany({ _id: { $in: comptesCables } }, { estSysteme: true }, { session });
+
+    return { renseignes, manquants };
+  }
+
+  /**
+   * Initialise la comptabilité : importe le plan comptable, crée les journaux standards et
+   * renseigne les paramètres, en une seule transaction.
+   * @param {object} [options]
+   * @param {Array<object>} [options.comptes] - Plan de l'entreprise (voir lireFichierPlan) ; à défaut, le plan SYSCOHADA révisé fourni.
+   * @param {boolean} [options.mettreAJour=false] - Met aussi à jour le libellé et les indicateurs des comptes existants.
+   * @returns {Promise<object>} Le compte rendu de l'import.
+   */
+  async importerPlanComptable({ comptes, mettreAJour = false } = {}) {
+    const plan = comptes || planSyscohada.comptes;
+    if (plan.length === 0) {
+      throw new ErrorResponse('Le plan comptable ne contient aucun compte.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const rapportComptes = await this._importerComptes(plan, mettreAJour, session);
+
+      const numerosUtiles = [...Object.values(planSyscohada.comptesParametres), ...planSyscohada.journaux.map(j => j.compteContrepartie).filter(Boolean)];
+      const comptesUtiles = await CompteComptable.find({ numero: { $in: numerosUtiles }, actif: true }).session(session);
+      const parNumero = new Map(comptesUtiles.map(c => [c.numero, c]));
+
+      const { journaux, crees } = await this._creerJournaux(parNumero, session);
+      const parametres = await this._cablerParametres(parNumero, journaux, session);
+
+      await session.commitTransaction();
+      return {
+        source: comptes ? 'Fichier' : 'SYSCOHADA',
+        comptes: rapportComptes,
+        journauxCrees: crees,
+        parametres,
+      };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+module.exports = new PlanComptableService();
@@ -0,0 +1,632 @@
+const mongoose = require('mongoose');
+const EcritureComptable = require('../models/EcritureComptable');
+const CompteComptable = require('../models/CompteComptable');
+const JournalComptable = require('../models/JournalComptable');
+const Paiement = require('../models/Paiement');
+const ReleveBancaire = require('../models/ReleveBancaire');
+const Parametres = require('../models/Parametres');
+const comptabiliteService = require('./comptabiliteService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { lireReleveBancaire } = require('../utils/releveBancaire');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+const { roundFinancial } = require('../utils/calculations');
+
+const MS_PAR_JOUR = 24 * 60 * 60 * 1000;
+
+// Écart de dates toléré par défaut entre l'opération bancaire et l'écriture comptable
+const FENETRE_RAPPROCHEMENT_JOURS = 5;
+
+/**
+ * Nombre de jours entre deux dates (valeur absolue).
+ * @param {Date} a
+ * @param {Date} b
+ * @returns {number}
+ */
+const ecartJours = (a, b) => Math.abs(new Date(a) - new Date(b)) / MS_PAR_JOUR;
+
+/**
+ * @class RapprochementBancaireService
+ * @description Import des relevés bancaires d'un journal de trésorerie et rapprochement de leurs
+ * opérations avec les lignes d'écritures du compte de banque : automatique (référence du paiement,
+ * puis montant et dates proches), manuel, ou comptabilisation des opérations absentes des livres
+ * (frais bancaires, agios...). Produit l'état de rapprochement bancaire.
+ */
+class RapprochementBancaireService {
+
+  /**
+   * Lignes d'écritures validées du compte de banque qui ne sont pointées sur aucun relevé.
+   * @private
+   * @param {ObjectId} compteId - Le compte de banque.
+   * @param {object} [filtreDate] - Filtre MongoDB sur la date d'écriture.
+   * @param {object} [session]
+   * @returns {Promise<Array<object>>} Lignes { ecritureId, numeroPiece, dateEcriture, indexMouvement, libelle, montant, documentOrigine }.
+   */
+  async _lignesNonPointees(compteId, filtreDate, session) {
+    const matchDate = filtreDate ? { dateEcriture: filtreDate } : {};
+    return EcritureComptable.aggregate([
+      {
+        $match: {
+          statut: 'Validée',
+          ...matchDate,
+          'mouvements.compte': compteId,
+          // Les à-nouveaux reprennent un solde, pas une opération bancaire
+          'documentOrigine.documentModel': { $ne: 'Exercice' },
+        }
+      },
+      { $unwind: { path: '$mouvements', includeArrayIndex: 'indexMouvement' } },
+      { $match: { 'mouvements.compte': compteId, 'mouvements.releveBancaire': { $exists: false } } },
+      {
+        $project: {
+          _id: 0,
+          ecritureId: '$_id',
+          numeroPiece: 1,
+          dateEcriture: 1,
+          indexMouvement: 1,
+          libelle: '$mouvements.libelle',
+          montant: { $round: [{ $subtract: ['$mouvements.debit', '$mouvements.credit'] }, 2] },
+          documentOrigine: 1,
+        }
+      },
+      { $sort: { dateEcriture: 1, numeroPiece: 1 } }
+    ]).session(session || null);
+  }
+
+  /**
+   * Pointe une opération du relevé sur une ligne d'écriture (dans la transaction fournie).
+   * @private
+   * @param {object} releve - Le relevé (document Mongoose).
+   * @param {number} indexLigne - Position de l'opération dans le relevé.
+   * @param {object} ligneComptable - { ecritureId, indexMouvement, paiement? }.
+   * @param {string} mode - 'Automatique' ou 'Manuel'.
+   * @param {object} session
+   */
+  async _pointer(releve, indexLigne, ligneComptable, mode, session) {
+    const dateRapprochement = new Date();
+    await EcritureComptable.updateOne(
+      { _id: ligneComptable.ecritureId },
+      {
+        $set: {
+          [`mouvements.${ligneComptable.indexMouvement}.releveBancaire`]: releve._id,
+          [`mouvements.${ligneComptable.indexMouvement}.dateRapprochement`]: dateRapprochement,
+        }
+      },
+      { session }
+    );
+
+    const ligne = releve.lignes[indexLigne];
+    ligne.statut = 'Rapprochée';
+    ligne.ecriture = ligneComptable.ecritureId;
+    ligne.indexMouvement = ligneComptable.indexMouvement;
+    ligne.paiement = ligneComptable.paiement;
+    ligne.modeRapprochement = mode;
+    ligne.dateRapprochement = dateRapprochement;
+  }
+
+  /**
+   * Charge un relevé et l'une de ses opérations.
+   * @private
+   * @param {string} releveId
+   * @param {number} indexLigne
+   * @param {object} [session]
+   * @returns {Promise<{ releve: object, ligne: object, index: number }>}
+   */
+  async _chargerLigne(releveId, indexLigne, session) {
+    const releve = await ReleveBancaire.findById(releveId).session(session || null);
+    if (!releve) {
+      throw new ErrorResponse(`Relevé bancaire non trouvé avec l'ID ${releveId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    const index = Number(indexLigne);
+    const ligne = releve.lignes[index];
+    if (!ligne) {
+      throw new ErrorResponse(`Opération n°${indexLigne} introuvable sur le relevé ${releve.reference}.`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    return { releve, ligne, index };
+  }
+
+  /**
+   * Importe un relevé bancaire pour un journal de trésorerie, puis lance le rapprochement automatique.
+   * @param {object} donnees
+   * @param {string} donnees.contenu - Contenu texte du fichier.
+   * @param {string} donnees.journalId - Le journal de trésorerie (banque) concerné.
+   * @param {string} [donnees.format] - 'CSV', 'OFX' ou 'CAMT.053' ; détecté s'il est absent.
+   * @param {string} [donnees.reference] - Numéro du relevé, sinon celui du fichier ou son nom.
+   * @param {number} [donnees.soldeInitial] - Obligatoire si le fichier ne le porte pas et qu'aucun relevé ne précède.
+   * @param {number} [donnees.soldeFinal]
+   * @param {string} [donnees.fichier] - Chemin du fichier importé.
+   * @param {string} [donnees.nomFichier] - Nom d'origine du fichier.
+   * @param {string} userId - L'ID de l'utilisateur qui importe.
+   * @returns {Promise<{ releve: object, rapprochees: number }>}
+   */
+  async importerReleve(donnees, userId) {
+    const journal = await JournalComptable.findById(donnees.journalId);
+    if (!journal || journal.type !== 'Trésorerie') {
+      throw new ErrorResponse('Le relevé doit être importé dans un journal de trésorerie.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if (!journal.compteContrepartie) {
+      throw new ErrorResponse(`Le journal ${journal.code} n'a pas de compte de banque associé.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    let lu;
+    try {
+      lu = lireReleveBancaire(donnees.contenu, donnees.format);
+    } catch (error) {
+      throw new ErrorResponse(error.message, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if (lu.lignes.length === 0) {
+      throw new ErrorResponse('Le relevé ne contient aucune opération.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    const lignes = [...lu.lignes].sort((a, b) => a.dateOperation - b.dateOperation);
+    const totalOperations = roundFinancial(lignes.reduce((acc, l) => acc + l.montant, 0));
+
+    // Le solde initial est, à défaut, le solde final du relevé précédent du journal
+    let soldeInitial = donnees.soldeInitial !== undefined && donnees.soldeInitial !== '' ? Number(donnees.soldeInitial) : lu.soldeInitial;
+    if (soldeInitial === undefined) {
+      const precedent = await ReleveBancaire.findOne({ journal: journal._id }).sort({ dateFin: -1 });
+      if (!precedent) {
+        throw new ErrorResponse('Le solde initial du relevé est obligatoire pour le premier relevé du journal.', HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      soldeInitial = precedent.soldeFinal;
+    }
+    const soldeFinal = donnees.soldeFinal !== undefined && donnees.soldeFinal !== ''
+      ? Number(donnees.soldeFinal)
+      : lu.soldeFinal ?? roundFinancial(soldeInitial + totalOperations);
+
+    const reference = donnees.reference || lu.reference || donnees.nomFichier;
+    if (await ReleveBancaire.exists({ journal: journal._id, reference })) {
+      throw new ErrorResponse(`Ce relevé a déjà été importé pour ce journal.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const releve = await ReleveBancaire.create({
+      reference,
+      journal: journal._id,
+      compte: journal.compteContrepartie,
+      format: lu.format,
+      fichier: donnees.fichier,
+      devise: lu.devise,
+      dateDebut: lu.dateDebut || lignes[0].dateOperation,
+      dateFin: lu.dateFin || lignes[lignes.length - 1].dateOperation,
+      soldeInitial,
+      soldeFinal,
+      lignes,
+      importePar: userId,
+    });
+
+    const { rapprochees } = await this.rapprocherAutomatiquement(releve._id);
+    return { releve: await ReleveBancaire.findById(releve._id), rapprochees };
+  }
+
+  /**
+   * Rapproche automatiquement les opérations non rapprochées d'un relevé :
+   * 1. par la référence externe d'un paiement de même montant, et l'écriture de ce paiement ;
+   * 2. à défaut, par le montant, avec la ligne d'écriture la plus proche en date dans la fenêtre
+   *    tolérée (l'opération est laissée au pointage manuel si plusieurs lignes sont aussi proches).
+   * @param {string} releveId
+   * @param {number} [fenetreJours=5] - Écart de dates toléré, en jours.
+   * @returns {Promise<{ releve: object, rapprochees: number }>}
+   */
+  async rapprocherAutomatiquement(releveId, fenetreJours = FENETRE_RAPPROCHEMENT_JOURS) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const releve = await ReleveBancaire.findById(releveId).session(session);
+      if (!releve) {
+        throw new ErrorResponse(`Relevé bancaire non trouvé avec l'ID ${releveId}`, HTTP_STATUS_CODES.NOT_FOUND);
+      }
+
+      const marge = fenetreJours * MS_PAR_JOUR;
+      const disponibles = await this._lignesNonPointees(releve.compte, {
+        $gte: new Date(releve.dateDebut.getTime() - marge),
+        $lte: new Date(releve.dateFin.getTime() + marge),
+      }, session);
+
+      const references = releve.lignes
+        .filter(l => l.statut === 'Non rapprochée' && l.referenceExterne)
+        .map(l => l.referenceExterne);
+      const paiements = references.length > 0
+        ? await Paiement.find({ statut: 'Validé', referenceExterne: { $in: references } }).session(session)
+        : [];
+
+      let rapprochees = 0;
+      for (const [index, ligne] of releve.lignes.entries()) {
+        if (ligne.statut !== 'Non rapprochée') continue;
+
+        let retenue = null;
+
+        // 1. Référence du paiement
+        const paiement = paiements.find(p =>
+          p.referenceExterne === ligne.referenceExterne &&
+          p.montant === Math.abs(ligne.montant) &&
+          (p.direction === 'Entrant') === (ligne.montant > 0)
+        );
+        if (paiement) {
+          retenue = disponibles.find(d =>
+            d.documentOrigine?.documentId?.toString() === paiement._id.toString() && d.montant === ligne.montant
+          );
+          if (retenue) retenue = { ...retenue, paiement: paiement._id };
+        }
+
+        // 2. Montant et date la plus proche
+        if (!retenue) {
+          const candidates = disponibles
+            .filter(d => d.montant === ligne.montant && ecartJours(d.dateEcriture, ligne.dateOperation) <= fenetreJours)
+            .sort((a, b) => ecartJours(a.dateEcriture, ligne.dateOperation) - ecartJours(b.dateEcriture, ligne.dateOperation));
+          const ambigu = candidates.length > 1 &&
+            ecartJours(candidates[0].dateEcriture, ligne.dateOperation) === ecartJours(candidates[1].dateEcriture, ligne.dateOperation);
+          if (candidates.length > 0 && !ambigu) retenue = candidates[0];
+        }
+
+        if (retenue) {
+          await this._pointer(releve, index, retenue, 'Automatique', session);
+          disponibles.splice(disponibles.findIndex(d =>
+            d.ecritureId.toString() === retenue.ecritureId.toString() && d.indexMouvement === retenue.indexMouvement
+          ), 1);
+          rapprochees++;
+        }
+      }
+
+      await releve.save({ session });
+      await session.commitTransaction();
+      return { releve, rapprochees };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Propose, pour une opération du relevé, les lignes d'écritures non pointées de même montant,
+   * les plus proches en date d'abord.
+   * @param {string} releveId
+   * @param {number} indexLigne
+   * @returns {Promise<Array<object>>}
+   */
+  async getCandidats(releveId, indexLigne) {
+    const { releve, ligne } = await this._chargerLigne(releveId, indexLigne);
+    const lignes = await this._lignesNonPointees(releve.compte);
+    return lignes
+      .filter(l => l.montant === ligne.montant)
+      .map(l => ({ ...l, ecartJours: Math.round(ecartJours(l.dateEcriture, ligne.dateOperation)) }))
+      .sort((a, b) => a.ecartJours - b.ecartJours);
+  }
+
+  /**
+   * Pointe manuellement une opération du relevé sur une ligne d'écriture du compte de banque.
+   * @param {string} releveId
+   * @param {number} indexLigne - Position de l'opération dans le relevé.
+   * @param {{ ecritureId: string, indexMouvement: number }} reference - La ligne d'écriture.
+   * @returns {Promise<object>} Le relevé mis à jour.
+   */
+  async rapprocherLigne(releveId, indexLigne, { ecritureId, indexMouvement }) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const { releve, ligne, index } = await this._chargerLigne(releveId, indexLigne, session);
+      if (ligne.statut !== 'Non rapprochée') {
+        throw new ErrorResponse(`L'opération "${ligne.libelle}" est déjà ${ligne.statut.toLowerCase()}.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      const ecriture = await EcritureComptable.findById(ecritureId).session(session);
+      const mouvement = ecriture?.mouvements[indexMouvement];
+      if (!mouvement) {
+        throw new ErrorResponse(`Ligne n°${indexMouvement} de l'écriture ${ecritureId} introuvable.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      if (ecriture.statut !== 'Validée') {
+        throw new ErrorResponse(`L'écriture n°${ecriture.numeroPiece} n'est pas validée.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      if (mouvement.compte.toString() !== releve.compte.toString()) {
+        throw new ErrorResponse(`La ligne "${mouvement.libelle}" ne porte pas sur le compte de banque du relevé.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      if (mouvement.releveBancaire) {
+        throw new ErrorResponse(`La ligne "${mouvement.libelle}" (pièce n°${ecriture.numeroPiece}) est déjà pointée sur un relevé.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      const montant = roundFinancial(mouvement.debit - mouvement.credit);
+      if (montant !== ligne.montant) {
+        throw new ErrorResponse(`Montants différents : ${ligne.montant} sur le relevé, ${montant} en comptabilité.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      await this._pointer(releve, index, {
+        ecritureId: ecriture._id,
+        indexMouvement: Number(indexMouvement),
+        paiement: ecriture.documentOrigine?.documentModel === 'Paiement' ? ecriture.documentOrigine.documentId : undefined,
+      }, 'Manuel', session);
+
+      await releve.save({ session });
+      await session.commitTransaction();
+      return releve;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Annule le rapprochement d'une opération. Une opération comptabilisée depuis le relevé ne peut
+   * pas être dépointée : son écriture doit d'abord être contre-passée.
+   * @param {string} releveId
+   * @param {number} indexLigne
+   * @returns {Promise<object>} Le relevé mis à jour.
+   */
+  async annulerRapprochement(releveId, indexLigne) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const { releve, ligne } = await this._chargerLigne(releveId, indexLigne, session);
+      if (ligne.statut !== 'Rapprochée') {
+        throw new ErrorResponse(ligne.statut === 'Comptabilisée'
+          ? `L'opération "${ligne.libelle}" a été comptabilisée depuis le relevé et ne peut pas être dépointée.`
+          : `L'opération "${ligne.libelle}" n'est pas rapprochée.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      await EcritureComptable.updateOne(
+        { _id: ligne.ecriture },
+        {
+          $unset: {
+            [`mouvements.${ligne.indexMouvement}.releveBancaire`]: '',
+            [`mouvements.${ligne.indexMouvement}.dateRapprochement`]: '',
+          }
+        },
+        { session }
+      );
+
+      ligne.statut = 'Non rapprochée';
+      ligne.ecriture = undefined;
+      ligne.indexMouvement = undefined;
+      ligne.paiement = undefined;
+      ligne.modeRapprochement = undefined;
+      ligne.dateRapprochement = undefined;
+
+      await releve.save({ session });
+      await session.commitTransaction();
+      return releve;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Comptabilise une opération du relevé absente des livres (frais bancaires, agios, prélèvement...)
+   * dans le journal du relevé, contre le compte indiqué (631 - Frais bancaires par défaut),
+   * et la pointe sur la ligne de banque de l'écriture créée.
+   * @param {string} releveId
+   * @param {number} indexLigne
+   * @param {object} options
+   * @param {string} [options.compteId] - Le compte de contrepartie.
+   * @param {string} [options.libelle] - Libellé de l'écriture, celui de l'opération par défaut.
+   * @param {string} userId - L'ID de l'utilisateur.
+   * @returns {Promise<{ releve: object, ecriture: object }>}
+   */
+  async comptabiliserLigne(releveId, indexLigne, { compteId, libelle } = {}, userId) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const { releve, ligne, index } = await this._chargerLigne(releveId, indexLigne, session);
+      if (ligne.statut !== 'Non rapprochée') {
+        throw new ErrorResponse(`L'opération "${ligne.libelle}" est déjà ${ligne.statut.toLowerCase()}.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      const params = await Parametres.get();
+      const contrepartieId = compteId || params?.compteFraisBancairesDefaut;
+      const contrepartie = contrepartieId ? await CompteComptable.findById(contrepartieId).session(session) : null;
+      if (!contrepartie) {
+        throw new ErrorResponse("Indiquez le compte de contrepartie de l'opération (aucun compte de frais bancaires par défaut n'est configuré).", HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      if (contrepartie._id.toString() === releve.compte.toString()) {
+        throw new ErrorResponse("Le compte de contrepartie ne peut pas être le compte de banque lui-même.", HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      const journal = await JournalComptable.findById(releve.journal).session(session);
+      const montant = Math.abs(ligne.montant);
+      const libelleEcriture = libelle || ligne.libelle;
+      const encaissement = ligne.montant > 0;
+      const dateRapprochement = new Date();
+
+      const ecriture = await comptabiliteService._creerEcriture({
+        numeroPiece: `RB-${journal.code}-${releve.reference}-${index + 1}`,
+        dateEcriture: ligne.dateOperation,
+        journal: journal._id,
+        libelle: libelleEcriture,
+        documentOrigine: {
+          documentId: releve._id,
+          documentModel: 'ReleveBancaire',
+          documentNumero: releve.reference
+        },
+        creePar: userId,
+        validePar: userId,
+        mouvements: [
+          {
+            compte: releve.compte,
+            libelle: libelleEcriture,
+            debit: encaissement ? montant : 0,
+            credit: encaissement ? 0 : montant,
+            releveBancaire: releve._id,
+            dateRapprochement,
+          },
+          {
+            compte: contrepartie._id,
+            libelle: libelleEcriture,
+            debit: encaissement ? 0 : montant,
+            credit: encaissement ? montant : 0,
+          },
+        ],
+      }, session);
+
+      ligne.statut = 'Comptabilisée';
+      ligne.ecriture = ecriture._id;
+      ligne.indexMouvement = 0;
+      ligne.modeRapprochement = 'Manuel';
+      ligne.dateRapprochement = dateRapprochement;
+
+      await releve.save({ session });
+      await session.commitTransaction();
+      return { releve, ecriture };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Supprime un relevé et dépointe les lignes d'écritures rapprochées. Refusé si une opération
+   * a été comptabilisée depuis le relevé.
+   * @param {string} releveId
+   */
+  async supprimerReleve(releveId) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const releve = await ReleveBancaire.findById(releveId).session(session);
+      if (!releve) {
+        throw new ErrorResponse(`Relevé bancaire non trouvé avec l'ID ${releveId}`, HTTP_STATUS_CODES.NOT_FOUND);
+      }
+      if (releve.lignes.some(l => l.statut === 'Comptabilisée')) {
+        throw new ErrorResponse(`Des écritures ont été passées depuis le relevé ${releve.reference} : il ne peut plus être supprimé.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      for (const ligne of releve.lignes.filter(l => l.statut === 'Rapprochée')) {
+        await EcritureComptable.updateOne(
+          { _id: ligne.ecriture },
+          {
+            $unset: {
+              [`mouvements.${ligne.indexMouvement}.releveBancaire`]: '',
+              [`mouvements.${ligne.indexMouvement}.dateRapprochement`]: '',
+            }
+          },
+          { session }
+        );
+      }
+      await releve.deleteOne({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * État de rapprochement bancaire à la date de fin d'un relevé : solde du relevé et solde du
+   * compte de banque en comptabilité, justifiés par les suspens de part et d'autre.
+   * - Suspens comptables : lignes du compte datées au plus tard de la fin du relevé et non
+   *   pointées à cette date (chèques émis non encaissés, remises non créditées...).
+   * - Suspens bancaires : opérations des relevés du journal jusqu'à cette date, ni rapprochées
+   *   ni comptabilisées.
+   * @param {string} releveId
+   * @returns {Promise<object>}
+   */
+  async getEtatRapprochement(releveId) {
+    const releve = await ReleveBancaire.findById(releveId)
+      .populate('journal', 'code libelle')
+      .populate('compte', 'numero libelle');
+    if (!releve) {
+      throw new ErrorResponse(`Relevé bancaire non trouvé avec l'ID ${releveId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+
+    // Les lignes pointées sur un relevé postérieur étaient encore en suspens à cette date ; celles
+    // antérieures au premier relevé importé sont réputées rapprochées hors de l'application
+    const relevesPosterieurs = await ReleveBancaire.find({ compte: releve.compte._id, dateFin: { $gt: releve.dateFin } }).select('_id');
+    const premierReleve = await ReleveBancaire.findOne({ compte: releve.compte._id }).sort({ dateDebut: 1 }).select('dateDebut');
+    const debutSuspens = new Date(premierReleve.dateDebut.getTime() - FENETRE_RAPPROCHEMENT_JOURS * MS_PAR_JOUR);
+    const [livres] = await EcritureComptable.aggregate([
+      {
+        $match: {
+          statut: 'Validée',
+          dateEcriture: { $lte: releve.dateFin },
+          'mouvements.compte': releve.compte._id,
+          'documentOrigine.documentModel': { $ne: 'Exercice' },
+        }
+      },
+      { $unwind: { path: '$mouvements', includeArrayIndex: 'indexMouvement' } },
+      { $match: { 'mouvements.compte': releve.compte._id } },
+      {
+        $facet: {
+          solde: [{ $group: { _id: null, montant: { $sum: { $subtract: ['$mouvements.debit', '$mouvements.credit'] } } } }],
+          suspens: [
+            {
+              $match: {
+                dateEcriture: { $gte: debutSuspens },
+                $or: [
+                  { 'mouvements.releveBancaire': { $exists: false } },
+                  { 'mouvements.releveBancaire': { $in: relevesPosterieurs.map(r => r._id) } },
+                ]
+              }
+            },
+            {
+              $project: {
+                _id: 0,
+                ecritureId: '$_id',
+                numeroPiece: 1,
+                dateEcriture: 1,
+                indexMouvement: 1,
+                libelle: '$mouvements.libelle',
+                montant: { $round: [{ $subtract: ['$mouvements.debit', '$mouvements.credit'] }, 2] },
+              }
+            },
+            { $sort: { dateEcriture: 1, numeroPiece: 1 } }
+          ],
+        }
+      }
+    ]);
+
+    const relevesJournal = await ReleveBancaire.find({
+      journal: releve.journal._id,
+      dateFin: { $lte: releve.dateFin },
+      'lignes.statut': 'Non rapprochée',
+    }).sort({ dateFin: 1 });
+    const suspensBancaires = relevesJournal.flatMap(r => r.lignes
+      .filter(l => l.statut === 'Non rapprochée')
+      .map(l => ({
+        releve: r.reference,
+        dateOperation: l.dateOperation,
+        libelle: l.libelle,
+        montant: l.montant,
+        referenceExterne: l.referenceExterne,
+      })));
+
+    const suspensComptables = livres.suspens;
+    const somme = (lignes) => roundFinancial(lignes.reduce((acc, l) => acc + l.montant, 0));
+    const encaissementsNonReleves = suspensComptables.filter(l => l.montant > 0);
+    const decaissementsNonReleves = suspensComptables.filter(l => l.montant < 0);
+    const soldeBanque = releve.soldeFinal;
+    const soldeComptable = roundFinancial(livres.solde[0]?.montant || 0);
+
+    // Chaque solde est corrigé des opérations que l'autre partie a déjà enregistrées
+    const soldeBanqueRapproche = roundFinancial(soldeBanque + somme(suspensComptables));
+    const soldeComptableRapproche = roundFinancial(soldeComptable + somme(suspensBancaires));
+
+    return {
+      releve: {
+        _id: releve._id,
+        reference: releve.reference,
+        dateDebut: releve.dateDebut,
+        dateFin: releve.dateFin,
+        statut: releve.statut,
+      },
+      journal: releve.journal,
+      compte: releve.compte,
+      soldeBanque,
+      soldeComptable,
+      encaissementsNonReleves,
+      decaissementsNonReleves,
+      suspensBancaires,
+      totalEncaissementsNonReleves: somme(encaissementsNonReleves),
+      totalDecaissementsNonReleves: somme(decaissementsNonReleves),
+      totalSuspensBancaires: somme(suspensBancaires),
+      soldeBanqueRapproche,
+      soldeComptableRapproche,
+      ecart: roundFinancial(soldeBanqueRapproche - soldeComptableRapproche),
+    };
+  }
+}
+
+module.exports = new RapprochementBancaireService();
@@ -0,0 +1,338 @@
+const mongoose = require('mongoose');
+const Paiement = require('../models/Paiement');
+const Facture = require('../models/Facture');
+const Client = require('../models/Client');
+const Parametres = require('../models/Parametres');
+const comptabiliteService = require('./comptabiliteService');
+const deviseService = require('./deviseService');
+const lettrageService = require('./lettrageService');
+const calculService = require('./calculService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { generateDocumentNumber } = require('../utils/helpers');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+const { roundFinancial } = require('../utils/calculations');
+const { DEVISE_REFERENCE } = require('../utils/devises');
+
+// Statuts d'une facture qui attend encore un règlement
+const STATUTS_A_REGLER = ['Envoyée', 'Partiellement payée', 'En retard'];
+
+/**
+ * Reste dû d'une facture, avoirs déduits.
+ * @param {object} facture
+ * @returns {number}
+ */
+const resteDu = (facture) => calculService.calculerSoldeRestant(facture.totalTTC - (facture.montantAvoirs || 0), facture.montantPaye);
+
+/**
+ * @class ReglementClientService
+ * @description Règlements clients répartis sur plusieurs factures (les plus anciennes d'abord ou
+ * selon une répartition saisie). L'excédent d'un règlement est conservé en avance client (4191),
+ * imputable ensuite sur de prochaines factures ; chaque facture soldée est lettrée avec ses
+ * règlements. Les erreurs de saisie sont levées en ErrorResponse (400 ou 404) ; toute autre
+ * erreur annule la transaction et remonte telle quelle.
+ */
+class ReglementClientService {
+
+  /**
+   * Vérifie qu'une facture peut recevoir un règlement du client dans la devise donnée.
+   * @private
+   * @param {object} facture
+   * @param {string} clientId
+   * @param {string} devise
+   */
+  _verifierFacture(facture, clientId, devise) {
+    if (String(facture.client._id || facture.client) !== String(clientId)) {
+      throw new ErrorResponse(`La facture n°${facture.numero} n'appartient pas à ce client.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if (!STATUTS_A_REGLER.includes(facture.statut)) {
+      throw new ErrorResponse(`Impossible de régler la facture n°${facture.numero} au statut '${facture.statut}'.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+    if ((facture.devise || DEVISE_REFERENCE) !== devise) {
+      throw new ErrorResponse(`La facture n°${facture.numero} est en ${facture.devise || DEVISE_REFERENCE} : un règlement ne porte que sur des factures de sa devise (${devise}).`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+  }
+
+  /**
+   * Répartit un règlement sur les factures d'un client :
+   * - 'Anteriorite' : les factures à régler (toutes, ou celles désignées), les plus anciennes d'abord ;
+   * - 'Manuelle' : le montant saisi pour chaque facture, plafonné à son reste dû.
+   * @param {object} reglement
+   * @param {string} reglement.clientId
+   * @param {number} reglement.montant - Montant du règlement, dans sa devise.
+   * @param {string} reglement.devise
+   * @param {'Anteriorite'|'Manuelle'} [reglement.modeRepartition='Anteriorite']
+   * @param {Array<string>} [reglement.factures] - Factures à régler, en répartition par antériorité.
+   * @param {Array<{ facture: string, montant: number }>} [reglement.imputations] - Répartition manuelle.
+   * @param {object} [session] - Session MongoDB de la transaction qui enregistre le règlement.
+   * @returns {Promise<{ factures: Array<object>, repartition: Array<object>, excedent: number }>}
+   * L'excédent est à conserver en avance client.
+   */
+  async repartir({ clientId, montant, devise, modeRepartition = 'Anteriorite', factures: factureIds, imputations }, session) {
+    if (modeRepartition === 'Manuelle') {
+      if (!Array.isArray(imputations) || imputations.length === 0) {
+        throw new ErrorResponse('Une répartition manuelle indique le montant imputé sur chaque facture.', HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      const ids = imputations.map(i => String(i.facture));
+      if (new Set(ids).size !== ids.length) {
+        throw new ErrorResponse('Une facture ne peut figurer qu\'une fois dans la répartition.', HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      const factures = await Facture.find({ _id: { $in: ids } }).session(session);
+      const repartition = imputations.map(({ facture: factureId, montant: montantImpute }) => {
+        const facture = factures.find(f => f._id.toString() === String(factureId));
+        if (!facture) {
+          throw new ErrorResponse(`Facture non trouvée avec l'ID ${factureId}`, HTTP_STATUS_CODES.NOT_FOUND);
+        }
+        this._verifierFacture(facture, clientId, devise);
+        const montantApplique = roundFinancial(Number(montantImpute));
+        if (!(montantApplique > 0)) {
+          throw new ErrorResponse(`Le montant imputé sur la facture n°${facture.numero} doit être positif.`, HTTP_STATUS_CODES.BAD_REQUEST);
+        }
+        if (montantApplique > resteDu(facture)) {
+          throw new ErrorResponse(`Le montant imputé sur la facture n°${facture.numero} (${montantApplique}) dépasse son reste dû (${resteDu(facture)}).`, HTTP_STATUS_CODES.BAD_REQUEST);
+        }
+        return { factureId: facture._id, factureNumero: facture.numero, montantApplique };
+      });
+
+      const excedent = roundFinancial(montant - repartition.reduce((acc, r) => acc + r.montantApplique, 0));
+      if (excedent < 0) {
+        throw new ErrorResponse(`La répartition (${roundFinancial(montant - excedent)}) dépasse le montant du règlement (${montant}).`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      return { factures, repartition, excedent };
+    }
+
+    if (modeRepartition !== 'Anteriorite') {
+      throw new ErrorResponse(`Mode de répartition inconnu : '${modeRepartition}'.`, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const filtre = {
+      client: clientId,
+      statut: { $in: STATUTS_A_REGLER },
+      devise: devise === DEVISE_REFERENCE ? { $in: [DEVISE_REFERENCE, null] } : devise,
+    };
+    if (Array.isArray(factureIds) && factureIds.length > 0) {
+      const designees = await Facture.find({ _id: { $in: factureIds } }).session(session);
+      if (designees.length !== factureIds.length) {
+        throw new ErrorResponse('Une des factures désignées est introuvable.', HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      designees.forEach(facture => this._verifierFacture(facture, clientId, devise));
+      filtre._id = { $in: factureIds };
+    }
+
+    const factures = await Facture.find(filtre).sort({ dateEcheance: 1, dateEmission: 1 }).session(session);
+    const { repartition, excedent } = calculService.repartirPaiementSurFactures(montant, factures);
+    return { factures, repartition, excedent };
+  }
+
+  /**
+   * Lettre, pour un client, les pièces soldées par un règlement ; un échec du lettrage ne remet
+   * pas en cause le règlement, qui reste lettrable à la main.
+   * @private
+   * @param {string} compteId
+   * @param {string} clientId
+   * @param {Array<string>} pieces - Numéros des pièces (factures, avance).
+   */
+  async _lettrerPieces(compteId, clientId, pieces) {
+    for (const piece of pieces) {
+      try {
+        await lettrageService.lettrerPiece(compteId, clientId, piece);
+      } catch (error) {
+        console.error(`Lettrage de la pièce n°${piece} impossible :`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Enregistre un règlement client, le répartit sur ses factures, le comptabilise et lettre les
+   * factures soldées. L'excédent éventuel est conservé en avance client.
+   * @param {object} donnees - Client (à défaut, celui des factures désignées), montant, devise,
+   * tauxDeChange, datePaiement, methodePaiement, modeRepartition, factures ou imputations,
+   * referenceExterne, notes.
+   * @param {string} userId
+   * @returns {Promise<object>} Le paiement enregistré.
+   */
+  async enregistrerReglement(donnees, userId) {
+    const montant = roundFinancial(Number(donnees.montant));
+    if (!(montant > 0)) {
+      throw new ErrorResponse('Le montant du règlement doit être positif.', HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    // Client et devise : ceux saisis, à défaut ceux de la première facture désignée
+    const premiereFactureId = donnees.imputations?.[0]?.facture || donnees.factures?.[0];
+    const premiereFacture = premiereFactureId ? await Facture.findById(premiereFactureId) : null;
+    if (premiereFactureId && !premiereFacture) {
+      throw new ErrorResponse(`Facture non trouvée avec l'ID ${premiereFactureId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    const client = await Client.findById(donnees.client || premiereFacture?.client);
+    if (!client) {
+      throw new ErrorResponse('Le client du règlement est introuvable.', HTTP_STATUS_CODES.NOT_FOUND);
+    }
+
+    let cours;
+    try {
+      cours = await deviseService.figerCours({
+        devise: donnees.devise || premiereFacture?.devise,
+        tauxDeChange: donnees.tauxDeChange,
+        date: donnees.datePaiement,
+      });
+    } catch (error) {
+      throw new ErrorResponse(error.message, HTTP_STATUS_CODES.BAD_REQUEST);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let paiement;
+    let params;
+    let facturesReglees;
+    try {
+      // Répartition lue dans la transaction : un règlement concurrent sur les mêmes factures échoue
+      const { factures, repartition, excedent } = await this.repartir({
+        clientId: client._id,
+        montant,
+        devise: cours.devise,
+        modeRepartition: donnees.modeRepartition,
+        factures: donnees.factures,
+        imputations: donnees.imputations,
+      }, session);
+
+      // --- Génération du numéro de paiement ---
+      params = await Parametres.findOneAndUpdate(
+          {},
+          { $inc: { sequencePaiement: 1 } },
+          { new: true, session }
+      );
+
+      // Le hook post-save du modèle Paiement met à jour le montant payé des factures imputées
+      const datePaiement = donnees.datePaiement ? new Date(donnees.datePaiement) : new Date();
+      [paiement] = await Paiement.create([{
+        numeroPaiement: generateDocumentNumber(params.prefixePaiement, params.sequencePaiement),
+        datePaiement,
+        montant,
+        ...cours,
+        methodePaiement: donnees.methodePaiement,
+        direction: 'Entrant',
+        client: client._id,
+        imputations: repartition.map(r => ({
+          facture: r.factureId,
+          factureNumero: r.factureNumero,
+          montant: r.montantApplique,
+          dateImputation: datePaiement,
+        })),
+        montantAvance: excedent,
+        referenceExterne: donnees.referenceExterne,
+        notes: donnees.notes,
+        enregistrePar: userId,
+      }], { session });
+
+      facturesReglees = factures.filter(f => repartition.some(r => r.factureId.equals(f._id)));
+      await comptabiliteService.comptabiliserPaiementClient(paiement, client, facturesReglees, userId, session);
+
+      // Re-sauvegarder les factures pour recalculer leur statut de paiement
+      for (const facture of facturesReglees) {
+        const factureAJour = await Facture.findById(facture._id).session(session);
+        await factureAJour.save({ session });
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    await this._lettrerPieces(client.compteComptableAssocie || params.compteClientsDefaut, client._id, facturesReglees.map(f => f.numero));
+
+    return paiement;
+  }
+
+  /**
+   * Avances d'un client encore disponibles : règlements dont l'excédent n'est pas entièrement imputé.
+   * @param {string} clientId
+   * @returns {Promise<Array<object>>} Les paiements, les plus anciens en premier.
+   */
+  async getAvancesClient(clientId) {
+    const paiements = await Paiement.find({ client: clientId, direction: 'Entrant', statut: 'Validé', montantAvance: { $gt: 0 } })
+      .sort({ datePaiement: 1 });
+    return paiements.filter(p => p.avanceDisponible > 0);
+  }
+
+  /**
+   * Impute l'avance d'un règlement sur une facture du client.
+   * @param {string} paiementId - Le règlement qui porte l'avance.
+   * @param {object} imputation
+   * @param {string} imputation.facture - L'ID de la facture.
+   * @param {number} [imputation.montant] - Par défaut, le plus petit de l'avance disponible et du reste dû.
+   * @param {Date} [imputation.dateImputation] - Aujourd'hui par défaut.
+   * @param {string} userId
+   * @returns {Promise<object>} Le paiement mis à jour.
+   */
+  async imputerAvance(paiementId, { facture: factureId, montant, dateImputation } = {}, userId) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let paiement;
+    let facture;
+    let client;
+    try {
+      paiement = await Paiement.findById(paiementId).session(session);
+      if (!paiement) {
+        throw new ErrorResponse(`Paiement non trouvé avec l'ID ${paiementId}`, HTTP_STATUS_CODES.NOT_FOUND);
+      }
+      if (paiement.statut !== 'Validé' || !paiement.client || !(paiement.avanceDisponible > 0)) {
+        throw new ErrorResponse(`Le paiement n°${paiement.numeroPaiement} ne porte aucune avance disponible.`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      facture = await Facture.findById(factureId).session(session);
+      if (!facture) {
+        throw new ErrorResponse(`Facture non trouvée avec l'ID ${factureId}`, HTTP_STATUS_CODES.NOT_FOUND);
+      }
+      this._verifierFacture(facture, paiement.client, paiement.devise);
+
+      const montantImpute = roundFinancial(montant !== undefined && montant !== null && montant !== ''
+        ? Number(montant)
+        : Math.min(paiement.avanceDisponible, resteDu(facture)));
+      if (!(montantImpute > 0)) {
+        throw new ErrorResponse('Le montant imputé doit être positif.', HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      if (montantImpute > paiement.avanceDisponible) {
+        throw new ErrorResponse(`Le montant imputé (${montantImpute}) dépasse l'avance disponible (${paiement.avanceDisponible}).`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+      if (montantImpute > resteDu(facture)) {
+        throw new ErrorResponse(`Le montant imputé (${montantImpute}) dépasse le reste dû de la facture n°${facture.numero} (${resteDu(facture)}).`, HTTP_STATUS_CODES.BAD_REQUEST);
+      }
+
+      // Le hook post-save du modèle Paiement met à jour le montant payé de la facture
+      paiement.imputations.push({
+        facture: facture._id,
+        factureNumero: facture.numero,
+        montant: montantImpute,
+        dateImputation: dateImputation ? new Date(dateImputation) : new Date(),
+        surAvance: true,
+      });
+      await paiement.save({ session });
+
+      client = await Client.findById(paiement.client).session(session);
+      const imputation = paiement.imputations[paiement.imputations.length - 1];
+      await comptabiliteService.comptabiliserImputationAvance(paiement, imputation, facture, client, userId, session);
+
+      // Re-sauvegarder la facture pour recalculer son statut de paiement
+      const factureAJour = await Facture.findById(facture._id).session(session);
+      await factureAJour.save({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    const params = await Parametres.get();
+    await this._lettrerPieces(client.compteComptableAssocie || params.compteClientsDefaut, client._id, [facture.numero]);
+    await this._lettrerPieces(params.compteAvancesClientsDefaut, client._id, [paiement.numeroPaiement]);
+
+    return paiement;
+  }
+}
+
+module.exports = new ReglementClientService();
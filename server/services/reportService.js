@@ -3,11 +3,65 @@ const Devis = require('../models/Devis');
 const Produit = require('../models/Produit');
 const Paiement = require('../models/Paiement');
 const Achat = require('../models/Achat'); // Ajout pour les dettes fournisseurs
+const EcritureComptable = require('../models/EcritureComptable');
+const CompteComptable = require('../models/CompteComptable');
+const Exercice = require('../models/Exercice');
+const Client = require('../models/Client');
+const Fournisseur = require('../models/Fournisseur');
+const AxeAnalytique = require('../models/AxeAnalytique');
+const SectionAnalytique = require('../models/SectionAnalytique');
 const mongoose = require('mongoose');
 
 // Import des utilitaires
 const dateUtils = require('../utils/dateUtils');
-const { DOCUMENT_STATUS, PAYMENT_STATUS, USER_ROLES } = require('../utils/constants');
+const { roundFinancial } = require('../utils/calculations');
+const { DOCUMENT_STATUS, PAYMENT_STATUS, USER_ROLES, SYSCOHADA_CLASSES, HTTP_STATUS_CODES } = require('../utils/constants');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+/**
+ * Construit le filtre des comptes compris dans une plage de numéros.
+ * Les bornes agissent comme des racines : de '401' à '409' inclut '4011' et '40911'.
+ * @param {string} [compteDebut] - Numéro (ou racine) du premier compte.
+ * @param {string} [compteFin] - Numéro (ou racine) du dernier compte.
+ * @returns {object} Le filtre MongoDB sur CompteComptable.
+ */
+const filtrePlageComptes = (compteDebut, compteFin) => {
+  const numero = {};
+  if (compteDebut) numero.$gte = String(compteDebut);
+  if (compteFin) numero.$lte = String(compteFin).padEnd(10, '9');
+  return Object.keys(numero).length ? { numero } : {};
+};
+
+/**
+ * Répartit un solde (débit - crédit) entre les colonnes débit et crédit d'un état.
+ * @param {number} solde - Le solde signé, positif s'il est débiteur.
+ * @returns {{ debit: number, credit: number }}
+ */
+const repartirSolde = (solde) => ({
+  debit: solde > 0 ? roundFinancial(solde) : 0,
+  credit: solde < 0 ? roundFinancial(-solde) : 0,
+});
+
+// Modèle et champ de code de chaque type de tiers
+const TYPES_TIERS = {
+  Client: { Model: Client, code: 'codeClient' },
+  Fournisseur: { Model: Fournisseur, code: 'codeFournisseur' },
+};
+
+/**
+ * Construit le filtre des lignes d'écriture d'un type de tiers, ou d'un tiers précis.
+ * @param {string} tiersModel - 'Client' ou 'Fournisseur'.
+ * @param {string} [tiersId]
+ * @returns {object} Le filtre MongoDB sur les mouvements.
+ */
+const filtreLignesTiers = (tiersModel, tiersId) => (tiersId
+  ? { 'mouvements.tiersModel': tiersModel, 'mouvements.tiers': new mongoose.Types.ObjectId(String(tiersId)) }
+  : { 'mouvements.tiersModel': tiersModel, 'mouvements.tiers': { $ne: null } });
+
+// Expressions d'agrégation des montants des documents commerciaux en XOF : contre-valeur figée,
+// ou montant en devise au cours du document (les documents antérieurs aux devises sont en XOF)
+const TAUX_DE_CHANGE = { $ifNull: ['$tauxDeChange', 1] };
+const CONTRE_VALEUR_HT = { $ifNull: ['$contreValeur.totalHT', { $multiply: ['$totalHT', TAUX_DE_CHANGE] }] };
 
 /**
  * @class ReportService
@@ -34,15 +88,15 @@ class ReportService {
       dettesResult,
       valeurStockResult
     ] = await Promise.all([
-      // 1. Chiffre d'affaires (basé sur les factures émises)
+      // 1. Chiffre d'affaires (basé sur les factures émises, en XOF)
       Facture.aggregate([
         { $match: { dateEmission: { $gte: startDate, $lte: endDate }, statut: { $nin: [DOCUMENT_STATUS.CANCELLED, DOCUMENT_STATUS.DRAFT] } } },
-        { $group: { _id: null, total: { $sum: '$totalHT' } } }
+        { $group: { _id: null, total: { $sum: CONTRE_VALEUR_HT } } }
       ]),
       // 2. Montant total encaissé
       Paiement.aggregate([
         { $match: { datePaiement: { $gte: startDate, $lte: endDate }, direction: 'Entrant', statut: 'Validé' } },
-        { $group: { _id: null, total: { $sum: '$montant' } } }
+        { $group: { _id: null, total: { $sum: { $ifNull: ['$contreValeur', '$montant'] } } } }
       ]),
       // 3. Nombre de nouvelles factures
       Facture.countDocuments({ dateEmission: { $gte: startDate, $lte: endDate } }),
@@ -53,19 +107,20 @@ class ReportService {
       // 6. Créances Clients (ce que les clients nous doivent au total)
       Facture.aggregate([
         { $match: { statut: { $nin: [DOCUMENT_STATUS.PAID, DOCUMENT_STATUS.CANCELLED, DOCUMENT_STATUS.DRAFT] } } },
-        { $project: { solde: { $subtract: ['$totalTTC', '$montantPaye'] } } },
+        { $project: { solde: { $multiply: [{ $subtract: ['$totalTTC', { $add: ['$montantPaye', { $ifNull: ['$montantAvoirs', 0] }] }] }, TAUX_DE_CHANGE] } } },
         { $group: { _id: null, total: { $sum: '$solde' } } }
       ]),
       // 7. Dettes Fournisseurs (ce que nous devons aux fournisseurs au total)
       Achat.aggregate([
           { $match: { statutPaiement: { $in: [PAYMENT_STATUS.UNPAID, PAYMENT_STATUS.PARTIALLY_PAID] } } },
-          { $project: { solde: { $subtract: ['$totalTTC', '$montantPaye'] } } },
+          { $project: { solde: { $multiply: [{ $subtract: ['$totalTTC', { $add: ['$montantPaye', { $ifNull: ['$montantAvoirsFournisseur', 0] }] }] }, TAUX_DE_CHANGE] } } },
           { $group: { _id: null, total: { $sum: '$solde' } } }
       ]),
-      // 8. Valeur totale du stock
+      // 8. Valeur totale du stock (au CUMP, ou au prix d'achat pour les produits pas encore valorisés)
       Produit.aggregate([
         { $match: { actif: true, gestionStock: true } },
-        { $group: { _id: null, total: { $sum: { $multiply: ['$quantiteEnStock', '$prixAchat'] } } } }
+        { $project: { valeur: { $multiply: ['$quantiteEnStock', { $cond: [{ $gt: ['$cump', 0] }, '$cump', '$prixAchat'] }] } } },
+        { $group: { _id: null, total: { $sum: '$valeur' } } }
       ])
     ]);
 
@@ -105,7 +160,7 @@ class ReportService {
 
     const pipeline = [
       { $match: { dateEmission: { $gte: dateDebut, $lte: dateFin }, statut: { $nin: [DOCUMENT_STATUS.CANCELLED, DOCUMENT_STATUS.DRAFT] } } },
-      { $group: { _id: groupFormat, totalVentes: { $sum: '$totalHT' } } },
+      { $group: { _id: groupFormat, totalVentes: { $sum: CONTRE_VALEUR_HT } } },
       { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
     ];
 
@@ -122,7 +177,7 @@ class ReportService {
   async getRapportTopClients(dateDebut, dateFin, limit = 5) {
     const pipeline = [
       { $match: { dateEmission: { $gte: dateDebut, $lte: dateFin }, statut: { $nin: [DOCUMENT_STATUS.CANCELLED, DOCUMENT_STATUS.DRAFT] } } },
-      { $group: { _id: '$client', totalDepense: { $sum: '$totalTTC' } } },
+      { $group: { _id: '$client', totalDepense: { $sum: { $multiply: ['$totalTTC', TAUX_DE_CHANGE] } } } },
       { $sort: { totalDepense: -1 } },
       { $limit: limit },
       { $lookup: { from: 'clients', localField: '_id', foreignField: '_id', as: 'clientInfo' } },
@@ -147,7 +202,7 @@ class ReportService {
       { $group: {
           _id: '$lignes.produit',
           totalQuantiteVendue: { $sum: '$lignes.quantite' },
-          chiffreAffaires: { $sum: { $multiply: ['$lignes.quantite', '$lignes.prixUnitaireHT'] } }
+          chiffreAffaires: { $sum: { $multiply: ['$lignes.quantite', '$lignes.prixUnitaireHT', TAUX_DE_CHANGE] } }
       }},
       { $sort: { chiffreAffaires: -1 } },
       { $limit: limit },
@@ -158,6 +213,520 @@ class ReportService {
 
     return Facture.aggregate(pipeline);
   }
+
+  /**
+   * Retourne l'exercice contenant une date, s'il est défini.
+   * @private
+   * @param {Date} date
+   * @returns {Promise<object|null>}
+   */
+  async _getExercice(date) {
+    return Exercice.findOne({ dateDebut: { $lte: date }, dateFin: { $gte: date } });
+  }
+
+  /**
+   * Cumule les mouvements des écritures validées jusqu'à une date de fin, par compte ou par tiers.
+   * Sépare ce qui précède la période (depuis l'origine et depuis le début de l'exercice)
+   * de ce qui tombe dans la période. Les à-nouveaux datés du premier jour de la période
+   * comptent dans l'ouverture.
+   * @private
+   * @param {object} filtreLigne - Filtre des lignes à cumuler.
+   * @param {string} cle - Champ de regroupement ('$mouvements.compte' ou '$mouvements.tiers').
+   * @param {Date} dateDebut - Début de la période.
+   * @param {Date} dateFin - Fin de la période.
+   * @param {Date|null} debutExercice - Début de l'exercice contenant la période.
+   * @returns {Promise<Map<string, object>>} Les cumuls indexés par ID de compte ou de tiers.
+   */
+  async _cumuler(filtreLigne, cle, dateDebut, dateFin, debutExercice) {
+    const avant = {
+      $or: [
+        { $lt: ['$dateEcriture', dateDebut] },
+        { $and: [{ $eq: ['$documentOrigine.documentModel', 'Exercice'] }, { $lte: ['$dateEcriture', dateDebut] }] }
+      ]
+    };
+    const depuisExercice = debutExercice
+      ? { $and: [avant, { $gte: ['$dateEcriture', debutExercice] }] }
+      : avant;
+    const somme = (condition, champ) => ({ $sum: { $cond: [condition, `$mouvements.${champ}`, 0] } });
+
+    const cumuls = await EcritureComptable.aggregate([
+      { $match: { statut: 'Validée', dateEcriture: { $lte: dateFin }, ...filtreLigne } },
+      { $unwind: '$mouvements' },
+      { $match: filtreLigne },
+      {
+        $group: {
+          _id: cle,
+          avantDebit: somme(avant, 'debit'),
+          avantCredit: somme(avant, 'credit'),
+          exerciceDebit: somme(depuisExercice, 'debit'),
+          exerciceCredit: somme(depuisExercice, 'credit'),
+          periodeDebit: somme({ $not: [avant] }, 'debit'),
+          periodeCredit: somme({ $not: [avant] }, 'credit'),
+        }
+      }
+    ]);
+    return new Map(cumuls.map(c => [c._id.toString(), c]));
+  }
+
+  /**
+   * Cumule, par compte, les mouvements des écritures validées jusqu'à une date de fin.
+   * @private
+   * @param {Array<ObjectId>} compteIds - Les comptes à cumuler.
+   * @param {Date} dateDebut - Début de la période.
+   * @param {Date} dateFin - Fin de la période.
+   * @param {Date|null} debutExercice - Début de l'exercice contenant la période.
+   * @returns {Promise<Map<string, object>>} Les cumuls indexés par ID de compte.
+   */
+  async _cumulerMouvements(compteIds, dateDebut, dateFin, debutExercice) {
+    return this._cumuler({ 'mouvements.compte': { $in: compteIds } }, '$mouvements.compte', dateDebut, dateFin, debutExercice);
+  }
+
+  /**
+   * Solde d'ouverture d'un compte (débit - crédit) à partir de ses cumuls.
+   * Les comptes de gestion (classes 6 à 8) repartent de zéro à chaque exercice ; les comptes
+   * de bilan aussi lorsque l'exercice a reçu les à-nouveaux de l'exercice précédent clôturé.
+   * @private
+   * @param {object} compte - Le compte comptable.
+   * @param {object} [cumul] - Les cumuls du compte.
+   * @param {object|null} exercice - L'exercice contenant le début de la période.
+   * @returns {number}
+   */
+  _soldeOuverture(compte, cumul, exercice) {
+    if (!cumul) return 0;
+    if (compte.classe >= 6 || exercice?.ecritureOuverture) return roundFinancial(cumul.exerciceDebit - cumul.exerciceCredit);
+    return roundFinancial(cumul.avantDebit - cumul.avantCredit);
+  }
+
+  /**
+   * Génère le grand livre d'un compte ou d'une plage de comptes : solde d'ouverture,
+   * détail des mouvements de la période avec solde progressif et lettrage, puis solde de clôture.
+   * @param {object} options
+   * @param {string} [options.compteDebut] - Premier compte (numéro ou racine).
+   * @param {string} [options.compteFin] - Dernier compte (numéro ou racine).
+   * @param {Date} options.dateDebut
+   * @param {Date} options.dateFin
+   * @returns {Promise<Array<object>>} Un bloc par compte mouvementé, dans l'ordre des numéros.
+   */
+  async getGrandLivre({ compteDebut, compteFin, dateDebut, dateFin }) {
+    const comptes = await CompteComptable.find(filtrePlageComptes(compteDebut, compteFin)).sort({ numero: 1 });
+    const compteIds = comptes.map(c => c._id);
+
+    const exercice = await this._getExercice(dateDebut);
+    const [cumuls, mouvements] = await Promise.all([
+      this._cumulerMouvements(compteIds, dateDebut, dateFin, exercice?.dateDebut),
+      EcritureComptable.aggregate([
+        {
+          $match: {
+            statut: 'Validée',
+            dateEcriture: { $gte: dateDebut, $lte: dateFin },
+            'mouvements.compte': { $in: compteIds },
+            // Les à-nouveaux du premier jour sont déjà repris dans le solde d'ouverture
+            $nor: [{ 'documentOrigine.documentModel': 'Exercice', dateEcriture: { $lte: dateDebut } }],
+          }
+        },
+        { $unwind: '$mouvements' },
+        { $match: { 'mouvements.compte': { $in: compteIds } } },
+        { $sort: { dateEcriture: 1, numeroPiece: 1 } },
+        { $lookup: { from: 'journalcomptables', localField: 'journal', foreignField: '_id', as: 'journalInfo' } },
+        {
+          $project: {
+            _id: 0,
+            ecritureId: '$_id',
+            compte: '$mouvements.compte',
+            dateEcriture: 1,
+            numeroPiece: 1,
+            journal: { $arrayElemAt: ['$journalInfo.code', 0] },
+            libelle: '$mouvements.libelle',
+            debit: '$mouvements.debit',
+            credit: '$mouvements.credit',
+            lettrage: '$mouvements.lettrage',
+          }
+        }
+      ])
+    ]);
+
+    const grandLivre = [];
+    comptes.forEach(compte => {
+      const soldeOuverture = this._soldeOuverture(compte, cumuls.get(compte._id.toString()), exercice);
+      const lignesCompte = mouvements.filter(m => m.compte.toString() === compte._id.toString());
+      if (soldeOuverture === 0 && lignesCompte.length === 0) return;
+
+      let solde = soldeOuverture;
+      let totalDebit = 0, totalCredit = 0;
+      const lignes = lignesCompte.map(ligne => {
+        totalDebit += ligne.debit || 0;
+        totalCredit += ligne.credit || 0;
+        solde = roundFinancial(solde + (ligne.debit || 0) - (ligne.credit || 0));
+        return { ...ligne, solde };
+      });
+
+      grandLivre.push({
+        compte: { _id: compte._id, numero: compte.numero, libelle: compte.libelle, classe: compte.classe },
+        soldeOuverture,
+        lignes,
+        totalDebit: roundFinancial(totalDebit),
+        totalCredit: roundFinancial(totalCredit),
+        soldeCloture: solde,
+      });
+    });
+
+    return grandLivre;
+  }
+
+  /**
+   * Génère la balance générale à six colonnes d'une période (soldes d'ouverture, mouvements
+   * de la période, soldes de clôture), regroupée par classe SYSCOHADA.
+   * @param {object} options
+   * @param {string} [options.compteDebut] - Premier compte (numéro ou racine).
+   * @param {string} [options.compteFin] - Dernier compte (numéro ou racine).
+   * @param {Date} options.dateDebut
+   * @param {Date} options.dateFin
+   * @returns {Promise<{ classes: Array<object>, totaux: object }>}
+   */
+  async getBalance({ compteDebut, compteFin, dateDebut, dateFin }) {
+    const comptes = await CompteComptable.find(filtrePlageComptes(compteDebut, compteFin)).sort({ numero: 1 });
+    const exercice = await this._getExercice(dateDebut);
+    const cumuls = await this._cumulerMouvements(comptes.map(c => c._id), dateDebut, dateFin, exercice?.dateDebut);
+
+    const colonnesVides = () => ({
+      ouvertureDebit: 0, ouvertureCredit: 0,
+      mouvementsDebit: 0, mouvementsCredit: 0,
+      clotureDebit: 0, clotureCredit: 0,
+    });
+    const cumulerColonnes = (totaux, ligne) => {
+      Object.keys(totaux).forEach(cle => { totaux[cle] = roundFinancial(totaux[cle] + ligne[cle]); });
+    };
+
+    const classes = new Map();
+    const totaux = colonnesVides();
+    comptes.forEach(compte => {
+      const cumul = cumuls.get(compte._id.toString());
+      const soldeOuverture = this._soldeOuverture(compte, cumul, exercice);
+      const mouvementsDebit = roundFinancial(cumul?.periodeDebit || 0);
+      const mouvementsCredit = roundFinancial(cumul?.periodeCredit || 0);
+      if (soldeOuverture === 0 && mouvementsDebit === 0 && mouvementsCredit === 0) return;
+
+      const ouverture = repartirSolde(soldeOuverture);
+      const cloture = repartirSolde(soldeOuverture + mouvementsDebit - mouvementsCredit);
+      const ligne = {
+        compte: { _id: compte._id, numero: compte.numero, libelle: compte.libelle },
+        ouvertureDebit: ouverture.debit,
+        ouvertureCredit: ouverture.credit,
+        mouvementsDebit,
+        mouvementsCredit,
+        clotureDebit: cloture.debit,
+        clotureCredit: cloture.credit,
+      };
+
+      if (!classes.has(compte.classe)) {
+        classes.set(compte.classe, { classe: compte.classe, libelle: SYSCOHADA_CLASSES[compte.classe], comptes: [], totaux: colonnesVides() });
+      }
+      const classe = classes.get(compte.classe);
+      classe.comptes.push(ligne);
+      cumulerColonnes(classe.totaux, ligne);
+      cumulerColonnes(totaux, ligne);
+    });
+
+    return {
+      classes: [...classes.values()].sort((a, b) => a.classe - b.classe),
+      totaux,
+    };
+  }
+
+  /**
+   * Charge les tiers d'un état auxiliaire, classés par nom, avec leur code et leur compte.
+   * @private
+   * @param {string} tiersModel
+   * @param {Array<string>} tiersIds
+   * @returns {Promise<Array<object>>}
+   */
+  async _chargerTiers(tiersModel, tiersIds) {
+    const { Model, code } = TYPES_TIERS[tiersModel];
+    const tiers = await Model.find({ _id: { $in: tiersIds } })
+      .select(`nom ${code} compteComptableAssocie`)
+      .populate('compteComptableAssocie', 'numero libelle')
+      .sort({ nom: 1 });
+    return tiers.map(t => ({ _id: t._id, nom: t.nom, code: t[code], compte: t.compteComptableAssocie }));
+  }
+
+  /**
+   * Génère le grand livre auxiliaire des clients ou des fournisseurs : pour chaque tiers, solde
+   * d'ouverture, mouvements de la période (tous comptes de tiers confondus : auxiliaire, collectif,
+   * avances) avec solde progressif et lettrage, puis solde de clôture.
+   * @param {object} options
+   * @param {string} options.tiersModel - 'Client' ou 'Fournisseur'.
+   * @param {string} [options.tiersId] - Limite l'état à un tiers.
+   * @param {Date} options.dateDebut
+   * @param {Date} options.dateFin
+   * @returns {Promise<Array<object>>} Un bloc par tiers mouvementé, dans l'ordre des noms.
+   */
+  async getGrandLivreTiers({ tiersModel, tiersId, dateDebut, dateFin }) {
+    const filtreLigne = filtreLignesTiers(tiersModel, tiersId);
+    const exercice = await this._getExercice(dateDebut);
+    const [cumuls, mouvements] = await Promise.all([
+      this._cumuler(filtreLigne, '$mouvements.tiers', dateDebut, dateFin, exercice?.dateDebut),
+      EcritureComptable.aggregate([
+        {
+          $match: {
+            statut: 'Validée',
+            dateEcriture: { $gte: dateDebut, $lte: dateFin },
+            ...filtreLigne,
+            // Les à-nouveaux du premier jour sont déjà repris dans le solde d'ouverture
+            $nor: [{ 'documentOrigine.documentModel': 'Exercice', dateEcriture: { $lte: dateDebut } }],
+          }
+        },
+        { $unwind: '$mouvements' },
+        { $match: filtreLigne },
+        { $sort: { dateEcriture: 1, numeroPiece: 1 } },
+        { $lookup: { from: 'journalcomptables', localField: 'journal', foreignField: '_id', as: 'journalInfo' } },
+        { $lookup: { from: 'comptecomptables', localField: 'mouvements.compte', foreignField: '_id', as: 'compteInfo' } },
+        {
+          $project: {
+            _id: 0,
+            ecritureId: '$_id',
+            tiers: '$mouvements.tiers',
+            compte: { $arrayElemAt: ['$compteInfo.numero', 0] },
+            dateEcriture: 1,
+            numeroPiece: 1,
+            journal: { $arrayElemAt: ['$journalInfo.code', 0] },
+            libelle: '$mouvements.libelle',
+            debit: '$mouvements.debit',
+            credit: '$mouvements.credit',
+            lettrage: '$mouvements.lettrage',
+          }
+        }
+      ])
+    ]);
+
+    const tiersIds = [...new Set([...cumuls.keys(), ...mouvements.map(m => m.tiers.toString())])];
+    const tiers = await this._chargerTiers(tiersModel, tiersIds);
+
+    const grandLivre = [];
+    tiers.forEach(t => {
+      // Les comptes de tiers sont des comptes de bilan (classe 4)
+      const soldeOuverture = this._soldeOuverture({ classe: 4 }, cumuls.get(t._id.toString()), exercice);
+      const lignesTiers = mouvements.filter(m => m.tiers.toString() === t._id.toString());
+      if (soldeOuverture === 0 && lignesTiers.length === 0) return;
+
+      let solde = soldeOuverture;
+      let totalDebit = 0, totalCredit = 0;
+      const lignes = lignesTiers.map(ligne => {
+        totalDebit += ligne.debit || 0;
+        totalCredit += ligne.credit || 0;
+        solde = roundFinancial(solde + (ligne.debit || 0) - (ligne.credit || 0));
+        return { ...ligne, solde };
+      });
+
+      grandLivre.push({
+        tiers: t,
+        soldeOuverture,
+        lignes,
+        totalDebit: roundFinancial(totalDebit),
+        totalCredit: roundFinancial(totalCredit),
+        soldeCloture: solde,
+      });
+    });
+
+    return grandLivre;
+  }
+
+  /**
+   * Génère la balance auxiliaire à six colonnes des clients ou des fournisseurs d'une période.
+   * @param {object} options
+   * @param {string} options.tiersModel - 'Client' ou 'Fournisseur'.
+   * @param {Date} options.dateDebut
+   * @param {Date} options.dateFin
+   * @returns {Promise<{ tiers: Array<object>, totaux: object }>}
+   */
+  async getBalanceTiers({ tiersModel, dateDebut, dateFin }) {
+    const exercice = await this._getExercice(dateDebut);
+    const cumuls = await this._cumuler(filtreLignesTiers(tiersModel), '$mouvements.tiers', dateDebut, dateFin, exercice?.dateDebut);
+    const tiers = await this._chargerTiers(tiersModel, [...cumuls.keys()]);
+
+    const totaux = {
+      ouvertureDebit: 0, ouvertureCredit: 0,
+      mouvementsDebit: 0, mouvementsCredit: 0,
+      clotureDebit: 0, clotureCredit: 0,
+    };
+    const lignes = [];
+    tiers.forEach(t => {
+      const cumul = cumuls.get(t._id.toString());
+      const soldeOuverture = this._soldeOuverture({ classe: 4 }, cumul, exercice);
+      const mouvementsDebit = roundFinancial(cumul.periodeDebit);
+      const mouvementsCredit = roundFinancial(cumul.periodeCredit);
+      if (soldeOuverture === 0 && mouvementsDebit === 0 && mouvementsCredit === 0) return;
+
+      const ouverture = repartirSolde(soldeOuverture);
+      const cloture = repartirSolde(soldeOuverture + mouvementsDebit - mouvementsCredit);
+      const ligne = {
+        tiers: t,
+        ouvertureDebit: ouverture.debit,
+        ouvertureCredit: ouverture.credit,
+        mouvementsDebit,
+        mouvementsCredit,
+        clotureDebit: cloture.debit,
+        clotureCredit: cloture.credit,
+      };
+      lignes.push(ligne);
+      Object.keys(totaux).forEach(cle => { totaux[cle] = roundFinancial(totaux[cle] + ligne[cle]); });
+    });
+
+    return { tiers: lignes, totaux };
+  }
+
+  /**
+   * Génère la balance âgée des clients ou des fournisseurs à une date d'arrêté : les lignes non
+   * lettrées à cette date, réparties par ancienneté (jours écoulés depuis la date d'écriture).
+   * Les montants sont positifs pour ce que le client nous doit, ou ce que nous devons au fournisseur.
+   * Si l'exercice de l'arrêté a reçu ses à-nouveaux, les lignes antérieures y sont résumées.
+   * @param {object} options
+   * @param {string} options.tiersModel - 'Client' ou 'Fournisseur'.
+   * @param {Date} options.dateArrete
+   * @param {Array<number>} [options.tranches=[30, 60, 90]] - Bornes des tranches, en jours.
+   * @returns {Promise<{ dateArrete: Date, tranches: Array<string>, tiers: Array<object>, totaux: object }>}
+   */
+  async getBalanceAgee({ tiersModel, dateArrete, tranches = [30, 60, 90] }) {
+    const filtreLigne = filtreLignesTiers(tiersModel);
+    const exercice = await this._getExercice(dateArrete);
+    const depuis = exercice?.ecritureOuverture
+      ? { dateEcriture: { $gte: exercice.dateDebut, $lte: dateArrete } }
+      : { dateEcriture: { $lte: dateArrete }, 'documentOrigine.documentModel': { $ne: 'Exercice' } };
+
+    const lignes = await EcritureComptable.aggregate([
+      { $match: { statut: 'Validée', ...depuis, ...filtreLigne } },
+      { $unwind: '$mouvements' },
+      {
+        $match: {
+          ...filtreLigne,
+          // Non lettrée à la date d'arrêté
+          $or: [{ 'mouvements.lettrage': { $in: [null, ''] } }, { 'mouvements.dateLettrage': { $gt: dateArrete } }],
+        }
+      },
+      { $project: { _id: 0, tiers: '$mouvements.tiers', dateEcriture: 1, debit: '$mouvements.debit', credit: '$mouvements.credit' } }
+    ]);
+
+    const libelles = [
+      ...tranches.map((borne, i) => `${i === 0 ? 0 : tranches[i - 1] + 1}-${borne} j`),
+      `+${tranches[tranches.length - 1]} j`,
+    ];
+    const sens = tiersModel === 'Client' ? 1 : -1;
+    const parTiers = new Map();
+    lignes.forEach(ligne => {
+      const age = Math.floor((dateArrete - new Date(ligne.dateEcriture)) / 86400000);
+      const tranche = tranches.findIndex(borne => age <= borne);
+      const montants = parTiers.get(ligne.tiers.toString()) || libelles.map(() => 0);
+      const index = tranche === -1 ? libelles.length - 1 : tranche;
+      montants[index] = roundFinancial(montants[index] + sens * ((ligne.debit || 0) - (ligne.credit || 0)));
+      parTiers.set(ligne.tiers.toString(), montants);
+    });
+
+    const tiers = await this._chargerTiers(tiersModel, [...parTiers.keys()]);
+    const totaux = { tranches: libelles.map(() => 0), total: 0 };
+    const resultat = tiers
+      .map(t => {
+        const montants = parTiers.get(t._id.toString());
+        return { tiers: t, tranches: montants, total: roundFinancial(montants.reduce((acc, m) => acc + m, 0)) };
+      })
+      .filter(ligne => ligne.tranches.some(m => m !== 0));
+    resultat.forEach(ligne => {
+      ligne.tranches.forEach((m, i) => { totaux.tranches[i] = roundFinancial(totaux.tranches[i] + m); });
+      totaux.total = roundFinancial(totaux.total + ligne.total);
+    });
+
+    return { dateArrete, tranches: libelles, tiers: resultat, totaux };
+  }
+
+  /**
+   * Génère le compte de résultat analytique d'une période sur un axe : pour chaque section,
+   * produits et charges (classes 6, 7 et 8) à hauteur des quotes-parts qui lui sont ventilées,
+   * résultat et taux de marge. La part des lignes non ventilées sur l'axe est présentée à part,
+   * pour rapprocher le total du compte de résultat général.
+   * @param {object} options
+   * @param {string} options.axeId
+   * @param {Date} options.dateDebut
+   * @param {Date} options.dateFin
+   * @returns {Promise<{ axe: object, sections: Array<object>, nonVentile: object, totaux: object }>}
+   */
+  async getCompteResultatAnalytique({ axeId, dateDebut, dateFin }) {
+    const axe = await AxeAnalytique.findById(axeId);
+    if (!axe) {
+      throw new ErrorResponse(`Axe analytique non trouvé avec l'ID ${axeId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+
+    // Les écritures de détermination du résultat soldent les charges et produits : elles sont écartées
+    const ecrituresCloture = await Exercice.distinct('ecritureCloture', { ecritureCloture: { $ne: null } });
+    const soldes = await EcritureComptable.aggregate([
+      { $match: { statut: 'Validée', dateEcriture: { $gte: dateDebut, $lte: dateFin }, _id: { $nin: ecrituresCloture } } },
+      { $unwind: '$mouvements' },
+      { $lookup: { from: 'comptecomptables', localField: 'mouvements.compte', foreignField: '_id', as: 'compteInfo' } },
+      { $unwind: '$compteInfo' },
+      { $match: { 'compteInfo.classe': { $in: [6, 7, 8] } } },
+      {
+        $project: {
+          compteInfo: 1,
+          sens: { $cond: [{ $gt: ['$mouvements.debit', 0] }, 1, -1] },
+          solde: { $subtract: ['$mouvements.debit', '$mouvements.credit'] },
+          part: { $filter: { input: { $ifNull: ['$mouvements.ventilationAnalytique', []] }, cond: { $eq: ['$$this.axe', axe._id] } } },
+        }
+      },
+      { $unwind: { path: '$part', preserveNullAndEmptyArrays: true } },
+      {
+        $group: {
+          _id: { section: '$part.section', compte: '$compteInfo._id' },
+          numero: { $first: '$compteInfo.numero' },
+          libelle: { $first: '$compteInfo.libelle' },
+          // Solde débiteur de la quote-part de la section, ou de la ligne entière si elle n'est pas ventilée
+          solde: { $sum: { $cond: [{ $ifNull: ['$part', false] }, { $multiply: ['$part.montant', '$sens'] }, '$solde'] } },
+        }
+      },
+      { $sort: { numero: 1 } },
+    ]);
+
+    const blocVide = () => ({ produits: [], charges: [], totalProduits: 0, totalCharges: 0, resultat: 0, tauxMarge: null });
+    const ajouter = (bloc, ligne) => {
+      const produit = CompteComptable.estCompteDeProduit(ligne.numero);
+      const montant = roundFinancial(produit ? -ligne.solde : ligne.solde);
+      if (montant === 0) return;
+      (produit ? bloc.produits : bloc.charges).push({ compte: { _id: ligne._id.compte, numero: ligne.numero, libelle: ligne.libelle }, montant });
+      if (produit) bloc.totalProduits = roundFinancial(bloc.totalProduits + montant);
+      else bloc.totalCharges = roundFinancial(bloc.totalCharges + montant);
+    };
+    const cloturer = (bloc) => {
+      bloc.resultat = roundFinancial(bloc.totalProduits - bloc.totalCharges);
+      bloc.tauxMarge = bloc.totalProduits !== 0 ? roundFinancial(bloc.resultat / bloc.totalProduits * 100) : null;
+      return bloc;
+    };
+
+    const parSection = new Map();
+    const nonVentile = blocVide();
+    soldes.forEach(ligne => {
+      if (!ligne._id.section) return ajouter(nonVentile, ligne);
+      const cle = ligne._id.section.toString();
+      if (!parSection.has(cle)) parSection.set(cle, blocVide());
+      ajouter(parSection.get(cle), ligne);
+    });
+
+    const sections = await SectionAnalytique.find({ axe: axe._id }).sort({ code: 1 });
+    const resultat = sections
+      .filter(section => section.actif || parSection.has(section._id.toString()))
+      .map(section => ({
+        section: { _id: section._id, code: section.code, libelle: section.libelle },
+        ...cloturer(parSection.get(section._id.toString()) || blocVide()),
+      }));
+
+    const totaux = [...resultat, cloturer(nonVentile)].reduce((acc, bloc) => ({
+      totalProduits: roundFinancial(acc.totalProduits + bloc.totalProduits),
+      totalCharges: roundFinancial(acc.totalCharges + bloc.totalCharges),
+    }), { totalProduits: 0, totalCharges: 0 });
+    totaux.resultat = roundFinancial(totaux.totalProduits - totaux.totalCharges);
+
+    return {
+      axe: { _id: axe._id, code: axe.code, libelle: axe.libelle },
+      sections: resultat,
+      nonVentile,
+      totaux,
+    };
+  }
 }
 
 module.exports = new ReportService();
\ No newline at end of file
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const EcritureComptable = require('../models/EcritureComptable');
+const CompteComptable = require('../models/CompteComptable');
+const SoldeCompte = require('../models/SoldeCompte');
+const Exercice = require('../models/Exercice');
+const { roundFinancial } = require('../utils/calculations');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { HTTP_STATUS_CODES } = require('../utils/constants');
+
+const COLONNES = ['debit', 'credit', 'debitOuverture', 'creditOuverture'];
+
+/**
+ * Compare deux cumuls colonne par colonne (au centime près).
+ * @param {object} attendu
+ * @param {object} constate
+ * @param {Array<string>} colonnes
+ * @returns {boolean}
+ */
+const cumulsEgaux = (attendu, constate, colonnes) =>
+  colonnes.every(c => roundFinancial(attendu?.[c] || 0) === roundFinancial(constate?.[c] || 0));
+
+/**
+ * @class SoldeCompteService
+ * @description Lecture des soldes tenus au fil de l'eau (CompteComptable.soldeDebit / soldeCredit
+ * et SoldeCompte par mois) et leur recalcul complet depuis les écritures validées, avec le
+ * relevé des écarts constatés.
+ */
+class SoldeCompteService {
+
+  /**
+   * Recalcule tous les soldes depuis les écritures validées et les compare aux soldes tenus.
+   * @param {object} [options]
+   * @param {boolean} [options.corriger=true] - Réécrit les soldes ; sinon se contente du constat.
+   * @returns {Promise<{ ecartsComptes: Array<object>, ecartsPeriodes: Array<object>, corrige: boolean }>}
+   */
+  async recalculerSoldes({ corriger = true } = {}) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const cumuls = await EcritureComptable.aggregate([
+        { $match: { statut: 'Validée' } },
+        { $unwind: '$mouvements' },
+        {
+          $group: {
+            _id: {
+              compte: '$mouvements.compte',
+              periode: { $dateToString: { format: '%Y-%m', date: '$dateEcriture' } },
+              aNouveau: { $eq: ['$documentOrigine.documentModel', 'Exercice'] },
+            },
+            debit: { $sum: '$mouvements.debit' },
+            credit: { $sum: '$mouvements.credit' },
+          }
+        }
+      ]).session(session);
+
+      // Soldes mensuels attendus, et cumuls attendus par compte (hors à-nouveaux)
+      const attendusPeriodes = new Map();
+      const attendusComptes = new Map();
+      cumuls.forEach(({ _id, debit, credit }) => {
+        const cle = `${_id.compte}|${_id.periode}`;
+        const ligne = attendusPeriodes.get(cle) || { compte: _id.compte, periode: _id.periode, debit: 0, credit: 0, debitOuverture: 0, creditOuverture: 0 };
+        if (_id.aNouveau) {
+          ligne.debitOuverture = roundFinancial(ligne.debitOuverture + debit);
+          ligne.creditOuverture = roundFinancial(ligne.creditOuverture + credit);
+        } else {
+          ligne.debit = roundFinancial(ligne.debit + debit);
+          ligne.credit = roundFinancial(ligne.credit + credit);
+          const compte = attendusComptes.get(_id.compte.toString()) || { soldeDebit: 0, soldeCredit: 0 };
+          compte.soldeDebit = roundFinancial(compte.soldeDebit + debit);
+          compte.soldeCredit = roundFinancial(compte.soldeCredit + credit);
+          attendusComptes.set(_id.compte.toString(), compte);
+        }
+        attendusPeriodes.set(cle, ligne);
+      });
+
+      const comptes = await CompteComptable.find().select('numero soldeDebit soldeCredit').session(session);
+      const numeros = new Map(comptes.map(c => [c._id.toString(), c.numero]));
+
+      const ecartsComptes = comptes
+        .map(c => ({ compte: c, attendu: attendusComptes.get(c._id.toString()) || { soldeDebit: 0, soldeCredit: 0 } }))
+        .filter(({ compte, attendu }) => !cumulsEgaux(attendu, compte, ['soldeDebit', 'soldeCredit']))
+        .map(({ compte, attendu }) => ({
+          compte: compte._id,
+          numero: compte.numero,
+          attendu,
+          constate: { soldeDebit: compte.soldeDebit, soldeCredit: compte.soldeCredit },
+        }));
+
+      const tenues = await SoldeCompte.find().lean().session(session);
+      const clesTenues = new Map(tenues.map(t => [`${t.compte}|${t.periode}`, t]));
+      const cles = new Set([...attendusPeriodes.keys(), ...clesTenues.keys()]);
+      const ecartsPeriodes = [...cles]
+        .filter(cle => !cumulsEgaux(attendusPeriodes.get(cle), clesTenues.get(cle), COLONNES))
+        .map(cle => {
+          const [compte, periode] = cle.split('|');
+          const vide = Object.fromEntries(COLONNES.map(c => [c, 0]));
+          const lire = (ligne) => (ligne ? Object.fromEntries(COLONNES.map(c => [c, ligne[c] || 0])) : vide);
+          return { compte, numero: numeros.get(compte), periode, attendu: lire(attendusPeriodes.get(cle)), constate: lire(clesTenues.get(cle)) };
+        })
+        .sort((a, b) => `${a.numero}${a.periode}`.localeCompare(`${b.numero}${b.periode}`));
+
+      if (corriger && (ecartsComptes.length > 0 || ecartsPeriodes.length > 0)) {
+        await CompteComptable.bulkWrite(comptes.map(c => {
+          const attendu = attendusComptes.get(c._id.toString()) || { soldeDebit: 0, soldeCredit: 0 };
+          return { updateOne: { filter: { _id: c._id }, update: { $set: attendu } } };
+        }), { session });
+        await SoldeCompte.deleteMany({}, { session });
+        await SoldeCompte.insertMany([...attendusPeriodes.values()], { session });
+      }
+
+      await session.commitTransaction();
+
+      if (ecartsComptes.length > 0 || ecartsPeriodes.length > 0) {
+        console.warn(`Recalcul des soldes : ${ecartsComptes.length} compte(s) et ${ecartsPeriodes.length} solde(s) mensuel(s) en écart${corriger ? ', corrigés' : ''}.`);
+      }
+      return { ecartsComptes, ecartsPeriodes, corrige: corriger && (ecartsComptes.length > 0 || ecartsPeriodes.length > 0) };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Soldes des comptes sur un exercice, lus dans les soldes mensuels : ouverture, mouvements de
+   * chaque mois et de l'exercice, clôture.
+   * L'ouverture reprend les à-nouveaux de l'exercice s'ils ont été passés ; sinon, pour les comptes
+   * de bilan (classes 1 à 5), le cumul des périodes antérieures.
+   * @param {string} exerciceId
+   * @returns {Promise<{ exercice: object, comptes: Array<object> }>}
+   */
+  async getSoldesExercice(exerciceId) {
+    const exercice = await Exercice.findById(exerciceId);
+    if (!exercice) {
+      throw new ErrorResponse(`Exercice non trouvé avec l'ID ${exerciceId}`, HTTP_STATUS_CODES.NOT_FOUND);
+    }
+    const premiere = SoldeCompte.periodeDe(exercice.dateDebut);
+    const derniere = SoldeCompte.periodeDe(exercice.dateFin);
+
+    const [periodes, anterieurs] = await Promise.all([
+      SoldeCompte.find({ periode: { $gte: premiere, $lte: derniere } }).sort({ periode: 1 }).lean(),
+      exercice.ecritureOuverture
+        ? []
+        : SoldeCompte.aggregate([
+          { $match: { periode: { $lt: premiere } } },
+          { $group: { _id: '$compte', debit: { $sum: '$debit' }, credit: { $sum: '$credit' } } }
+        ]),
+    ]);
+
+    const comptes = await CompteComptable.find({
+      _id: { $in: [...periodes.map(p => p.compte), ...anterieurs.map(a => a._id)] }
+    }).select('numero libelle classe').sort({ numero: 1 });
+
+    const lignes = comptes.map(compte => {
+      const id = compte._id.toString();
+      const mois = periodes.filter(p => p.compte.toString() === id);
+
+      let ouverture = 0;
+      if (exercice.ecritureOuverture) {
+        ouverture = mois.reduce((acc, p) => acc + p.debitOuverture - p.creditOuverture, 0);
+      } else if (compte.classe <= 5) {
+        const anterieur = anterieurs.find(a => a._id.toString() === id);
+        ouverture = anterieur ? anterieur.debit - anterieur.credit : 0;
+      }
+      const mouvementsDebit = roundFinancial(mois.reduce((acc, p) => acc + p.debit, 0));
+      const mouvementsCredit = roundFinancial(mois.reduce((acc, p) => acc + p.credit, 0));
+
+      return {
+        compte,
+        soldeOuverture: roundFinancial(ouverture),
+        mois: mois.map(p => ({ periode: p.periode, debit: p.debit, credit: p.credit, solde: roundFinancial(p.debit - p.credit) })),
+        mouvementsDebit,
+        mouvementsCredit,
+        soldeCloture: roundFinancial(ouverture + mouvementsDebit - mouvementsCredit),
+      };
+    }).filter(l => l.soldeOuverture !== 0 || l.mouvementsDebit !== 0 || l.mouvementsCredit !== 0);
+
+    return {
+      exercice: { _id: exercice._id, libelle: exercice.libelle, dateDebut: exercice.dateDebut, dateFin: exercice.dateFin, statut: exercice.statut },
+      comptes: lignes,
+    };
+  }
+}
+
+module.exports = new SoldeCompteService();
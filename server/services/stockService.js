@@ -1,6 +1,14 @@
 const MouvementStock = require('../models/MouvementStock');
 const Produit = require('../models/Produit');
 const mongoose = require('mongoose');
+const calculService = require('./calculService');
+const { roundFinancial } = require('../utils/calculations');
+
+/**
+ * Types de mouvement qui font entrer (ou, pour un retour fournisseur, ressortir) du stock
+ * de l'entreprise à un coût réel et recalculent donc le CUMP global du produit.
+ */
+const TYPES_VALORISES_AU_COUT_REEL = ['ENTREE_ACHAT', 'RETOUR_CLIENT', 'ENTREE_INITIALE', 'RETOUR_FOURNISSEUR'];
 
 /**
  * @class StockService
@@ -20,31 +28,53 @@ class StockService {
    * @param {string} data.typeMouvement - Le type de mouvement (ex: 'SORTIE_VENTE').
    * @param {object} data.documentLie - Document qui a initié le mouvement.
    * @param {string} data.userId - ID de l'utilisateur réalisant l'opération.
+   * @param {number} [data.coutUnitaire] - Coût unitaire réel d'une entrée (ex: prix d'achat de la ligne reçue).
+   * Sans lui, le mouvement est valorisé au CUMP du dépôt. Une sortie n'en reçoit que lorsqu'elle
+   * annule une entrée à son coût d'origine (retour fournisseur).
+   * @param {object} [data.session] - Session MongoDB d'une transaction englobante. Si elle est fournie,
+   * le mouvement y participe et c'est l'appelant qui valide ou annule la transaction.
    * @returns {Promise<object>} - Le document MouvementStock créé.
    */
-  async _creerMouvement({ produitId, depotId, quantite, typeMouvement, documentLie, userId }) {
+  async _creerMouvement({ produitId, depotId, quantite, typeMouvement, documentLie, userId, coutUnitaire, session: sessionExterne }) {
     if (!produitId || !depotId || !quantite || !typeMouvement || !documentLie || !userId) {
       throw new Error('Données manquantes pour la création du mouvement de stock.');
     }
     
-    const session = await mongoose.startSession();
-    session.startTransaction();
+    const session = sessionExterne || await mongoose.startSession();
+    if (!sessionExterne) session.startTransaction();
 
     try {
       const produit = await Produit.findById(produitId).session(session);
       if (!produit) throw new Error(`Produit avec ID ${produitId} non trouvé.`);
       if (!produit.gestionStock) return null; // Ne rien faire si le produit n'est pas géré en stock
 
-      // 1. Mettre à jour la quantité sur le produit
+      const depotStock = produit.stockParDepot.find(d => d.depot.toString() === depotId.toString());
+      if (!depotStock && quantite < 0) {
+        throw new Error(`Tentative de sortie de stock pour un produit non présent dans le dépôt ${depotId}.`);
+      }
+
+      // 1. Valoriser le mouvement et mettre à jour les CUMP
+      // Les mouvements sans coût réel sont valorisés au CUMP courant du dépôt.
+      const cumpCourant = this.getCumpCourant(produit, depotStock);
+      const estValorise = coutUnitaire != null;
+      const coutMouvement = estValorise ? coutUnitaire : cumpCourant;
+
+      let cumpDepot = cumpCourant;
+      if (estValorise) {
+        cumpDepot = this._calculerCump(depotStock ? depotStock.quantite : 0, cumpCourant, quantite, coutUnitaire);
+        if (TYPES_VALORISES_AU_COUT_REEL.includes(typeMouvement)) {
+          produit.cump = this._calculerCump(produit.quantiteEnStock, produit.cump || cumpCourant, quantite, coutUnitaire);
+        }
+      }
+
+      // 2. Mettre à jour la quantité sur le produit
       // Le stock total et le stock par dépôt sont mis à jour
       produit.quantiteEnStock += quantite;
-      const depotStock = produit.stockParDepot.find(d => d.depot.toString() === depotId.toString());
       if (depotStock) {
         depotStock.quantite += quantite;
-      } else if (quantite > 0) { // On ajoute le produit au dépôt seulement si c'est une entrée
-        produit.stockParDepot.push({ depot: depotId, quantite });
-      } else {
-        throw new Error(`Tentative de sortie de stock pour un produit non présent dans le dépôt ${depotId}.`);
+        depotStock.cump = cumpDepot;
+      } else { // On ajoute le produit au dépôt seulement si c'est une entrée
+        produit.stockParDepot.push({ depot: depotId, quantite, cump: cumpDepot });
       }
 
       // Vérifier que le stock ne devient pas négatif
@@ -54,7 +84,7 @@ class StockService {
 
       await produit.save({ session });
       
-      // 2. Créer l'enregistrement d'audit (MouvementStock)
+      // 3. Créer l'enregistrement d'audit (MouvementStock)
       const mouvement = new MouvementStock({
         produit: produitId,
         depot: depotId,
@@ -65,23 +95,58 @@ class StockService {
           type: documentLie.constructor.modelName,
           numero: documentLie.numero || documentLie.numeroVente || documentLie.numeroAchat,
         },
-        coutUnitaire: produit.prixAchat, // Utiliser le prix d'achat actuel comme coût. Pourrait être plus complexe (CUMP).
-        valeurMouvement: quantite * produit.prixAchat,
+        coutUnitaire: coutMouvement,
+        valeurMouvement: roundFinancial(quantite * coutMouvement),
         realisePar: userId,
       });
 
       const mouvementCree = await mouvement.save({ session });
       
-      await session.commitTransaction();
+      if (!sessionExterne) await session.commitTransaction();
       return mouvementCree;
 
     } catch (error) {
-      await session.abortTransaction();
+      if (!sessionExterne) await session.abortTransaction();
       console.error("Erreur de transaction du stock:", error.message);
       throw error; // Renvoyer l'erreur pour que le contrôleur puisse la gérer
     } finally {
-      session.endSession();
+      if (!sessionExterne) session.endSession();
+    }
+  }
+
+  /**
+   * Retourne le CUMP courant d'un produit dans un dépôt.
+   * Pour les produits qui n'ont pas encore de CUMP (stock antérieur à la valorisation),
+   * on se rabat sur le CUMP global puis sur le prix d'achat catalogue.
+   * @param {object} produit - Le document Produit.
+   * @param {object} [depotStock] - L'entrée de `produit.stockParDepot` concernée.
+   * @returns {number} Le coût unitaire à utiliser.
+   */
+  getCumpCourant(produit, depotStock) {
+    return depotStock?.cump || produit.cump || produit.prixAchat || 0;
+  }
+
+  /**
+   * Calcule le CUMP après une entrée. Un stock nul ou négatif avant l'entrée
+   * ne porte plus de valeur : le nouveau CUMP est alors le coût de l'entrée.
+   * Une quantité négative retire la valeur de sortie du stock (retour fournisseur) ;
+   * si le stock est alors épuisé, le CUMP précédent est conservé.
+   * @private
+   * @param {number} quantiteAvant - Quantité en stock avant l'entrée.
+   * @param {number} cumpAvant - CUMP avant l'entrée.
+   * @param {number} quantiteEntree - Quantité entrée (négative pour une sortie valorisée).
+   * @param {number} coutEntree - Coût unitaire de l'entrée.
+   * @returns {number} Le nouveau CUMP.
+   */
+  _calculerCump(quantiteAvant, cumpAvant, quantiteEntree, coutEntree) {
+    if (quantiteEntree < 0 && quantiteAvant + quantiteEntree <= 0) {
+      return cumpAvant;
     }
+    if (quantiteAvant <= 0) {
+      return roundFinancial(coutEntree);
+    }
+    const nouveauCump = calculService.calculerNouveauCump(quantiteAvant, quantiteAvant * cumpAvant, quantiteEntree, coutEntree);
+    return Math.max(nouveauCump, 0);
   }
 
   /**
@@ -89,8 +154,9 @@ class StockService {
    * @param {object} bonLivraison - Le document Mongoose du bon de livraison.
    * @param {string} depotId - L'ID du dépôt de sortie.
    * @param {string} userId - L'ID de l'utilisateur.
+   * @param {object} [session] - Session MongoDB de la transaction d'expédition.
    */
-  async gererSortieVente(bonLivraison, depotId, userId) {
+  async gererSortieVente(bonLivraison, depotId, userId, session) {
     console.log(`Gestion de la sortie de stock pour le BL n°${bonLivraison.numero}...`);
     for (const ligne of bonLivraison.lignes) {
       await this._creerMouvement({
@@ -100,6 +166,7 @@ class StockService {
         typeMouvement: 'SORTIE_VENTE',
         documentLie: bonLivraison,
         userId,
+        session,
       });
     }
     console.log(`Sortie de stock pour le BL n°${bonLivraison.numero} terminée.`);
@@ -110,10 +177,12 @@ class StockService {
    * @param {object} bonReception - Le document Mongoose du bon de réception.
    * @param {string} depotId - L'ID du dépôt d'entrée.
    * @param {string} userId - L'ID de l'utilisateur.
+   * @param {object} [session] - Session MongoDB de la transaction de réception.
    */
-  async gererEntreeAchat(bonReception, depotId, userId) {
+  async gererEntreeAchat(bonReception, depotId, userId, session) {
     console.log(`Gestion de l'entrée de stock pour la réception n°${bonReception.numero}...`);
     for (const ligne of bonReception.lignes) {
+      if (!ligne.quantiteRecue) continue; // Ligne non livrée lors de cette réception
       await this._creerMouvement({
         produitId: ligne.produit,
         depotId,
@@ -121,42 +190,179 @@ class StockService {
         typeMouvement: 'ENTREE_ACHAT',
         documentLie: bonReception,
         userId,
+        coutUnitaire: ligne.coutUnitaireHT, // Coût réel de la ligne reçue, pour le CUMP
+        session,
       });
     }
     console.log(`Entrée de stock pour la réception n°${bonReception.numero} terminée.`);
   }
 
   /**
-   * Gère un ajustement de stock suite à un inventaire.
-   * @param {string} produitId - L'ID du produit.
-   * @param {string} depotId - L'ID du dépôt.
-   * @param {number} quantiteReelle - La quantité réellement comptée.
-   * @param {object} inventaireDoc - Le document d'inventaire qui justifie l'ajustement.
+   * Gère la réintégration en stock des marchandises retournées par un client.
+   * @param {object} documentRetour - Le document justifiant le retour (ex: un Avoir), avec des lignes { produit, quantite }.
+   * Une ligne peut préciser son `coutUnitaire` (coût de sortie d'origine) ; à défaut, le CUMP courant est utilisé.
+   * @param {string} depotId - L'ID du dépôt de réintégration.
    * @param {string} userId - L'ID de l'utilisateur.
+   * @param {object} [session] - Session MongoDB de la transaction du retour.
    */
-  async ajusterStockInventaire(produitId, depotId, quantiteReelle, inventaireDoc, userId) {
-    const produit = await Produit.findById(produitId);
-    if (!produit) throw new Error("Produit non trouvé.");
+  async gererRetourClient(documentRetour, depotId, userId, session) {
+    console.log(`Gestion du retour client pour le document n°${documentRetour.numero}...`);
+    for (const ligne of documentRetour.lignes) {
+      if (!ligne.produit) continue; // Ligne libre (prestation, frais...) sans impact sur le stock
+      await this._creerMouvement({
+        produitId: ligne.produit,
+        depotId,
+        quantite: ligne.quantite, // Quantité positive pour une entrée
+        typeMouvement: 'RETOUR_CLIENT',
+        documentLie: documentRetour,
+        userId,
+        coutUnitaire: ligne.coutUnitaire,
+        session,
+      });
+    }
+    console.log(`Retour client pour le document n°${documentRetour.numero} terminé.`);
+  }
 
-    const depotStock = produit.stockParDepot.find(d => d.depot.toString() === depotId.toString());
-    const quantiteTheorique = depotStock ? depotStock.quantite : 0;
-    
-    const quantiteAjustement = quantiteReelle - quantiteTheorique;
+  /**
+   * Gère la sortie de stock des marchandises renvoyées à un fournisseur.
+   * Chaque ligne sort au coût de sa réception d'origine, ce qui retire du stock
+   * exactement la valeur qui y était entrée.
+   * @param {object} retourFournisseur - Le document Mongoose du retour fournisseur.
+   * @param {string} userId - L'ID de l'utilisateur.
+   * @param {object} [session] - Session MongoDB de la transaction du retour.
+   */
+  async gererRetourFournisseur(retourFournisseur, userId, session) {
+    console.log(`Gestion du retour fournisseur n°${retourFournisseur.numero}...`);
+    for (const ligne of retourFournisseur.lignes) {
+      await this._creerMouvement({
+        produitId: ligne.produit,
+        depotId: retourFournisseur.depot,
+        quantite: -ligne.quantite, // Quantité négative pour une sortie
+        typeMouvement: 'RETOUR_FOURNISSEUR',
+        documentLie: retourFournisseur,
+        userId,
+        coutUnitaire: ligne.coutUnitaireHT,
+        session,
+      });
+    }
+    console.log(`Retour fournisseur n°${retourFournisseur.numero} terminé.`);
+  }
 
-    if (quantiteAjustement !== 0) {
-      console.log(`Ajustement de stock pour ${produit.designation}: ${quantiteAjustement}`);
+  /**
+   * Sort du stock des marchandises mises au rebut (produits endommagés, périmés...).
+   * @param {object} documentLie - Le document justifiant la perte (ex: un RetourClient).
+   * @param {Array<{ produit: string, quantite: number }>} lignes - Les lignes à mettre au rebut.
+   * @param {string} depotId - L'ID du dépôt concerné.
+   * @param {string} userId - L'ID de l'utilisateur.
+   * @param {object} [session] - Session MongoDB de la transaction englobante.
+   */
+  async gererPerteCasse(documentLie, lignes, depotId, userId, session) {
+    for (const ligne of lignes) {
       await this._creerMouvement({
-        produitId,
+        produitId: ligne.produit,
         depotId,
-        quantite: quantiteAjustement,
+        quantite: -ligne.quantite, // Quantité négative pour une sortie
+        typeMouvement: 'PERTE_CASSE',
+        documentLie,
+        userId,
+        session,
+      });
+    }
+  }
+
+  /**
+   * Passe les ajustements de stock d'un inventaire validé.
+   * L'ajustement de chaque ligne comptée est son écart avec la quantité théorique figée à
+   * l'ouverture, de sorte que les mouvements survenus pendant le comptage restent acquis.
+   * @param {object} inventaire - Le document Mongoose de l'inventaire.
+   * @param {string} userId - L'ID de l'utilisateur qui valide l'inventaire.
+   * @param {object} [session] - Session MongoDB de la transaction de validation.
+   * @returns {Promise<{ excedents: number, manquants: number }>} Valeur des excédents et des manquants ajustés.
+   */
+  async ajusterStockInventaire(inventaire, userId, session) {
+    const ecarts = { excedents: 0, manquants: 0 };
+    for (const ligne of inventaire.lignes) {
+      if (!ligne.ecart) continue; // Ligne non comptée ou sans écart
+      console.log(`Ajustement de stock pour ${ligne.description}: ${ligne.ecart}`);
+      const mouvement = await this._creerMouvement({
+        produitId: ligne.produit,
+        depotId: inventaire.depot._id || inventaire.depot,
+        quantite: ligne.ecart,
         typeMouvement: 'AJUSTEMENT_INV',
-        documentLie: inventaireDoc,
+        documentLie: inventaire,
+        userId,
+        coutUnitaire: ligne.ecart > 0 ? ligne.coutUnitaire : undefined, // Un excédent est valorisé au coût figé à l'ouverture
+        session,
+      });
+      if (!mouvement) continue;
+      if (mouvement.valeurMouvement > 0) ecarts.excedents += mouvement.valeurMouvement;
+      else ecarts.manquants -= mouvement.valeurMouvement;
+    }
+    return ecarts;
+  }
+
+  /**
+   * Gère le départ d'un transfert inter-dépôts : sortie de chaque ligne du dépôt source.
+   * Le coût de sortie (CUMP du dépôt source) est reporté sur la ligne du transfert
+   * pour valoriser l'entrée dans le dépôt de destination au même coût.
+   * @param {object} transfert - Le document Mongoose du transfert.
+   * @param {string} userId - L'ID de l'utilisateur.
+   * @param {object} session - Session MongoDB de la transaction du transfert.
+   */
+  async gererExpeditionTransfert(transfert, userId, session) {
+    console.log(`Expédition du transfert n°${transfert.numero}...`);
+    for (const ligne of transfert.lignes) {
+      const mouvement = await this._creerMouvement({
+        produitId: ligne.produit,
+        depotId: transfert.depotSource,
+        quantite: -ligne.quantiteEnvoyee, // Quantité négative pour une sortie
+        typeMouvement: 'TRANSFERT_SORTANT',
+        documentLie: transfert,
         userId,
+        session,
       });
+      ligne.coutUnitaire = mouvement ? mouvement.coutUnitaire : 0;
     }
+    console.log(`Expédition du transfert n°${transfert.numero} terminée.`);
   }
 
-  // TODO: Implémenter gererTransfertStock, gererRetourClient, etc.
+  /**
+   * Gère l'arrivée d'un transfert inter-dépôts : entrée des quantités effectivement reçues
+   * dans le dépôt de destination, au coût constaté lors de l'expédition.
+   * @param {object} transfert - Le document Mongoose du transfert, lignes avec `quantiteRecue` renseignée.
+   * @param {string} userId - L'ID de l'utilisateur.
+   * @param {object} session - Session MongoDB de la transaction du transfert.
+   */
+  async gererReceptionTransfert(transfert, userId, session) {
+    console.log(`Réception du transfert n°${transfert.numero}...`);
+    for (const ligne of transfert.lignes) {
+      if (!ligne.quantiteRecue) continue; // Rien n'est arrivé pour cette ligne
+      await this._creerMouvement({
+        produitId: ligne.produit,
+        depotId: transfert.depotDestination,
+        quantite: ligne.quantiteRecue, // Quantité positive pour une entrée
+        typeMouvement: 'TRANSFERT_ENTRANT',
+        documentLie: transfert,
+        userId,
+        coutUnitaire: ligne.coutUnitaire,
+        session,
+      });
+    }
+    console.log(`Réception du transfert n°${transfert.numero} terminée.`);
+  }
+
+  /**
+   * Gère un transfert inter-dépôts sans transit : les deux jambes (sortie et entrée)
+   * sont passées dans la même session, la quantité reçue étant la quantité envoyée.
+   * @param {object} transfert - Le document Mongoose du transfert.
+   * @param {string} userId - L'ID de l'utilisateur.
+   * @param {object} session - Session MongoDB de la transaction du transfert.
+   */
+  async gererTransfertStock(transfert, userId, session) {
+    await this.gererExpeditionTransfert(transfert, userId, session);
+    transfert.lignes.forEach(ligne => { ligne.quantiteRecue = ligne.quantiteEnvoyee; });
+    await this.gererReceptionTransfert(transfert, userId, session);
+  }
 }
 
 module.exports = new StockService();
\ No newline at end of file
@@ -38,6 +38,9 @@ const DOCUMENT_STATUS = Object.freeze({
   ORDERED: 'Commandé',
   PARTIALLY_RECEIVED: 'Partiellement reçu',
   RECEIVED: 'Reçu',
+
+  // Statuts d'Avoir
+  VALIDATED: 'Validé',
 });
 
 const PAYMENT_STATUS = Object.freeze({
@@ -75,6 +78,19 @@ const ACCOUNTING = Object.freeze({
     INCOME_STATEMENT: 'Résultat',
 });
 
+// Intitulés des classes du plan comptable SYSCOHADA révisé
+const SYSCOHADA_CLASSES = Object.freeze({
+    1: 'Comptes de ressources durables',
+    2: "Comptes d'actif immobilisé",
+    3: 'Comptes de stocks',
+    4: 'Comptes de tiers',
+    5: 'Comptes de trésorerie',
+    6: 'Comptes de charges des activités ordinaires',
+    7: 'Comptes de produits des activités ordinaires',
+    8: 'Comptes des autres charges et des autres produits',
+    9: 'Comptes des engagements hors bilan et de la comptabilité analytique',
+});
+
 const HTTP_STATUS_CODES = Object.freeze({
     OK: 200,
     CREATED: 201,
@@ -94,5 +110,6 @@ module.exports = {
   PAYMENT_METHOD,
   STOCK_MOVEMENT_TYPES,
   ACCOUNTING,
+  SYSCOHADA_CLASSES,
   HTTP_STATUS_CODES,
 };
\ No newline at end of file
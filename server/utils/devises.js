@@ -0,0 +1,112 @@
+/**
+ * @file devises.js
+ * @description Documents commerciaux en devise étrangère : champs de devise communs aux schémas
+ * (devise, cours figé à l'émission et contre-valeur des totaux en devise de référence) et
+ * conversions vers la devise de tenue de la comptabilité.
+ */
+
+const { roundFinancial } = require('./calculations');
+
+// Devise de tenue de la comptabilité (Franc CFA BCEAO)
+const DEVISE_REFERENCE = 'XOF';
+
+// Parités fixes avec la devise de référence : le cours n'est ni saisi ni historisé
+const PARITES_FIXES = {
+  EUR: 655.957,
+};
+
+/**
+ * Parité fixe d'une devise avec la devise de référence.
+ * @param {string} code - Code ISO de la devise.
+ * @returns {number|null} La parité, ou null pour une devise à cours flottant.
+ */
+const pariteFixe = (code) => PARITES_FIXES[(code || '').toUpperCase().trim()] || null;
+
+/**
+ * Champs de devise d'un document commercial, à insérer dans la définition de son schéma.
+ * Les lignes et les totaux du document sont exprimés dans sa devise ; la contre-valeur reprend
+ * les totaux en devise de référence au cours figé à l'émission.
+ * @returns {object}
+ */
+const champsDevise = () => ({
+  devise: { type: String, uppercase: true, trim: true, minlength: 3, maxlength: 3, default: DEVISE_REFERENCE },
+  tauxDeChange: {
+    type: Number,
+    default: 1,
+    min: [0.000001, 'Le cours de la devise doit être positif.'],
+    description: "Contre-valeur en devise de référence d'une unité de la devise du document, figée à l'émission.",
+  },
+  contreValeur: {
+    totalHT: { type: Number, default: 0 },
+    totalRemise: { type: Number, default: 0 },
+    totalTVA: { type: Number, default: 0 },
+    totalTTC: { type: Number, default: 0 },
+  },
+});
+
+/**
+ * Convertit un montant en devise vers la devise de référence.
+ * @param {number} montant - Montant en devise.
+ * @param {number} [taux=1] - Cours de la devise.
+ * @returns {number}
+ */
+const versReference = (montant, taux = 1) => roundFinancial((montant || 0) * (taux || 1));
+
+/**
+ * Convertit un montant en devise de référence vers une devise (prix du catalogue, par exemple).
+ * @param {number} montant - Montant en devise de référence.
+ * @param {number} [taux=1] - Cours de la devise.
+ * @returns {number}
+ */
+const depuisReference = (montant, taux = 1) => roundFinancial((montant || 0) / (taux || 1));
+
+/**
+ * Calcule la contre-valeur des totaux d'un document, à appeler dans son hook pre-save une fois
+ * les totaux en devise calculés. Le TTC est recomposé à partir des montants convertis et arrondis,
+ * pour que l'écriture comptable qui les reprend reste équilibrée.
+ * @param {object} doc - Le document (totalHT, totalTVA, et totalRemise s'il en a un).
+ */
+const appliquerContreValeur = (doc) => {
+  const totalHT = versReference(doc.totalHT, doc.tauxDeChange);
+  const totalRemise = versReference(doc.totalRemise, doc.tauxDeChange);
+  const totalTVA = versReference(doc.totalTVA, doc.tauxDeChange);
+  doc.contreValeur = {
+    totalHT,
+    totalRemise,
+    totalTVA,
+    totalTTC: roundFinancial(totalHT - totalRemise + totalTVA),
+  };
+};
+
+/**
+ * Total d'un document en devise de référence ; les documents antérieurs à la gestion des
+ * devises, sans contre-valeur, sont en devise de référence.
+ * @param {object} doc
+ * @param {'totalHT'|'totalRemise'|'totalTVA'|'totalTTC'} champ
+ * @returns {number}
+ */
+const montantReference = (doc, champ) => {
+  const contreValeur = doc.contreValeur?.[champ];
+  return contreValeur !== undefined && contreValeur !== null && (contreValeur !== 0 || !doc[champ])
+    ? contreValeur
+    : versReference(doc[champ], doc.tauxDeChange);
+};
+
+/**
+ * Indique si un document est établi dans une devise étrangère.
+ * @param {object} doc
+ * @returns {boolean}
+ */
+const estEnDevise = (doc) => Boolean(doc.devise) && doc.devise !== DEVISE_REFERENCE;
+
+module.exports = {
+  DEVISE_REFERENCE,
+  PARITES_FIXES,
+  pariteFixe,
+  champsDevise,
+  versReference,
+  depuisReference,
+  appliquerContreValeur,
+  montantReference,
+  estEnDevise,
+};
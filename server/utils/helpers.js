@@ -51,10 +51,26 @@ const calculateTotalPages = (totalDocuments, limit) => {
   return Math.ceil(totalDocuments / limit);
 };
 
+/**
+ * Envoie un fichier généré (export Excel ou PDF) en pièce jointe.
+ * @param {object} res - L'objet de réponse Express.
+ * @param {Buffer} buffer - Le contenu du fichier.
+ * @param {string} fileName - Le nom du fichier, extension comprise (.xlsx ou .pdf).
+ */
+const sendFileAttachment = (res, buffer, fileName) => {
+  const contentType = fileName.endsWith('.pdf')
+    ? 'application/pdf'
+    : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.status(200).send(Buffer.from(buffer));
+};
+
 
 module.exports = {
   asyncHandler,
   generateDocumentNumber,
   getPagination,
   calculateTotalPages,
+  sendFileAttachment,
 };
\ No newline at end of file
@@ -0,0 +1,259 @@
+/**
+ * @file releveBancaire.js
+ * @description Lecture des relevés bancaires (CSV, OFX, CAMT.053) en un format commun :
+ * { format, reference, devise, dateDebut, dateFin, soldeInitial, soldeFinal, lignes }.
+ * Les montants des lignes sont signés du point de vue de l'entreprise :
+ * positifs pour un encaissement (crédit du relevé), négatifs pour un décaissement.
+ */
+
+const { roundFinancial } = require('./calculations');
+
+/**
+ * Convertit un montant écrit à la française ("1 234,56") ou à l'anglaise ("1234.56").
+ * @param {string} texte
+ * @returns {number} Le montant, ou NaN s'il est illisible.
+ */
+const lireMontant = (texte) => {
+  if (texte === undefined || texte === null) return NaN;
+  let valeur = String(texte).replace(/[\s\u00a0\u202f]/g, '').replace(/[^\d,.\-+]/g, '');
+  if (valeur === '') return NaN;
+  if (valeur.includes(',')) {
+    // La virgule est le séparateur décimal ; les points éventuels séparent les milliers
+    valeur = valeur.replace(/\./g, '').replace(',', '.');
+  }
+  return roundFinancial(Number(valeur));
+};
+
+/**
+ * Convertit une date JJ/MM/AAAA, AAAA-MM-JJ ou AAAAMMJJ (OFX).
+ * @param {string} texte
+ * @returns {Date|null}
+ */
+const lireDate = (texte) => {
+  const valeur = String(texte || '').trim();
+  let m = valeur.match(/^(\d{2})[/.-](\d{2})[/.-](\d{4})/);
+  if (m) return new Date(Number(m[3]), Number(m[2]) - 1, Number(m[1]));
+  m = valeur.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return null;
+};
+
+/**
+ * Normalise un intitulé de colonne CSV (minuscules, sans accents ni ponctuation).
+ * @param {string} entete
+ * @returns {string}
+ */
+const normaliserEntete = (entete) => entete
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/[^a-z]/g, ' ').trim().replace(/\s+/g, ' ');
+
+// Intitulés de colonnes reconnus dans les exports CSV des banques
+const COLONNES_CSV = {
+  dateOperation: ['date', 'date operation', 'date comptable', 'date d operation'],
+  dateValeur: ['date valeur', 'date de valeur', 'valeur'],
+  libelle: ['libelle', 'libelle operation', 'description', 'intitule', 'operation', 'designation'],
+  montant: ['montant', 'montant xof', 'amount'],
+  debit: ['debit', 'debit xof', 'retrait', 'sortie'],
+  credit: ['credit', 'credit xof', 'versement', 'entree'],
+  referenceExterne: ['reference', 'ref', 'reference operation', 'numero', 'n piece', 'numero de cheque'],
+};
+
+/**
+ * Découpe une ligne CSV en respectant les champs entre guillemets.
+ * @param {string} ligne
+ * @param {string} separateur
+ * @returns {Array<string>}
+ */
+const decouperLigneCsv = (ligne, separateur) => {
+  const champs = [];
+  let champ = '';
+  let entreGuillemets = false;
+  for (let i = 0; i < ligne.length; i++) {
+    const c = ligne[i];
+    if (c === '"') {
+      if (entreGuillemets && ligne[i + 1] === '"') {
+        champ += '"';
+        i++;
+      } else {
+        entreGuillemets = !entreGuillemets;
+      }
+    } else if (c === separateur && !entreGuillemets) {
+      champs.push(champ.trim());
+      champ = '';
+    } else {
+      champ += c;
+    }
+  }
+  champs.push(champ.trim());
+  return champs;
+};
+
+/**
+ * Lit un relevé CSV : une ligne d'en-tête puis une opération par ligne, avec soit une colonne
+ * montant signée, soit deux colonnes débit / crédit. Les soldes ne figurent pas dans ce format.
+ * @param {string} contenu
+ * @returns {object}
+ */
+const lireCsv = (contenu) => {
+  const lignesFichier = contenu.split(/\r?\n/).filter(l => l.trim() !== '');
+  if (lignesFichier.length < 2) {
+    throw new Error('Le relevé CSV ne contient aucune opération.');
+  }
+
+  const entete = lignesFichier[0];
+  const separateur = [';', '\t', ','].reduce((retenu, s) => (entete.split(s).length > entete.split(retenu).length ? s : retenu));
+  const intitules = decouperLigneCsv(entete, separateur).map(normaliserEntete);
+  const colonne = (champ) => intitules.findIndex(i => COLONNES_CSV[champ].includes(i));
+  const index = Object.fromEntries(Object.keys(COLONNES_CSV).map(champ => [champ, colonne(champ)]));
+
+  if (index.dateOperation < 0 || index.libelle < 0 || (index.montant < 0 && (index.debit < 0 || index.credit < 0))) {
+    throw new Error('En-tête CSV non reconnu : les colonnes date, libellé et montant (ou débit et crédit) sont obligatoires.');
+  }
+
+  const lignes = lignesFichier.slice(1).map((texte, i) => {
+    const champs = decouperLigneCsv(texte, separateur);
+    const dateOperation = lireDate(champs[index.dateOperation]);
+    const montant = index.montant >= 0
+      ? lireMontant(champs[index.montant])
+      : roundFinancial((lireMontant(champs[index.credit]) || 0) - (lireMontant(champs[index.debit]) || 0));
+    if (!dateOperation || Number.isNaN(montant)) {
+      throw new Error(`Ligne ${i + 2} du relevé CSV illisible : "${texte}".`);
+    }
+    return {
+      dateOperation,
+      dateValeur: index.dateValeur >= 0 ? lireDate(champs[index.dateValeur]) || undefined : undefined,
+      libelle: champs[index.libelle] || '(sans libellé)',
+      montant,
+      referenceExterne: index.referenceExterne >= 0 ? champs[index.referenceExterne] || undefined : undefined,
+    };
+  }).filter(ligne => ligne.montant !== 0);
+
+  return { format: 'CSV', lignes };
+};
+
+/**
+ * Valeur d'une balise OFX (SGML, balise fermante facultative) ou XML.
+ * @param {string} bloc
+ * @param {string} balise
+ * @returns {string|undefined}
+ */
+const valeurBalise = (bloc, balise) => {
+  const m = bloc.match(new RegExp(`<${balise}(?:\\s[^>]*)?>([^<\\r\\n]*)`, 'i'));
+  return m ? m[1].trim() : undefined;
+};
+
+/**
+ * Lit un relevé OFX (1.x SGML ou 2.x XML).
+ * @param {string} contenu
+ * @returns {object}
+ */
+const lireOfx = (contenu) => {
+  const blocs = contenu.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+  const lignes = blocs.map(bloc => ({
+    dateOperation: lireDate(valeurBalise(bloc, 'DTPOSTED')),
+    dateValeur: lireDate(valeurBalise(bloc, 'DTAVAIL')) || undefined,
+    libelle: [valeurBalise(bloc, 'NAME'), valeurBalise(bloc, 'MEMO')].filter(Boolean).join(' - ') || '(sans libellé)',
+    montant: lireMontant(valeurBalise(bloc, 'TRNAMT')),
+    referenceExterne: valeurBalise(bloc, 'CHECKNUM') || valeurBalise(bloc, 'REFNUM') || valeurBalise(bloc, 'FITID'),
+  })).filter(ligne => ligne.montant !== 0);
+
+  if (lignes.some(l => !l.dateOperation || Number.isNaN(l.montant))) {
+    throw new Error('Le relevé OFX contient des opérations sans date ou sans montant lisible.');
+  }
+
+  const soldeBloc = (contenu.match(/<LEDGERBAL>[\s\S]*?(?=<\/LEDGERBAL>|<AVAILBAL>|<\/STMTRS>)/i) || [])[0];
+  const soldeFinal = soldeBloc ? lireMontant(valeurBalise(soldeBloc, 'BALAMT')) : undefined;
+  const mouvements = lignes.reduce((acc, l) => acc + l.montant, 0);
+
+  return {
+    format: 'OFX',
+    devise: valeurBalise(contenu, 'CURDEF'),
+    dateDebut: lireDate(valeurBalise(contenu, 'DTSTART')) || undefined,
+    dateFin: lireDate(valeurBalise(contenu, 'DTEND')) || undefined,
+    soldeFinal,
+    soldeInitial: soldeFinal === undefined ? undefined : roundFinancial(soldeFinal - mouvements),
+    lignes,
+  };
+};
+
+/**
+ * Lit un relevé de fin de journée ISO 20022 (camt.053) : premier relevé du fichier.
+ * @param {string} contenu
+ * @returns {object}
+ */
+const lireCamt053 = (contenu) => {
+  // Les préfixes d'espace de noms ne sont pas significatifs ici
+  const xml = contenu.replace(/<(\/?)[\w-]+:/g, '<$1');
+  const stmt = (xml.match(/<Stmt>[\s\S]*?<\/Stmt>/) || [])[0];
+  if (!stmt) {
+    throw new Error('Aucun relevé (<Stmt>) trouvé dans le fichier CAMT.053.');
+  }
+
+  const signe = (bloc) => (valeurBalise(bloc, 'CdtDbtInd') === 'DBIT' ? -1 : 1);
+  const dateDans = (bloc, conteneur) => {
+    const sous = (bloc.match(new RegExp(`<${conteneur}>[\\s\\S]*?</${conteneur}>`)) || [])[0];
+    return sous ? lireDate(valeurBalise(sous, 'Dt') || valeurBalise(sous, 'DtTm')) : null;
+  };
+
+  const soldes = {};
+  (stmt.match(/<Bal>[\s\S]*?<\/Bal>/g) || []).forEach(bal => {
+    const code = valeurBalise(bal, 'Cd');
+    soldes[code] = roundFinancial(signe(bal) * lireMontant(valeurBalise(bal, 'Amt')));
+  });
+
+  const lignes = (stmt.match(/<Ntry>[\s\S]*?<\/Ntry>/g) || []).map(ntry => {
+    const libelle = [valeurBalise(ntry, 'Ustrd'), valeurBalise(ntry, 'AddtlNtryInf')].filter(Boolean).join(' - ');
+    return {
+      dateOperation: dateDans(ntry, 'BookgDt'),
+      dateValeur: dateDans(ntry, 'ValDt') || undefined,
+      libelle: libelle || '(sans libellé)',
+      montant: roundFinancial(signe(ntry) * lireMontant(valeurBalise(ntry, 'Amt'))),
+      referenceExterne: valeurBalise(ntry, 'EndToEndId') || valeurBalise(ntry, 'AcctSvcrRef') || valeurBalise(ntry, 'NtryRef'),
+    };
+  }).filter(ligne => ligne.montant !== 0);
+
+  if (lignes.some(l => !l.dateOperation || Number.isNaN(l.montant))) {
+    throw new Error('Le relevé CAMT.053 contient des opérations sans date ou sans montant lisible.');
+  }
+
+  const ccy = stmt.match(/<Amt\s+Ccy="([A-Z]{3})"/);
+  return {
+    format: 'CAMT.053',
+    reference: valeurBalise(stmt, 'Id'),
+    devise: ccy ? ccy[1] : undefined,
+    dateDebut: lireDate(valeurBalise(stmt, 'FrDtTm')) || undefined,
+    dateFin: lireDate(valeurBalise(stmt, 'ToDtTm')) || undefined,
+    soldeInitial: soldes.OPBD ?? soldes.PRCD,
+    soldeFinal: soldes.CLBD,
+    lignes,
+  };
+};
+
+/**
+ * Détecte le format d'un relevé et le lit.
+ * @param {string} contenu - Le contenu texte du fichier.
+ * @param {string} [format] - 'CSV', 'OFX' ou 'CAMT.053' ; détecté d'après le contenu s'il est absent.
+ * @returns {object} Le relevé au format commun.
+ */
+const lireReleveBancaire = (contenu, format) => {
+  const texte = contenu.replace(/^\uFEFF/, '');
+  const formatRetenu = format
+    || (/camt\.053|<BkToCstmrStmt>/i.test(texte) ? 'CAMT.053'
+      : /OFXHEADER|<OFX>/i.test(texte) ? 'OFX'
+        : 'CSV');
+
+  switch (formatRetenu) {
+    case 'CAMT.053': return lireCamt053(texte);
+    case 'OFX': return lireOfx(texte);
+    case 'CSV': return lireCsv(texte);
+    default: throw new Error(`Format de relevé non supporté : ${formatRetenu}.`);
+  }
+};
+
+module.exports = {
+  lireReleveBancaire,
+  lireMontant,
+  lireDate,
+  decouperLigneCsv,
+  normaliserEntete,
+};
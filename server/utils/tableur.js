@@ -0,0 +1,59 @@
+/**
+ * @file tableur.js
+ * @description Lecture des fichiers tabulaires importés (CSV ou Excel) en lignes de cellules
+ * texte, la première ligne portant les intitulés des colonnes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { decouperLigneCsv } = require('./releveBancaire');
+
+/**
+ * Convertit une cellule Excel en texte ; les dates sont écrites AAAA-MM-JJ.
+ * @param {*} valeur - La valeur ExcelJS de la cellule.
+ * @returns {string}
+ */
+const texteCellule = (valeur) => {
+  if (valeur instanceof Date) return valeur.toISOString().slice(0, 10);
+  return (valeur?.text ?? valeur?.result ?? valeur ?? '').toString().trim();
+};
+
+/**
+ * Lit un fichier CSV (séparateur ; , ou tabulation, détecté sur l'en-tête) ou Excel (.xlsx,
+ * première feuille).
+ * @param {string} chemin - Chemin du fichier téléversé.
+ * @param {string} [nomFichier] - Nom d'origine, pour reconnaître le format.
+ * @returns {Promise<Array<Array<string>>>} Les lignes non vides, en-tête compris.
+ */
+const lireTableau = async (chemin, nomFichier) => {
+  const extension = path.extname(nomFichier || chemin).toLowerCase();
+
+  if (extension === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(chemin);
+    const feuille = workbook.worksheets[0];
+    if (!feuille) {
+      throw new Error('Le classeur ne contient aucune feuille.');
+    }
+    const lignes = [];
+    feuille.eachRow(row => {
+      lignes.push(row.values.slice(1).map(texteCellule));
+    });
+    return lignes;
+  }
+
+  if (extension === '.csv' || extension === '.txt') {
+    const contenu = (await fs.promises.readFile(chemin, 'utf-8')).replace(/^\uFEFF/, '');
+    const lignesFichier = contenu.split(/\r?\n/).filter(l => l.trim() !== '');
+    const entete = lignesFichier[0] || '';
+    const separateur = [';', '\t', ','].reduce((retenu, s) => (entete.split(s).length > entete.split(retenu).length ? s : retenu));
+    return lignesFichier.map(l => decouperLigneCsv(l, separateur));
+  }
+
+  throw new Error(`Format de fichier non supporté (${extension || 'sans extension'}) : CSV ou Excel (.xlsx) attendu.`);
+};
+
+module.exports = {
+  lireTableau,
+};